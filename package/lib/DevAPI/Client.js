@@ -30,12 +30,16 @@
 
 'use strict';
 
+const EventEmitter = require('events');
 const connection = require('./Connection');
+const endpointHealth = require('../topology/endpoint-health');
 const errors = require('../constants/errors');
 const pool = require('./ConnectionPool');
 const session = require('./Session');
+const splitting = require('../topology/read-write-splitting');
 const util = require('util');
-const { isValidPlainObject } = require('../validator');
+const { isConnectionLoss } = require('./Util/retryable');
+const { isValidBoolean, isValidInteger, isValidPlainObject, isValidString } = require('../validator');
 
 /**
  * Client abstraction to manage connections to the database, at the moment,
@@ -54,9 +58,67 @@ const { isValidPlainObject } = require('../validator');
 /**
  * Extended client options.
  * @typedef {Object} Properties
+ * @prop {module:EndpointHealth~CircuitBreaker} [circuitBreaker] - skip endpoints that failed to connect too many times in a row, in every connection created by the client
+ * @prop {string} [loadBalancing=roundRobin] - strategy used to balance read-only sessions across endpoints with the "replica" role ("roundRobin" or "leastActive")
  * @prop {module:ConnectionPool~Properties} [pooling] - connection pool configuration
  */
-const VALID_OPTIONS = ['pooling'];
+const VALID_OPTIONS = ['circuitBreaker', 'loadBalancing', 'pooling'];
+
+/**
+ * Session options.
+ * @typedef {Object} SessionOptions
+ * @prop {string} [after] - set of GTIDs (for instance, the one returned by {@link module:Session#getLastGtid|Session.getLastGtid()}) that a replica must have applied before a session with "readYourWrites" consistency can use it
+ * @prop {string} [consistency=eventual] - consistency of read-only sessions ("eventual" or "readYourWrites")
+ * @prop {boolean} [readOnly=false] - use a connection to one of the endpoints with the "replica" role (falling back to the primary endpoints when none is available)
+ * @prop {number} [waitTimeout=10000] - maximum amount of time (ms) to wait for a replica to apply the GTID set (0 means no limit)
+ */
+const VALID_SESSION_OPTIONS = ['after', 'consistency', 'readOnly', 'waitTimeout'];
+
+/**
+ * Consistency levels of read-only sessions.
+ * @private
+ * @type {string[]}
+ */
+const CONSISTENCY_LEVELS = ['eventual', 'readYourWrites'];
+
+/**
+ * Validate the options of a session.
+ * @private
+ * @param {module:Client~SessionOptions} options
+ * @returns {boolean}
+ * @throws when the options contain unknown properties or properties with
+ * invalid values
+ */
+function validateSessionOptions (options) {
+    if (!isValidPlainObject({ value: options })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_SESSION_INVALID_OPTION_VALUE, 'options', options));
+    }
+
+    const invalidKeys = Object.keys(options).filter(k => VALID_SESSION_OPTIONS.indexOf(k) === -1);
+
+    if (invalidKeys.length) {
+        throw new Error(util.format(errors.MESSAGES.ERR_SESSION_INVALID_OPTION, invalidKeys[0]));
+    }
+
+    if (!isValidBoolean({ value: options.readOnly })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_SESSION_INVALID_OPTION_VALUE, 'readOnly', options.readOnly));
+    }
+
+    if (typeof options.consistency !== 'undefined' && CONSISTENCY_LEVELS.indexOf(options.consistency) === -1) {
+        throw new Error(util.format(errors.MESSAGES.ERR_SESSION_INVALID_OPTION_VALUE, 'consistency', options.consistency));
+    }
+
+    // The GTID of a session that did not commit any transaction is null.
+    if (options.after !== null && !isValidString({ value: options.after })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_SESSION_INVALID_OPTION_VALUE, 'after', options.after));
+    }
+
+    if (!isValidInteger({ value: options.waitTimeout, min: 0 })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_SESSION_INVALID_OPTION_VALUE, 'waitTimeout', options.waitTimeout));
+    }
+
+    return true;
+}
 
 /**
  * @alias module:Client
@@ -64,7 +126,77 @@ const VALID_OPTIONS = ['pooling'];
  * @returns {module:Client}
  */
 function Client (options = {}) {
-    const state = { pool: null };
+    // The event emitter outlives any pool instance, which means listeners
+    // remain attached even if the pool is closed and created again.
+    const state = { events: new EventEmitter(), health: null, pool: null, replicas: [], offset: 0 };
+    const pooling = Object.assign({}, options.pooling);
+    const { primaries, replicas } = splitting.split(options.endpoints);
+
+    // The health of each endpoint is shared by all the connections created
+    // by the client, including the ones to replicas.
+    if (options.circuitBreaker && options.circuitBreaker.enabled) {
+        state.health = endpointHealth(options.circuitBreaker, options.connectTimeout);
+    }
+
+    // Read-write sessions only use the primary endpoints.
+    const primary = replicas.length ? Object.assign({}, options, { endpoints: primaries }) : options;
+    // Read-write sessions track the transactions they commit, which allows
+    // read-only sessions to wait for them on a replica.
+    const trackGtids = replicas.length > 0;
+
+    // Each replica has its own pool, which is only created when it is
+    // needed, and keeps track of the sessions that are using it.
+    state.replicas = replicas.map(endpoint => ({ active: 0, options: Object.assign({}, options, { endpoints: [endpoint] }), pool: null }));
+
+    // Closes a connection (or releases it back into the pool) when it
+    // cannot be used, without hiding the original error.
+    const discard = (con, err) => {
+        return con.close()
+            .catch(() => {})
+            .then(() => {
+                throw err;
+            });
+    };
+
+    // Creates a session using a connection to a given replica.
+    const acquire = (replica, { after, consistency = 'eventual', waitTimeout = 10000 }) => {
+        let open;
+
+        if (!options.pooling.enabled) {
+            open = connection(replica.options, { health: state.health }).open();
+        } else {
+            replica.pool = replica.pool || pool(replica.options, { events: state.events, health: state.health }).create();
+            open = replica.pool.getConnection();
+        }
+
+        return open.then(con => {
+            if (consistency !== 'readYourWrites' || !after) {
+                return con;
+            }
+
+            // The replica should not be used before it applies the
+            // transactions that the application expects to see.
+            return con.waitForGtidSet(after, waitTimeout)
+                .catch(err => discard(con, err));
+        }).then(con => {
+            replica.active += 1;
+            // The session is closed either by the application or when the
+            // connection is lost.
+            con.getEvents().once('close', () => {
+                replica.active -= 1;
+            });
+
+            return session(con);
+        });
+    };
+
+    // If the pool should contain a minimum number of connections, they are
+    // opened in advance, in the background, so that they are ready to be
+    // used when the application asks for a session.
+    if (pooling.enabled && pooling.minSize > 0) {
+        state.pool = pool(primary, { events: state.events, health: state.health, trackGtids }).create();
+        state.pool.fill();
+    }
 
     return {
         /**
@@ -79,16 +211,106 @@ function Client (options = {}) {
          * @returns {Promise}
          */
         close () {
-            if (state.pool === null) {
+            // Unreachable endpoints should not be probed anymore.
+            if (state.health) {
+                state.health.reset();
+            }
+
+            const pools = [state.pool].concat(state.replicas.map(replica => replica.pool))
+                .filter(pool => pool !== null);
+
+            if (!pools.length) {
                 return Promise.reject(new Error(errors.MESSAGES.ERR_POOL_CLOSED));
             }
 
-            return state.pool.destroy()
+            return Promise.all(pools.map(pool => pool.destroy()))
                 .then(() => {
                     state.pool = null;
+                    state.replicas.forEach(replica => {
+                        replica.pool = null;
+                    });
                 });
         },
 
+        /**
+         * Retrieve the current statistics of the connection pool. When
+         * there are endpoints with the "replica" role, the statistics of the
+         * pool used by each one of them are available in the "replicas"
+         * property.
+         * @function
+         * @name module:Client#getPoolStats
+         * @example
+         * const client = mysqlx.getClient({ user: 'root' }, { pooling: { enabled: true, maxSize: 3 } })
+         *
+         * client.getSession()
+         *   .then(() => {
+         *     console.log(client.getPoolStats()); // { active: 1, idle: 0, ..., totalAcquisitions: 1, ... }
+         *   })
+         * @returns {module:ConnectionPool~Stats}
+         */
+        getPoolStats () {
+            // If the pool has not been created yet, the statistics are the
+            // ones of an empty pool.
+            const stats = (state.pool || pool(primary)).getStats();
+
+            if (!state.replicas.length) {
+                return stats;
+            }
+
+            return Object.assign({}, stats, { replicas: state.replicas.map(replica => (replica.pool || pool(replica.options)).getStats()) });
+        },
+
+        /**
+         * Remove a listener of a connection pool event.
+         * @function
+         * @name module:Client#off
+         * @param {string} event - name of the event
+         * @param {function} listener - function that was previously added
+         * @returns {module:Client} The client instance.
+         */
+        off (event, listener) {
+            state.events.removeListener(event, listener);
+            return this;
+        },
+
+        /**
+         * Listen to connection pool events. Available events are "acquire",
+         * "release", "create", "destroy", "expire" and "queueTimeout".
+         * Listeners receive an object containing the "connectionId" and
+         * the details specific to each event. The "replicaUnavailable"
+         * event happens when a read-only session skips a replica and its
+         * listeners receive an object containing the "endpoint" and the
+         * "error" that was reported.
+         * @function
+         * @name module:Client#on
+         * @example
+         * const client = mysqlx.getClient({ user: 'root' }, { pooling: { enabled: true, maxSize: 3 } })
+         *
+         * client.on('acquire', ({ connectionId, waitTime }) => {
+         *   console.log(`connection ${connectionId} acquired after ${waitTime} ms`);
+         * })
+         * @param {string} event - name of the event
+         * @param {function} listener - function called when the event happens
+         * @returns {module:Client} The client instance.
+         */
+        on (event, listener) {
+            state.events.on(event, listener);
+            return this;
+        },
+
+        /**
+         * Listen to a connection pool event only once.
+         * @function
+         * @name module:Client#once
+         * @param {string} event - name of the event
+         * @param {function} listener - function called the next time the event happens
+         * @returns {module:Client} The client instance.
+         */
+        once (event, listener) {
+            state.events.once(event, listener);
+            return this;
+        },
+
         /**
          * Create a new session using a connection from the pool (if one is available).
          * @function
@@ -100,22 +322,106 @@ function Client (options = {}) {
          *   .then(session => {
          *     console.log(session.inspect()); // { pooling: true, ... }
          *   })
+         *
+         * // use one of the endpoints with the "replica" role
+         * client.getSession({ readOnly: true })
+         *
+         * // use a replica that already applied the transactions of a previous session
+         * client.getSession({ readOnly: true, consistency: 'readYourWrites', after: session.getLastGtid() })
+         * @param {module:Client~SessionOptions} [sessionOptions] - session options
          * @returns {Promise<Session>} The active session instance.
          */
-        getSession () {
+        getSession (sessionOptions = {}) {
+            try {
+                validateSessionOptions(sessionOptions);
+            } catch (err) {
+                return Promise.reject(err);
+            }
+
+            if (sessionOptions.readOnly && state.replicas.length) {
+                const candidates = splitting.sort(state.replicas, { strategy: options.loadBalancing, offset: state.offset });
+                // The next session should start with a different replica.
+                state.offset = (state.offset + 1) % state.replicas.length;
+
+                const { after, waitTimeout = 10000 } = sessionOptions;
+
+                // A replica is only skipped when it cannot be reached or
+                // when it is lagging behind. Any other error (for instance,
+                // wrong credentials) is reported to the application.
+                const isUnavailable = err => {
+                    return isConnectionLoss(err) ||
+                        err.message === errors.MESSAGES.ERR_CIRCUIT_BREAKER_OPEN ||
+                        err.message === util.format(errors.MESSAGES.ERR_GTID_SET_WAIT_TIMEOUT, after, waitTimeout);
+                };
+
+                // Replicas are tried one after the other and, if none of
+                // them is available, the session uses a primary instead.
+                const attempt = index => {
+                    if (index === candidates.length) {
+                        return this.getSession(Object.assign({}, sessionOptions, { readOnly: false }));
+                    }
+
+                    return acquire(candidates[index], sessionOptions)
+                        .catch(err => {
+                            if (!isUnavailable(err)) {
+                                throw err;
+                            }
+
+                            state.events.emit('replicaUnavailable', { endpoint: candidates[index].options.endpoints[0], error: err });
+
+                            return attempt(index + 1);
+                        });
+                };
+
+                return attempt(0);
+            }
+
             if (!options.pooling.enabled) {
-                return connection(options).open()
+                return connection(primary, { health: state.health, trackGtids }).open()
                     .then(con => {
                         return session(con);
                     });
             }
 
-            state.pool = state.pool || pool(options).create();
+            state.pool = state.pool || pool(primary, { events: state.events, health: state.health, trackGtids }).create();
 
             return state.pool.getConnection()
                 .then(con => {
                     return session(con);
                 });
+        },
+
+        /**
+         * Run a function using a new session, which is always closed (or
+         * released back into the pool) afterwards, regardless of the
+         * outcome.
+         * @function
+         * @name module:Client#withSession
+         * @example
+         * const client = mysqlx.getClient({ user: 'root' }, { pooling: { enabled: true, maxSize: 3 } })
+         *
+         * client.withSession(session => {
+         *   return session.sql('SELECT 1').execute()
+         * })
+         * @param {function} fn - function that receives the session instance and returns a Promise
+         * @returns {Promise} A Promise that resolves to the value returned by the function.
+         */
+        withSession (fn) {
+            return this.getSession()
+                .then(session => {
+                    return Promise.resolve()
+                        .then(() => fn(session))
+                        .then(result => {
+                            return session.close().then(() => result);
+                        }, err => {
+                            return session.close()
+                                // The original error is the one that matters.
+                                .catch(() => {})
+                                .then(() => {
+                                    throw err;
+                                });
+                        });
+                });
         }
     };
 }
@@ -132,6 +438,12 @@ Client.validate = function (options) {
     // Validate the connection options.
     connection.validate(options);
 
+    // Validate the endpoint roles and the load balancing strategy.
+    splitting.validate(options);
+
+    // Validate the circuit breaker options.
+    endpointHealth.validate(options);
+
     // Validate the client options.
     const validKeys = VALID_OPTIONS.concat(connection.VALID_OPTIONS);
     const invalidKeys = Object.keys(options).filter(k => validKeys.indexOf(k) === -1);
@@ -145,7 +457,7 @@ Client.validate = function (options) {
     }
 
     // Assign proper default values to missing pooling options.
-    options.pooling = Object.assign({ enabled: true, maxIdleTime: 0, maxSize: 25, queueTimeout: 0 }, options.pooling);
+    options.pooling = Object.assign({ enabled: true, idleCheckInterval: 0, leakDetectionThreshold: 0, maxIdleTime: 0, maxLifetime: 0, maxSize: 25, minSize: 0, queueTimeout: 0, reclaimLeakedConnections: false, validateOnBorrow: 'none', validationTimeout: 5000 }, options.pooling);
 
     // Validate the pooling options.
     return pool.validate(options.pooling);
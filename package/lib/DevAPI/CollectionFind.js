@@ -30,15 +30,19 @@
 
 'use strict';
 
+const abortable = require('./Util/abortable');
 const binding = require('./Binding');
 const collectionOrdering = require('./CollectionOrdering');
 const grouping = require('./Grouping');
 const locking = require('./Locking');
+const parseExecutionOptions = require('./Util/parseExecutionOptions');
 const parseFlexibleParamList = require('./Util/parseFlexibleParamList');
 const preparing = require('./Preparing');
 const projecting = require('./Projecting');
 const query = require('./Query');
 const result = require('./DocResult');
+const resultStream = require('./ResultStream');
+const retryable = require('./Util/retryable');
 const skipping = require('./Skipping');
 const type = require('../Protocol/Stubs/mysqlx_prepare_pb').Prepare.OneOfMessage.Type.FIND;
 
@@ -94,22 +98,86 @@ function CollectionFind (connection, schema, tableName, criteria) {
          * @function
          * @name module:CollectionFind#execute
          * @param {module:CollectionFind~documentCursor} [dataCursor] - callback function to handle results
+         * @param {ExecutionOptions} [options] - additional execution options
+         * @example
+         * // retrieve the documents in batches of 100 using a server-side cursor
+         * collection.find().execute({ batchSize: 100 })
+         * collection.find().execute(doc => {}, { batchSize: 100 })
+         *
+         * // abort the query when the signal is triggered
+         * const controller = new AbortController()
+         * collection.find().execute({ signal: controller.signal })
          * @return {Promise.<module:DocResult>}
          */
-        execute (dataCursor) {
-            // Before trying to send any message to the server, we need to
-            // check if the connection is open (has a client instance) or if
-            // it became idle in the meantime.
-            if (!connection.isOpen() || connection.isIdle()) {
-                // There is always a default error (ERR_CONNECTION_CLOSED).
-                return Promise.reject(connection.getError());
+        execute () {
+            let dataCursor, options;
+
+            try {
+                const args = parseExecutionOptions(arguments);
+
+                dataCursor = args.callbacks[0];
+                options = args.options;
+            } catch (err) {
+                return Promise.reject(err);
+            }
+
+            // Keeps track of documents that were already delivered to the
+            // application, in which case, the statement cannot be retried.
+            let isDelivered = false;
+
+            let cursor;
+
+            if (dataCursor) {
+                cursor = row => {
+                    isDelivered = true;
+                    dataCursor(row[0]);
+                };
             }
 
-            const cursor = dataCursor ? row => dataCursor(row[0]) : undefined;
             const fn = () => connection.getClient().crudFind(this, cursor);
 
-            return state.preparable.execute(fn, cursor)
+            const execution = () => {
+                // Before trying to send any message to the server, we need to
+                // check if the connection is open (has a client instance) or
+                // if it became idle in the meantime.
+                if (!connection.isOpen() || connection.isIdle()) {
+                    // There is always a default error (ERR_CONNECTION_CLOSED).
+                    return Promise.reject(connection.getError());
+                }
+
+                return options.batchSize
+                    ? state.preparable.executeWithCursor(fn, options.batchSize, cursor)
+                    : state.preparable.execute(fn, cursor);
+            };
+
+            // Retrieving documents is idempotent, so the statement can be
+            // retried if the connection is lost.
+            return abortable(connection, () => retryable(connection, execution, { isSafe: () => !isDelivered }), options)
                 .then(details => result(details));
+        },
+
+        /**
+         * Retrieve the documents that match the query as a stream. When the
+         * server does not support prepared statements, all the documents
+         * are retrieved at once and a warning is emitted.
+         * @function
+         * @name module:CollectionFind#stream
+         * @param {Object} [options] - stream options
+         * @param {number} [options.batchSize=100] - number of documents to retrieve from the server at a time
+         * @example
+         * // consume the documents using an async iterator
+         * for await (const doc of collection.find().stream()) {
+         *   // do something with the current document
+         * }
+         *
+         * // pipe the documents into another stream
+         * collection.find().stream({ batchSize: 1000 }).pipe(writable)
+         * @returns {stream.Readable} A Readable stream in object mode where each item is a document.
+         */
+        stream (options) {
+            const fallback = push => () => connection.getClient().crudFind(this, push);
+
+            return resultStream({ connection, statement: state.preparable, fallback, options, transform: row => row[0] });
         }
     });
 }
@@ -31,20 +31,29 @@
 'use strict';
 
 const Client = require('../Protocol/Client');
+const Compression = require('../Protocol/Compression');
+const EventEmitter = require('events');
 const Net = require('net');
 const TLS = require('tls');
 const authenticationManager = require('../Authentication/AuthenticationManager');
+const customSocket = require('./Util/socketFactory');
 const deprecated = require('./Util/deprecated');
+const endpointHealth = require('../topology/endpoint-health');
 const errors = require('../constants/errors');
+const eyeballs = require('../topology/happy-eyeballs');
+const group = require('../topology/group-replication');
 const log = require('../tool/log');
 const multiHost = require('../topology/multi-host');
+const notice = require('../Protocol/Wrappers/Messages/Notice/Frame');
 const pkg = require('../package');
 const secureContext = require('../tls/secure-context');
 const srv = require('../topology/dns-srv');
+const statement = require('./Statement');
 const system = require('../system');
 const tlsVersions = require('../tls/versions');
 const util = require('util');
 const warnings = require('../constants/warnings');
+const { Duplex } = require('stream');
 const { isValidBoolean, isValidInteger, isValidPlainObject } = require('../validator');
 
 /**
@@ -58,6 +67,7 @@ const { isValidBoolean, isValidInteger, isValidPlainObject } = require('../valid
  * @prop {string} [host=localhost] - hostname or IP (v4 or v6) of a MySQL server instance
  * @prop {number} [port=33060] - X Plugin port on the MySQL server instance
  * @prop {number} [priority] - priority of an endpoint relative to the others (endpoints with higher priority are picked first)
+ * @prop {string} [role=primary] - role of an endpoint in a client with read/write splitting ("primary" for read-write sessions or "replica" for read-only sessions)
  * @prop {string} [socket] - relative or absolute path of a local Unix socket file
  */
 
@@ -65,42 +75,93 @@ const { isValidBoolean, isValidInteger, isValidPlainObject } = require('../valid
  * Connection TLS-specific properties.
  * @typedef {Object} TLS
  * @prop {boolean} [enabled=true] - enables or disables TLS
- * @prop {string} [ca] - path of a file containing a certificate authority chain used to verify the server certificate
- * @prop {string} [crl] - path of a file containing a certificate revocation list used, alongside a certificate authority, to verify the server certificate
+ * @prop {string|Buffer} [ca] - certificate authority chain used to verify the server certificate (path of a PEM file, PEM string or Buffer)
+ * @prop {string|Buffer} [crl] - certificate revocation list used, alongside a certificate authority, to verify the server certificate (path of a PEM file, PEM string or Buffer)
+ * @prop {string|Buffer} [cert] - client certificate used for X.509 authentication (path of a PEM file, PEM string or Buffer)
+ * @prop {string|Buffer} [key] - private key of the client certificate (path of a PEM file, PEM string or Buffer)
+ * @prop {string} [passphrase] - passphrase used to decrypt the private key
  * @prop {string[]} [versions=TLSv1, TLSv1.1, TLSv1.2, TLSv1.3] - restrict the list of allowed TLS versions (TLSv1, TLSv1.1, TLSv1.2, TLSv1.3)
  * @prop {string[]} [ciphershuites] - list of ciphersuites to allow (IANA syntax)
+ * @prop {string} [mode] - "REQUIRED" (encrypt without verifying the server certificate), "VERIFY_CA" (verify the server certificate against the certificate authority) or "VERIFY_IDENTITY" (also verify that the certificate matches the host), which defaults to "VERIFY_CA" if a certificate authority is provided and "REQUIRED" otherwise
+ * @prop {string[]} [pinnedFingerprints] - list of SHA-256 fingerprints (hexadecimal) of the only server certificates that are allowed
+ */
+
+/**
+ * Connection compression-specific properties. Messages are compressed and
+ * decompressed synchronously, which means the event loop is blocked while
+ * large messages (such as big documents) are being processed.
+ * @typedef {Object} Compression
+ * @prop {string} [enabled=preferred] - "preferred" (use compression if the server supports it), "required" (fail if the server does not support it) or "disabled"
+ * @prop {string[]} [algorithms=deflate_stream] - restrict, and sort by preference, the list of algorithms that can be negotiated (only "deflate_stream" is currently supported, "lz4_message" and "zstd_stream" are not accepted)
+ */
+
+/**
+ * Connection Group Replication properties.
+ * @typedef {Object} GroupReplication
+ * @prop {boolean} [enabled=false] - route the connection to a member of the replication group with a given role
+ * @prop {string} [role=PRIMARY] - role of the member ("PRIMARY" for writes or "SECONDARY" for reads, falling back to the primary when there are no secondaries available)
+ */
+
+/**
+ * Connection TCP keep-alive properties.
+ * @typedef {Object} KeepAlive
+ * @prop {boolean} [enabled=false] - enables or disables TCP keep-alive on the network socket
+ * @prop {number} [initialDelay=0] - amount of time (ms) between the last packet received and the first keep-alive probe (0 keeps the operating system default)
+ */
+
+/**
+ * Connection re-connect properties.
+ * @typedef {Object} Reconnect
+ * @prop {number} [retries=0] - maximum number of times an idempotent statement is retried, on a new connection, after the current one is lost (0 disables it)
+ * @prop {number} [backoff=1000] - amount of time (ms) to wait before the first retry, which doubles for each subsequent one
  */
 
 /**
  * Connection configuration properties.
  * @typedef {Object} Properties
  * @prop {string} [auth] - name of the client-side authentication mechanism to use
+ * @prop {module:Connection~Compression} [compression] - compression options
  * @prop {number} [connectTimeout=10000] - maximum ammount of time (ms) to wait for a server connection to be opened
  * @prop {Object} [connectionAttributes={}] - key-value object containing names and values of session attributes
  * @prop {module:Connection~Endpoint[]} [endpoints=[]] - list of endpoints to connect to
+ * @prop {module:Connection~GroupReplication} [groupReplication] - Group Replication options
+ * @prop {module:HappyEyeballs~HappyEyeballs} [happyEyeballs] - options to race connection attempts to every address of a host
+ * @prop {number} [heartbeatInterval=0] - amount of time (ms) a connection can be idle before the client checks if the server is still able to reply (0 disables it)
  * @prop {string} [host=localhost] - hostname or IP (v4 or v6) of a MySQL server instance
+ * @prop {module:Connection~KeepAlive} [keepAlive] - TCP keep-alive options
  * @prop {string} [password] - password for the MySQL account (defaults to '')
  * @prop {number} [port=33060] - X Plugin port on the MySQL server instance
+ * @prop {module:Connection~Reconnect} [reconnect] - re-connect options
  * @prop {boolean} [resolveSrv=false] - enable or disable DNS SRV resolution
  * @prop {string} [schema] - default database to connect to (defaults to '')
  * @prop {string} [socket] - relative or absolute path of a local Unix socket file
+ * @prop {function} [socketFactory] - function that receives an endpoint and returns a duplex stream (or a Promise that resolves to one) to use instead of a network socket
+ * @prop {number} [socketTimeout=0] - maximum amount of time (ms) to wait for the server to reply after the connection is established (0 means no limit)
  * @prop {boolean} [resolveSrv=false] - use the host to perform a DNS SRV lookup and obtain the list of endpoints
  * @prop {module:Connection~TLS} [tls] - TLS options
  * @prop {string} [user] - user of the MySQL account (defaults to '')
  */
 const VALID_OPTIONS = [
     'auth',
+    'compression',
     'connectTimeout',
     'connectionAttributes',
     'dbPassword', // deprecated
     'dbUser', // deprecated
     'endpoints',
+    'groupReplication',
+    'happyEyeballs',
+    'heartbeatInterval',
     'host',
+    'keepAlive',
     'password',
     'port',
+    'reconnect',
     'resolveSrv',
     'schema',
     'socket',
+    'socketFactory',
+    'socketTimeout',
     'ssl', // deprecated
     'sslOptions', // deprecated
     'tls',
@@ -129,6 +190,14 @@ const CLIENT_SESSION_ATTRIBUTES = {
     _client_license: pkg.license()
 };
 
+/**
+ * Amount of time (ms) to wait before checking again if the connection is
+ * idle, in order to refresh the topology of the replication group.
+ * @private
+ * @type {number}
+ */
+const TOPOLOGY_REFRESH_INTERVAL = 100;
+
 /**
  * Stringifies all the values in a given object.
  * @private
@@ -210,12 +279,28 @@ function deprecate ({ dbPassword, dbUser, ssl, sslOptions }) {
     return true;
 }
 
+/**
+ * Creates the error reported when the server does not reply in time.
+ * @private
+ * @param {number} value - the timeout value (ms)
+ * @returns {Error}
+ */
+function timeoutError (value) {
+    const error = new Error(util.format(errors.MESSAGES.ERR_SOCKET_TIMEOUT, value));
+    error.name = 'ETIMEDOUT';
+
+    return error;
+}
+
 /**
  * @alias module:Connection
  * @param {Properties} - connection properties
+ * @param {Object} [hooks] - client integration hooks
+ * @param {module:EndpointHealth} [hooks.health] - client-wide registry of endpoints that are known to be unreachable
+ * @param {boolean} [hooks.trackGtids=false] - ask the server to report the GTID of each transaction committed using the connection
  * @returns {module:Connection}
  */
-function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000, dbPassword, dbUser, endpoints = [], host = 'localhost', password = '', port = 33060, schema, socket, resolveSrv = false, ssl, sslOptions, tls = {}, user = '' } = {}) {
+function Connection ({ auth, compression = {}, connectionAttributes = {}, connectTimeout = 10000, dbPassword, dbUser, endpoints = [], groupReplication = {}, happyEyeballs = {}, heartbeatInterval = 0, host = 'localhost', keepAlive = {}, password = '', port = 33060, reconnect = {}, schema, socket, socketFactory, socketTimeout = 0, resolveSrv = false, ssl, sslOptions, tls = {}, user = '' } = {}, { health = null, trackGtids = false } = {}) {
     // Internal connection state.
     const state = {
         // Contains the name of the authentication mechanism that is
@@ -227,6 +312,12 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
         // Contains the list of connection capabilities that were effectively
         // negotiated with the server.
         capabilities: {},
+        // Contains the name of the compression algorithm that is
+        // effectively negotiated with the server (if any).
+        compressionAlgorithm: null,
+        // Compression is used if the server supports it, unless it is
+        // explicitly disabled.
+        compression: Object.assign({ enabled: 'preferred', algorithms: Compression.SUPPORTED_ALGORITHMS }, compression),
         // Tracks an internal X Protocol client instance.
         client: null,
         // We keep a list of available and unavailable endpoints for
@@ -240,13 +331,48 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             // available. This can change if a socket cannot be created for
             // a given endpoint.
             available: endpoints.length ? endpoints : [{ host, port, socket }],
+            // Endpoints whose circuit breaker was open, in the client-wide
+            // registry, the last time the connection was opened.
+            skipped: [],
             unavailable: []
         },
+        // Reports notices sent by the server and changes in the state of
+        // the connection to the application.
+        events: new EventEmitter(),
+        // Connections are not routed to a specific member of a replication
+        // group by default.
+        groupReplication: Object.assign({ enabled: false, role: 'PRIMARY' }, groupReplication),
+        // Hosts are not resolved into all their addresses by default, which
+        // means only the first one is used.
+        happyEyeballs: Object.assign({ enabled: false, delay: 250 }, happyEyeballs),
+        // Tracks the timer used to check if the server is still able to
+        // reply when the connection is idle.
+        heartbeat: null,
+        // Indicates if statements are automatically committed by the
+        // server, which is the default behavior of a new session.
+        isAutocommit: true,
         // Indicates the connection is being closed.
         isClosing: false,
+        // Indicates if there is an ongoing transaction in the scope of the
+        // connection, which means it cannot be transparently re-opened.
+        isInTransaction: false,
         // Indicates if the connection established with the server
         // is using TLS.
         isSecure: false,
+        // Indicates if the replication group has changed since the last
+        // time the topology was refreshed.
+        isTopologyStale: false,
+        // Contains the GTID of the last transaction committed in the scope
+        // of the connection, when the server is tracking them.
+        lastGtid: null,
+        // TCP keep-alive is disabled by default, like in the Node.js core
+        // network socket.
+        keepAlive: Object.assign({ enabled: false, initialDelay: 0 }, keepAlive),
+        // Contains the timestamp of the last time some data was received
+        // from the server.
+        lastActivity: 0,
+        // Re-connecting is disabled by default.
+        reconnect: Object.assign({ retries: 0, backoff: 1000 }, reconnect),
         // Indicates if the connection should be retried to the same endpoint.
         retry: false,
         // Indicates the number of milliseconds to wait before retrying a
@@ -257,6 +383,12 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
         // Contains the list of statements that were prepared and exist in the
         // scope of the associated server session.
         statements: [],
+        // Contains the members of the replication group, as seen the last
+        // time the topology was refreshed.
+        topology: [],
+        // Tracks the timer used to refresh the topology in the background,
+        // which is kept until the refresh finishes.
+        topologyRefresh: null,
         // Merges any contents of the deprecated "ssl" and "sslOptions"
         // properties with the content of the "tls" property.
         // For tls.enable = true, we need to ensure that ssl !== false.
@@ -268,6 +400,11 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
         unknownCapabilities: []
     };
 
+    // The list of endpoints is replaced by the outcome of a DNS SRV lookup,
+    // so the original host is needed to look it up again when the
+    // connection is re-opened.
+    const serviceDefinition = state.endpoints.available[0].host;
+
     return {
         /**
          * Adds a set of connection capabilities to the existing ones.
@@ -283,6 +420,42 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             return this;
         },
 
+        /**
+         * Closes the underlying network socket straight away, without
+         * asking the server to close the X Protocol connection. This is
+         * useful when the server is not able to reply anymore.
+         * @private
+         * @function
+         * @name module:Connection#abort
+         * @returns {module:Connection} The connection instance
+         */
+        abort () {
+            if (!state.client) {
+                return this;
+            }
+
+            // Any pending work is cancelled by the "close" event handler.
+            state.client.getConnection().destroy();
+
+            return this;
+        },
+
+        /**
+         * Creates a new connection instance which uses the same credentials
+         * and targets the same server, regardless of any failover
+         * configuration. The new connection does not use compression, since
+         * it is only supposed to be used for administrative purposes.
+         * @private
+         * @function
+         * @name module:Connection#clone
+         * @returns {module:Connection} The new connection instance
+         */
+        clone () {
+            const endpoint = Object.assign({}, state.endpoints.available[0]);
+
+            return Connection({ auth, compression: { enabled: 'disabled' }, connectionAttributes, connectTimeout, dbPassword, dbUser, endpoints: [endpoint], keepAlive, password, socketFactory, socketTimeout, ssl, sslOptions, tls, user });
+        },
+
         /**
          * Checks if the connection setup allows to retry authentication.
          * @private
@@ -420,8 +593,8 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
          * @returns {Promise}
          */
         capabilitiesSet () {
-            // TODO(Rui): any additional capability, such as compression, can
-            // be negotiated in this pipeline.
+            // Compression can only be negotiated after TLS is enabled, so it
+            // is not part of this stage (see "negotiateCompression()").
             const capabilities = {};
 
             // If TLS is enabled and the connection is not using a local Unix socket,
@@ -533,19 +706,55 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
          * @private
          * @function
          * @name module:Connection#connect
+         * @param {Net.Socket|stream.Duplex} [socket] - network socket (or custom stream) created for the first endpoint that is available
          * @returns {Promise<module:Connection>}
          */
-        connect () {
+        connect (socket) {
+            // We want to connect to the first endpoint that is available.
+            const endpoint = state.endpoints.available[0];
+
+            // The application can provide its own transport, in which case,
+            // it is also responsible for resolving the host.
+            if (!socket && socketFactory) {
+                return customSocket.create(socketFactory, endpoint, { timeout: connectTimeout })
+                    .then(socket => this.connect(socket), error => this.failover(error));
+            }
+
+            // If the host needs to be resolved, connection attempts to each
+            // one of its addresses are raced.
+            if (!socket && state.happyEyeballs.enabled && !endpoint.socket) {
+                return this.race();
+            }
+
             return new Promise((resolve, reject) => {
-                // We want to connect to the first endpoint that is available.
-                const endpoint = state.endpoints.available[0];
                 // In the case of multi-host connections, we want sane
                 // defaults for each endpoint in the list, in order to
                 // require less verbosity from the user.
-                const nodeSocket = Net.connect({ host: endpoint.host || 'localhost', port: endpoint.port || 33060, path: endpoint.socket });
+                const nodeSocket = socket || Net.connect({ host: endpoint.address || endpoint.host || 'localhost', port: endpoint.port || 33060, path: endpoint.socket });
 
                 nodeSocket.setTimeout(connectTimeout);
 
+                // Indicates if the connection stage is finished for this
+                // specific socket.
+                let isEstablished = false;
+
+                const onConnectTimeout = () => {
+                    const error = new Error();
+                    error.name = 'ETIMEDOUT';
+
+                    // The error message depends on whether the connection is
+                    // multi-host or not.
+                    if (!this.hasMultipleEndpoints()) {
+                        error.message = util.format(errors.MESSAGES.ERR_SINGLE_HOST_CONNECTION_TIMEOUT, connectTimeout);
+                    } else {
+                        error.message = util.format(errors.MESSAGES.ERR_MULTI_HOST_CONNECTION_TIMEOUT, connectTimeout);
+                    }
+
+                    // The connection must be manually closed.
+                    // https://nodejs.org/docs/latest/api/net.html#net_event_timeout
+                    nodeSocket.destroy(error);
+                };
+
                 // Actions to perform after a connection is successfully
                 // established (including server session).
                 const postConnect = connection => {
@@ -556,6 +765,8 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
                     // time it can take for a client socket (TLS or not) to
                     // successfully connect to the server.
                     nodeSocket.setTimeout(0);
+                    nodeSocket.removeListener('timeout', onConnectTimeout);
+
                     return resolve(connection);
                 };
 
@@ -582,45 +793,65 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
                 // For now, we consider every error to happen at the
                 // connection stage, to be fatal, and thus, we should stop and
                 // close/destroy the connection.
-                nodeSocket.once('ready', () => {
+                const onReady = () => {
+                    // TCP keep-alive can only be enabled once the socket
+                    // handle is available.
+                    if (state.keepAlive.enabled) {
+                        nodeSocket.setKeepAlive(true, state.keepAlive.initialDelay);
+                    }
+
                     // We can start creating the client instance, which will
                     // hold the given connection. This is important because
                     // we do not need to keep the raw socket available
                     // everywhere but we still want to decouple the TLS logic.
                     state.client = new Client(nodeSocket);
+                    // Notices are reported to the application, regardless
+                    // of being handled by the client or not.
+                    state.client.onNotice(frame => this.handleNotice(frame));
 
                     // We can now start the process of creating a server-side
                     // X Protocol session.
-                    return this.start().then(postConnect).catch(err => nodeSocket.destroy(err));
-                });
+                    return this.start()
+                        .then(connection => {
+                            // Other connections can use the endpoint again.
+                            if (health) {
+                                health.reportSuccess(endpoint);
+                            }
+
+                            return postConnect(connection);
+                        })
+                        .then(() => {
+                            isEstablished = true;
+                            // From this point on, the liveness of the
+                            // connection is checked according to the
+                            // "socketTimeout" and "heartbeatInterval" options.
+                            return this.monitor();
+                        })
+                        .catch(err => nodeSocket.destroy(err));
+                };
 
                 nodeSocket.once('error', err => {
                     // The "close" event will automatically be triggered.
                     state.error = err;
                 });
 
-                nodeSocket.once('timeout', () => {
-                    const error = new Error();
-                    error.name = 'ETIMEDOUT';
-
-                    // The error message depends on whether the connection is
-                    // multi-host or not.
-                    if (!this.hasMultipleEndpoints()) {
-                        error.message = util.format(errors.MESSAGES.ERR_SINGLE_HOST_CONNECTION_TIMEOUT, connectTimeout);
-                    } else {
-                        error.message = util.format(errors.MESSAGES.ERR_MULTI_HOST_CONNECTION_TIMEOUT, connectTimeout);
-                    }
-
-                    // The connection must be manually closed.
-                    // https://nodejs.org/docs/latest/api/net.html#net_event_timeout
-                    nodeSocket.destroy(error);
-                });
+                nodeSocket.once('timeout', onConnectTimeout);
 
                 nodeSocket.on('data', data => {
+                    state.lastActivity = Date.now();
                     state.client.handleNetworkFragment(data);
                 });
 
                 nodeSocket.once('close', hasError => {
+                    // The connection is not alive anymore.
+                    clearTimeout(state.heartbeat);
+
+                    // The application only needs to know about connections
+                    // that were effectively established.
+                    if (isEstablished) {
+                        state.events.emit('close', { hadError: hasError, error: this.getError() });
+                    }
+
                     // When the endpoint becomes unvailable in the middle of
                     // some work load, we should delegate error handling to
                     // the specific worker.
@@ -629,6 +860,16 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
                         return state.client.handleServerClose();
                     }
 
+                    // If there is a network error after the connection stage
+                    // (for instance, when the server stops replying), there
+                    // is no failover, the pending work should fail with that
+                    // error and the connection should be marked as closed.
+                    if (hasError && isEstablished) {
+                        state.client.handleServerClose(this.getError());
+
+                        return postDisconnect();
+                    }
+
                     // When a fatal error happens in the server, it will close
                     // the connection, but since it is not a network error,
                     // "hasError" will be "false", so we need to account for
@@ -652,6 +893,13 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
                         });
 
                         state.endpoints.unavailable.push(unavailable);
+
+                        // Any failure in the connection stage counts,
+                        // including servers that accept the socket and
+                        // close it right away.
+                        if (health) {
+                            health.reportFailure(endpoint);
+                        }
                     }
 
                     // If we are retrying now, we should prevent duplicate
@@ -686,6 +934,15 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
                     // next one in the list.
                     this.connect().then(postConnect).catch(postDisconnect);
                 });
+
+                // A socket that won a race, or a stream created by a
+                // socket factory, is usually already connected, which means
+                // the "ready" event has already been emitted.
+                if (socket && !socket.connecting) {
+                    return onReady();
+                }
+
+                nodeSocket.once('ready', onReady);
             });
         },
 
@@ -698,6 +955,10 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
          * @returns {Promise}
          */
         destroy () {
+            // When the connection is closed by the application, the reason
+            // why it was previously lost (if it was) is no longer relevant.
+            state.error = null;
+
             // This operation should be idempotent because there is a chance
             // that the connection might already been closed by the server
             // we should check first.
@@ -737,11 +998,34 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
                 const secureContextOptions = Object.assign({}, state.tls);
                 // We already know TLS should be enabled.
                 delete secureContextOptions.enabled;
+
+                const socket = state.client.getConnection();
+                // Network sockets stop emitting "data" events once they are
+                // upgraded, but streams created by a socket factory do not,
+                // which means the existing handler would receive encrypted
+                // data.
+                if (socket instanceof Duplex && !(socket instanceof Net.Socket)) {
+                    socket.removeAllListeners('data');
+                }
+
                 // We need to create a secure socket by providing the existing
                 // socket and the proper security context.
-                const nodeSocket = TLS.connect(Object.assign({}, { socket: state.client.getConnection() }, secureContext.create(secureContextOptions)));
+                // The server identity should be verified against the host
+                // provided by the application (the socket can be connected
+                // to one of the addresses it resolves to).
+                const nodeSocket = TLS.connect(Object.assign({}, { socket }, secureContext.create(secureContextOptions, { host: state.endpoints.available[0].host })));
 
                 nodeSocket.once('secureConnect', () => {
+                    // If the application pinned specific server
+                    // certificates, the connection should be closed when
+                    // the server uses a different one.
+                    const error = secureContext.verifyFingerprint(nodeSocket.getPeerCertificate(), state.tls.pinnedFingerprints);
+
+                    if (error) {
+                        // The "close" event will report the error.
+                        return nodeSocket.destroy(error);
+                    }
+
                     const tlsVersion = nodeSocket.getProtocol();
                     // Check if the connection is using a deprecated TLS version.
                     if (tlsVersions.deprecated().indexOf(tlsVersion) > -1) {
@@ -768,6 +1052,7 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
                 // established in the socket, so we need to resume the
                 // flow. The handler should be the same.
                 nodeSocket.on('data', data => {
+                    state.lastActivity = Date.now();
                     state.client.handleNetworkFragment(data);
                 });
             });
@@ -811,6 +1096,18 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             return false;
         },
 
+        /**
+         * Checks if there is an ongoing transaction in the scope of the
+         * connection. When autocommit is disabled, there is always one.
+         * @private
+         * @function
+         * @name module:Connection#isInTransaction
+         * @returns {boolean}
+         */
+        isInTransaction () {
+            return state.isInTransaction || !state.isAutocommit;
+        },
+
         /**
          * Checks if a server-side X Protocol connecion has been sucessfuly
          * established.
@@ -872,6 +1169,53 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             return 'PLAIN';
         },
 
+        /**
+         * Makes the first endpoint that is available (or the list of
+         * endpoints created for each address of its host) unavailable,
+         * when a connection to it cannot be created, and tries the next one.
+         * @private
+         * @function
+         * @name module:Connection#failover
+         * @param {Error} error - the reason why the connection cannot be created
+         * @param {Endpoint[]} [endpoints] - the endpoints that are not available anymore
+         * @returns {Promise<module:Connection>}
+         */
+        failover (error, endpoints = state.endpoints.available.slice(0, 1)) {
+            const unavailableAt = Date.now();
+
+            state.endpoints.unavailable = state.endpoints.unavailable.concat(endpoints.map(e => Object.assign({}, e, { unavailableAt })));
+            state.endpoints.available = state.endpoints.available.filter(e => endpoints.indexOf(e) === -1);
+
+            // Each address of a host (if there is more than one) identifies
+            // the same endpoint in the client-wide registry.
+            if (health) {
+                endpoints.filter((e, i) => endpoints.findIndex(other => endpointHealth.key(other) === endpointHealth.key(e)) === i)
+                    .forEach(e => health.reportFailure(e));
+            }
+
+            if (error.name === 'ETIMEDOUT') {
+                error.message = util.format(this.hasMultipleEndpoints() ? errors.MESSAGES.ERR_MULTI_HOST_CONNECTION_TIMEOUT : errors.MESSAGES.ERR_SINGLE_HOST_CONNECTION_TIMEOUT, connectTimeout);
+            }
+
+            state.error = error;
+
+            // Like with any other endpoint, we should try to connect to the
+            // next one in the list.
+            if (this.hasMoreEndpointsAvailable()) {
+                return this.connect();
+            }
+
+            if (!this.hasMultipleEndpoints() || error.name === 'ETIMEDOUT') {
+                return Promise.reject(error);
+            }
+
+            error.name = 'ENOMOREHOSTS';
+            error.errno = errors.ERR_MULTI_HOST_CONNECTION_FAILURE;
+            error.message = errors.MESSAGES.ERR_MULTI_HOST_CONNECTION_FAILURE;
+
+            return Promise.reject(error);
+        },
+
         /**
          * Retrieves the underlying X Protocol client instance.
          * @private
@@ -896,6 +1240,42 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             return state.error || new Error(errors.MESSAGES.ERR_CONNECTION_CLOSED);
         },
 
+        /**
+         * Retrieves the emitter used to report notices and state changes
+         * to the application.
+         * @private
+         * @function
+         * @name module:Connection#getEvents
+         * @returns {EventEmitter}
+         */
+        getEvents () {
+            return state.events;
+        },
+
+        /**
+         * Retrieves the GTID of the last transaction committed in the scope
+         * of the connection.
+         * @private
+         * @function
+         * @name module:Connection#getLastGtid
+         * @returns {string} The GTID or null if no transaction was tracked.
+         */
+        getLastGtid () {
+            return state.lastGtid;
+        },
+
+        /**
+         * Retrieves the options that determine if, and how, statements are
+         * retried on a new connection after the current one is lost.
+         * @private
+         * @function
+         * @name module:Connection#getReconnectOptions
+         * @returns {module:Connection~Reconnect}
+         */
+        getReconnectOptions () {
+            return Object.assign({}, state.reconnect);
+        },
+
         /**
          * Retrieves the list of client-side ids associated to server-side
          * prepared statements created in the scope of the underlying X
@@ -1017,6 +1397,30 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             return schema;
         },
 
+        /**
+         * Retrieves the name of the compression algorithm that was
+         * negotiated with the server.
+         * @private
+         * @function
+         * @name module:Connection#getCompressionAlgorithm
+         * @returns {string} The algorithm name or null if compression is not being used.
+         */
+        getCompressionAlgorithm () {
+            return state.compressionAlgorithm;
+        },
+
+        /**
+         * Retrieves the members of the replication group, as seen the last
+         * time the topology was refreshed.
+         * @private
+         * @function
+         * @name module:Connection#getTopology
+         * @returns {module:topology/group-replication~GroupMember[]}
+         */
+        getTopology () {
+            return state.topology.map(member => Object.assign({}, member));
+        },
+
         /**
          * Retrieves the list of capabilities that are not known by the server.
          * @private
@@ -1040,6 +1444,64 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             return user || dbUser || '';
         },
 
+        /**
+         * Reports a notice sent by the server to the application, using an
+         * event specific to the notice type.
+         * @private
+         * @function
+         * @name module:Connection#handleNotice
+         * @param {module:adapters.Mysqlx.Notice.Frame} frame - notice frame wrapper
+         * @returns {module:Connection}
+         */
+        handleNotice (frame) {
+            const payload = frame.getPayload();
+
+            switch (frame.getTypeId()) {
+            case notice.Type.WARNING: {
+                const warning = { level: payload.getLevel(), code: payload.getCode(), message: payload.getMessage() };
+
+                state.events.emit('warning', warning);
+
+                // The server sends a global error notice right before it
+                // closes all the connections when it is shutting down.
+                if (frame.getScopeId() === notice.Scope.GLOBAL && payload.getCode() === errors.ERR_SERVER_SHUTDOWN) {
+                    state.events.emit('serverShutdown', warning);
+                }
+
+                break;
+            }
+            case notice.Type.SESSION_VARIABLE_CHANGED:
+                state.events.emit('variableChanged', { name: payload.getParameter(), value: payload.getValue() });
+                break;
+            case notice.Type.SESSION_STATE_CHANGED: {
+                const values = payload.getValues();
+
+                state.events.emit('stateChanged', { parameter: payload.getParameter(), values });
+
+                // When "session_track_gtids" is enabled, the server reports
+                // the GTID of each transaction that is committed.
+                if (payload.getParameter() === 'TRX_COMMITTED' && typeof values[0] === 'string' && values[0].length) {
+                    state.lastGtid = values[0];
+                }
+
+                break;
+            }
+            case notice.Type.GROUP_REPLICATION_STATE_CHANGED:
+                state.events.emit('groupReplicationStateChanged', { type: payload.getType(), viewId: payload.getViewId() });
+
+                // The topology is refreshed in the background and the
+                // outcome is reported with a "topologyChanged" or a
+                // "topologyError" event.
+                if (state.groupReplication.enabled && this.isOpen()) {
+                    this.scheduleTopologyRefresh();
+                }
+
+                break;
+            }
+
+            return this;
+        },
+
         /**
          * Checks if the connection is using a custom authentication mechanism
          * provided by the application.
@@ -1074,7 +1536,128 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
          * @returns {boolean}
          */
         hasMultipleEndpoints () {
-            return state.endpoints.available.length + state.endpoints.unavailable.length > 1;
+            return state.endpoints.available.length + state.endpoints.skipped.length + state.endpoints.unavailable.length > 1;
+        },
+
+        /**
+         * Schedules a check to verify if the server is still able to reply
+         * when the connection becomes idle.
+         * @private
+         * @function
+         * @name module:Connection#heartbeat
+         * @returns {module:Connection}
+         */
+        heartbeat () {
+            const idleTime = Date.now() - state.lastActivity;
+
+            state.heartbeat = setTimeout(() => {
+                if (!this.isOpen() || state.isClosing) {
+                    return;
+                }
+
+                // If there is ongoing work or data was received in the
+                // meantime, the connection is not idle.
+                if (this.isActive() || Date.now() - state.lastActivity < heartbeatInterval) {
+                    return this.heartbeat();
+                }
+
+                // If the peer vanished (for instance, behind a NAT), the
+                // server will not reply and the connection should be closed.
+                // The deadline replaces the heartbeat timer, which means it is
+                // also cleared when the connection is closed.
+                const deadline = socketTimeout || heartbeatInterval;
+                state.heartbeat = setTimeout(() => this.terminate(timeoutError(deadline)), deadline);
+                state.heartbeat.unref();
+
+                return this.ping()
+                    .then(() => {
+                        clearTimeout(state.heartbeat);
+                        return this.heartbeat();
+                    })
+                    .catch(err => {
+                        clearTimeout(state.heartbeat);
+                        return this.terminate(err);
+                    });
+            }, Math.max(heartbeatInterval - idleTime, 0));
+
+            // The heartbeat should not prevent the process from exiting.
+            state.heartbeat.unref();
+
+            return this;
+        },
+
+        /**
+         * Interrupts the statement that is currently being executed by the
+         * server in the scope of this connection, using a different
+         * connection to the same server. The connection remains usable
+         * afterwards.
+         * @private
+         * @function
+         * @name module:Connection#killQuery
+         * @returns {Promise<module:Connection>}
+         */
+        killQuery () {
+            const serverId = this.getServerId();
+
+            if (serverId === null) {
+                return Promise.resolve(this);
+            }
+
+            const side = this.clone();
+
+            return side.open()
+                .then(() => {
+                    return side.getClient().sqlStmtExecute(statement({ raw: `KILL QUERY ${serverId}` }));
+                })
+                .then(() => {
+                    return side.close();
+                })
+                .catch(err => {
+                    // The side connection should not be left open.
+                    return side.close()
+                        .catch(() => {})
+                        .then(() => {
+                            throw err;
+                        });
+                })
+                .then(() => {
+                    return this;
+                });
+        },
+
+        /**
+         * Enables liveness detection for a connection that has been
+         * successfully established.
+         * @private
+         * @function
+         * @name module:Connection#monitor
+         * @returns {module:Connection}
+         */
+        monitor () {
+            state.lastActivity = Date.now();
+
+            if (socketTimeout > 0) {
+                // The socket can be either a plain one or a TLS one.
+                const socket = state.client.getConnection();
+
+                socket.setTimeout(socketTimeout);
+
+                socket.on('timeout', () => {
+                    // An idle connection is not expecting any reply from
+                    // the server.
+                    if (!this.isActive()) {
+                        return;
+                    }
+
+                    this.terminate(timeoutError(socketTimeout));
+                });
+            }
+
+            if (heartbeatInterval > 0) {
+                this.heartbeat();
+            }
+
+            return this;
         },
 
         /**
@@ -1088,27 +1671,111 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             // Make sure the list of available endpoints is up-to-date.
             this.update();
 
+            // Endpoints that were skipped before are checked again, since
+            // their circuit breaker might be closed by now.
+            state.endpoints.available = state.endpoints.available.concat(state.endpoints.skipped);
+            state.endpoints.skipped = [];
+
+            // In a replication group, endpoints where members with the
+            // expected role are running, the last time the topology was
+            // refreshed, should be picked first.
+            const sort = endpoints => {
+                if (!state.groupReplication.enabled) {
+                    return endpoints;
+                }
+
+                return group.sort(endpoints, state.topology, state.groupReplication.role);
+            };
+
+            // Endpoints that are known to be unreachable, by any connection
+            // created by the same client, are skipped right away.
+            const skip = endpoints => {
+                if (!health) {
+                    return endpoints;
+                }
+
+                state.endpoints.skipped = endpoints.filter(e => !health.isAvailable(e));
+
+                return endpoints.filter(e => health.isAvailable(e));
+            };
+
+            // If all the endpoints are being skipped, the connection fails
+            // without having to wait for "connectTimeout".
+            const connect = () => {
+                if (health && !state.endpoints.available.length) {
+                    return Promise.reject(new Error(errors.MESSAGES.ERR_CIRCUIT_BREAKER_OPEN));
+                }
+
+                return this.connect();
+            };
+
+            // Once the connection is open, it might need to be routed to a
+            // different member of the group.
+            const route = connection => {
+                if (!state.groupReplication.enabled) {
+                    return connection;
+                }
+
+                return this.route();
+            };
+
+            // GTID tracking is enabled only once, when the connection is
+            // established with the server that is going to be used.
+            const track = connection => {
+                if (!trackGtids) {
+                    return connection;
+                }
+
+                return this.trackGtids()
+                    .catch(err => {
+                        // The connection should not be left open.
+                        return this.destroy()
+                            .catch(() => {})
+                            .then(() => {
+                                throw err;
+                            });
+                    });
+            };
+
             // If "resolveSrv" is disabled, it means we already have an
             // ordered list of endpoints and we can try to connect to the
             // first one.
             if (!resolveSrv) {
                 // We sort the list of endpoints (one or more) according to
-                // the set of multi-host rules.
-                state.endpoints.available = multiHost.sort(state.endpoints.available);
+                // the set of multi-host rules. Hosts that were resolved by
+                // a previous attempt should be resolved again.
+                state.endpoints.available = skip(sort(multiHost.sort(eyeballs.collapse(state.endpoints.available))));
 
-                return this.connect();
+                return connect().then(route).then(track);
             }
 
             // If "resolveSrv" is enabled, it means we need to retrieve the
             // ordered list of endpoints from a discovery service potentially
             // available at that host.
-            return srv.lookup(state.endpoints.available[0].host)
+            return srv.lookup(serviceDefinition)
                 .then(endpoints => {
                     // We now have the effective ordered list of endpoints
                     // which we use to update the previous one.
-                    state.endpoints.available = srv.sort(endpoints);
+                    state.endpoints.available = skip(sort(srv.sort(endpoints)));
 
-                    return this.connect();
+                    return connect();
+                })
+                .then(route)
+                .then(track);
+        },
+
+        /**
+         * Checks if the server is still able to reply, using the
+         * lightweight "ping" command provided by the X Plugin.
+         * @private
+         * @function
+         * @name module:Connection#ping
+         * @returns {Promise<module:Connection>}
+         */
+        ping () {
+            return state.client.sqlStmtExecute(statement({ namespace: statement.Type.X_PLUGIN, raw: 'ping' }))
+                .then(() => {
+                    return this;
                 });
         },
 
@@ -1124,7 +1791,106 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             // existing connection.
             return state.client.sessionReset()
                 .then(() => {
-                    return this;
+                    // Any ongoing transaction is rolled back by the server
+                    // and session variables are restored to their defaults.
+                    state.isInTransaction = false;
+                    state.isAutocommit = true;
+                    // Transactions committed by a previous session are not
+                    // relevant anymore.
+                    state.lastGtid = null;
+
+                    // Since session variables are restored, GTID tracking
+                    // needs to be enabled again.
+                    if (!trackGtids) {
+                        return this;
+                    }
+
+                    return this.trackGtids();
+                });
+        },
+
+        /**
+         * Resolves every address of the host of the first endpoint that is
+         * available and races connection attempts to each one of them. The
+         * addresses are then handled like any other endpoint.
+         * @private
+         * @function
+         * @name module:Connection#race
+         * @returns {Promise<module:Connection>}
+         */
+        race () {
+            const endpoint = state.endpoints.available[0];
+            // The host might have already been resolved by a previous
+            // attempt to open the connection.
+            const resolve = endpoint.origin ? Promise.resolve(state.endpoints.available.filter(e => e.origin === endpoint.origin)) : eyeballs.resolve(endpoint);
+
+            return resolve.then(endpoints => {
+                // The addresses replace the original endpoint.
+                state.endpoints.available = endpoints.concat(state.endpoints.available.filter(e => e !== endpoint && endpoints.indexOf(e) === -1));
+
+                const onConnect = ({ endpoint, failed, socket }) => {
+                    const unavailableAt = Date.now();
+
+                    // The addresses that could not be reached become
+                    // unavailable and the one that was reached first is
+                    // the one the connection uses.
+                    state.endpoints.unavailable = state.endpoints.unavailable.concat(failed.map(e => Object.assign({}, e, { unavailableAt })));
+                    state.endpoints.available = [endpoint].concat(state.endpoints.available.filter(e => e !== endpoint && failed.indexOf(e) === -1));
+
+                    return this.connect(socket);
+                };
+
+                // None of the addresses can be reached.
+                const onFailure = error => this.failover(error, endpoints);
+
+                return eyeballs.connect(endpoints, { delay: state.happyEyeballs.delay, timeout: connectTimeout })
+                    .then(onConnect, onFailure);
+            });
+        },
+
+        /**
+         * Replaces a connection that was lost with a new one, using the same
+         * setup, including the default schema and failover to other
+         * endpoints. Any server-side state associated to the previous
+         * connection is gone.
+         * @private
+         * @function
+         * @name module:Connection#reconnect
+         * @returns {Promise<module:Connection>}
+         */
+        reconnect () {
+            const socket = state.client && state.client.getConnection();
+
+            // Make sure the previous socket is not used anymore.
+            if (socket && !socket.destroyed) {
+                socket.destroy();
+            }
+
+            this.reset();
+            // The previous connection error is no longer relevant.
+            state.error = null;
+
+            return this.open();
+        },
+
+        /**
+         * Retrieves the members of the replication group from the server
+         * and reports them to the application with a "topologyChanged"
+         * event.
+         * @private
+         * @function
+         * @name module:Connection#refreshTopology
+         * @returns {Promise<module:topology/group-replication~GroupMember[]>}
+         */
+        refreshTopology () {
+            const members = [];
+
+            return state.client.sqlStmtExecute(statement({ raw: group.QUERY }), row => members.push(group.member(row)))
+                .then(() => {
+                    state.topology = members;
+                    state.events.emit('topologyChanged', this.getTopology());
+
+                    return this.getTopology();
                 });
         },
 
@@ -1136,8 +1902,12 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
          * @returns {Promise<module:Connection>}
          */
         reset () {
+            // The connection is not alive anymore.
+            clearTimeout(state.heartbeat);
             // The connection capabilities will no longer be up-to-date.
             state.capabilities = {};
+            // A new connection needs to negotiate compression again.
+            state.compressionAlgorithm = null;
             // The client instance contains the work queue, which might not be
             // empty, and needs to be dereferenced anyway.
             state.client = null;
@@ -1154,6 +1924,179 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             state.unknownCapabilities = [];
             // The connection has closed, so there are no retries left.
             state.retry = false;
+            // A new connection refreshes the topology anyway.
+            clearTimeout(state.topologyRefresh);
+            state.topologyRefresh = null;
+            state.isTopologyStale = false;
+
+            return this;
+        },
+
+        /**
+         * Makes sure the connection is established with an ONLINE member of
+         * the replication group with the expected role, switching to a
+         * different endpoint when it is not.
+         * @private
+         * @function
+         * @name module:Connection#route
+         * @param {number} [attempts] - maximum number of endpoints to try
+         * @returns {Promise<module:Connection>}
+         */
+        route (attempts = state.endpoints.available.length) {
+            const role = state.groupReplication.role;
+
+            return this.refreshTopology()
+                .then(members => {
+                    const current = members.filter(m => m.isCurrent)[0];
+                    const isOnline = !!current && current.state === 'ONLINE';
+
+                    if (isOnline && current.role === role) {
+                        return this.watchTopology();
+                    }
+
+                    const hasCandidates = members.some(m => m.state === 'ONLINE' && m.role === role);
+
+                    // Reads can be served by the primary when there are no
+                    // secondaries available.
+                    if (isOnline && role === 'SECONDARY' && (!hasCandidates || attempts <= 1)) {
+                        return this.watchTopology();
+                    }
+
+                    if (!hasCandidates || attempts <= 1) {
+                        const error = new Error(util.format(errors.MESSAGES.ERR_GROUP_REPLICATION_MEMBER_NOT_FOUND, role));
+
+                        // The connection should not be left open.
+                        return this.destroy()
+                            .then(() => {
+                                throw error;
+                            });
+                    }
+
+                    const endpoint = state.endpoints.available[0];
+                    const socket = state.client.getConnection();
+                    // The connection state is only cleaned up after the
+                    // socket is effectively closed.
+                    const closed = new Promise(resolve => socket.once('close', resolve));
+
+                    return this.destroy()
+                        .then(() => closed)
+                        .then(() => {
+                            // The current endpoint is only picked again as a
+                            // last resort.
+                            state.endpoints.available = group.sort(state.endpoints.available.filter(e => e !== endpoint), members, role).concat(endpoint);
+
+                            return this.connect();
+                        })
+                        .then(() => {
+                            return this.route(attempts - 1);
+                        });
+                });
+        },
+
+        /**
+         * Negotiates the compression algorithm to use with the server.
+         * The algorithm is the first one, in the list of algorithms allowed
+         * by the application, that is supported by the client and by the
+         * server.
+         * @private
+         * @function
+         * @name module:Connection#negotiateCompression
+         * @returns {Promise<module:Connection>}
+         */
+        negotiateCompression () {
+            const { enabled, algorithms } = state.compression;
+
+            if (enabled === 'disabled') {
+                return Promise.resolve(this);
+            }
+
+            // The server advertises the algorithms it supports in the
+            // "compression" capability.
+            const serverAlgorithms = (state.capabilities.compression || {}).algorithm || [];
+            const algorithm = algorithms.filter(a => Compression.SUPPORTED_ALGORITHMS.indexOf(a) > -1 && serverAlgorithms.indexOf(a) > -1)[0];
+
+            if (!algorithm && enabled === 'required') {
+                return Promise.reject(new Error(errors.MESSAGES.ERR_COMPRESSION_NEGOTIATION_FAILED));
+            }
+
+            if (!algorithm) {
+                return Promise.resolve(this);
+            }
+
+            return state.client.capabilitiesSet({ compression: { algorithm } })
+                .then(() => {
+                    // From this point on, messages are exchanged using the
+                    // negotiated algorithm.
+                    state.client.enableCompression(algorithm);
+                    state.compressionAlgorithm = algorithm;
+
+                    return this;
+                })
+                .catch(err => {
+                    // If compression is not required, the connection can
+                    // proceed without it.
+                    if (enabled === 'required') {
+                        throw err;
+                    }
+
+                    return this;
+                });
+        },
+
+        /**
+         * Schedules a refresh of the topology of the replication group for
+         * when the connection is idle. Changes reported while a refresh is
+         * already scheduled or running lead to, at most, one additional
+         * refresh. Errors are reported with a "topologyError" event.
+         * @private
+         * @function
+         * @name module:Connection#scheduleTopologyRefresh
+         * @param {number} [delay=0] - amount of time (ms) to wait before checking if the connection is idle
+         * @returns {module:Connection}
+         */
+        scheduleTopologyRefresh (delay = 0) {
+            state.isTopologyStale = true;
+
+            if (state.topologyRefresh) {
+                return this;
+            }
+
+            state.topologyRefresh = setTimeout(() => {
+                if (!this.isOpen() || state.isClosing) {
+                    state.topologyRefresh = null;
+                    return;
+                }
+
+                // The refresh should not compete with the workload of the
+                // application.
+                if (this.isActive()) {
+                    state.topologyRefresh = null;
+                    return this.scheduleTopologyRefresh(TOPOLOGY_REFRESH_INTERVAL);
+                }
+
+                // Changes reported from this point on might not be visible
+                // in the outcome of this refresh.
+                state.isTopologyStale = false;
+
+                return this.refreshTopology()
+                    .then(() => null, err => err)
+                    .then(err => {
+                        state.topologyRefresh = null;
+
+                        if (state.isTopologyStale) {
+                            this.scheduleTopologyRefresh();
+                        }
+
+                        // Errors caused by the connection being closed in
+                        // the meantime are not relevant.
+                        if (err && this.isOpen() && !state.isClosing) {
+                            state.events.emit('topologyError', err);
+                        }
+                    });
+            }, delay);
+
+            // The refresh should not prevent the process from exiting.
+            state.topologyRefresh.unref();
 
             return this;
         },
@@ -1171,6 +2114,35 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             return this;
         },
 
+        /**
+         * Keeps track of the autocommit mode of the server session.
+         * @private
+         * @function
+         * @name module:Connection#setAutocommit
+         * @param {boolean} value - whether autocommit is enabled
+         * @returns {module:Connection}
+         */
+        setAutocommit (value) {
+            state.isAutocommit = value;
+
+            return this;
+        },
+
+        /**
+         * Keeps track of transactions started in the scope of the
+         * connection.
+         * @private
+         * @function
+         * @name module:Connection#setInTransaction
+         * @param {boolean} value - whether there is an ongoing transaction
+         * @returns {module:Connection}
+         */
+        setInTransaction (value) {
+            state.isInTransaction = value;
+
+            return this;
+        },
+
         /**
          * Executes the pipeline for creating a server-side X Protocol session.
          * @private
@@ -1199,12 +2171,55 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
                     // negotiated with the server.
                     return this.addCapabilities(capabilities);
                 })
+                .then(() => {
+                    // Compression should be negotiated before any other
+                    // significant amount of data is exchanged.
+                    return this.negotiateCompression();
+                })
                 .then(() => {
                     // Then we proceed to authenticate the user.
                     return this.authenticate();
                 });
         },
 
+        /**
+         * Destroys the underlying network socket when the server is not
+         * able to reply, failing any pending work with a given error.
+         * @private
+         * @function
+         * @name module:Connection#terminate
+         * @param {Error} error - the reason why the connection is terminated
+         * @returns {module:Connection}
+         */
+        terminate (error) {
+            const socket = state.client && state.client.getConnection();
+
+            if (!socket || socket.destroyed) {
+                return this;
+            }
+
+            state.error = error;
+            state.client.handleServerClose(error);
+            socket.destroy(error);
+
+            return this;
+        },
+
+        /**
+         * Asks the server to report the GTID of each transaction committed
+         * in the scope of the connection.
+         * @private
+         * @function
+         * @name module:Connection#trackGtids
+         * @returns {Promise<module:Connection>}
+         */
+        trackGtids () {
+            return state.client.sqlStmtExecute(statement({ raw: 'SET SESSION session_track_gtids = OWN_GTID' }))
+                .then(() => {
+                    return this;
+                });
+        },
+
         /**
          * Updates the availability of the possible MySQL endpoints specified
          * for the connection.
@@ -1227,11 +2242,53 @@ function Connection ({ auth, connectionAttributes = {}, connectTimeout = 10000,
             }
 
             return this;
+        },
+
+        /**
+         * Waits until the server has applied all the transactions in a given
+         * GTID set.
+         * @private
+         * @function
+         * @name module:Connection#waitForGtidSet
+         * @param {string} gtidSet - set of GTIDs
+         * @param {number} [timeout=0] - maximum amount of time (ms) to wait (0 means no limit)
+         * @returns {Promise<module:Connection>}
+         */
+        waitForGtidSet (gtidSet, timeout = 0) {
+            // The server expects the timeout in seconds.
+            const args = timeout > 0 ? [gtidSet, timeout / 1000] : [gtidSet];
+            const placeholders = args.map(() => '?').join(', ');
+            let status = 0;
+
+            return state.client.sqlStmtExecute(statement({ raw: `SELECT WAIT_FOR_EXECUTED_GTID_SET(${placeholders})`, args }), row => { status = Number(row[0]); })
+                .then(() => {
+                    // The function returns 1 when the timeout is exceeded.
+                    if (status !== 0) {
+                        throw new Error(util.format(errors.MESSAGES.ERR_GTID_SET_WAIT_TIMEOUT, gtidSet, timeout));
+                    }
+
+                    return this;
+                });
+        },
+
+        /**
+         * Asks the server to send notices about changes in the replication
+         * group, which are disabled by default.
+         * @private
+         * @function
+         * @name module:Connection#watchTopology
+         * @returns {Promise<module:Connection>}
+         */
+        watchTopology () {
+            return state.client.sqlStmtExecute(statement({ namespace: statement.Type.X_PLUGIN, raw: 'enable_notices', args: [{ notice: group.NOTICES }] }))
+                .then(() => {
+                    return this;
+                });
         }
     };
 }
 
-Connection.validate = function ({ connectionAttributes, connectTimeout, dbUser, dbPassword, endpoints, host, port, resolveSrv, socket, ssl, sslOptions, tls }) {
+Connection.validate = function ({ compression, connectionAttributes, connectTimeout, dbUser, dbPassword, endpoints, groupReplication, happyEyeballs, heartbeatInterval, host, keepAlive, port, reconnect, resolveSrv, socket, socketFactory, socketTimeout, ssl, sslOptions, tls }) {
     // TODO(Rui): Remove after deprecation period (undetermined).
     deprecate({ dbUser, dbPassword, ssl, sslOptions });
 
@@ -1246,12 +2303,68 @@ Connection.validate = function ({ connectionAttributes, connectTimeout, dbUser,
     // module.
     secureContext.validate({ tls, ssl, sslOptions });
 
+    // Compression options must be specified using a plain JavaScript object
+    // containing a valid mode and/or a list of algorithms that the client
+    // is able to use. Algorithms defined by the X Protocol but not
+    // implemented by the client would otherwise be silently ignored.
+    if (!isValidPlainObject({ value: compression })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_COMPRESSION_DEFINITION);
+    }
+
+    const { enabled, algorithms } = Object.assign({}, compression);
+
+    if (typeof enabled !== 'undefined' && ['preferred', 'required', 'disabled'].indexOf(enabled) === -1) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_COMPRESSION_MODE);
+    }
+
+    if (typeof algorithms !== 'undefined' && (!Array.isArray(algorithms) || !algorithms.length || algorithms.some(a => Compression.SUPPORTED_ALGORITHMS.indexOf(a) === -1))) {
+        throw new Error(util.format(errors.MESSAGES.ERR_INVALID_COMPRESSION_ALGORITHMS, Compression.SUPPORTED_ALGORITHMS.join(', ')));
+    }
+
     // The value of "connectTimeout" should be used to set the TCP
     // socket timeout and must be a positive integer (including 0).
     if (!isValidInteger({ value: connectTimeout, min: 0 })) {
         throw new Error(errors.MESSAGES.ERR_INVALID_CONNECTION_TIMEOUT_VALUE);
     }
 
+    // The value of "socketTimeout" and "heartbeatInterval" must also be
+    // positive integers (including 0, which disables them).
+    if (!isValidInteger({ value: socketTimeout, min: 0 })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_SOCKET_TIMEOUT_VALUE);
+    }
+
+    if (!isValidInteger({ value: heartbeatInterval, min: 0 })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_HEARTBEAT_INTERVAL_VALUE);
+    }
+
+    // TCP keep-alive options must be specified using a plain JavaScript
+    // object.
+    if (!isValidPlainObject({ value: keepAlive })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_KEEP_ALIVE_DEFINITION);
+    }
+
+    if (!isValidBoolean({ value: Object.assign({}, keepAlive).enabled })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_KEEP_ALIVE_ENABLED_VALUE);
+    }
+
+    if (!isValidInteger({ value: Object.assign({}, keepAlive).initialDelay, min: 0 })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_KEEP_ALIVE_INITIAL_DELAY_VALUE);
+    }
+
+    // Re-connect options must be specified using a plain JavaScript object
+    // containing the number of retries and the backoff interval.
+    if (!isValidPlainObject({ value: reconnect })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_RECONNECT_DEFINITION);
+    }
+
+    if (!isValidInteger({ value: Object.assign({}, reconnect).retries, min: 0 })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_RECONNECT_RETRIES_VALUE);
+    }
+
+    if (!isValidInteger({ value: Object.assign({}, reconnect).backoff, min: 0 })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_RECONNECT_BACKOFF_VALUE);
+    }
+
     // If the custom application attributes are "undefined", we still
     // need to send the default client attributes to the server.
     // Otherwise, the custom application attributes must be defined
@@ -1270,6 +2383,18 @@ Connection.validate = function ({ connectionAttributes, connectTimeout, dbUser,
     // We delegate validation of the SRV-related options to the srv module.
     srv.validate({ resolveSrv, endpoints, host, port, socket });
 
+    // We delegate validation of the Group Replication options to the
+    // group module.
+    group.validate({ groupReplication });
+
+    // We delegate validation of the Happy Eyeballs options to the
+    // eyeballs module.
+    eyeballs.validate({ happyEyeballs });
+
+    if (typeof socketFactory !== 'undefined' && typeof socketFactory !== 'function') {
+        throw new Error(errors.MESSAGES.ERR_INVALID_SOCKET_FACTORY);
+    }
+
     return true;
 };
 
@@ -30,9 +30,13 @@
 
 'use strict';
 
+const EventEmitter = require('events');
 const connection = require('./PoolConnection');
 const errors = require('../constants/errors');
+const logger = require('../tool/log');
+const srv = require('../topology/dns-srv');
 const util = require('util');
+const warnings = require('../constants/warnings');
 const { isValidBoolean, isValidInteger } = require('../validator');
 
 /**
@@ -43,7 +47,9 @@ const { isValidBoolean, isValidInteger } = require('../validator');
  *   pooling: {
  *     enabled: true,
  *     maxSize: 10,
+ *     minSize: 2,
  *     maxIdleTime: 20000,
+ *     maxLifetime: 3600000,
  *     queueTimeout: 5000
  *   }
  * })
@@ -59,18 +65,76 @@ const { isValidBoolean, isValidInteger } = require('../validator');
  * @typedef {Object} Properties
  * @prop {boolean} [enabled=true] - use a connection pool
  * @prop {number} [maxSize=25] - maximum number of connections in the pool
+ * @prop {number} [minSize=0] - number of connections that are opened in advance and kept in the pool
  * @prop {number} [maxIdleTime=0] - maximum number of milliseconds to allow a connection to be idle (0 - infinite)
+ * @prop {number} [maxLifetime=0] - maximum number of milliseconds a connection can be re-used since it was opened (0 - infinite)
  * @prop {number} [queueTimeout=0] - maximum number of milliseconds to wait for a connection to become available (0 - infinite)
+ * @prop {string} [validateOnBorrow=none] - validate idle connections before they are re-used, using a "ping" or a session "reset" ("none" - no validation)
+ * @prop {number} [validationTimeout=5000] - maximum number of milliseconds to wait for a connection to be validated (0 - infinite)
+ * @prop {number} [idleCheckInterval=0] - number of milliseconds between each background validation of the idle connections (0 - disabled)
+ * @prop {number} [leakDetectionThreshold=0] - number of milliseconds a connection can be in use before the pool reports it as a potential leak (0 - disabled)
+ * @prop {boolean} [reclaimLeakedConnections=false] - destroy connections reported as potential leaks, releasing their place in the pool
+ */
+const VALID_OPTIONS = ['enabled', 'idleCheckInterval', 'leakDetectionThreshold', 'maxIdleTime', 'maxLifetime', 'maxSize', 'minSize', 'queueTimeout', 'reclaimLeakedConnections', 'validateOnBorrow', 'validationTimeout'];
+
+/**
+ * List of connection validation modes.
+ * @private
+ */
+const VALIDATION_MODES = ['none', 'ping', 'reset'];
+
+/**
+ * Waits for a connection validation to finish, failing if it takes too long.
+ * @private
+ * @param {Promise} validation - pending connection validation
+ * @param {number} validationTimeout - maximum number of milliseconds to wait (0 - infinite)
+ * @returns {Promise}
+ */
+function withTimeout (validation, validationTimeout) {
+    if (!validationTimeout) {
+        return validation;
+    }
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(util.format(errors.MESSAGES.ERR_POOL_VALIDATION_TIMEOUT, validationTimeout))), validationTimeout);
+
+        validation
+            .then(result => {
+                clearTimeout(timer);
+                resolve(result);
+            })
+            .catch(err => {
+                clearTimeout(timer);
+                reject(err);
+            });
+    });
+}
+
+/**
+ * Connection pool statistics.
+ * @typedef {Object} Stats
+ * @prop {number} active - number of connections currently in use by the application
+ * @prop {number} idle - number of connections available to be re-used
+ * @prop {number} expired - number of connections that have expired or have been closed by the server
+ * @prop {number} pending - number of connections that are being opened or validated
+ * @prop {number} waiting - number of requests waiting for a connection to become available
+ * @prop {number} maxSize - maximum number of connections in the pool
+ * @prop {number} totalAcquisitions - number of connections handed over to the application so far
+ * @prop {number} totalQueueTimeouts - number of requests that exceeded queueTimeout so far
+ * @prop {number} averageWaitTime - average number of milliseconds a request waited for a connection
  */
-const VALID_OPTIONS = ['enabled', 'maxIdleTime', 'maxSize', 'queueTimeout'];
 
 /**
  * @private
  * @alias module:ConnectionPool
  * @param {Object} [options] - pooling options
+ * @param {Object} [hooks] - client integration hooks
+ * @param {EventEmitter} [hooks.events] - emitter used to report the lifecycle of the pool connections
+ * @param {module:EndpointHealth} [hooks.health] - client-wide registry of endpoints that are known to be unreachable
+ * @param {boolean} [hooks.trackGtids=false] - ask the server to report the GTID of each transaction committed using a pool connection
  * @returns {module:ConnectionPool}
  */
-function ConnectionPool (options = {}) {
+function ConnectionPool (options = {}, { events = new EventEmitter(), health = null, trackGtids = false } = {}) {
     // Internal pool state containing a list of connections
     // given their current state.
     const state = {
@@ -80,9 +144,45 @@ function ConnectionPool (options = {}) {
         // Contains the list of connections that have expired i.e. where
         // maxIdleTime was exceeded or have been closed by the server.
         expired: [],
+        // Reference to the timer that periodically checks if the idle
+        // connections are still usable.
+        idleCheck: null,
+        // Identifies the current incarnation of the pool, which changes
+        // every time the pool is reset, in order to discard connections that
+        // finish opening afterwards.
+        generation: 0,
         // Contains the list of connections that became idle i.e. have been
         // closed by the client.
-        idle: []
+        idle: [],
+        // Maps each active connection to the timer that reports it as a
+        // potential leak if it is not released in time.
+        leaks: new Map(),
+        // Number of connections that are being opened or reset and will
+        // eventually become active.
+        pending: 0,
+        // Contains the DNS SRV records found by the last lookup.
+        records: null,
+        // Reference to the timer that looks up the DNS SRV records again
+        // once they expire.
+        srvCheck: null,
+        // Contains the list of requests waiting for a connection to become
+        // available, by the order they were made.
+        waiting: [],
+        // Cumulative counters used to compute the pool statistics.
+        totalAcquisitions: 0,
+        totalQueueTimeouts: 0,
+        totalWaitTime: 0
+    };
+
+    // Reports a lifecycle event, identifying the connection (if there is
+    // one) by the id it was assigned by the server. The event details are
+    // only computed when someone is actually listening.
+    const notify = (event, con, details) => {
+        if (!events.listenerCount(event)) {
+            return;
+        }
+
+        events.emit(event, Object.assign(con ? { connectionId: con.getServerId() } : {}, details));
     };
 
     return {
@@ -113,9 +213,61 @@ function ConnectionPool (options = {}) {
             state.expired = expired;
             state.idle = idle;
 
+            const { idleCheckInterval = 0 } = Object.assign({}, options.pooling);
+
+            clearInterval(state.idleCheck);
+
+            if (idleCheckInterval > 0) {
+                state.idleCheck = setInterval(() => this.checkIdleConnections(), idleCheckInterval);
+                // The timer should not prevent the process from exiting.
+                state.idleCheck.unref();
+            }
+
+            clearTimeout(state.srvCheck);
+
+            // Changes in the DNS SRV records should be picked up without
+            // having to create a new pool.
+            if (options.resolveSrv) {
+                this.refreshServiceRecords();
+            }
+
             return this;
         },
 
+        /**
+         * Checks if the idle connections in the pool are still usable.
+         * Broken connections are evicted from the pool and replaced
+         * if needed.
+         * @private
+         * @function
+         * @name module:ConnectionPool#checkIdleConnections
+         * @returns {Promise<module:ConnectionPool>}
+         */
+        checkIdleConnections () {
+            const { validationTimeout = 0 } = options.pooling;
+
+            return Promise.all(state.idle.filter(con => con.isOpen()).map(con => {
+                return withTimeout(con.ping(), validationTimeout)
+                    .catch(() => {
+                        const index = state.idle.indexOf(con);
+
+                        // The connection might have been acquired in the
+                        // meantime, in which case, it is validated when it
+                        // is borrowed.
+                        if (index === -1) {
+                            return;
+                        }
+
+                        state.idle.splice(index, 1);
+                        notify('destroy', con);
+                        con.abort();
+                    });
+            }))
+                .then(() => {
+                    return this.fill();
+                });
+        },
+
         /**
          * Close all the connections in the pool.
          * @private
@@ -124,8 +276,21 @@ function ConnectionPool (options = {}) {
          * @returns {Promise}
          */
         destroy () {
+            // Any request that is still waiting for a connection will never
+            // get one.
+            const waiting = state.waiting;
+            state.waiting = [];
+
+            waiting.forEach(waiter => {
+                clearTimeout(waiter.timer);
+                waiter.reject(new Error(errors.MESSAGES.ERR_POOL_DESTROYED));
+            });
+
             // Expired connections have already been destroyed by this point.
-            return Promise.all(state.idle.concat(state.active).map(con => con.destroy()))
+            return Promise.all(state.idle.concat(state.active).map(con => {
+                notify('destroy', con);
+                return con.destroy();
+            }))
                 .then(() => {
                     this.reset();
                 })
@@ -146,13 +311,99 @@ function ConnectionPool (options = {}) {
             return state.expired;
         },
 
+        /**
+         * Serve the requests waiting for a connection, by the order they
+         * were made, for as long as the pool is not full.
+         * @private
+         * @function
+         * @name module:ConnectionPool#dispatch
+         * @returns {module:ConnectionPool} The pool instance.
+         */
+        dispatch () {
+            while (state.waiting.length && !this.isFull()) {
+                const waiter = state.waiting.shift();
+
+                clearTimeout(waiter.timer);
+
+                this.acquireConnection()
+                    .then(con => {
+                        const waitTime = Date.now() - waiter.requestedAt;
+
+                        state.totalAcquisitions += 1;
+                        state.totalWaitTime += waitTime;
+                        notify('acquire', con, { waitTime });
+
+                        this.watchConnection(con, waiter.stack);
+
+                        waiter.resolve(con);
+                    })
+                    .catch(waiter.reject);
+            }
+
+            return this;
+        },
+
+        /**
+         * Open as many connections as needed for the pool to contain at
+         * least "minSize" connections. The new connections are released
+         * into the pool straight away.
+         * @private
+         * @function
+         * @name module:ConnectionPool#fill
+         * @returns {Promise<module:ConnectionPool>}
+         */
+        fill () {
+            const missing = (options.pooling.minSize || 0) - (state.active.length + state.idle.length + state.pending);
+            const generation = state.generation;
+            const connections = [];
+
+            for (let i = 0; i < missing; ++i) {
+                state.pending += 1;
+
+                // Expired connections can be refurbished.
+                const con = state.expired.shift() || connection(options, { health, onRelease: con => this.release(con), trackGtids });
+
+                connections.push(con.open()
+                    .then(con => {
+                        // If the pool was destroyed in the meantime, the
+                        // connection is not needed anymore.
+                        if (generation !== state.generation) {
+                            return con.destroy();
+                        }
+
+                        notify('create', con);
+
+                        state.pending -= 1;
+                        state.idle.push(con);
+
+                        // Releasing the connection allows it to be picked up
+                        // by any request waiting for one.
+                        return con.close();
+                    })
+                    .catch(() => {
+                        // Errors are only reported when the application
+                        // actually asks for a connection.
+                        if (generation !== state.generation) {
+                            return;
+                        }
+
+                        state.pending -= 1;
+                        this.dispatch();
+                    }));
+            }
+
+            return Promise.all(connections).then(() => this);
+        },
+
         /**
          * Retrieve a usable connection from the pool.
          * If there are idle connections available on is returned.
          * If there are no idle connections available and the pool is not
          * full, either an expired connection is re-created or a new
          * connection is created.
-         * If the pool is full, it will wait until queueTimeout is reached.
+         * If the pool is full, the request waits in a queue until a
+         * connection is released back into the pool, or until queueTimeout
+         * is reached. Requests are served by the order they were made.
          * Every time this function is called, the list of connections
          * is updated according to the status of each connection.
          * @private
@@ -161,65 +412,174 @@ function ConnectionPool (options = {}) {
          * @throws Will return a rejected Promise if queueTimeout is exceeded.
          * @returns {Promise<PoolConnection>}
          */
-        getConnection (requestedAt = Date.now()) {
+        getConnection () {
+            // The stack trace should be captured synchronously, in order to
+            // identify where the application asked for the session.
+            const stack = options.pooling.leakDetectionThreshold > 0 ? new Error().stack.split('\n').slice(1).join('\n') : undefined;
+
             return this.update()
                 .then(() => {
-                    const elapsedTime = Date.now() - requestedAt;
                     const queueTimeout = options.pooling.queueTimeout;
+                    const requestedAt = Date.now();
 
-                    // If the pool is full (all the connections are active) we
-                    // need to check if the time elapsed since the previous
-                    // attempt to retrieve the connection from the pool. If
-                    // it exceeds the value of queueTimeout we need to throw
-                    // an error. However, if queueTimeout = 0 that means it
-                    // is supposed to be infinite, so, in that case, we do not
-                    // throw an error and need to try indefinitely.
-                    if (this.isFull() && queueTimeout !== 0 && elapsedTime >= queueTimeout) {
-                        throw new Error(util.format(errors.MESSAGES.ERR_POOL_QUEUE_TIMEOUT, queueTimeout));
-                    }
+                    const request = new Promise((resolve, reject) => {
+                        const waiter = { requestedAt, resolve, reject, stack };
 
-                    // If the pool is full and the elapsed time since the last
-                    // attempt to retrieve the connection does not exceed the
-                    // value of queueTimeout (which can be infinite), we need
-                    // to attempt to retrieve the connection again, given a
-                    // proper sliding window. In this case, the next attempt
-                    // will happen only after the same time it passed since
-                    // the last check.
-                    if (this.isFull()) {
-                        return new Promise((resolve, reject) => setTimeout(() => this.getConnection(requestedAt).then(resolve).catch(reject), elapsedTime));
-                    }
+                        // If queueTimeout = 0 that means it is supposed to be
+                        // infinite, so, in that case, the request waits for
+                        // as long as it needs.
+                        if (queueTimeout > 0) {
+                            waiter.timer = setTimeout(() => {
+                                const waitTime = Date.now() - requestedAt;
 
-                    const postConnect = con => {
-                        // The connection needs to be blocked from being released.
-                        con.acquire();
-                        // The connection should be moved to the active list.
-                        state.active.push(con);
-                        // And returned back to the X DevAPI client.
-                        return con;
-                    };
-
-                    // Use an existing connection or create a new one.
-                    const con = state.idle.shift() || state.expired.shift();
-
-                    // If there is an idle connection which has not been
-                    // closed and has not expired ("maxIdleTime" still has
-                    // not been exceeded) we can re-use it.
-                    if (con && con.isOpen() && !con.isExpired()) {
-                        return con.override().then(postConnect);
-                    }
+                                state.waiting.splice(state.waiting.indexOf(waiter), 1);
+                                state.totalQueueTimeouts += 1;
+                                notify('queueTimeout', null, { queueTimeout, waitTime });
 
-                    // If the connection is not open or has expired, we need
-                    // to refurbish the same instance, to ensure the endpoint
-                    // availability is up-to-date.
-                    if (con) {
-                        return con.open().then(postConnect);
-                    }
+                                reject(new Error(util.format(errors.MESSAGES.ERR_POOL_QUEUE_TIMEOUT, queueTimeout, waitTime)));
+                            }, queueTimeout);
+                        }
+
+                        state.waiting.push(waiter);
+                    });
+
+                    // If the pool is not full, the request is served right
+                    // away, unless there are older requests waiting.
+                    this.dispatch();
+                    // Connections that have expired in the meantime should
+                    // be replaced in the background.
+                    this.fill();
 
-                    // Otherwise we need to create a new one.
-                    return connection(options).open().then(postConnect);
+                    return request;
                 });
         },
 
+        /**
+         * Retrieve a connection that is either idle, refurbished or new,
+         * assuming the pool is not full.
+         * @private
+         * @function
+         * @name module:ConnectionPool#acquireConnection
+         * @returns {Promise<PoolConnection>}
+         */
+        acquireConnection () {
+            // The connection occupies a place in the pool even while it is
+            // not ready to be used.
+            state.pending += 1;
+
+            const postConnect = con => {
+                state.pending -= 1;
+                // The connection needs to be blocked from being released.
+                con.acquire();
+                // The connection should be moved to the active list.
+                state.active.push(con);
+                // And returned back to the X DevAPI client.
+                return con;
+            };
+
+            const postCreate = con => {
+                notify('create', con);
+                return con;
+            };
+
+            const postFailure = err => {
+                state.pending -= 1;
+                // The place in the pool is available again for the next
+                // request in the queue.
+                this.dispatch();
+
+                throw err;
+            };
+
+            // Use an existing connection or create a new one.
+            const con = state.idle.shift() || state.expired.shift();
+
+            // If there is an idle connection which has not been
+            // closed and has not expired ("maxIdleTime" still has
+            // not been exceeded) we can re-use it.
+            if (con && con.isOpen() && !con.isExpired()) {
+                return this.validateConnection(con)
+                    .then(postConnect)
+                    .catch(err => {
+                        const { validateOnBorrow = 'none' } = options.pooling;
+
+                        // If connections are not supposed to be validated,
+                        // the error should be reported to the application.
+                        if (validateOnBorrow === 'none') {
+                            return postFailure(err);
+                        }
+
+                        // Otherwise, the connection is broken and should be
+                        // evicted from the pool, and a different one should
+                        // be used instead.
+                        notify('destroy', con);
+                        con.abort();
+                        state.pending -= 1;
+
+                        return this.acquireConnection();
+                    });
+            }
+
+            // If the connection is not open or has expired, we need
+            // to refurbish the same instance, to ensure the endpoint
+            // availability is up-to-date.
+            if (con) {
+                return con.open().then(postCreate).then(postConnect, postFailure);
+            }
+
+            // Otherwise we need to create a new one, which should let the
+            // pool know when it is released.
+            return connection(options, { health, onRelease: con => this.release(con), trackGtids }).open().then(postCreate).then(postConnect, postFailure);
+        },
+
+        /**
+         * Prepares an idle connection to be re-used, making sure it is
+         * still usable if the pool is configured to do so.
+         * @private
+         * @function
+         * @name module:ConnectionPool#validateConnection
+         * @param {PoolConnection} con - idle connection
+         * @returns {Promise<PoolConnection>}
+         */
+        validateConnection (con) {
+            const { validateOnBorrow = 'none', validationTimeout = 0 } = options.pooling;
+
+            // Re-using a connection always requires the server session to be
+            // reset, which, by itself, is enough to validate the connection.
+            if (validateOnBorrow === 'reset') {
+                return withTimeout(con.override(), validationTimeout);
+            }
+
+            // A "ping" validates the connection without changing the
+            // server session.
+            if (validateOnBorrow === 'ping') {
+                return withTimeout(con.ping(), validationTimeout).then(() => con.override());
+            }
+
+            return con.override();
+        },
+
+        /**
+         * Returns the current pool statistics.
+         * @private
+         * @function
+         * @name module:ConnectionPool#getStats
+         * @returns {module:ConnectionPool~Stats}
+         */
+        getStats () {
+            return {
+                active: state.active.length,
+                idle: state.idle.length,
+                expired: state.expired.length,
+                pending: state.pending,
+                waiting: state.waiting.length,
+                maxSize: options.pooling.maxSize,
+                totalAcquisitions: state.totalAcquisitions,
+                totalQueueTimeouts: state.totalQueueTimeouts,
+                averageWaitTime: state.totalAcquisitions > 0 ? state.totalWaitTime / state.totalAcquisitions : 0
+            };
+        },
+
         /**
          * Returns the current list of idle connections in the pool.
          * @private
@@ -240,9 +600,128 @@ function ConnectionPool (options = {}) {
          * @returns {boolean}
          */
         isFull () {
-            // A connection pool is full if the number of active connections
-            // is equal to the maximum size of the pool.
-            return state.active.length === options.pooling.maxSize;
+            // A connection pool is full if the number of active connections,
+            // including the ones that are not yet ready, is equal to the
+            // maximum size of the pool.
+            return state.active.length + state.pending >= options.pooling.maxSize;
+        },
+
+        /**
+         * Looks up the DNS SRV records again, once their TTL expires, and
+         * retires the existing connections if the records have changed, in
+         * order for the new ones to be opened according to the new
+         * priorities and weights.
+         * @private
+         * @function
+         * @name module:ConnectionPool#refreshServiceRecords
+         * @returns {Promise<module:ConnectionPool>}
+         */
+        refreshServiceRecords () {
+            const generation = state.generation;
+            const { endpoints = [], host = 'localhost' } = options;
+
+            const schedule = interval => {
+                // If the pool was destroyed in the meantime, the records
+                // are not needed anymore.
+                if (generation !== state.generation) {
+                    return this;
+                }
+
+                state.srvCheck = setTimeout(() => this.refreshServiceRecords(), interval);
+                // The timer should not prevent the process from exiting.
+                state.srvCheck.unref();
+
+                return this;
+            };
+
+            return srv.lookup(endpoints.length ? endpoints[0].host : host)
+                .then(records => {
+                    const previous = state.records;
+
+                    if (generation !== state.generation) {
+                        return this;
+                    }
+
+                    state.records = records;
+                    schedule(srv.refreshInterval(records));
+
+                    // The first lookup only establishes a baseline.
+                    if (previous === null || srv.equals(previous, records)) {
+                        return this;
+                    }
+
+                    // Idle connections are replaced right away, whereas
+                    // active connections are only replaced when they are
+                    // released back into the pool.
+                    state.idle.concat(state.active).forEach(con => con.retire());
+
+                    return this.update()
+                        .catch(() => {})
+                        .then(() => this.fill());
+                }, () => {
+                    // The lookup is retried later, while the existing
+                    // connections keep being used.
+                    return schedule(srv.refreshInterval());
+                });
+        },
+
+        /**
+         * Wake up the next request waiting for a connection, after one is
+         * released back into the pool.
+         * @private
+         * @function
+         * @name module:ConnectionPool#release
+         * @param {PoolConnection} [con] - connection that was released
+         * @returns {Promise<module:ConnectionPool>}
+         */
+        release (con) {
+            if (con) {
+                clearTimeout(state.leaks.get(con));
+                state.leaks.delete(con);
+
+                notify('release', con);
+            }
+
+            return this.update()
+                // Failing to destroy expired connections should not prevent
+                // the remaining requests from being served.
+                .catch(() => {})
+                .then(() => this.dispatch().fill());
+        },
+
+        /**
+         * Report a connection that has been in use for longer than
+         * "leakDetectionThreshold", destroying it if the pool is configured
+         * to do so.
+         * @private
+         * @function
+         * @name module:ConnectionPool#reportLeak
+         * @param {PoolConnection} con - active connection
+         * @param {string} stack - stack trace captured when the connection was requested
+         * @returns {Promise<module:ConnectionPool>}
+         */
+        reportLeak (con, stack) {
+            const { leakDetectionThreshold, reclaimLeakedConnections } = options.pooling;
+
+            state.leaks.delete(con);
+
+            logger('pool').warning('leak', util.format(warnings.MESSAGES.WARN_POOL_CONNECTION_LEAK, leakDetectionThreshold, stack));
+
+            const index = state.active.indexOf(con);
+
+            if (!reclaimLeakedConnections || index === -1) {
+                return Promise.resolve(this);
+            }
+
+            // The connection stops occupying a place in the pool and any
+            // subsequent attempt to use it will fail.
+            state.active.splice(index, 1);
+            notify('destroy', con);
+
+            return con.destroy()
+                // The connection is gone regardless.
+                .catch(() => {})
+                .then(() => this.dispatch().fill());
         },
 
         /**
@@ -256,6 +735,47 @@ function ConnectionPool (options = {}) {
             state.active = [];
             state.expired = [];
             state.idle = [];
+            state.pending = 0;
+            state.generation += 1;
+
+            clearInterval(state.idleCheck);
+            state.idleCheck = null;
+
+            clearTimeout(state.srvCheck);
+            state.srvCheck = null;
+            state.records = null;
+
+            state.leaks.forEach(timer => clearTimeout(timer));
+            state.leaks.clear();
+
+            state.waiting.forEach(waiter => clearTimeout(waiter.timer));
+            state.waiting = [];
+
+            return this;
+        },
+
+        /**
+         * Start tracking how long a connection is being used by the
+         * application, if the pool is configured to detect leaks.
+         * @private
+         * @function
+         * @name module:ConnectionPool#watchConnection
+         * @param {PoolConnection} con - connection that has just been acquired
+         * @param {string} stack - stack trace captured when the connection was requested
+         * @returns {module:ConnectionPool} The pool instance.
+         */
+        watchConnection (con, stack) {
+            const { leakDetectionThreshold = 0 } = options.pooling;
+
+            if (leakDetectionThreshold === 0) {
+                return this;
+            }
+
+            const timer = setTimeout(() => this.reportLeak(con, stack), leakDetectionThreshold);
+            // The timer should not prevent the process from exiting.
+            timer.unref();
+
+            state.leaks.set(con, timer);
 
             return this;
         },
@@ -268,6 +788,8 @@ function ConnectionPool (options = {}) {
          * @returns {Promise}
          */
         update () {
+            const expired = state.expired;
+
             // A connection can be closed from the server side, which means
             // there is a chance that the active connection queue contains
             // connections that have been closed. If that is the case, those
@@ -286,6 +808,13 @@ function ConnectionPool (options = {}) {
             state.expired = state.expired.concat(state.idle.filter(c => c.isExpired()));
             state.idle = state.idle.filter(c => !c.isExpired());
 
+            // Only the connections that have just expired need to be
+            // reported.
+            state.expired.filter(con => expired.indexOf(con) === -1).forEach(con => {
+                notify('expire', con);
+                notify('destroy', con);
+            });
+
             // Expired connections should be destroyed.
             return Promise.all(state.expired.map(con => con.destroy()));
         }
@@ -299,7 +828,7 @@ ConnectionPool.validate = function (options) {
         throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION, `pooling.${invalidKeys[0]}`));
     }
 
-    const { enabled, maxIdleTime, maxSize, queueTimeout } = options;
+    const { enabled, idleCheckInterval, leakDetectionThreshold, maxIdleTime, maxLifetime, maxSize, minSize, queueTimeout, reclaimLeakedConnections, validateOnBorrow, validationTimeout } = options;
 
     if (!isValidBoolean({ value: enabled })) {
         throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'pooling.enabled', enabled));
@@ -313,10 +842,39 @@ ConnectionPool.validate = function (options) {
         throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'pooling.maxSize', maxSize));
     }
 
+    // The minimum number of connections cannot exceed the maximum.
+    if (!isValidInteger({ value: minSize, min: 0, max: maxSize })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'pooling.minSize', minSize));
+    }
+
+    if (!isValidInteger({ value: maxLifetime, min: 0 })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'pooling.maxLifetime', maxLifetime));
+    }
+
     if (!isValidInteger({ value: queueTimeout, min: 0 })) {
         throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'pooling.queueTimeout', queueTimeout));
     }
 
+    if (typeof validateOnBorrow !== 'undefined' && VALIDATION_MODES.indexOf(validateOnBorrow) === -1) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'pooling.validateOnBorrow', validateOnBorrow));
+    }
+
+    if (!isValidInteger({ value: validationTimeout, min: 0 })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'pooling.validationTimeout', validationTimeout));
+    }
+
+    if (!isValidInteger({ value: idleCheckInterval, min: 0 })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'pooling.idleCheckInterval', idleCheckInterval));
+    }
+
+    if (!isValidInteger({ value: leakDetectionThreshold, min: 0 })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'pooling.leakDetectionThreshold', leakDetectionThreshold));
+    }
+
+    if (!isValidBoolean({ value: reclaimLeakedConnections })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'pooling.reclaimLeakedConnections', reclaimLeakedConnections));
+    }
+
     return true;
 };
 
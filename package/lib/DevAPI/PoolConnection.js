@@ -43,15 +43,20 @@ const connection = require('./Connection');
  * @private
  * @alias module:PoolConnection
  * @param {Object} [options] - client properties (connection and pooling configuration)
+ * @param {Object} [hooks] - pool integration hooks
+ * @param {function} [hooks.onRelease] - called when the connection is released back into the pool
+ * @param {module:EndpointHealth} [hooks.health] - client-wide registry of endpoints that are known to be unreachable
+ * @param {boolean} [hooks.trackGtids=false] - ask the server to report the GTID of each transaction committed using the connection
  * @returns {module:PoolConnection}
  */
-function PoolConnection (options = { pooling: {} }) {
+function PoolConnection (options = { pooling: {} }, { health = null, onRelease = () => {}, trackGtids = false } = {}) {
     // Object to keep special pooling related state.
     // Will also contain whatever state is managed by the connection instance
     // that is mixed-in.
-    const state = { releasedAt: null };
+    const state = { openedAt: null, releasedAt: null, retired: false };
+    const base = connection(options, { health, trackGtids });
 
-    return Object.assign({}, connection(options), {
+    return Object.assign({}, base, {
         /**
          * Activate a connection that has been aquired from the pool.
          * @private
@@ -74,11 +79,24 @@ function PoolConnection (options = { pooling: {} }) {
          */
         close () {
             state.releasedAt = Date.now();
+
+            const events = this.getEvents();
+            // From the application standpoint, the session is closed, and
+            // its listeners should not be called when the connection is
+            // re-used by a different session.
+            events.emit('close', { hadError: false, error: null });
+            events.removeAllListeners();
+
+            // The pool should be able to hand over the connection to any
+            // request that is waiting for one.
+            onRelease(this);
+
             return Promise.resolve();
         },
 
         /**
-         * Checks if a connection is idle and has expired (maxIdleTime has been exceeded).
+         * Checks if a connection is idle and has expired (maxIdleTime or
+         * maxLifetime have been exceeded).
          * @private
          * @function
          * @name module:PoolConnection#isExpired
@@ -91,6 +109,21 @@ function PoolConnection (options = { pooling: {} }) {
                 return false;
             }
 
+            // A connection that was retired by the pool should not be
+            // re-used.
+            if (state.retired) {
+                return true;
+            }
+
+            const maxLifetime = options.pooling.maxLifetime;
+
+            // Regardless of how often it is re-used, a connection expires
+            // once it exceeds maxLifetime (if maxLifetime = 0, it never
+            // does).
+            if (maxLifetime > 0 && Date.now() - state.openedAt > maxLifetime) {
+                return true;
+            }
+
             const maxIdleTime = options.pooling.maxIdleTime;
 
             // If maxIdleTime = 0, it means an idle connection never expires.
@@ -123,6 +156,35 @@ function PoolConnection (options = { pooling: {} }) {
          */
         isIdle () {
             return !!state.releasedAt;
+        },
+
+        /**
+         * Opens the connection and keeps track of when it happened, in
+         * order to determine the connection lifetime.
+         * @private
+         * @function
+         * @name module:PoolConnection#open
+         * @returns {Promise<module:PoolConnection>}
+         */
+        open () {
+            // A connection that is refurbished starts a new lifetime.
+            state.openedAt = Date.now();
+            state.retired = false;
+
+            return base.open.call(this);
+        },
+
+        /**
+         * Marks a connection to expire as soon as it is idle, regardless of
+         * "maxIdleTime" and "maxLifetime".
+         * @private
+         * @function
+         * @name module:PoolConnection#retire
+         * @returns {module:PoolConnection}
+         */
+        retire () {
+            state.retired = true;
+            return this;
         }
     });
 }
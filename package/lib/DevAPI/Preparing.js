@@ -48,6 +48,52 @@ const STATEMENT_STATUS = {
     TO_SKIP: 6
 };
 
+/**
+ * Append the items of a list to another list in place.
+ * @private
+ * @param {Array} target - list where the items are appended
+ * @param {Array} [items] - items to append
+ * @returns {Array} The target list.
+ */
+function append (target, items) {
+    (items || []).forEach(item => target.push(item));
+
+    return target;
+}
+
+/**
+ * Merge the details of a batch retrieved with a server-side cursor into the
+ * details of the batches that were retrieved before.
+ * @private
+ * @param {Object} details - details of the previous batches
+ * @param {Object} batch - details of the current batch
+ * @param {Function} [dataCursor] - callback function used to process result set data
+ * @returns {Object} The details of the operation with all the batches merged.
+ */
+function mergeBatch (details, batch, dataCursor) {
+    const results = details.results;
+    const batchResults = batch.results || [];
+    // The first result set of the batch is the continuation of the last
+    // result set that was being fetched in the previous batch.
+    const isContinuation = results.length > 0 && batchResults.length > 0;
+
+    // Rows that are processed by a callback should not be kept in memory.
+    if (isContinuation && typeof dataCursor !== 'function') {
+        append(results[results.length - 1], batchResults[0]);
+    }
+
+    append(results, batchResults.slice(isContinuation ? 1 : 0));
+
+    return Object.assign({}, batch, {
+        results,
+        // the metadata of a result set is only reported by the batch where
+        // the result set ends
+        metadata: append(details.metadata, batch.metadata),
+        messages: append(details.messages || [], batch.messages),
+        warnings: append(details.warnings || [], batch.warnings)
+    });
+}
+
 /**
  * Preparing mixin.
  * @mixin
@@ -57,7 +103,7 @@ const STATEMENT_STATUS = {
  * @returns {Preparing}
  */
 function Preparing (state) {
-    state = Object.assign({ statementId: 0, stage: STATEMENT_STATUS.TO_START }, state);
+    state = Object.assign({ isOneShot: false, serverId: null, statementId: 0, stage: STATEMENT_STATUS.TO_START }, state);
 
     return {
         /**
@@ -103,6 +149,18 @@ function Preparing (state) {
                 });
         },
 
+        /**
+         * Close a server-side cursor that has not been entirely consumed.
+         * @function
+         * @private
+         * @name Preparing#closeCursor
+         * @param {Object} cursor - cursor state reported by the last batch
+         * @returns {Promise.<Object>}
+         */
+        closeCursor (cursor) {
+            return state.connection.getClient().cursorClose(cursor);
+        },
+
         /**
          * Manage statement execution (prepared or plain) given the existing context.
          * @function
@@ -114,6 +172,8 @@ function Preparing (state) {
          * @returns {Promise.<Object>}
          */
         execute (fn, dataCursor, metadataCursor) {
+            this.forgetStaleStatement();
+
             if (state.stage === STATEMENT_STATUS.TO_RESTART || state.stage === STATEMENT_STATUS.TO_REPREPARE) {
                 return this.deallocate().then(() => this.execute(fn, dataCursor, metadataCursor));
             }
@@ -129,6 +189,113 @@ function Preparing (state) {
             return this.executePlain(fn);
         },
 
+        /**
+         * Manage statement execution using a server-side cursor to retrieve
+         * the result set in batches of a given size.
+         * @function
+         * @private
+         * @name Preparing#executeWithCursor
+         * @param {Function} fn - fallback function to execute when the server does not support prepared statements.
+         * @param {number} batchSize - number of rows to retrieve in each batch
+         * @param {Function} [dataCursor] - callback function used to process result set data
+         * @param {Function} [metadataCursor] - callback function used to process result set metadata
+         * @returns {Promise.<Object>}
+         */
+        executeWithCursor (fn, batchSize, dataCursor, metadataCursor) {
+            // the cursor that remains open on the server
+            let cursor = null;
+
+            const fetchAll = details => {
+                if (!details.cursor || !details.cursor.suspended) {
+                    cursor = null;
+
+                    // the cursor state is not relevant for the caller
+                    const res = Object.assign({}, details);
+                    delete res.cursor;
+
+                    return res;
+                }
+
+                cursor = details.cursor;
+
+                return this.fetchCursor(details.cursor, batchSize, dataCursor, metadataCursor)
+                    .then(batch => fetchAll(mergeBatch(details, batch, dataCursor)));
+            };
+
+            return this.openCursor(fn, batchSize, dataCursor, metadataCursor)
+                .then(fetchAll)
+                .then(res => this.releaseCursor().then(() => res))
+                .catch(err => {
+                    // If a batch cannot be retrieved, the cursor should be
+                    // closed and the statement released before reporting
+                    // the original error.
+                    const close = cursor ? this.closeCursor(cursor) : Promise.resolve();
+                    cursor = null;
+
+                    return close.catch(() => {})
+                        .then(() => this.releaseCursor())
+                        .then(() => Promise.reject(err), () => Promise.reject(err));
+                });
+        },
+
+        /**
+         * Retrieve the next batch of rows from a server-side cursor.
+         * @function
+         * @private
+         * @name Preparing#fetchCursor
+         * @param {Object} cursor - cursor state reported by the previous batch
+         * @param {number} batchSize - number of rows to retrieve
+         * @param {Function} [dataCursor] - callback function used to process result set data
+         * @param {Function} [metadataCursor] - callback function used to process result set metadata
+         * @returns {Promise.<Object>}
+         */
+        fetchCursor (cursor, batchSize, dataCursor, metadataCursor) {
+            return state.connection.getClient().cursorFetch(cursor, batchSize, dataCursor, metadataCursor);
+        },
+
+        /**
+         * Open a server-side cursor for the statement and retrieve the first
+         * batch of rows. Since cursors can only be used with prepared
+         * statements, the statement is prepared right away. If the server
+         * does not support prepared statements, the entire result set is
+         * retrieved at once using the fallback function.
+         * @function
+         * @private
+         * @name Preparing#openCursor
+         * @param {Function} fn - fallback function to execute when the server does not support prepared statements.
+         * @param {number} batchSize - number of rows to retrieve in the first batch
+         * @param {Function} [dataCursor] - callback function used to process result set data
+         * @param {Function} [metadataCursor] - callback function used to process result set metadata
+         * @returns {Promise.<Object>}
+         */
+        openCursor (fn, batchSize, dataCursor, metadataCursor) {
+            this.forgetStaleStatement();
+
+            if (state.stage === STATEMENT_STATUS.TO_RESTART || state.stage === STATEMENT_STATUS.TO_REPREPARE) {
+                return this.deallocate().then(() => this.openCursor(fn, batchSize, dataCursor, metadataCursor));
+            }
+
+            if (state.stage === STATEMENT_STATUS.TO_SKIP) {
+                return this.executePlain(fn);
+            }
+
+            if (state.stage !== STATEMENT_STATUS.TO_EXECUTE) {
+                // A statement that is executed for the first time is only
+                // prepared because of the cursor, so it should be released
+                // once the cursor is not needed anymore.
+                const isOneShot = state.stage === STATEMENT_STATUS.TO_START;
+
+                return this.prepare()
+                    .then(() => {
+                        state.isOneShot = isOneShot;
+
+                        return this.openCursor(fn, batchSize, dataCursor, metadataCursor);
+                    }, err => this.handlePrepareError(err, fn));
+            }
+
+            return state.connection.getClient().cursorOpen(this, batchSize, dataCursor, metadataCursor);
+        },
+
         /**
          * Execute a plain statement wrapped inside an operation factory function.
          * @function
@@ -193,6 +360,32 @@ function Preparing (state) {
             return this;
         },
 
+        /**
+         * Force statement to be prepared again if it was prepared in the
+         * scope of a server session that is no longer available (for
+         * instance, after the connection was re-opened).
+         * @function
+         * @private
+         * @name Preparing#forgetStaleStatement
+         * @return {Preparing}
+         */
+        forgetStaleStatement () {
+            if (state.serverId === null || state.serverId === state.connection.getServerId()) {
+                return this;
+            }
+
+            // There is nothing to deallocate in the new server session.
+            if (state.stage === STATEMENT_STATUS.TO_RESTART) {
+                state.stage = STATEMENT_STATUS.TO_START;
+            } else if (state.stage === STATEMENT_STATUS.TO_EXECUTE || state.stage === STATEMENT_STATUS.TO_REPREPARE) {
+                state.stage = STATEMENT_STATUS.TO_PREPARE;
+            }
+
+            state.serverId = null;
+
+            return this;
+        },
+
         /**
          * Get the current statement lifecycle stage.
          * @function
@@ -253,6 +446,42 @@ function Preparing (state) {
             return state.connection.getClient().prepare(this)
                 .then(() => {
                     state.stage = STATEMENT_STATUS.TO_EXECUTE;
+                    // The statement only exists in the scope of the current
+                    // server session.
+                    state.serverId = state.connection.getServerId();
+
+                    return this;
+                });
+        },
+
+        /**
+         * Deallocate a statement that was only prepared to open a server-side
+         * cursor, once the cursor has been exhausted, closed or has failed.
+         * Statements that are being re-used remain prepared.
+         * @function
+         * @private
+         * @name Preparing#releaseCursor
+         * @returns {Promise.<Preparing>}
+         */
+        releaseCursor () {
+            const isOneShot = state.isOneShot;
+            state.isOneShot = false;
+
+            // The statement does not exist anymore if the server session
+            // has changed in the meantime.
+            this.forgetStaleStatement();
+
+            if (!isOneShot || state.stage !== STATEMENT_STATUS.TO_EXECUTE) {
+                return Promise.resolve(this);
+            }
+
+            return this.deallocate()
+                .then(() => {
+                    // Like with a plain statement, the next execution means
+                    // the statement is being re-used, so it should be
+                    // prepared again.
+                    state.stage = STATEMENT_STATUS.TO_PREPARE;
+                    state.serverId = null;
 
                     return this;
                 });
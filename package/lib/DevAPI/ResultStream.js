@@ -0,0 +1,203 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const Readable = require('stream').Readable;
+const log = require('../tool/log');
+const parseExecutionOptions = require('./Util/parseExecutionOptions');
+const warnings = require('../constants/warnings');
+
+/**
+ * Number of rows retrieved by each batch when it is not explicitly specified.
+ * @private
+ * @type {number}
+ * @const
+ */
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Streaming interface for statement results.
+ * @module ResultStream
+ */
+
+/**
+ * Create a Readable stream (in object mode) that retrieves the rows of a
+ * result set in batches using a server-side cursor. A new batch is only
+ * requested to the server when the consumer is ready to process more items,
+ * which means a slow consumer stops the data from flowing through the
+ * network socket. Being a Readable stream, it can also be consumed with a
+ * "for await...of" loop.
+ * Server-side cursors are only available for prepared statements. When the
+ * server does not support them, the statement is executed without a cursor
+ * and the entire result set is buffered by the stream at once, regardless
+ * of the "highWaterMark" and of how fast it is consumed. In that case, a
+ * warning is emitted before the statement is executed.
+ * @private
+ * @alias module:ResultStream
+ * @param {Object} params
+ * @param {Connection} params.connection - database connection context
+ * @param {Preparing} params.statement - preparable statement instance
+ * @param {Function} params.fallback - returns the operation to execute when the server does not support prepared statements
+ * @param {Object} [params.options] - stream options
+ * @param {number} [params.options.batchSize=100] - number of rows to retrieve in each batch
+ * @param {Function} [params.transform] - maps the list of column values of each row to the item that is pushed
+ * @returns {stream.Readable} A Readable stream in object mode.
+ */
+function ResultStream ({ connection, statement, fallback, options, transform = row => row }) {
+    const state = { batchSize: DEFAULT_BATCH_SIZE, current: Promise.resolve(), cursor: null, done: false, fetching: false, wanted: false };
+
+    const fetch = () => {
+        // The entire result set has been retrieved.
+        if (state.done) {
+            return;
+        }
+
+        // Rows from the current batch are still arriving, so the next
+        // batch should be requested only after it finishes.
+        if (state.fetching) {
+            state.wanted = true;
+            return;
+        }
+
+        // Before trying to send any message to the server, we need to
+        // check if the connection is open (has a client instance) or if
+        // it became idle in the meantime.
+        if (!connection.isOpen() || connection.isIdle()) {
+            // There is always a default error (ERR_CONNECTION_CLOSED).
+            return stream.destroy(connection.getError());
+        }
+
+        let pushed = 0;
+
+        const push = row => {
+            if (!stream.destroyed) {
+                pushed += 1;
+                stream.push(transform(row));
+            }
+        };
+
+        state.fetching = true;
+        state.wanted = false;
+
+        // The fallback operation is only executed when the statement
+        // cannot be prepared, and thus, a cursor cannot be used.
+        const plain = () => {
+            log('stream').warning('cursor', warnings.MESSAGES.WARN_STREAM_WITHOUT_CURSOR);
+
+            return fallback(push)();
+        };
+
+        state.current = (!state.cursor ? statement.openCursor(plain, state.batchSize, push) : statement.fetchCursor(state.cursor, state.batchSize, push))
+            .then(details => {
+                state.fetching = false;
+                // When the server does not support prepared statements,
+                // the entire result set is retrieved at once, and there
+                // is no cursor.
+                state.cursor = details && details.cursor && details.cursor.suspended ? details.cursor : null;
+
+                if (stream.destroyed) {
+                    return state.cursor;
+                }
+
+                if (!state.cursor) {
+                    state.done = true;
+
+                    // A statement that was only prepared to open the
+                    // cursor should be released before the stream ends.
+                    return statement.releaseCursor()
+                        .then(() => {
+                            stream.push(null);
+                            return state.cursor;
+                        });
+                }
+
+                // The stream is still waiting for data that was requested
+                // while the previous batch was arriving (or the batch did
+                // not contain anything to satisfy the current request).
+                if (state.wanted || !pushed) {
+                    fetch();
+                }
+
+                return state.cursor;
+            })
+            .catch(err => {
+                state.fetching = false;
+
+                stream.destroy(err);
+
+                // The cursor that was open before the batch failed (if
+                // any) still needs to be closed.
+                return state.cursor;
+            });
+    };
+
+    let error;
+
+    try {
+        state.batchSize = parseExecutionOptions([options]).options.batchSize || DEFAULT_BATCH_SIZE;
+    } catch (err) {
+        error = err;
+    }
+
+    const stream = new Readable({
+        // The stream should not buffer more than a single batch.
+        highWaterMark: state.batchSize,
+        objectMode: true,
+
+        read () {
+            fetch();
+        },
+
+        destroy (err, callback) {
+            // If the stream is destroyed before the result set has been
+            // entirely consumed, the server-side cursor needs to be closed,
+            // but only after the pending batch (if any) is finished. Then,
+            // a statement that was only prepared to open the cursor should
+            // be released.
+            state.current
+                .then(cursor => cursor ? statement.closeCursor(cursor) : undefined)
+                .catch(() => {})
+                .then(() => statement.releaseCursor())
+                .then(() => callback(err))
+                .catch(() => callback(err));
+        }
+    });
+
+    if (error) {
+        stream.destroy(error);
+    }
+
+    return stream;
+}
+
+ResultStream.DEFAULT_BATCH_SIZE = DEFAULT_BATCH_SIZE;
+
+module.exports = ResultStream;
@@ -37,6 +37,81 @@ const schema = require('./Schema');
 const sqlExecute = require('./SqlExecute');
 const util = require('util');
 const warnings = require('../constants/warnings');
+const xaTransaction = require('./XaTransaction');
+const { isValidBoolean, isValidInteger, isValidPlainObject, isValidString } = require('../validator');
+
+/**
+ * List of transaction isolation levels supported by the server.
+ * @private
+ */
+const ISOLATION_LEVELS = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+
+/**
+ * List of server errors after which a transaction can be safely retried
+ * from scratch.
+ * @private
+ */
+const RETRYABLE_ERRORS = [errors.ERR_LOCK_DEADLOCK, errors.ERR_LOCK_WAIT_TIMEOUT];
+
+/**
+ * Transaction characteristics.
+ * @typedef {Object} TransactionOptions
+ * @prop {string} [isolationLevel] - isolation level of the transaction ("READ UNCOMMITTED", "READ COMMITTED", "REPEATABLE READ" or "SERIALIZABLE")
+ * @prop {boolean} [readOnly] - start a read-only ("true") or read-write ("false") transaction
+ * @prop {boolean} [withConsistentSnapshot=false] - start a consistent read right away
+ */
+const VALID_TRANSACTION_OPTIONS = ['isolationLevel', 'readOnly', 'withConsistentSnapshot'];
+
+/**
+ * Options of a managed transaction.
+ * @typedef {module:Session~TransactionOptions} ManagedTransactionOptions
+ * @prop {number} [retries=0] - number of times the transaction is retried when it fails due to a deadlock or lock wait timeout
+ */
+const VALID_MANAGED_TRANSACTION_OPTIONS = VALID_TRANSACTION_OPTIONS.concat('retries');
+
+/**
+ * Validate the options of a transaction.
+ * @private
+ * @param {module:Session~ManagedTransactionOptions} options
+ * @param {string[]} validKeys - list of supported options
+ * @returns {boolean}
+ * @throws when the options contain unknown properties or properties with
+ * invalid values
+ */
+function validateTransactionOptions (options, validKeys) {
+    if (!isValidPlainObject({ value: options })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION_VALUE, 'options', options));
+    }
+
+    const invalidKeys = Object.keys(options).filter(k => validKeys.indexOf(k) === -1);
+
+    if (invalidKeys.length) {
+        throw new Error(util.format(errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION, invalidKeys[0]));
+    }
+
+    const { isolationLevel, readOnly, retries, withConsistentSnapshot } = options;
+
+    if (!isValidInteger({ value: retries, min: 0 })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION_VALUE, 'retries', retries));
+    }
+
+    // Isolation levels are case insensitive.
+    const level = typeof isolationLevel === 'string' ? isolationLevel.toUpperCase() : isolationLevel;
+
+    if (!isValidString({ value: level, pattern: `^(${ISOLATION_LEVELS.join('|')})$` })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION_VALUE, 'isolationLevel', isolationLevel));
+    }
+
+    if (!isValidBoolean({ value: readOnly })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION_VALUE, 'readOnly', readOnly));
+    }
+
+    if (!isValidBoolean({ value: withConsistentSnapshot })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION_VALUE, 'withConsistentSnapshot', withConsistentSnapshot));
+    }
+
+    return true;
+}
 
 /**
  * XDevAPI session API.
@@ -53,6 +128,12 @@ function Session (connection) {
     // With a connection pool, the connection instance is re-used in different
     // sessions. This means each session needs to have its own view of it.
     const state = {
+        // Keeps track of an ongoing transaction, where each nested
+        // transaction corresponds to a savepoint ("null" means there is no
+        // transaction).
+        transaction: null,
+        // Keeps track of an active XA transaction.
+        xa: null,
         properties: {
             auth: connection.getAuth(),
             host: connection.getServerHostname(),
@@ -82,12 +163,31 @@ function Session (connection) {
 
     return {
         /**
-         * Commit an ongoing database transaction in the scope of the current session.
+         * Commit an ongoing database transaction in the scope of the current
+         * session. If the transaction is nested, the corresponding savepoint
+         * is released instead.
          * @function
          * @name module:Session#commit
          * @returns {Promise}
          */
         commit () {
+            if (state.transaction && state.transaction.savepoints.length) {
+                const transaction = state.transaction;
+
+                // The nested transaction is only finished if the savepoint
+                // is effectively released.
+                return this.releaseSavepoint(transaction.savepoints[transaction.savepoints.length - 1])
+                    .then(() => {
+                        transaction.savepoints.pop();
+                        return true;
+                    });
+            }
+
+            // Regardless of the outcome, the server does not keep the
+            // transaction open.
+            state.transaction = null;
+            connection.setInTransaction(false);
+
             return this.sql('COMMIT').execute()
                 .then(() => {
                     return true;
@@ -188,6 +288,26 @@ function Session (connection) {
             return this.getSchema(name);
         },
 
+        /**
+         * Retrieve the GTID of the last transaction committed by the
+         * session, which can be used to open a read-only session with
+         * "readYourWrites" consistency. Transactions are only tracked if
+         * the "session_track_gtids" system variable is enabled, which is
+         * done automatically for read-write sessions created by a client
+         * with endpoints that have the "replica" role.
+         * @function
+         * @name module:Session#getLastGtid
+         * @example
+         * session.sql('INSERT INTO bookings (id) VALUES (1)').execute()
+         *   .then(() => {
+         *     console.log(session.getLastGtid()); // '3E11FA47-71CA-11E1-9E33-C80AA9429562:23'
+         *   })
+         * @returns {string} The GTID or null if no transaction was tracked.
+         */
+        getLastGtid () {
+            return connection.getLastGtid();
+        },
+
         /**
          * Retrieve an instance of a schema with the given name.
          * @function
@@ -225,6 +345,63 @@ function Session (connection) {
             return state.properties;
         },
 
+        /**
+         * Remove a listener of a session event.
+         * @function
+         * @name module:Session#off
+         * @param {string} event - name of the event
+         * @param {function} listener - function that was previously added
+         * @returns {module:Session} The session instance.
+         */
+        off (event, listener) {
+            connection.getEvents().removeListener(event, listener);
+            return this;
+        },
+
+        /**
+         * Listen to a session event ("warning", "variableChanged",
+         * "stateChanged", "serverShutdown", "groupReplicationStateChanged",
+         * "topologyChanged", "topologyError" or "close"). Listeners receive
+         * an object with the details decoded from the corresponding server
+         * notice, the list of group members, the error that prevented the
+         * topology from being refreshed or, in the case of "close", whether
+         * the connection was lost due to an error.
+         * @function
+         * @name module:Session#on
+         * @example
+         * session.on('stateChanged', ({ parameter, values }) => {
+         *   if (parameter === 'ACCOUNT_EXPIRED') {
+         *     console.log('the password needs to be changed');
+         *   }
+         * })
+         *
+         * session.on('close', ({ hadError, error }) => {
+         *   if (hadError) {
+         *     console.log(`the connection was lost: ${error.message}`);
+         *   }
+         * })
+         * @param {string} event - name of the event
+         * @param {function} listener - function called when the event happens
+         * @returns {module:Session} The session instance.
+         */
+        on (event, listener) {
+            connection.getEvents().on(event, listener);
+            return this;
+        },
+
+        /**
+         * Listen to a session event only once.
+         * @function
+         * @name module:Session#once
+         * @param {string} event - name of the event
+         * @param {function} listener - function called the next time the event happens
+         * @returns {module:Session} The session instance.
+         */
+        once (event, listener) {
+            connection.getEvents().once(event, listener);
+            return this;
+        },
+
         /**
          * Release a given savepoint from an ongoing transaction in the
          * database.
@@ -244,12 +421,32 @@ function Session (connection) {
 
         /**
          * Roll back an ongoing database transaction in the scope of the
-         * current session.
+         * current session. If the transaction is nested, only the changes
+         * made after the corresponding savepoint are rolled back.
          * @function
          * @name module:Session#rollback
          * @returns {Promise}
          */
         rollback () {
+            if (state.transaction && state.transaction.savepoints.length) {
+                const transaction = state.transaction;
+                const name = transaction.savepoints[transaction.savepoints.length - 1];
+
+                // The savepoint is not needed anymore, but the nested
+                // transaction is only finished if it is effectively released.
+                return this.rollbackTo(name)
+                    .then(() => {
+                        return this.releaseSavepoint(name);
+                    })
+                    .then(() => {
+                        transaction.savepoints.pop();
+                        return true;
+                    });
+            }
+
+            state.transaction = null;
+            connection.setInTransaction(false);
+
             return this.sql('ROLLBACK').execute()
                 .then(() => {
                     return true;
@@ -307,15 +504,200 @@ function Session (connection) {
 
         /**
          * Begin a new database transaction in the scope of the current
-         * session.
+         * session. If there is already an ongoing transaction, the new one
+         * is nested using a savepoint, which means it is committed or rolled
+         * back independently of the outer transaction (and shares its
+         * characteristics).
          * @function
          * @name module:Session#startTransaction
+         * @example
+         * session.startTransaction({ isolationLevel: 'REPEATABLE READ', readOnly: true, withConsistentSnapshot: true })
+         * @param {module:Session~TransactionOptions} [options] - transaction characteristics
          * @returns {Promise}
          */
-        startTransaction () {
-            return this.sql('BEGIN').execute()
+        startTransaction (options = {}) {
+            try {
+                validateTransactionOptions(options, VALID_TRANSACTION_OPTIONS);
+            } catch (err) {
+                return Promise.reject(err);
+            }
+
+            // An XA transaction needs to be finished before a regular one
+            // can be started.
+            if (state.xa) {
+                return Promise.reject(new Error(errors.MESSAGES.ERR_XA_TRANSACTION_ACTIVE));
+            }
+
+            const { isolationLevel, readOnly, withConsistentSnapshot } = options;
+
+            if (state.transaction) {
+                // The characteristics of a transaction cannot be changed
+                // while it is in progress.
+                if (Object.keys(options).some(k => typeof options[k] !== 'undefined')) {
+                    return Promise.reject(new Error(errors.MESSAGES.ERR_NESTED_TRANSACTION_OPTIONS));
+                }
+
+                const transaction = state.transaction;
+
+                return this.setSavepoint()
+                    .then(name => {
+                        transaction.savepoints.push(name);
+                        return true;
+                    });
+            }
+
+            state.transaction = { savepoints: [] };
+            connection.setInTransaction(true);
+
+            const modifiers = [];
+
+            if (withConsistentSnapshot) {
+                modifiers.push('WITH CONSISTENT SNAPSHOT');
+            }
+
+            if (typeof readOnly !== 'undefined') {
+                modifiers.push(readOnly ? 'READ ONLY' : 'READ WRITE');
+            }
+
+            // The isolation level only applies to the next transaction.
+            const setup = isolationLevel ? this.sql(`SET TRANSACTION ISOLATION LEVEL ${isolationLevel.toUpperCase()}`).execute() : Promise.resolve();
+
+            return setup
+                .then(() => {
+                    return this.sql(modifiers.length ? `START TRANSACTION ${modifiers.join(', ')}` : 'BEGIN').execute();
+                })
                 .then(() => {
                     return true;
+                })
+                .catch(err => {
+                    state.transaction = null;
+                    connection.setInTransaction(false);
+                    throw err;
+                });
+        },
+
+        /**
+         * Run a function in the scope of a database transaction. The
+         * transaction is committed if the function succeeds, or rolled back
+         * if it fails. When the transaction fails because of a deadlock or
+         * a lock wait timeout, it is retried from scratch, up to the given
+         * number of times.
+         * @function
+         * @name module:Session#withTransaction
+         * @example
+         * session.withTransaction(session => {
+         *   return session.getSchema('mySchema').getTable('myTable')
+         *     .update()
+         *     .where('id = 1')
+         *     .set('balance', 0)
+         *     .execute()
+         * }, { retries: 3, isolationLevel: 'SERIALIZABLE' })
+         * @param {function} fn - function that receives the session instance and returns a Promise
+         * @param {module:Session~ManagedTransactionOptions} [options] - transaction options
+         * @returns {Promise} A Promise that resolves to the value returned by the function.
+         */
+        withTransaction (fn, options = {}) {
+            try {
+                validateTransactionOptions(options, VALID_MANAGED_TRANSACTION_OPTIONS);
+            } catch (err) {
+                return Promise.reject(err);
+            }
+
+            const { retries = 0 } = options;
+            // A deadlock or a lock wait timeout rolls back the entire
+            // transaction, so a nested transaction cannot be retried by
+            // itself, and it cannot change the transaction characteristics
+            // either.
+            const nested = state.transaction !== null;
+            const characteristics = {};
+
+            if (!nested) {
+                VALID_TRANSACTION_OPTIONS.filter(k => typeof options[k] !== 'undefined').forEach(k => {
+                    characteristics[k] = options[k];
+                });
+            }
+
+            const attempt = remaining => {
+                return this.startTransaction(characteristics)
+                    .then(() => fn(this))
+                    .then(result => this.commit().then(() => result))
+                    .catch(err => {
+                        return this.rollback()
+                            // The original error is the one that matters.
+                            .catch(() => {})
+                            .then(() => {
+                                if (!nested && remaining > 0 && err.info && RETRYABLE_ERRORS.indexOf(err.info.code) > -1) {
+                                    return attempt(remaining - 1);
+                                }
+
+                                throw err;
+                            });
+                    });
+            };
+
+            return attempt(retries);
+        },
+
+        /**
+         * Create an XA transaction with the given identifier in the scope of
+         * the current session. While the XA transaction is active, regular
+         * transactions cannot be started.
+         * @function
+         * @name module:Session#xa
+         * @example
+         * const xa = session.xa({ gtrid: 'booking-123', bqual: 'payments', formatId: 1 })
+         *
+         * xa.start()
+         *   .then(() => session.sql('UPDATE accounts SET balance = balance - 10 WHERE id = 1').execute())
+         *   .then(() => xa.end())
+         *   .then(() => xa.prepare())
+         *   .then(() => xa.commit())
+         * @param {string|module:XaTransaction~Xid} xid - transaction identifier (a string is used as the "gtrid")
+         * @throws when the transaction identifier is not valid
+         * @returns {module:XaTransaction}
+         */
+        xa (xid) {
+            // The same XA transaction can be identified using a string or
+            // an object, so we compare the encoded identifiers.
+            const key = xaTransaction.escapeXid(xid);
+
+            return xaTransaction(this, xid, {
+                onStart: () => {
+                    state.xa = key;
+                    connection.setInTransaction(true);
+                },
+                onFinish: () => {
+                    // Finishing a different XA transaction (for instance,
+                    // one that was recovered) does not affect the active one.
+                    if (state.xa !== key) {
+                        return;
+                    }
+
+                    state.xa = null;
+                    connection.setInTransaction(false);
+                }
+            });
+        },
+
+        /**
+         * Retrieve the identifiers of the XA transactions that are in the
+         * prepared state.
+         * @function
+         * @name module:Session#xaRecover
+         * @example
+         * session.xaRecover()
+         *   .then(xids => {
+         *     return Promise.all(xids.map(xid => session.xa(xid).rollback()))
+         *   })
+         * @returns {Promise<module:XaTransaction~Xid[]>}
+         */
+        xaRecover () {
+            // The identifiers are converted to hexadecimal in order to
+            // preserve the boundary between "gtrid" and "bqual".
+            return this.sql('XA RECOVER CONVERT XID')
+                .execute()
+                .then(res => {
+                    return res.fetchAll().map(row => xaTransaction.decodeXid(row));
                 });
         }
     };
@@ -30,11 +30,16 @@
 
 'use strict';
 
+const abortable = require('./Util/abortable');
 const columnWrapper = require('./Util/columnWrapper');
 const deprecated = require('./Util/deprecated');
+const parseExecutionOptions = require('./Util/parseExecutionOptions');
 const parseFlexibleParamList = require('./Util/parseFlexibleParamList');
+const preparing = require('./Preparing');
 const statement = require('./Statement');
 const result = require('./SqlResult');
+const resultStream = require('./ResultStream');
+const transactionState = require('./Util/transactionState');
 
 /**
  * SqlExecute factory.
@@ -52,7 +57,11 @@ const result = require('./SqlResult');
  * @returns {SqlExecute}
  */
 function SqlExecute (connection, raw, args, namespace) {
-    return Object.assign({}, statement({ args: args || [], raw, namespace: namespace || statement.Type.CLASSIC }), {
+    const base = statement({ args: args || [], raw, namespace: namespace || statement.Type.CLASSIC });
+    // Server-side cursors are only available for prepared statements.
+    const state = { preparable: Object.assign({}, base, preparing({ connection })) };
+
+    return Object.assign({}, base, {
         /**
          * Bind values to ordinal query placeholders.
          * @function
@@ -88,6 +97,7 @@ function SqlExecute (connection, raw, args, namespace) {
          * @name module:SqlExecute#execute
          * @param {module:SqlExecute~rowCursor} rowcb - Callback function to handle results, or an object with both callback functions.
          * @param {module:SqlExecute~metadataCursor} [metacb] - Callback function to handle metadata.
+         * @param {ExecutionOptions} [options] - additional execution options
          * @example
          * // provide only a callback to handle results
          * query.execute(result => {})
@@ -99,22 +109,39 @@ function SqlExecute (connection, raw, args, namespace) {
          * // provide callbacks to handle results and metadata
          * query.execute(result => {}, meta => {})
          * query.execute({ result () {}, meta () {} })
+         *
+         * // retrieve the rows in batches of 100 using a server-side cursor
+         * query.execute({ batchSize: 100 })
+         * query.execute(result => {}, meta => {}, { batchSize: 100 })
+         *
+         * // abort the statement if it takes more than 5 seconds
+         * query.execute({ timeout: 5000 })
          * @returns {Promise<module:SqlResult>}
          */
         execute () {
             // The object syntax is not supported neither by the TableSelect
             // API nor any other connector, so we are deprecating it.
-            if (typeof arguments[0] === 'object') {
+            // Execution options are also specified using an object but it
+            // does not contain any of the callback properties.
+            const isLegacy = !!arguments[0] && typeof arguments[0] === 'object' && (typeof arguments[0].row !== 'undefined' || typeof arguments[0].meta !== 'undefined');
+
+            if (isLegacy) {
                 deprecated('Using an object in execute() is a deprecated behavior since version 8.0.22 and will not be available in future versions. Use the execute(dataCallback, metadataCallback) signature instead.');
             }
 
-            // TODO(Rui): use default values after upgrading the node.js engine to a later major version.
-            const rowcb = arguments[0] && typeof arguments[0] === 'object'
-                ? arguments[0].row
-                : arguments[0];
-            const metacb = arguments[0] && typeof arguments[0] === 'object'
-                ? columnWrapper(arguments[0].meta)
-                : columnWrapper(arguments[1]);
+            let callbacks, options;
+
+            try {
+                const args = parseExecutionOptions(isLegacy ? [arguments[0].row, arguments[0].meta] : arguments);
+
+                callbacks = args.callbacks;
+                options = args.options;
+            } catch (err) {
+                return Promise.reject(err);
+            }
+
+            const rowcb = callbacks[0];
+            const metacb = columnWrapper(callbacks[1]);
 
             // Before trying to send any message to the server, we need to
             // check if the connection is open (has a client instance) or if
@@ -124,8 +151,29 @@ function SqlExecute (connection, raw, args, namespace) {
                 return Promise.reject(connection.getError());
             }
 
-            return connection.getClient().sqlStmtExecute(this, rowcb, metacb)
+            const execution = () => !options.batchSize
+                ? connection.getClient().sqlStmtExecute(this, rowcb, metacb)
+                : state.preparable.executeWithCursor(() => connection.getClient().sqlStmtExecute(this, rowcb, metacb), options.batchSize, rowcb, metacb);
+
+            return abortable(connection, execution, options)
                 .then(details => {
+                    // Transactions started with plain SQL (for instance,
+                    // "BEGIN" or "SET autocommit = 0") must be visible to
+                    // the connection, otherwise statements executed in
+                    // their scope might be retried after the connection is
+                    // lost, outside of the transaction.
+                    if (this.getNamespace() === statement.Type.CLASSIC) {
+                        const { isInTransaction, isAutocommit } = transactionState(this.getSQL());
+
+                        if (typeof isAutocommit !== 'undefined') {
+                            connection.setAutocommit(isAutocommit);
+                        }
+
+                        if (typeof isInTransaction !== 'undefined') {
+                            connection.setInTransaction(isInTransaction);
+                        }
+                    }
+
                     // We want to be able to reuse the statements and execute
                     // them either with the same or with different placeholder
                     // values. For that, we need to freeze the statement, in
@@ -138,6 +186,30 @@ function SqlExecute (connection, raw, args, namespace) {
 
                     return result(details);
                 });
+        },
+
+        /**
+         * Retrieve the rows of the result set as a stream. When the server
+         * does not support prepared statements, the entire result set is
+         * retrieved at once and a warning is emitted.
+         * @function
+         * @name module:SqlExecute#stream
+         * @param {Object} [options] - stream options
+         * @param {number} [options.batchSize=100] - number of rows to retrieve from the server at a time
+         * @example
+         * // consume the rows using an async iterator
+         * for await (const row of session.sql('SELECT * FROM person').stream()) {
+         *   // do something with the list of column values of the current row
+         * }
+         * @returns {stream.Readable} A Readable stream in object mode where each item is the list of column values of a row.
+         */
+        stream (options) {
+            const fallback = push => () => connection.getClient().sqlStmtExecute(this, push);
+
+            // Like with "execute()", the statement can be re-used with
+            // different placeholder values.
+            return resultStream({ connection, statement: state.preparable, fallback, options })
+                .on('end', () => this.freeze());
         }
     });
 }
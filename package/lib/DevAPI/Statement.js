@@ -30,6 +30,8 @@
 
 'use strict';
 
+const MessageType = require('../Protocol/Stubs/mysqlx_prepare_pb').Prepare.OneOfMessage.Type;
+
 const Type = { CLASSIC: 'sql', X_PLUGIN: 'mysqlx' };
 
 /**
@@ -126,6 +128,17 @@ function Statement (state) {
          */
         getSession () {
             return state.session;
+        },
+
+        /**
+         * Retrieve the type of statement.
+         * @function
+         * @private
+         * @name Statement#getType
+         * @returns {proto.Mysqlx.Prepare.Prepare.OneOfMessage.Type} The statement type enum.
+         */
+        getType () {
+            return MessageType.STMT;
         }
     };
 }
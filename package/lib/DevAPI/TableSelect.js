@@ -30,14 +30,18 @@
 
 'use strict';
 
+const abortable = require('./Util/abortable');
 const columnWrapper = require('./Util/columnWrapper');
 const binding = require('./Binding');
 const grouping = require('./Grouping');
 const locking = require('./Locking');
+const parseExecutionOptions = require('./Util/parseExecutionOptions');
 const preparing = require('./Preparing');
 const projecting = require('./Projecting');
 const query = require('./Query');
 const result = require('./RowResult');
+const resultStream = require('./ResultStream');
+const retryable = require('./Util/retryable');
 const skipping = require('./Skipping');
 const tableOrdering = require('./TableOrdering');
 
@@ -89,21 +93,83 @@ function TableSelect (connection, schema, tableName, projections) {
          * @name module:TableSelect#execute
          * @param {module:TableSelect~rowCursor} [dataCursor]
          * @param {module:TableSelect~metadataCursor} [metadataCursor]
+         * @param {ExecutionOptions} [options] - additional execution options
+         * @example
+         * // retrieve the rows in batches of 100 using a server-side cursor
+         * table.select().execute({ batchSize: 100 })
+         * table.select().execute(row => {}, metadata => {}, { batchSize: 100 })
+         *
+         * // abort the query if it takes more than 5 seconds
+         * table.select().execute({ timeout: 5000 })
          * @return {Promise.<module:RowResult>}
          */
-        execute (dataCursor, metadataCursor) {
-            // Before trying to send any message to the server, we need to
-            // check if the connection is open (has a client instance) or if
-            // it became idle in the meantime.
-            if (!connection.isOpen() || connection.isIdle()) {
-                // There is always a default error (ERR_CONNECTION_CLOSED).
-                return Promise.reject(connection.getError());
+        execute () {
+            let dataCursor, metadataCursor, options;
+
+            try {
+                const args = parseExecutionOptions(arguments);
+
+                dataCursor = args.callbacks[0];
+                metadataCursor = args.callbacks[1];
+                options = args.options;
+            } catch (err) {
+                return Promise.reject(err);
             }
 
-            const fn = () => connection.getClient().crudFind(this, dataCursor, columnWrapper(metadataCursor));
+            // Keeps track of rows that were already delivered to the
+            // application, in which case, the statement cannot be retried.
+            let isDelivered = false;
+
+            let rowCursor;
+
+            if (dataCursor) {
+                rowCursor = row => {
+                    isDelivered = true;
+                    dataCursor(row);
+                };
+            }
+
+            const fn = () => connection.getClient().crudFind(this, rowCursor, columnWrapper(metadataCursor));
+
+            const execution = () => {
+                // Before trying to send any message to the server, we need to
+                // check if the connection is open (has a client instance) or
+                // if it became idle in the meantime.
+                if (!connection.isOpen() || connection.isIdle()) {
+                    // There is always a default error (ERR_CONNECTION_CLOSED).
+                    return Promise.reject(connection.getError());
+                }
 
-            return state.preparable.execute(fn, dataCursor, columnWrapper(metadataCursor))
+                return options.batchSize
+                    ? state.preparable.executeWithCursor(fn, options.batchSize, rowCursor, columnWrapper(metadataCursor))
+                    : state.preparable.execute(fn, rowCursor, columnWrapper(metadataCursor));
+            };
+
+            // Retrieving rows is idempotent, so the statement can be retried
+            // if the connection is lost.
+            return abortable(connection, () => retryable(connection, execution, { isSafe: () => !isDelivered }), options)
                 .then(details => result(details));
+        },
+
+        /**
+         * Retrieve the rows that match the query as a stream. When the
+         * server does not support prepared statements, all the rows are
+         * retrieved at once and a warning is emitted.
+         * @function
+         * @name module:TableSelect#stream
+         * @param {Object} [options] - stream options
+         * @param {number} [options.batchSize=100] - number of rows to retrieve from the server at a time
+         * @example
+         * // consume the rows using an async iterator
+         * for await (const row of table.select().stream()) {
+         *   // do something with the list of column values of the current row
+         * }
+         * @returns {stream.Readable} A Readable stream in object mode where each item is the list of column values of a row.
+         */
+        stream (options) {
+            const fallback = push => () => connection.getClient().crudFind(this, push);
+
+            return resultStream({ connection, statement: state.preparable, fallback, options });
         }
     });
 }
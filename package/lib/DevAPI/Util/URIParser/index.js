@@ -32,6 +32,7 @@
 
 const parseAddressList = require('./parseAddressList');
 const parseAuthenticationMechanism = require('./parseAuthenticationMechanism');
+const parseCompression = require('./parseCompression');
 const parseConnectTimeout = require('./parseConnectTimeout');
 const parseSchema = require('./parseSchema');
 const parseSecurityOptions = require('./parseSecurityOptions');
@@ -83,6 +84,7 @@ function parse (input) {
 
     return {
         auth: parseAuthenticationMechanism(base[5]),
+        compression: parseCompression(base[5]),
         connectTimeout: parseConnectTimeout(base[5]),
         connectionAttributes: parseConnectionAttributes(base[5]),
         endpoints: parseAddressList(addressSegment),
@@ -0,0 +1,74 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const Compression = require('../../../Protocol/Compression');
+const errors = require('../../../constants/errors');
+const parseQueryParameters = require('./parseQueryParameters');
+const util = require('util');
+
+module.exports = parse;
+
+/**
+ * Parse compression options.
+ * @private
+ * @param {string} input - URI querystring
+ * @returns {Object} Compression section dictionary for URI properties object.
+ * @throws {Error} When the list contains algorithms that are not supported by the client.
+ */
+function parse (input = '') {
+    const match = input.trim().match(/^\?([^#]+)/) || [];
+    const params = parseQueryParameters(match[1], { allowDuplicates: false, ignoreCase: ['compression', 'compression-algorithms'] });
+    const options = {};
+
+    if (typeof params.compression !== 'undefined') {
+        options.enabled = params.compression;
+    }
+
+    if (typeof params['compression-algorithms'] === 'undefined') {
+        return options;
+    }
+
+    // The list of algorithms can be specified with or without square
+    // brackets, i.e. "[deflate_stream,lz4_message]" or
+    // "deflate_stream,lz4_message".
+    const list = params['compression-algorithms'].replace(/^\[(.*)\]$/, '$1');
+
+    options.algorithms = !list.length ? [] : list.split(',').map(algorithm => algorithm.trim());
+
+    // Algorithms defined by the X Protocol but not implemented by the
+    // client (such as "lz4_message" and "zstd_stream") are not accepted.
+    if (options.algorithms.some(algorithm => Compression.SUPPORTED_ALGORITHMS.indexOf(algorithm) === -1)) {
+        throw new Error(util.format(errors.MESSAGES.ERR_INVALID_COMPRESSION_ALGORITHMS, Compression.SUPPORTED_ALGORITHMS.join(', ')));
+    }
+
+    return options;
+}
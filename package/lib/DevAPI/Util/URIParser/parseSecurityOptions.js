@@ -74,7 +74,13 @@ function parse (input) {
         options['tls-ciphersuites'] = ciphersuites;
     }
 
-    delete options['ssl-mode'];
+    // The mode is only relevant when TLS is enabled. The value is case
+    // insensitive, but the connection option uses uppercase.
+    if (isSecure && params['ssl-mode']) {
+        options['ssl-mode'] = params['ssl-mode'].toUpperCase();
+    } else {
+        delete options['ssl-mode'];
+    }
 
     return Object.keys(options).reduce((result, key) => {
         const match = key.trim().match(/^ssl-(.+)$/) || key.trim().match(/^tls-(.+)$/) || [];
@@ -0,0 +1,137 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const errors = require('../../constants/errors');
+const util = require('util');
+
+/**
+ * Create the error used to reject a statement execution that was aborted.
+ * @private
+ * @param {string} message - error message
+ * @returns {Error}
+ */
+function abortError (message) {
+    const error = new Error(message);
+    // Follows the convention used by the platform for aborted operations.
+    error.name = 'AbortError';
+    error.code = 'ABORT_ERR';
+
+    return error;
+}
+
+/**
+ * Run a statement execution that can be aborted, either by an AbortSignal
+ * or because it takes too long. When that happens, the statement is
+ * interrupted in the server, using a separate connection, and the pending
+ * execution fails with an "AbortError". The execution only fails after the
+ * interrupted statement finishes and the attempt to interrupt it is over,
+ * otherwise, a late interruption could affect the next statement that is
+ * executed in the same connection.
+ * @private
+ * @param {module:Connection} connection - connection where the statement is being executed
+ * @param {function} execute - function that starts the execution and returns a Promise
+ * @param {ExecutionOptions} [options] - execution options
+ * @returns {Promise}
+ */
+module.exports = function (connection, execute, { signal, timeout = 0 } = {}) {
+    if (!signal && !timeout) {
+        return execute();
+    }
+
+    if (signal && signal.aborted) {
+        return Promise.reject(abortError(errors.MESSAGES.ERR_STATEMENT_ABORTED));
+    }
+
+    return new Promise((resolve, reject) => {
+        // Error used to reject the execution once it has been aborted.
+        let abortedWith = null;
+        let isFinished = false;
+        let timer;
+
+        const cleanup = () => {
+            clearTimeout(timer);
+
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+
+        const execution = execute();
+
+        const abort = message => {
+            if (isFinished || abortedWith) {
+                return;
+            }
+
+            abortedWith = abortError(message);
+            cleanup();
+
+            const kill = connection.killQuery()
+                .catch(err => {
+                    // If the statement cannot be interrupted, the execution
+                    // still fails once it finishes, but the application
+                    // should be able to know why it took longer.
+                    abortedWith.cause = err;
+                });
+
+            // The server eventually reports an error for the interrupted
+            // statement, which means the connection is ready to be used
+            // again.
+            Promise.all([kill, execution.catch(() => {})])
+                .then(() => reject(abortedWith));
+        };
+
+        const onAbort = () => abort(errors.MESSAGES.ERR_STATEMENT_ABORTED);
+
+        const finish = fn => value => {
+            // An aborted execution is rejected by the abort handler.
+            if (abortedWith) {
+                return;
+            }
+
+            isFinished = true;
+            cleanup();
+
+            fn(value);
+        };
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+
+        if (timeout > 0) {
+            timer = setTimeout(() => abort(util.format(errors.MESSAGES.ERR_STATEMENT_TIMEOUT, timeout)), timeout);
+        }
+
+        execution.then(finish(resolve), finish(reject));
+    });
+};
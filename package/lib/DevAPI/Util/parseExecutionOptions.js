@@ -0,0 +1,93 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const errors = require('../../constants/errors');
+const util = require('util');
+const { isValidInteger, isValidPlainObject } = require('../../validator');
+
+/**
+ * Statement execution options.
+ * @typedef {Object} ExecutionOptions
+ * @prop {number} [batchSize] - number of rows to retrieve at a time using a server-side cursor
+ * @prop {AbortSignal} [signal] - signal used to abort the execution
+ * @prop {number} [timeout=0] - maximum number of milliseconds the execution can take before it is aborted (0 - infinite)
+ */
+const VALID_OPTIONS = ['batchSize', 'signal', 'timeout'];
+
+/**
+ * Split the list of arguments provided to "execute()" into the list of
+ * callbacks and the trailing (and optional) object containing additional
+ * execution options.
+ * @private
+ * @param {Array<*>} [args] - list of arguments provided to "execute()"
+ * @returns {Object} An object containing the list of "callbacks" and the
+ * execution "options".
+ * @throws when the execution options contain unknown properties or
+ * properties with invalid values
+ */
+module.exports = function (args = []) {
+    const callbacks = Array.prototype.slice.call(args);
+    const last = callbacks[callbacks.length - 1];
+
+    // Any execution option is specified using a plain JavaScript object
+    // which should be the last argument.
+    if (!callbacks.length || typeof last !== 'object' || !isValidPlainObject({ value: last })) {
+        return { callbacks, options: {} };
+    }
+
+    const options = callbacks.pop();
+    const invalidKeys = Object.keys(options).filter(k => VALID_OPTIONS.indexOf(k) === -1);
+
+    if (invalidKeys.length) {
+        throw new Error(util.format(errors.MESSAGES.ERR_EXECUTION_INVALID_OPTION, invalidKeys[0]));
+    }
+
+    // The batch size determines how many rows are retrieved by each
+    // Mysqlx.Cursor.Open and Mysqlx.Cursor.Fetch message, so it must be
+    // a positive integer.
+    if (!isValidInteger({ value: options.batchSize, min: 1 })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_EXECUTION_INVALID_OPTION_VALUE, 'batchSize', options.batchSize));
+    }
+
+    // Any implementation of the AbortSignal interface should work.
+    if (typeof options.signal !== 'undefined' && (!options.signal || typeof options.signal.aborted !== 'boolean' || typeof options.signal.addEventListener !== 'function')) {
+        throw new Error(util.format(errors.MESSAGES.ERR_EXECUTION_INVALID_OPTION_VALUE, 'signal', options.signal));
+    }
+
+    if (!isValidInteger({ value: options.timeout, min: 0 })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_EXECUTION_INVALID_OPTION_VALUE, 'timeout', options.timeout));
+    }
+
+    return { callbacks, options };
+};
+
+module.exports.VALID_OPTIONS = VALID_OPTIONS;
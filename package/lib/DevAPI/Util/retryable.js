@@ -0,0 +1,95 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const errors = require('../../constants/errors');
+
+/**
+ * Network error codes that mean the connection to the server was lost.
+ * @private
+ */
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ENOMOREHOSTS', 'EPIPE', 'ETIMEDOUT'];
+
+/**
+ * Check if an error means the connection to the server was lost.
+ * @private
+ * @param {Error} err - error reported by the statement execution
+ * @returns {boolean}
+ */
+function isConnectionLoss (err) {
+    if (err.message === errors.MESSAGES.ERR_SERVER_GONE_AWAY) {
+        return true;
+    }
+
+    if (err.info && err.info.code === errors.ERR_SERVER_SHUTDOWN) {
+        return true;
+    }
+
+    return CONNECTION_ERRORS.indexOf(err.code) > -1 || CONNECTION_ERRORS.indexOf(err.name) > -1;
+}
+
+/**
+ * Run an idempotent statement execution that is retried, on a new
+ * connection, if the current one is lost, according to the re-connect
+ * options. Statements are never retried when the connection has been
+ * released back into a pool or when there is an ongoing transaction.
+ * @private
+ * @param {module:Connection} connection - connection where the statement is being executed
+ * @param {function} execute - function that starts the execution and returns a Promise
+ * @param {Object} [options]
+ * @param {function} [options.isSafe] - checks if the execution can be retried (for instance, when no data was delivered to the application yet)
+ * @returns {Promise}
+ */
+module.exports = function (connection, execute, { isSafe = () => true } = {}) {
+    const attempt = n => {
+        const execution = n === 0 ? execute() : connection.reconnect().then(() => execute());
+
+        return execution.catch(err => {
+            if (!isConnectionLoss(err)) {
+                throw err;
+            }
+
+            const { retries, backoff } = connection.getReconnectOptions();
+
+            if (n >= retries || connection.isIdle() || connection.isInTransaction() || !isSafe()) {
+                throw err;
+            }
+
+            // The interval between retries grows exponentially.
+            return new Promise(resolve => setTimeout(resolve, backoff * Math.pow(2, n)))
+                .then(() => attempt(n + 1));
+        });
+    };
+
+    return attempt(0);
+};
+
+module.exports.isConnectionLoss = isConnectionLoss;
@@ -0,0 +1,175 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const Net = require('net');
+const errors = require('../../constants/errors');
+const { Duplex } = require('stream');
+
+/**
+ * Wrap a duplex stream that is not a network socket (such as an SSH
+ * channel or one end of an in-process pair), in order to provide the
+ * subset of the network socket API used by a connection.
+ * @private
+ * @param {stream.Duplex} stream
+ * @returns {Net.Socket|stream.Duplex}
+ */
+exports.wrap = function (stream) {
+    // Network sockets (including the ones created with custom options)
+    // can be used as they are.
+    if (stream instanceof Net.Socket) {
+        return stream;
+    }
+
+    let idleTimeout = 0;
+    let timer = null;
+
+    // Like in a network socket, the "timeout" event is emitted when the
+    // stream is idle for a given amount of time.
+    const refresh = () => {
+        clearTimeout(timer);
+
+        if (idleTimeout > 0) {
+            timer = setTimeout(() => socket.emit('timeout'), idleTimeout);
+        }
+    };
+
+    const socket = new Duplex({
+        // Like network sockets, the stream should be closed when the
+        // server closes its side of the connection.
+        allowHalfOpen: false,
+        // Network sockets report if the "close" event was caused by an
+        // error, which the underlying stream does not.
+        emitClose: false,
+
+        read () {
+            stream.resume();
+        },
+
+        write (chunk, encoding, callback) {
+            refresh();
+            stream.write(chunk, encoding, callback);
+        },
+
+        final (callback) {
+            stream.end(callback);
+        },
+
+        destroy (err, callback) {
+            clearTimeout(timer);
+            stream.destroy();
+            callback(err);
+
+            process.nextTick(() => socket.emit('close', !!err));
+        }
+    });
+
+    stream.on('data', chunk => {
+        refresh();
+
+        if (!socket.push(chunk)) {
+            stream.pause();
+        }
+    });
+
+    stream.once('end', () => socket.push(null));
+    stream.once('error', err => socket.destroy(err));
+    stream.once('close', () => socket.destroy());
+
+    socket.setTimeout = value => {
+        idleTimeout = value;
+        refresh();
+
+        return socket;
+    };
+
+    // TCP keep-alive does not mean anything for an arbitrary stream.
+    socket.setKeepAlive = () => socket;
+
+    return socket;
+};
+
+/**
+ * Create the stream used by a connection to a given endpoint, using a
+ * factory provided by the application.
+ * @private
+ * @param {function} factory - function that receives the endpoint and returns a duplex stream or a Promise that resolves to one
+ * @param {Endpoint} endpoint - the endpoint to connect to
+ * @param {Object} [options]
+ * @param {number} [options.timeout=0] - maximum amount of time (ms) to wait for the stream to be created (0 means no limit)
+ * @returns {Promise<Net.Socket|stream.Duplex>}
+ */
+exports.create = function (factory, endpoint, { timeout = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        let timer = null;
+
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                const error = new Error();
+                error.name = 'ETIMEDOUT';
+
+                settled = true;
+                reject(error);
+            }, timeout);
+        }
+
+        // The factory can be synchronous, in which case, errors are thrown.
+        Promise.resolve()
+            .then(() => factory(Object.assign({}, endpoint, { host: endpoint.host || 'localhost', port: endpoint.port || 33060 })))
+            .then(stream => {
+                if (!stream || typeof stream.write !== 'function' || typeof stream.on !== 'function') {
+                    throw new Error(errors.MESSAGES.ERR_INVALID_SOCKET_FACTORY_RESULT);
+                }
+
+                // If the timeout was exceeded, the stream is not needed
+                // anymore.
+                if (settled) {
+                    return stream.destroy();
+                }
+
+                settled = true;
+                clearTimeout(timer);
+
+                resolve(exports.wrap(stream));
+            })
+            .catch(err => {
+                if (settled) {
+                    return;
+                }
+
+                settled = true;
+                clearTimeout(timer);
+
+                reject(err);
+            });
+    });
+};
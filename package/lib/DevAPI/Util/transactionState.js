@@ -0,0 +1,95 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/**
+ * Pattern that matches comments and whitespace at the beginning of a
+ * statement.
+ * @private
+ */
+const LEADING_NOISE = /^(?:\s+|\/\*[\s\S]*?\*\/|(?:--\s|#)[^\n]*(?:\n|$))+/;
+
+/**
+ * Pattern that matches an assignment of the "autocommit" session variable
+ * in the list of assignments of a SET statement.
+ * @private
+ */
+const AUTOCOMMIT_ASSIGNMENT = /(?:^|,)\s*(?:(?:SESSION|LOCAL)\s+|@@(?:SESSION\.|LOCAL\.)?)?AUTOCOMMIT\s*:?=\s*'?([^\s,';]+)/;
+
+/**
+ * Work out how a raw SQL statement changes the transaction state of the
+ * session. The server does not send a notice when a transaction starts,
+ * which means this is the only way to know about transactions started
+ * with plain SQL instead of the DevAPI. Statements that do not change the
+ * transaction state, or that cannot be classified, result in an empty
+ * object.
+ * @private
+ * @param {string} sql - raw SQL statement
+ * @returns {Object} An object with "isInTransaction" and/or "isAutocommit"
+ * boolean properties, when the statement changes them.
+ */
+module.exports = function (sql) {
+    const text = (sql || '').replace(LEADING_NOISE, '').replace(/\s+/g, ' ').toUpperCase();
+
+    if (/^(?:BEGIN|START TRANSACTION|XA (?:START|BEGIN))\b/.test(text)) {
+        return { isInTransaction: true };
+    }
+
+    // Rolling back to a savepoint keeps the transaction open.
+    if (/^ROLLBACK (?:WORK )?TO\b/.test(text)) {
+        return {};
+    }
+
+    // With "AND CHAIN", a new transaction starts right away.
+    if (/^(?:COMMIT|ROLLBACK)\b/.test(text)) {
+        return { isInTransaction: /\bAND CHAIN\b/.test(text) };
+    }
+
+    if (/^XA (?:COMMIT|ROLLBACK)\b/.test(text)) {
+        return { isInTransaction: false };
+    }
+
+    const match = text.match(/^SET (.*)$/);
+    const assignment = match && match[1].match(AUTOCOMMIT_ASSIGNMENT);
+
+    if (!assignment) {
+        return {};
+    }
+
+    // Values that cannot be worked out (for instance, user variables) are
+    // assumed to disable autocommit, which is the safest option.
+    if (['1', 'ON', 'TRUE'].indexOf(assignment[1]) === -1) {
+        return { isAutocommit: false };
+    }
+
+    // Enabling autocommit also commits the ongoing transaction.
+    return { isAutocommit: true, isInTransaction: false };
+};
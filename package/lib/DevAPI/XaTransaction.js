@@ -0,0 +1,231 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const errors = require('../constants/errors');
+const { isValidInteger, isValidPlainObject } = require('../validator');
+
+/**
+ * XA transaction identifier.
+ * @typedef {Object} Xid
+ * @prop {string} gtrid - global transaction identifier (up to 64 bytes)
+ * @prop {string} [bqual] - branch qualifier (up to 64 bytes)
+ * @prop {number} [formatId=1] - format of the other components
+ */
+
+/**
+ * Maximum size (in bytes) of the "gtrid" and "bqual" components.
+ * @private
+ */
+const MAX_COMPONENT_SIZE = 64;
+
+/**
+ * Check if a value is a valid "gtrid" or "bqual" component.
+ * @private
+ * @param {*} value - component value
+ * @param {boolean} [required=false] - the component cannot be empty
+ * @returns {boolean}
+ */
+function isValidComponent (value, required = false) {
+    if (typeof value !== 'string') {
+        return false;
+    }
+
+    const size = Buffer.byteLength(value);
+
+    return size <= MAX_COMPONENT_SIZE && (!required || size > 0);
+}
+
+/**
+ * XA transaction API. Should be used via {@link module:Session#xa|Session.xa()}.
+ * @module XaTransaction
+ * @example
+ * const xa = session.xa({ gtrid: 'booking-123', bqual: 'payments' })
+ *
+ * xa.start()
+ *   .then(() => {
+ *     return session.sql('UPDATE accounts SET balance = balance - 10 WHERE id = 1').execute()
+ *   })
+ *   .then(() => xa.end())
+ *   .then(() => xa.prepare())
+ *   .then(() => xa.commit())
+ */
+
+/**
+ * @private
+ * @alias module:XaTransaction
+ * @param {module:Session} session - session where the XA transaction runs
+ * @param {string|module:XaTransaction~Xid} xid - transaction identifier
+ * @param {Object} [hooks] - session integration hooks
+ * @param {function} [hooks.onStart] - called when the XA transaction becomes active
+ * @param {function} [hooks.onFinish] - called when the XA transaction is committed or rolled back
+ * @returns {module:XaTransaction}
+ */
+function XaTransaction (session, xid, { onStart = () => {}, onFinish = () => {} } = {}) {
+    const escaped = XaTransaction.escapeXid(xid);
+
+    const run = statement => {
+        return session.sql(statement).execute()
+            .then(() => {
+                return true;
+            });
+    };
+
+    return {
+        /**
+         * Commit the XA transaction. A transaction that has not been
+         * prepared can only be committed using the one-phase commit
+         * optimization.
+         * @function
+         * @name module:XaTransaction#commit
+         * @param {Object} [options]
+         * @param {boolean} [options.onePhase=false] - prepare and commit the transaction in a single step
+         * @returns {Promise<boolean>}
+         */
+        commit ({ onePhase = false } = {}) {
+            return run(`XA COMMIT ${escaped}${onePhase ? ' ONE PHASE' : ''}`)
+                .then(res => {
+                    onFinish();
+                    return res;
+                });
+        },
+
+        /**
+         * Finish the work associated to the XA transaction in the current
+         * session.
+         * @function
+         * @name module:XaTransaction#end
+         * @returns {Promise<boolean>}
+         */
+        end () {
+            return run(`XA END ${escaped}`);
+        },
+
+        /**
+         * Retrieve the XA transaction identifier.
+         * @function
+         * @name module:XaTransaction#getXid
+         * @returns {module:XaTransaction~Xid}
+         */
+        getXid () {
+            return typeof xid === 'string' ? { gtrid: xid } : xid;
+        },
+
+        /**
+         * Prepare the XA transaction to be committed.
+         * @function
+         * @name module:XaTransaction#prepare
+         * @returns {Promise<boolean>}
+         */
+        prepare () {
+            return run(`XA PREPARE ${escaped}`);
+        },
+
+        /**
+         * Roll back the XA transaction.
+         * @function
+         * @name module:XaTransaction#rollback
+         * @returns {Promise<boolean>}
+         */
+        rollback () {
+            return run(`XA ROLLBACK ${escaped}`)
+                .then(res => {
+                    onFinish();
+                    return res;
+                });
+        },
+
+        /**
+         * Start the XA transaction in the current session.
+         * @function
+         * @name module:XaTransaction#start
+         * @returns {Promise<boolean>}
+         */
+        start () {
+            return run(`XA START ${escaped}`)
+                .then(res => {
+                    onStart();
+                    return res;
+                });
+        }
+    };
+}
+
+/**
+ * Create the SQL representation of an XA transaction identifier, where
+ * the "gtrid" and "bqual" components are encoded as hexadecimal literals,
+ * which means they can contain any kind of character.
+ * @private
+ * @param {string|module:XaTransaction~Xid} xid - transaction identifier
+ * @returns {string}
+ * @throws when the transaction identifier is not valid
+ */
+XaTransaction.escapeXid = function (xid) {
+    const { gtrid, bqual, formatId } = typeof xid === 'string' ? { gtrid: xid } : Object.assign({}, xid);
+
+    if ((typeof xid !== 'string' && !isValidPlainObject({ value: xid, required: true })) || !isValidComponent(gtrid, true) ||
+        (typeof bqual !== 'undefined' && !isValidComponent(bqual)) || !isValidInteger({ value: formatId, min: 0 })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_XID);
+    }
+
+    const components = [`X'${Buffer.from(gtrid).toString('hex')}'`];
+
+    // The components are positional, so "bqual" needs to be specified
+    // if "formatId" is.
+    if (typeof bqual !== 'undefined' || typeof formatId !== 'undefined') {
+        components.push(`X'${Buffer.from(bqual || '').toString('hex')}'`);
+    }
+
+    if (typeof formatId !== 'undefined') {
+        components.push(formatId);
+    }
+
+    return components.join(',');
+};
+
+/**
+ * Decode an XA transaction identifier returned by "XA RECOVER CONVERT XID".
+ * @private
+ * @param {Array} row - row containing the "formatID", "gtrid_length", "bqual_length" and "data" columns
+ * @returns {module:XaTransaction~Xid}
+ */
+XaTransaction.decodeXid = function ([formatId, gtridLength, bqualLength, data]) {
+    // The data is a hexadecimal string prefixed with "0x".
+    const raw = Buffer.from(data.toString().replace(/^0x/i, ''), 'hex');
+
+    return {
+        gtrid: raw.slice(0, gtridLength).toString(),
+        bqual: raw.slice(gtridLength, gtridLength + bqualLength).toString(),
+        formatId
+    };
+};
+
+module.exports = XaTransaction;
@@ -33,8 +33,11 @@
 const AuthenticationHandler = require('./InboundHandlers/AuthenticationHandler');
 const CapabilitiesGetHandler = require('./InboundHandlers/CapabilitiesGetHandler');
 const ClientMessages = require('./Stubs/mysqlx_pb').ClientMessages;
+const Compression = require('./Compression');
 const Connection = require('./OutboundHandlers/Connection');
 const Crud = require('./OutboundHandlers/Crud');
+const Cursor = require('./OutboundHandlers/Cursor');
+const CursorHandler = require('./InboundHandlers/CursorHandler');
 const Expect = require('./OutboundHandlers/Expect');
 const NoticeStub = require('./Stubs/mysqlx_notice_pb');
 const OkHandler = require('./InboundHandlers/OkHandler');
@@ -43,6 +46,7 @@ const Session = require('./OutboundHandlers/Session');
 const Sql = require('./OutboundHandlers/Sql');
 const SqlResultHandler = require('./InboundHandlers/SqlResultHandler');
 const WorkQueue = require('../WorkQueue');
+const compression = require('./Wrappers/Messages/Connection/Compression');
 const condition = require('./Wrappers/Messages/Expect/Condition');
 const error = require('./Wrappers/Messages/Error');
 const errors = require('../constants/errors');
@@ -66,6 +70,12 @@ function Client (stream) {
     this._workQueue = new WorkQueue();
     this._danglingFragment = null;
     this._requiresAuthenticationAfterReset = REQUIRES_REAUTH.UNKNOWN;
+    // Cursor ids only need to be unique in the scope of the X Protocol session.
+    this._cursorId = 0;
+    // Compression is only enabled after it is negotiated with the server.
+    this._compression = null;
+    // Every notice frame sent by the server is also reported to this listener.
+    this._noticeListener = () => {};
 }
 
 module.exports = Client;
@@ -80,12 +90,13 @@ Client.prototype.setConnection = function (connection) {
 };
 
 /**
- * Encode X protocol message (with header and payload).
+ * Create an X Protocol frame (with header and payload).
+ * @private
  * @param {number} messageType - type of the message payload
  * @param {Buffer} data - raw payload data
  * @returns {Buffer} The full X protocol message buffer.
  */
-Client.prototype.encodeMessage = function (messageType, data) {
+function frame (messageType, data) {
     // The message must accommodate (besides payload size) additionally, 4
     // bytes for the header and 1 byte for the message id.
     // Since the entire buffer will be written, we should use
@@ -100,6 +111,76 @@ Client.prototype.encodeMessage = function (messageType, data) {
     buffer[4] = messageType;
 
     return buffer;
+}
+
+/**
+ * Encode X protocol message (with header and payload).
+ * If compression is enabled, messages above a given threshold are wrapped
+ * in a Mysqlx.Connection.Compression message.
+ * @param {number} messageType - type of the message payload
+ * @param {Buffer} data - raw payload data
+ * @returns {Buffer} The full X protocol message buffer.
+ */
+Client.prototype.encodeMessage = function (messageType, data) {
+    const buffer = frame(messageType, data);
+
+    if (!this._compression || buffer.length < Compression.THRESHOLD) {
+        return buffer;
+    }
+
+    // The compressed payload contains the entire X Protocol frame,
+    // including the header.
+    const payload = this._compression.compress(buffer);
+
+    return frame(ClientMessages.Type.COMPRESSION, Connection.encodeCompression(payload, { clientMessages: messageType, uncompressedSize: buffer.length }));
+};
+
+/**
+ * Enable compression for all subsequent messages using a given algorithm,
+ * which should have been previously negotiated with the server.
+ * @param {string} algorithm - name of the compression algorithm
+ * @returns {Client}
+ */
+Client.prototype.enableCompression = function (algorithm) {
+    this._compression = Compression.create(algorithm);
+    return this;
+};
+
+/**
+ * Decompress the payload of a Mysqlx.Connection.Compression message and
+ * handle each one of the X Protocol messages it contains. If the payload
+ * cannot be decoded, the connection is closed with the corresponding
+ * error, which fails any pending work.
+ * @private
+ * @param {Buffer} payload - raw Mysqlx.Connection.Compression payload
+ */
+Client.prototype.handleCompressedMessage = function (payload) {
+    let data;
+
+    try {
+        if (!this._compression) {
+            throw new Error(errors.MESSAGES.ERR_COMPRESSION_NOT_ENABLED);
+        }
+
+        const message = compression.deserialize(payload);
+        log('protocol:inbound:Mysqlx.Connection').info('Compression', message);
+
+        data = this._compression.decompress(message.getPayload());
+    } catch (err) {
+        // The compression context is shared by every message, so it
+        // cannot be used anymore after an error.
+        return this._stream.destroy(err);
+    }
+
+    let offset = 0;
+
+    while (offset < data.length) {
+        const header = this.decodeMessageHeader(data.slice(offset));
+
+        this.handleServerMessage(data.slice(offset, offset + header.packetLength));
+
+        offset += header.packetLength;
+    }
 };
 
 Client.prototype.decodeMessage = function (data) {
@@ -135,6 +216,17 @@ Client.prototype.decodeMessageHeader = function (data) {
     };
 };
 
+/**
+ * Register a function that is called with every notice frame sent by the server.
+ * @param {function} listener - receives a Mysqlx.Notice.Frame wrapper instance
+ * @returns {Client} The protocol client instance.
+ */
+Client.prototype.onNotice = function (listener) {
+    this._noticeListener = listener;
+
+    return this;
+};
+
 /**
  * Handle an individual message
  *
@@ -145,11 +237,17 @@ Client.prototype.decodeMessageHeader = function (data) {
 Client.prototype.handleServerMessage = function (message) {
     const decoded = this.decodeMessage(message);
 
+    if (decoded.id === compression.MESSAGE_ID) {
+        return this.handleCompressedMessage(decoded.payload);
+    }
+
     if (decoded.id === notice.MESSAGE_ID) {
         // TODO(Rui): Non-global notices are being decoded twice (in the handler as well).
         // This will change in an upcoming refactoring plan.
         const frame = notice.deserialize(decoded.payload);
 
+        this._noticeListener(frame);
+
         if (frame.getScopeId() === NoticeStub.Frame.Scope.GLOBAL) {
             log('protocol:inbound:Mysqlx.Notice').info('Frame', frame);
 
@@ -189,7 +287,9 @@ Client.prototype.handleNetworkFragment = function (fragment) {
 
     let offset = 0;
 
-    while (offset < fragment.length) {
+    // Messages that arrive after the stream has been destroyed (for
+    // instance, because of a decoding error) should not be processed.
+    while (offset < fragment.length && !(this._stream && this._stream.destroyed)) {
         // Work on the scope of a single message.
         const chunk = fragment.slice(offset);
 
@@ -223,9 +323,13 @@ Client.prototype.handleNetworkFragment = function (fragment) {
     }
 };
 
-Client.prototype.handleServerClose = function () {
+/**
+ * Fails any pending work because the server is no longer reachable.
+ * @param {Error} [err] - specific reason why the server is not reachable
+ */
+Client.prototype.handleServerClose = function (err) {
     while (this._workQueue.hasMore()) {
-        this._workQueue.process({ id: error.SERVER_GONE });
+        this._workQueue.process({ id: error.SERVER_GONE, payload: err });
     }
 };
 
@@ -457,6 +561,76 @@ Client.prototype.deallocate = function (statement) {
     return handler.sendMessage(this._workQueue, this._stream, protobuf);
 };
 
+/**
+ * Send a Mysqlx.Cursor.Open message to the server.
+ * @private
+ * @param {Preparing} statement - the prepared statement instance
+ * @param {number} fetchRows - number of rows to retrieve in the first batch
+ * @param {Function} resultSetCursor
+ * @param {Function} metadataCursor
+ * @returns {Promise<Object>} A promise that resolves to an object describing the operation status and the cursor state.
+ */
+Client.prototype.cursorOpen = function (statement, fetchRows, resultSetCursor, metadataCursor) {
+    const cursor = { id: this._cursorId + 1, fetchRows };
+
+    let protobuf;
+
+    try {
+        protobuf = this.encodeMessage(ClientMessages.Type.CURSOR_OPEN, Cursor.encodeOpen(statement, cursor));
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    this._cursorId = cursor.id;
+
+    const handler = new CursorHandler(cursor, resultSetCursor, metadataCursor);
+
+    return handler.sendMessage(this._workQueue, this._stream, protobuf);
+};
+
+/**
+ * Send a Mysqlx.Cursor.Fetch message to the server.
+ * @private
+ * @param {Object} cursor - the cursor state reported by the previous batch
+ * @param {number} fetchRows - number of rows to retrieve in the next batch
+ * @param {Function} resultSetCursor
+ * @param {Function} metadataCursor
+ * @returns {Promise<Object>} A promise that resolves to an object describing the operation status and the cursor state.
+ */
+Client.prototype.cursorFetch = function (cursor, fetchRows, resultSetCursor, metadataCursor) {
+    let protobuf;
+
+    try {
+        protobuf = this.encodeMessage(ClientMessages.Type.CURSOR_FETCH, Cursor.encodeFetch({ id: cursor.id, fetchRows }));
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    const handler = new CursorHandler(cursor, resultSetCursor, metadataCursor);
+
+    return handler.sendMessage(this._workQueue, this._stream, protobuf);
+};
+
+/**
+ * Send a Mysqlx.Cursor.Close message to the server.
+ * @private
+ * @param {Object} cursor - the cursor state
+ * @returns {Promise<Object>} A promise that resolves to an object describing the operation status.
+ */
+Client.prototype.cursorClose = function (cursor) {
+    let protobuf;
+
+    try {
+        protobuf = this.encodeMessage(ClientMessages.Type.CURSOR_CLOSE, Cursor.encodeClose({ id: cursor.id }));
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    const handler = new OkHandler();
+
+    return handler.sendMessage(this._workQueue, this._stream, protobuf);
+};
+
 /**
  * Send a Mysqlx.Session.Close message to the server.
  * @private
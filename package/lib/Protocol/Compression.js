@@ -0,0 +1,136 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/**
+ * X Protocol compression algorithms.
+ * @private
+ * @module Compression
+ */
+
+const zlib = require('zlib');
+
+/**
+ * The deflate algorithm uses a sliding window of 32KB, which means data
+ * compressed in a given message can reference data from any previous
+ * message as long as it is within that window.
+ * @private
+ */
+const WINDOW_SIZE = 32 * 1024;
+
+/**
+ * Keep the most recent portion of the data that has gone through a given
+ * stream, up to the size of the sliding window.
+ * @private
+ * @param {Buffer} [history] - data that has previously gone through the stream
+ * @param {Buffer} data - new data
+ * @returns {Buffer}
+ */
+function slide (history, data) {
+    const window = history ? Buffer.concat([history, data], history.length + data.length) : data;
+
+    return window.length <= WINDOW_SIZE ? Buffer.from(window) : Buffer.from(window.slice(window.length - WINDOW_SIZE));
+}
+
+/**
+ * In "deflate_stream", every message (in each direction) is part of the
+ * same deflate stream, which is flushed at the end of each message. Since
+ * we are using the synchronous zlib API, the stream is emulated by
+ * starting a new raw deflate stream (no zlib header) for every message
+ * but the first one, using the sliding window as the dictionary.
+ * Messages are handled synchronously, in the order they arrive, which
+ * means the event loop is blocked while a large one is being processed.
+ * @private
+ * @returns {Object} An object with the compress() and decompress() methods.
+ */
+function deflateStream () {
+    const state = { inbound: undefined, outbound: undefined };
+
+    return {
+        compress (data) {
+            const options = { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+            const payload = !state.outbound ? zlib.deflateSync(data, options) : zlib.deflateRawSync(data, Object.assign(options, { dictionary: state.outbound }));
+
+            state.outbound = slide(state.outbound, data);
+
+            return payload;
+        },
+
+        decompress (payload) {
+            const options = { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+            const data = !state.inbound ? zlib.inflateSync(payload, options) : zlib.inflateRawSync(payload, Object.assign(options, { dictionary: state.inbound }));
+
+            state.inbound = slide(state.inbound, data);
+
+            return data;
+        }
+    };
+}
+
+/**
+ * Compression algorithms that are available in the current runtime.
+ * @private
+ */
+const IMPLEMENTATIONS = {
+    deflate_stream: deflateStream
+};
+
+/**
+ * Create a compression context for a given algorithm.
+ * @private
+ * @param {string} algorithm - name of the algorithm
+ * @returns {Object} An object with the "compress()" and "decompress()" methods.
+ */
+exports.create = function (algorithm) {
+    return Object.assign({ getAlgorithm: () => algorithm }, IMPLEMENTATIONS[algorithm]());
+};
+
+/**
+ * Names of all the compression algorithms defined by the X Protocol.
+ * @private
+ * @type {string[]}
+ */
+exports.ALGORITHMS = ['zstd_stream', 'lz4_message', 'deflate_stream'];
+
+/**
+ * Names of the compression algorithms that are actually supported by the
+ * client in the current runtime, by order of preference.
+ * @private
+ * @type {string[]}
+ */
+exports.SUPPORTED_ALGORITHMS = exports.ALGORITHMS.filter(a => !!IMPLEMENTATIONS[a]);
+
+/**
+ * Messages smaller than this threshold are not worth compressing.
+ * @private
+ * @type {number}
+ */
+exports.THRESHOLD = 1000;
@@ -81,7 +81,7 @@ BaseHandler.prototype.sendMessage = function (queue, stream, buffer) {
             if (message.id === error.SERVER_GONE) {
                 // TODO: This needs a way better handling approach for this, probably the Queue has to learn about this
                 queueDone();
-                return reject(new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY));
+                return reject(message.payload || new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY));
             }
 
             if (!self[message.id]) {
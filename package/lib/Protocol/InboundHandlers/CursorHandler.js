@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const SqlResultHandler = require('./SqlResultHandler');
+const fetchSuspended = require('../Wrappers/Messages/Resultset/FetchSuspended');
+const logger = require('../../tool/log');
+const stmtExecuteOk = require('../Wrappers/Messages/Sql/StmtExecuteOk');
+const util = require('util');
+
+const log = logger('protocol:inbound:Mysqlx');
+
+/**
+ * Handler for result sets retrieved in batches using a server-side cursor.
+ * @private
+ * @param {Object} cursor - cursor details
+ * @param {number} cursor.id - client-side cursor id
+ * @param {Array} [cursor.metadata] - column metadata of a result set that is still being fetched
+ * @param rowcb Callback invoked for each row with an array of fields as single argument
+ * @param metacb Optional callback involved when meta data received
+ * @constructor
+ */
+function CursorHandler ({ id, metadata = [] }, rowcb, metacb) {
+    SqlResultHandler.call(this, rowcb, metacb);
+
+    this._cursorId = id;
+    this._suspended = false;
+
+    // When fetching the next batch of rows, the server does not send the
+    // column metadata again, so we need to keep using the one that was
+    // received in the previous batch. Since the metadata handler has
+    // already been called for that result set, it should not be called
+    // again.
+    this._currentResultsetMetadata = metadata;
+    this._metadataHandlerCalled = metadata.length > 0;
+}
+
+module.exports = CursorHandler;
+
+util.inherits(CursorHandler, SqlResultHandler);
+
+CursorHandler.prototype[fetchSuspended.MESSAGE_ID] = function (payload) {
+    log.info('Resultset.FetchSuspended', fetchSuspended.deserialize(payload));
+
+    // The server stopped sending rows because the number of rows requested
+    // for the current batch has been reached, which means the result set
+    // is not yet finished.
+    this._suspended = true;
+};
+
+CursorHandler.prototype[stmtExecuteOk.MESSAGE_ID] = function (payload, queueDone) {
+    log.info('Sql.StmtExecuteOk', stmtExecuteOk.deserialize(payload));
+
+    // we're done with processing the current batch in the queue
+    queueDone();
+
+    this._resolve({
+        cursor: {
+            id: this._cursorId,
+            // the metadata of the current result set is needed to decode
+            // the rows in the next batch
+            metadata: this._currentResultsetMetadata,
+            suspended: this._suspended
+        },
+        results: this._results,
+        generatedDocumentIds: this._generated_document_ids,
+        generatedInsertId: this._generated_insert_id,
+        messages: this._messages,
+        metadata: this._metadataForAllResultsets,
+        rowsAffected: this._rows_affected,
+        warnings: this._warnings
+    });
+};
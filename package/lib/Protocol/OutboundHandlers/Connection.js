@@ -39,6 +39,7 @@
 const capabilitiesGet = require('../Wrappers/Messages/Connection/CapabilitiesGet');
 const capabilitiesSet = require('../Wrappers/Messages/Connection/CapabilitiesSet');
 const close = require('../Wrappers/Messages/Connection/Close');
+const compression = require('../Wrappers/Messages/Connection/Compression');
 const logger = require('../../tool/log');
 
 const log = logger('protocol:outbound:Mysqlx.Connection');
@@ -82,3 +83,18 @@ exports.encodeClose = function () {
 
     return outboundClose.serialize();
 };
+
+/**
+ * Encode a Mysqlx.Connection.Compression protobuf message.
+ * @function
+ * @name module:handlers.Mysqlx.Connection#encodeCompression
+ * @param {Buffer} payload - compressed X Protocol message(s)
+ * @param {Object} options - compression details
+ * @returns {Buffer} The protobuf encoded buffer payload.
+ */
+exports.encodeCompression = function (payload, options) {
+    const outboundCompression = compression.create(payload, options);
+    log.info('Compression', outboundCompression);
+
+    return outboundCompression.serialize();
+};
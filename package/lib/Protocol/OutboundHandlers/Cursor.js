@@ -0,0 +1,87 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/**
+ * Mysqlx.Cursor outbound message handlers.
+ * @private
+ * @module handlers.Mysqlx.Cursor
+ */
+
+const close = require('../Wrappers/Messages/Cursor/Close');
+const fetch = require('../Wrappers/Messages/Cursor/Fetch');
+const logger = require('../../tool/log');
+const open = require('../Wrappers/Messages/Cursor/Open');
+
+const log = logger('protocol:outbound:Mysqlx.Cursor');
+
+/**
+ * Encode a Mysqlx.Cursor.Close protobuf message.
+ * @function
+ * @name module:Cursor#encodeClose
+ * @param {Object} cursor - cursor details
+ * @returns {Buffer} The protobuf encoded buffer payload.
+ */
+exports.encodeClose = function (cursor) {
+    const outboundClose = close.create(cursor);
+    log.info('Close', outboundClose);
+
+    return outboundClose.serialize();
+};
+
+/**
+ * Encode a Mysqlx.Cursor.Fetch protobuf message.
+ * @function
+ * @name module:Cursor#encodeFetch
+ * @param {Object} cursor - cursor details
+ * @returns {Buffer} The protobuf encoded buffer payload.
+ */
+exports.encodeFetch = function (cursor) {
+    const outboundFetch = fetch.create(cursor);
+    log.info('Fetch', outboundFetch);
+
+    return outboundFetch.serialize();
+};
+
+/**
+ * Encode a Mysqlx.Cursor.Open protobuf message.
+ * @function
+ * @name module:Cursor#encodeOpen
+ * @param {Preparing} statement - prepared statement instance
+ * @param {Object} cursor - cursor details
+ * @returns {Buffer} The protobuf encoded buffer payload.
+ */
+exports.encodeOpen = function (statement, cursor) {
+    const outboundOpen = open.create(statement, cursor);
+    log.info('Open', outboundOpen);
+
+    return outboundOpen.serialize();
+};
@@ -807,4 +807,307 @@ proto.Mysqlx.Connection.Close.serializeBinaryToWriter = function(message, writer
 };
 
 
+
+/**
+ * Generated by JsPbCodeGenerator.
+ * @param {Array=} opt_data Optional initial data array, typically from a
+ * server response, or constructed directly in Javascript. The array is used
+ * in place and becomes part of the constructed object. It is not cloned.
+ * If no data is provided, the constructed object will be empty, but still
+ * valid.
+ * @extends {jspb.Message}
+ * @constructor
+ */
+proto.Mysqlx.Connection.Compression = function(opt_data) {
+  jspb.Message.initialize(this, opt_data, 0, -1, null, null);
+};
+goog.inherits(proto.Mysqlx.Connection.Compression, jspb.Message);
+if (goog.DEBUG && !COMPILED) {
+  proto.Mysqlx.Connection.Compression.displayName = 'proto.Mysqlx.Connection.Compression';
+}
+
+
+if (jspb.Message.GENERATE_TO_OBJECT) {
+/**
+ * Creates an object representation of this proto suitable for use in Soy templates.
+ * Field names that are reserved in JavaScript and will be renamed to pb_name.
+ * To access a reserved field use, foo.pb_<name>, eg, foo.pb_default.
+ * For the list of reserved names please see:
+ *     com.google.apps.jspb.JsClassTemplate.JS_RESERVED_WORDS.
+ * @param {boolean=} opt_includeInstance Whether to include the JSPB instance
+ *     for transitional soy proto support: http://goto/soy-param-migration
+ * @return {!Object}
+ */
+proto.Mysqlx.Connection.Compression.prototype.toObject = function(opt_includeInstance) {
+  return proto.Mysqlx.Connection.Compression.toObject(opt_includeInstance, this);
+};
+
+
+/**
+ * Static version of the {@see toObject} method.
+ * @param {boolean|undefined} includeInstance Whether to include the JSPB
+ *     instance for transitional soy proto support:
+ *     http://goto/soy-param-migration
+ * @param {!proto.Mysqlx.Connection.Compression} msg The msg instance to transform.
+ * @return {!Object}
+ * @suppress {unusedLocalVariables} f is only used for nested messages
+ */
+proto.Mysqlx.Connection.Compression.toObject = function(includeInstance, msg) {
+  var f, obj = {
+    uncompressedSize: jspb.Message.getField(msg, 1),
+    serverMessages: jspb.Message.getField(msg, 2),
+    clientMessages: jspb.Message.getField(msg, 3),
+    payload: msg.getPayload_asB64()
+  };
+
+  if (includeInstance) {
+    obj.$jspbMessageInstance = msg;
+  }
+  return obj;
+};
+}
+
+
+/**
+ * Deserializes binary data (in protobuf wire format).
+ * @param {jspb.ByteSource} bytes The bytes to deserialize.
+ * @return {!proto.Mysqlx.Connection.Compression}
+ */
+proto.Mysqlx.Connection.Compression.deserializeBinary = function(bytes) {
+  var reader = new jspb.BinaryReader(bytes);
+  var msg = new proto.Mysqlx.Connection.Compression;
+  return proto.Mysqlx.Connection.Compression.deserializeBinaryFromReader(msg, reader);
+};
+
+
+/**
+ * Deserializes binary data (in protobuf wire format) from the
+ * given reader into the given message object.
+ * @param {!proto.Mysqlx.Connection.Compression} msg The message object to deserialize into.
+ * @param {!jspb.BinaryReader} reader The BinaryReader to use.
+ * @return {!proto.Mysqlx.Connection.Compression}
+ */
+proto.Mysqlx.Connection.Compression.deserializeBinaryFromReader = function(msg, reader) {
+  while (reader.nextField()) {
+    if (reader.isEndGroup()) {
+      break;
+    }
+    var field = reader.getFieldNumber();
+    switch (field) {
+    case 1:
+      var value = /** @type {number} */ (reader.readUint64());
+      msg.setUncompressedSize(value);
+      break;
+    case 2:
+      var value = /** @type {!proto.Mysqlx.ServerMessages.Type} */ (reader.readEnum());
+      msg.setServerMessages(value);
+      break;
+    case 3:
+      var value = /** @type {!proto.Mysqlx.ClientMessages.Type} */ (reader.readEnum());
+      msg.setClientMessages(value);
+      break;
+    case 4:
+      var value = /** @type {!Uint8Array} */ (reader.readBytes());
+      msg.setPayload(value);
+      break;
+    default:
+      reader.skipField();
+      break;
+    }
+  }
+  return msg;
+};
+
+
+/**
+ * Serializes the message to binary data (in protobuf wire format).
+ * @return {!Uint8Array}
+ */
+proto.Mysqlx.Connection.Compression.prototype.serializeBinary = function() {
+  var writer = new jspb.BinaryWriter();
+  proto.Mysqlx.Connection.Compression.serializeBinaryToWriter(this, writer);
+  return writer.getResultBuffer();
+};
+
+
+/**
+ * Serializes the given message to binary data (in protobuf wire
+ * format), writing to the given BinaryWriter.
+ * @param {!proto.Mysqlx.Connection.Compression} message
+ * @param {!jspb.BinaryWriter} writer
+ * @suppress {unusedLocalVariables} f is only used for nested messages
+ */
+proto.Mysqlx.Connection.Compression.serializeBinaryToWriter = function(message, writer) {
+  var f = undefined;
+  f = /** @type {number} */ (jspb.Message.getField(message, 1));
+  if (f != null) {
+    writer.writeUint64(
+      1,
+      f
+    );
+  }
+  f = /** @type {!proto.Mysqlx.ServerMessages.Type} */ (jspb.Message.getField(message, 2));
+  if (f != null) {
+    writer.writeEnum(
+      2,
+      f
+    );
+  }
+  f = /** @type {!proto.Mysqlx.ClientMessages.Type} */ (jspb.Message.getField(message, 3));
+  if (f != null) {
+    writer.writeEnum(
+      3,
+      f
+    );
+  }
+  f = /** @type {!(string|Uint8Array)} */ (jspb.Message.getField(message, 4));
+  if (f != null) {
+    writer.writeBytes(
+      4,
+      f
+    );
+  }
+};
+
+
+/**
+ * optional uint64 uncompressed_size = 1;
+ * @return {number}
+ */
+proto.Mysqlx.Connection.Compression.prototype.getUncompressedSize = function() {
+  return /** @type {number} */ (jspb.Message.getFieldWithDefault(this, 1, 0));
+};
+
+
+/** @param {number} value */
+proto.Mysqlx.Connection.Compression.prototype.setUncompressedSize = function(value) {
+  jspb.Message.setField(this, 1, value);
+};
+
+
+proto.Mysqlx.Connection.Compression.prototype.clearUncompressedSize = function() {
+  jspb.Message.setField(this, 1, undefined);
+};
+
+
+/**
+ * Returns whether this field is set.
+ * @return {!boolean}
+ */
+proto.Mysqlx.Connection.Compression.prototype.hasUncompressedSize = function() {
+  return jspb.Message.getField(this, 1) != null;
+};
+
+
+/**
+ * optional Mysqlx.ServerMessages.Type server_messages = 2;
+ * @return {!proto.Mysqlx.ServerMessages.Type}
+ */
+proto.Mysqlx.Connection.Compression.prototype.getServerMessages = function() {
+  return /** @type {!proto.Mysqlx.ServerMessages.Type} */ (jspb.Message.getFieldWithDefault(this, 2, 0));
+};
+
+
+/** @param {!proto.Mysqlx.ServerMessages.Type} value */
+proto.Mysqlx.Connection.Compression.prototype.setServerMessages = function(value) {
+  jspb.Message.setField(this, 2, value);
+};
+
+
+proto.Mysqlx.Connection.Compression.prototype.clearServerMessages = function() {
+  jspb.Message.setField(this, 2, undefined);
+};
+
+
+/**
+ * Returns whether this field is set.
+ * @return {!boolean}
+ */
+proto.Mysqlx.Connection.Compression.prototype.hasServerMessages = function() {
+  return jspb.Message.getField(this, 2) != null;
+};
+
+
+/**
+ * optional Mysqlx.ClientMessages.Type client_messages = 3;
+ * @return {!proto.Mysqlx.ClientMessages.Type}
+ */
+proto.Mysqlx.Connection.Compression.prototype.getClientMessages = function() {
+  return /** @type {!proto.Mysqlx.ClientMessages.Type} */ (jspb.Message.getFieldWithDefault(this, 3, 1));
+};
+
+
+/** @param {!proto.Mysqlx.ClientMessages.Type} value */
+proto.Mysqlx.Connection.Compression.prototype.setClientMessages = function(value) {
+  jspb.Message.setField(this, 3, value);
+};
+
+
+proto.Mysqlx.Connection.Compression.prototype.clearClientMessages = function() {
+  jspb.Message.setField(this, 3, undefined);
+};
+
+
+/**
+ * Returns whether this field is set.
+ * @return {!boolean}
+ */
+proto.Mysqlx.Connection.Compression.prototype.hasClientMessages = function() {
+  return jspb.Message.getField(this, 3) != null;
+};
+
+
+/**
+ * required bytes payload = 4;
+ * @return {!(string|Uint8Array)}
+ */
+proto.Mysqlx.Connection.Compression.prototype.getPayload = function() {
+  return /** @type {!(string|Uint8Array)} */ (jspb.Message.getFieldWithDefault(this, 4, ""));
+};
+
+
+/**
+ * required bytes payload = 4;
+ * This is a type-conversion wrapper around `getPayload()`
+ * @return {string}
+ */
+proto.Mysqlx.Connection.Compression.prototype.getPayload_asB64 = function() {
+  return /** @type {string} */ (jspb.Message.bytesAsB64(
+      this.getPayload()));
+};
+
+
+/**
+ * required bytes payload = 4;
+ * Note that Uint8Array is not supported on all browsers.
+ * @see http://caniuse.com/Uint8Array
+ * This is a type-conversion wrapper around `getPayload()`
+ * @return {!Uint8Array}
+ */
+proto.Mysqlx.Connection.Compression.prototype.getPayload_asU8 = function() {
+  return /** @type {!Uint8Array} */ (jspb.Message.bytesAsU8(
+      this.getPayload()));
+};
+
+
+/** @param {!(string|Uint8Array)} value */
+proto.Mysqlx.Connection.Compression.prototype.setPayload = function(value) {
+  jspb.Message.setField(this, 4, value);
+};
+
+
+proto.Mysqlx.Connection.Compression.prototype.clearPayload = function() {
+  jspb.Message.setField(this, 4, undefined);
+};
+
+
+/**
+ * Returns whether this field is set.
+ * @return {!boolean}
+ */
+proto.Mysqlx.Connection.Compression.prototype.hasPayload = function() {
+  return jspb.Message.getField(this, 4) != null;
+};
+
+
 goog.object.extend(exports, proto.Mysqlx.Connection);
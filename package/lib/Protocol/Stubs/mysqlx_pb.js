@@ -193,7 +193,8 @@ proto.Mysqlx.ClientMessages.Type = {
   PREPARE_DEALLOCATE: 42,
   CURSOR_OPEN: 43,
   CURSOR_CLOSE: 44,
-  CURSOR_FETCH: 45
+  CURSOR_FETCH: 45,
+  COMPRESSION: 46
 };
 
 
@@ -328,7 +329,8 @@ proto.Mysqlx.ServerMessages.Type = {
   RESULTSET_FETCH_SUSPENDED: 15,
   RESULTSET_FETCH_DONE_MORE_RESULTSETS: 16,
   SQL_STMT_EXECUTE_OK: 17,
-  RESULTSET_FETCH_DONE_MORE_OUT_PARAMS: 18
+  RESULTSET_FETCH_DONE_MORE_OUT_PARAMS: 18,
+  COMPRESSION: 19
 };
 
 
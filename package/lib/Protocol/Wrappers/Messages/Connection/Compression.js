@@ -0,0 +1,111 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const ClientMessagesStub = require('../../../Stubs/mysqlx_pb').ClientMessages;
+const CompressionStub = require('../../../Stubs/mysqlx_connection_pb').Compression;
+const ServerMessagesStub = require('../../../Stubs/mysqlx_pb').ServerMessages;
+const bytes = require('../../ScalarValues/bytes');
+const serializable = require('../../Traits/Serializable');
+const wraps = require('../../Traits/Wraps');
+
+/**
+ * @private
+ * @alias module:adapters.Mysqlx.Connection.Compression
+ * @param {proto.Mysqlx.Connection.Compression} proto - protobuf stub
+ * @returns {module:adapters.Mysqlx.Connection.Compression}
+ */
+function Compression (proto) {
+    return Object.assign({}, serializable(proto), wraps(proto), {
+        /**
+         * Retrieve the compressed payload.
+         * @function
+         * @name module:adapters.Mysqlx.Connection.Compression#getPayload
+         * @returns {Buffer}
+         */
+        getPayload () {
+            return Buffer.from(proto.getPayload_asU8());
+        },
+
+        /**
+         * Serialize to JSON using a protobuf-like convention.
+         * @function
+         * @name module:adapters.Mysqlx.Connection.Compression#toJSON
+         * @returns {Object} The JSON representation
+         */
+        toJSON () {
+            const json = { uncompressed_size: proto.getUncompressedSize() };
+
+            if (proto.hasClientMessages()) {
+                json.client_messages = Object.keys(ClientMessagesStub.Type).filter(k => ClientMessagesStub.Type[k] === proto.getClientMessages())[0];
+            }
+
+            if (proto.hasServerMessages()) {
+                json.server_messages = Object.keys(ServerMessagesStub.Type).filter(k => ServerMessagesStub.Type[k] === proto.getServerMessages())[0];
+            }
+
+            return Object.assign(json, { payload: bytes(proto.getPayload()).toJSON() });
+        }
+    });
+}
+
+/**
+ * Creates a wrapper of a Mysqlx.Connection.Compression instance for a given compressed payload.
+ * @param {Buffer} payload - one or more X Protocol messages in compressed form
+ * @param {Object} options - compression details
+ * @param {number} options.uncompressedSize - size of the payload before compression
+ * @param {proto.Mysqlx.ClientMessages.Type} [options.clientMessages] - type of the compressed message (if it is the only one)
+ * @returns {module:adapters.Mysqlx.Connection.Compression}
+ */
+Compression.create = function (payload, { clientMessages, uncompressedSize }) {
+    const proto = new CompressionStub();
+
+    proto.setUncompressedSize(uncompressedSize);
+    proto.setPayload(payload);
+
+    if (typeof clientMessages !== 'undefined') {
+        proto.setClientMessages(clientMessages);
+    }
+
+    return Compression(proto);
+};
+
+/**
+ * Creates a wrapper from a raw X Protocol message payload.
+ * @returns {module:adapters.Mysqlx.Connection.Compression}
+ */
+Compression.deserialize = function (buffer) {
+    return Compression(CompressionStub.deserializeBinary(bytes.deserialize(buffer)));
+};
+
+Compression.MESSAGE_ID = ServerMessagesStub.Type.COMPRESSION;
+
+module.exports = Compression;
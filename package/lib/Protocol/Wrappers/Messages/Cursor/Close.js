@@ -0,0 +1,73 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const CloseStub = require('../../../Stubs/mysqlx_cursor_pb').Close;
+const serializable = require('../../Traits/Serializable');
+const wraps = require('../../Traits/Wraps');
+
+/**
+ * @private
+ * @alias module:adapters.Mysqlx.Cursor.Close
+ * @param {proto.Mysqlx.Cursor.Close} proto - protobuf stub
+ * @returns {module:adapters.Mysqlx.Cursor.Close}
+ */
+function Close (proto) {
+    return Object.assign({}, serializable(proto), wraps(proto), {
+        /**
+         * Serialize to JSON using a protobuf-like convention.
+         * @function
+         * @name module:adapters.Mysqlx.Cursor.Close#toJSON
+         * @returns {Object} The JSON representation
+         */
+        toJSON () {
+            return {
+                cursor_id: proto.getCursorId()
+            };
+        }
+    });
+}
+
+/**
+ * Creates a wrapper of a generic Mysqlx.Cursor.Close instance for a given cursor.
+ * @param {Object} cursor - cursor details
+ * @param {number} cursor.id - client-side cursor id
+ * @returns {module:adapters.Mysqlx.Cursor.Close}
+ */
+Close.create = function ({ id }) {
+    const proto = new CloseStub();
+
+    proto.setCursorId(id);
+
+    return Close(proto);
+};
+
+module.exports = Close;
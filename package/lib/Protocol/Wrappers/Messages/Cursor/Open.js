@@ -0,0 +1,94 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const OpenStub = require('../../../Stubs/mysqlx_cursor_pb').Open;
+const execute = require('../Prepare/Execute');
+const serializable = require('../../Traits/Serializable');
+const wraps = require('../../Traits/Wraps');
+
+/**
+ * @private
+ * @alias module:adapters.Mysqlx.Cursor.Open
+ * @param {proto.Mysqlx.Cursor.Open} proto - protobuf stub
+ * @returns {module:adapters.Mysqlx.Cursor.Open}
+ */
+function Open (proto) {
+    return Object.assign({}, serializable(proto), wraps(proto), {
+        /**
+         * Serialize to JSON using a protobuf-like convention.
+         * @function
+         * @name module:adapters.Mysqlx.Cursor.Open#toJSON
+         * @returns {Object} The JSON representation
+         */
+        toJSON () {
+            const stmt = proto.getStmt();
+
+            return {
+                cursor_id: proto.getCursorId(),
+                stmt: {
+                    type: Object.keys(OpenStub.OneOfMessage.Type).filter(k => OpenStub.OneOfMessage.Type[k] === stmt.getType())[0],
+                    prepare_execute: execute(stmt.getPrepareExecute()).toJSON()
+                },
+                fetch_rows: proto.getFetchRows()
+            };
+        }
+    });
+}
+
+/**
+ * Creates a wrapper of a generic Mysqlx.Cursor.Open instance for a given prepared statement.
+ * @param {Preparing} statement
+ * @param {Object} cursor - cursor details
+ * @param {number} cursor.id - client-side cursor id
+ * @param {number} [cursor.fetchRows] - number of rows to retrieve in the first batch
+ * @returns {module:adapters.Mysqlx.Cursor.Open}
+ */
+Open.create = function (statement, { id, fetchRows }) {
+    const proto = new OpenStub();
+    const stmt = new OpenStub.OneOfMessage();
+
+    // A cursor can only be opened for a statement that has already been
+    // prepared.
+    stmt.setType(OpenStub.OneOfMessage.Type.PREPARE_EXECUTE);
+    stmt.setPrepareExecute(execute.create(statement).valueOf());
+
+    proto.setCursorId(id);
+    proto.setStmt(stmt);
+
+    if (typeof fetchRows !== 'undefined') {
+        proto.setFetchRows(fetchRows);
+    }
+
+    return Open(proto);
+};
+
+module.exports = Open;
@@ -34,6 +34,7 @@ const FrameStub = require('../../../Stubs/mysqlx_notice_pb').Frame;
 const ServerMessagesStub = require('../../../Stubs/mysqlx_pb').ServerMessages;
 const bytes = require('../../../Wrappers/ScalarValues/bytes');
 const empty = require('../../Traits/Empty');
+const groupReplicationStateChanged = require('./GroupReplicationStateChanged');
 const sessionStateChanged = require('./SessionStateChanged');
 const sessionVariableChanged = require('./SessionVariableChanged');
 const warning = require('./Warning');
@@ -51,7 +52,7 @@ function Frame (proto) {
          * Get the payload of the notice.
          * @function
          * @name module:adapters.Mysqlx.Notice.Frame#getPayload
-         * @returns {module:adapters.Mysqlx.Notice.Warning|module:adapters.Mysqlx.Notice.SessionStateChanged|module:adapters.Mysqlx.Notice.SessionVariableChanged|module:adapters.Mysqlx.Empty}
+         * @returns {module:adapters.Mysqlx.Notice.Warning|module:adapters.Mysqlx.Notice.SessionStateChanged|module:adapters.Mysqlx.Notice.SessionVariableChanged|module:adapters.Mysqlx.Notice.GroupReplicationStateChanged|module:adapters.Mysqlx.Empty}
          */
         getPayload () {
             switch (proto.getType()) {
@@ -61,6 +62,8 @@ function Frame (proto) {
                 return sessionVariableChanged.deserialize(bytes(proto.getPayload()).toBuffer());
             case FrameStub.Type.SESSION_STATE_CHANGED:
                 return sessionStateChanged.deserialize(bytes(proto.getPayload()).toBuffer());
+            case FrameStub.Type.GROUP_REPLICATION_STATE_CHANGED:
+                return groupReplicationStateChanged.deserialize(bytes(proto.getPayload()).toBuffer());
             case FrameStub.Type.SERVER_HELLO:
                 return empty();
             }
@@ -138,6 +141,8 @@ function Frame (proto) {
                 return Object.assign({}, frame, { variable: this.getPayload().toObject() });
             case FrameStub.Type.SESSION_STATE_CHANGED:
                 return Object.assign({}, frame, { state: this.getPayload().toObject() });
+            case FrameStub.Type.GROUP_REPLICATION_STATE_CHANGED:
+                return Object.assign({}, frame, { groupReplication: this.getPayload().toObject() });
             default:
                 return frame;
             }
@@ -154,6 +159,7 @@ Frame.deserialize = function (buffer) {
 };
 
 Frame.MESSAGE_ID = ServerMessagesStub.Type.NOTICE;
+Frame.Scope = FrameStub.Scope;
 Frame.Type = FrameStub.Type;
 
 module.exports = Frame;
@@ -0,0 +1,107 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+'use strict';
+
+const GroupReplicationStateChangedStub = require('../../../Stubs/mysqlx_notice_pb').GroupReplicationStateChanged;
+const bytes = require('../../ScalarValues/bytes');
+const wraps = require('../../Traits/Wraps');
+
+/**
+ * @private
+ * @alias module:adapters.Mysqlx.Notice.GroupReplicationStateChanged
+ * @param {proto.Mysqlx.Notice.GroupReplicationStateChanged} proto - protobuf stub
+ * @returns {module:adapters.Mysqlx.Notice.GroupReplicationStateChanged}
+ */
+function GroupReplicationStateChanged (proto) {
+    return Object.assign({}, wraps(proto), {
+        /**
+         * Get the name of the kind of change in the group.
+         * @function
+         * @name module:adapters.Mysqlx.Notice.GroupReplicationStateChanged#getType
+         * @returns {string}
+         */
+        getType () {
+            return Object.keys(GroupReplicationStateChangedStub.Type)
+                .filter(k => GroupReplicationStateChangedStub.Type[k] === proto.getType())[0];
+        },
+
+        /**
+         * Get the protocol identifier of the kind of change in the group.
+         * @function
+         * @name module:adapters.Mysqlx.Notice.GroupReplicationStateChanged#getTypeId
+         * @returns {number}
+         */
+        getTypeId () {
+            return proto.getType();
+        },
+
+        /**
+         * Get the identifier of the current group view.
+         * @function
+         * @name module:adapters.Mysqlx.Notice.GroupReplicationStateChanged#getViewId
+         * @returns {string}
+         */
+        getViewId () {
+            return proto.getViewId();
+        },
+
+        /**
+         * Serialize to JSON using a protobuf-like convention.
+         * @function
+         * @name module:adapters.Mysqlx.Notice.GroupReplicationStateChanged#toJSON
+         * @returns {Object} The JSON representation
+         */
+        toJSON () {
+            return { type: this.getType(), view_id: proto.getViewId() };
+        },
+
+        /**
+         * Return a plain JavaScript object version of the underlying protobuf instance.
+         * @function
+         * @name module:adapters.Mysqlx.Notice.GroupReplicationStateChanged#toObject
+         * @returns {Object}
+         */
+        toObject () {
+            return proto.toObject();
+        }
+    });
+}
+
+/**
+ * Creates a wrapper from a raw X Protocol message payload.
+ * @returns {module:adapters.Mysqlx.Notice.GroupReplicationStateChanged}
+ */
+GroupReplicationStateChanged.deserialize = function (buffer) {
+    return GroupReplicationStateChanged(GroupReplicationStateChangedStub.deserializeBinary(bytes.deserialize(buffer)));
+};
+
+GroupReplicationStateChanged.Type = GroupReplicationStateChangedStub.Type;
+
+module.exports = GroupReplicationStateChanged;
@@ -64,6 +64,16 @@ function SessionStateChanged (proto) {
             return proto.getParam();
         },
 
+        /**
+         * Get the new values of the state parameter.
+         * @function
+         * @name module:adapters.Mysqlx.Notice.SessionStateChanged#getValues
+         * @returns {Array<*>}
+         */
+        getValues () {
+            return proto.getValueList().map(v => scalar(v).toLiteral());
+        },
+
         /**
          * Serialize to JSON using a protobuf-like convention.
          * @function
@@ -43,6 +43,26 @@ const wraps = require('../../Traits/Wraps');
  */
 function SessionVariableChanged (proto) {
     return Object.assign({}, wraps(proto), {
+        /**
+         * Get the name of the session variable that has changed.
+         * @function
+         * @name module:adapters.Mysqlx.Notice.SessionVariableChanged#getParameter
+         * @returns {string}
+         */
+        getParameter () {
+            return proto.getParam();
+        },
+
+        /**
+         * Get the new value of the session variable.
+         * @function
+         * @name module:adapters.Mysqlx.Notice.SessionVariableChanged#getValue
+         * @returns {*}
+         */
+        getValue () {
+            return scalar(proto.getValue()).toLiteral();
+        },
+
         /**
          * Serialize to JSON using a protobuf-like convention.
          * @function
@@ -61,6 +61,16 @@ function Warning (proto) {
             return proto.getCode();
         },
 
+        /**
+         * Get the warning message.
+         * @function
+         * @name module:adapters.Mysqlx.Notice.Warning#getMessage
+         * @returns {string}
+         */
+        getMessage () {
+            return proto.getMsg();
+        },
+
         /**
          * Serialize to JSON using a protobuf-like convention.
          * @function
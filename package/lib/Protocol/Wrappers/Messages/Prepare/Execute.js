@@ -31,6 +31,7 @@
 'use strict';
 
 const ExecuteStub = require('../../../Stubs/mysqlx_prepare_pb').Execute;
+const OneOfMessageStub = require('../../../Stubs/mysqlx_prepare_pb').Prepare.OneOfMessage;
 const any = require('../Datatypes/Any');
 const expr = require('../Expr/Expr');
 const list = require('../../Traits/List');
@@ -70,6 +71,15 @@ Execute.create = function (statement, options) {
     options = Object.assign({}, options, { toParse: true });
 
     const proto = new ExecuteStub();
+
+    // Placeholder values of raw SQL statements are assigned by position.
+    if (typeof statement.getType === 'function' && statement.getType() === OneOfMessageStub.Type.STMT) {
+        proto.setStmtId(statement.getStatementId());
+        proto.setArgsList(statement.getArgs().map(arg => any.create(arg).valueOf()));
+
+        return Execute(proto);
+    }
+
     const args = expr.create(statement.getCriteria(), options)
         .getPlaceholderArgs(statement.getBindings())
         .map(arg => any.create(arg).valueOf());
@@ -34,6 +34,7 @@ const OneOfMessageStub = require('../../../Stubs/mysqlx_prepare_pb').Prepare.One
 const crudDelete = require('../../Messages/Crud/Delete');
 const crudFind = require('../../Messages/Crud/Find');
 const crudUpdate = require('../../Messages/Crud/Update');
+const stmtExecute = require('../../Messages/Sql/StmtExecute');
 const wraps = require('../../Traits/Wraps');
 
 /**
@@ -71,6 +72,8 @@ function OneOfMessage (proto) {
                 return Object.assign({}, json, { update: crudUpdate(proto.getUpdate()).toJSON() });
             case OneOfMessageStub.Type.DELETE:
                 return Object.assign({}, json, { delete: crudDelete(proto.getDelete()).toJSON() });
+            case OneOfMessageStub.Type.STMT:
+                return Object.assign({}, json, { stmt_execute: stmtExecute(proto.getStmtExecute()).toJSON() });
             default:
                 return json;
             }
@@ -96,6 +99,8 @@ OneOfMessage.create = function (statement, options) {
         proto.setUpdate(crudUpdate.create(statement, options).valueOf());
     } else if (type === OneOfMessageStub.Type.DELETE) {
         proto.setDelete(crudDelete.create(statement, options).valueOf());
+    } else if (type === OneOfMessageStub.Type.STMT) {
+        proto.setStmtExecute(stmtExecute.create(statement, options).valueOf());
     }
 
     return OneOfMessage(proto);
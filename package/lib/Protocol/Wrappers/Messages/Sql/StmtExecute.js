@@ -64,13 +64,22 @@ function StmtExecute (proto) {
 
 /**
  * Creates a wrapper of a generic Mysqlx.Sql.StmtExecute instance for a given statement.
+ * @param {module:SqlExecute} query
+ * @param {Object} [options] - extended options
  * @returns {module:adapters.Mysqlx.Sql.StmtExecute}
  */
-StmtExecute.create = function (query) {
+StmtExecute.create = function (query, options) {
+    options = Object.assign({ toPrepare: false }, options);
+
     const proto = new StmtExecuteStub();
     proto.setNamespace(query.getNamespace());
     proto.setStmt(bytes.create(Buffer.from(query.getSQL())).valueOf());
-    proto.setArgsList(query.getArgs().map(arg => any.create(arg).valueOf()));
+
+    // When the statement is being prepared, placeholder values are only
+    // sent with each Mysqlx.Prepare.Execute message.
+    if (!options.toPrepare) {
+        proto.setArgsList(query.getArgs().map(arg => any.create(arg).valueOf()));
+    }
 
     return StmtExecute(proto);
 };
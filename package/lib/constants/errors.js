@@ -34,46 +34,94 @@ exports.MESSAGES = {
     ERR_CONNECTION_CLOSED: 'This session was closed. Use "mysqlx.getSession()" or "mysqlx.getClient()" to create a new one.',
     ERR_CONNECTION_IDLE_FOR_TOO_LONG: 'This session was closed because the connection has been idle too long. Use "mysqlx.getSession()" or "mysqlx.getClient()" to create a new one.',
     ERR_CONNECTION_KILLED_IN_DIFFERENT_SESSION: 'This session was closed because the connection has been killed. Use "mysqlx.getSession()" or "mysqlx.getClient()" to create a new one.',
+    ERR_CIRCUIT_BREAKER_OPEN: 'Unable to connect to any of the endpoints, since all of them failed too many times in a row and are being skipped until they become reachable again.',
     ERR_CLIENT_INVALID_OPTION: "Client option '%s' is not recognized as valid.",
     ERR_CLIENT_INVALID_OPTION_VALUE: "Client option '%s' does not support value '%s'.",
+    ERR_COMPRESSION_NEGOTIATION_FAILED: 'Compression is required but the server does not support any of the requested algorithms.',
+    ERR_COMPRESSION_NOT_ENABLED: 'The server sent a compressed message but compression has not been negotiated.',
+    ERR_EXECUTION_INVALID_OPTION: "Execution option '%s' is not recognized as valid.",
+    ERR_EXECUTION_INVALID_OPTION_VALUE: "Execution option '%s' does not support value '%s'.",
+    ERR_GROUP_REPLICATION_MEMBER_NOT_FOUND: 'Unable to connect to an ONLINE member of the group with the %s role.',
+    ERR_GTID_SET_WAIT_TIMEOUT: 'The server did not apply the transactions in the GTID set "%s" within %d ms.',
     ERR_INCOMPLETE_PROTOCOL_MESSAGE: 'The server message is incomplete.',
     ERR_INVALID_CONNECTION_ATTRIBUTES_CONVENTION: 'Connection attribute names cannot start with "_".',
     ERR_INVALID_CONNECTION_ATTRIBUTES_DEFINITION: 'Invalid connection attributes definition.',
+    ERR_INVALID_COMPRESSION_ALGORITHMS: 'The list of compression algorithms must be an array containing one or more of %s.',
+    ERR_INVALID_COMPRESSION_DEFINITION: 'The compression options must be defined using a plain JavaScript object.',
+    ERR_INVALID_COMPRESSION_MODE: 'The compression mode must be one of "preferred", "required" or "disabled".',
     ERR_INVALID_CONNECTION_TIMEOUT_VALUE: 'The connection timeout value must be a positive integer (including 0).',
+    ERR_INVALID_ENDPOINT_ROLE: 'The endpoint role must be one of "primary" or "replica".',
+    ERR_INVALID_GROUP_REPLICATION_DEFINITION: 'The Group Replication options must be defined using a plain JavaScript object.',
+    ERR_INVALID_GROUP_REPLICATION_ENABLED_VALUE: 'The Group Replication "enabled" option must be a boolean value.',
+    ERR_INVALID_GROUP_REPLICATION_ROLE_VALUE: 'The Group Replication role must be one of "PRIMARY" or "SECONDARY".',
+    ERR_INVALID_HAPPY_EYEBALLS_DEFINITION: 'The Happy Eyeballs options must be defined using a plain JavaScript object.',
+    ERR_INVALID_HAPPY_EYEBALLS_DELAY_VALUE: 'The Happy Eyeballs delay value must be a positive integer (including 0).',
+    ERR_INVALID_HAPPY_EYEBALLS_ENABLED_VALUE: 'The Happy Eyeballs "enabled" option must be a boolean value.',
+    ERR_INVALID_HEARTBEAT_INTERVAL_VALUE: 'The heartbeat interval value must be a positive integer (including 0).',
     ERR_INVALID_INDEX_DEFINITION: 'Invalid index definition.',
     ERR_INVALID_INDEX_NAME: 'Invalid index name.',
+    ERR_INVALID_KEEP_ALIVE_DEFINITION: 'The keep-alive options must be defined using a plain JavaScript object.',
+    ERR_INVALID_KEEP_ALIVE_ENABLED_VALUE: 'The keep-alive "enabled" option must be a boolean value.',
+    ERR_INVALID_KEEP_ALIVE_INITIAL_DELAY_VALUE: 'The keep-alive initial delay value must be a positive integer (including 0).',
     ERR_INVALID_PORT_RANGE: 'The port number must be between 0 and 65536.',
+    ERR_INVALID_RECONNECT_BACKOFF_VALUE: 'The re-connect backoff value must be a positive integer (including 0).',
+    ERR_INVALID_RECONNECT_DEFINITION: 'The re-connect options must be defined using a plain JavaScript object.',
+    ERR_INVALID_RECONNECT_RETRIES_VALUE: 'The number of re-connect retries must be a positive integer (including 0).',
     ERR_INVALID_SAVEPOINT_NAME: 'Invalid Savepoint name.',
+    ERR_INVALID_SOCKET_FACTORY: 'The socket factory must be a function.',
+    ERR_INVALID_SOCKET_FACTORY_RESULT: 'The socket factory must return a duplex stream or a Promise that resolves to one.',
+    ERR_INVALID_SOCKET_TIMEOUT_VALUE: 'The socket timeout value must be a positive integer (including 0).',
+    ERR_INVALID_XID: 'The XA transaction identifier must be a non-empty string or an object containing a non-empty "gtrid", an optional "bqual" (up to 64 bytes each) and an optional "formatId" (positive integer).',
     ERR_MULTI_HOST_CONNECTION_TIMEOUT: 'All server connection attempts were aborted. Timeout of %d ms was exceeded for each selected server.',
     ERR_MULTI_HOST_CONNECTION_FAILURE: 'Unable to connect to any of the target hosts.',
+    ERR_NESTED_TRANSACTION_OPTIONS: 'The characteristics of a nested transaction cannot be changed.',
     ERR_NO_EXPLICIT_CRITERIA_DOCUMENT: 'An explicit criteria needs to be provided with %s.',
     ERR_NO_EXPLICIT_CRITERIA_TABLE: 'An explicit criteria needs to be provided using where().',
     ERR_NON_MATCHING_ID_IN_REPLACEMENT_DOCUMENT: 'Replacement document has an _id that is different than the matched document.',
     ERR_POOL_CLOSED: 'Cannot close the pool. Maybe it has been destroyed already.',
-    ERR_POOL_QUEUE_TIMEOUT: 'Could not retrieve a connection from the pool. Timeout of %d ms was exceeded.',
+    ERR_POOL_DESTROYED: 'Could not retrieve a connection from the pool because it has been destroyed.',
+    ERR_POOL_QUEUE_TIMEOUT: 'Could not retrieve a connection from the pool. Timeout of %d ms was exceeded (waited for %d ms).',
+    ERR_POOL_VALIDATION_TIMEOUT: 'The connection could not be validated. Timeout of %d ms was exceeded.',
+    ERR_REPLICAS_WITHOUT_PRIMARY: 'At least one endpoint must have the "primary" role when there are endpoints with the "replica" role.',
     ERR_SERVER_GONE_AWAY: 'The server has gone away.',
     ERR_SERVER_SHUTDOWN: 'This session was closed due to a server shutdown.',
+    ERR_SESSION_INVALID_OPTION: "Session option '%s' is not recognized as valid.",
+    ERR_SESSION_INVALID_OPTION_VALUE: "Session option '%s' does not support value '%s'.",
     ERR_SINGLE_HOST_CONNECTION_TIMEOUT: 'Connection attempt to the server was aborted. Timeout of %d ms was exceeded.',
+    ERR_SOCKET_TIMEOUT: 'The server did not reply within %d ms. The connection was closed.',
+    ERR_SRV_INVALID_ANSWER: 'The DNS server did not provide a valid answer with SRV records.',
     ERR_SRV_LOOKUP_INVALID_OPTION: 'SRV resolution can only be toggled using a boolean value (true or false).',
     ERR_SRV_LOOKUP_WITH_PORT: 'Specifying a port number with DNS SRV lookup is not allowed.',
     ERR_SRV_LOOKUP_WITH_LOCAL_SOCKET: 'Using Unix domain sockets with DNS SRV lookup is not allowed.',
     ERR_SRV_LOOKUP_WITH_MULTIPLE_ENDPOINTS: 'Specifying multiple hostnames with DNS SRV lookup is not allowed.',
     ERR_SRV_RECORDS_NOT_AVAILABLE: 'Unable to locate any hosts for %s.',
+    ERR_STATEMENT_ABORTED: 'The statement execution was aborted.',
+    ERR_STATEMENT_TIMEOUT: 'The statement execution was aborted. Timeout of %d ms was exceeded.',
     ERR_TABLE_INSERT_FIELDS: 'Table fields must be provided as multiple Strings, an Array or an Object with the column name and value',
+    ERR_TLS_CERTIFICATE_NOT_PINNED: 'The server certificate (SHA-256 fingerprint "%s") is not one of the pinned certificates.',
+    ERR_TLS_CERT_WITHOUT_KEY: 'The client certificate and the respective private key should be specified together.',
     ERR_TLS_DISABLED_IN_SERVER: 'The X Plugin version installed in the server does not support TLS. Check https://dev.mysql.com/doc/refman/8.0/en/x-plugin-ssl-connections.html for more details on how to enable secure connections.',
     ERR_TLS_DISABLED_WITH_OPTIONS: 'Additional TLS options cannot be specified when TLS is disabled.',
-    ERR_TLS_INVALID_CA_PATH: 'The certificate authority (CA) file path is not valid.',
-    ERR_TLS_INVALID_CRL_PATH: 'The certificate revocation list (CRL) file path is not valid.',
+    ERR_TLS_INVALID_CA_PATH: 'The certificate authority (CA) should be a valid file path, a PEM string or a Buffer.',
+    ERR_TLS_INVALID_CERT: 'The client certificate should be a valid file path, a PEM string or a Buffer.',
+    ERR_TLS_INVALID_CRL_PATH: 'The certificate revocation list (CRL) should be a valid file path, a PEM string or a Buffer.',
     ERR_TLS_INVALID_CIPHERSUITE_LIST_DEFINITION: '%s is not a valid TLS ciphersuite list format.',
+    ERR_TLS_INVALID_KEY: 'The client private key should be a valid file path, a PEM string or a Buffer.',
+    ERR_TLS_INVALID_MODE: '"%s" is not a valid TLS mode. Should be one of %s.',
+    ERR_TLS_INVALID_PASSPHRASE: 'The client private key passphrase should be a string.',
+    ERR_TLS_INVALID_PINNED_FINGERPRINTS: 'The list of pinned certificates should contain one or more SHA-256 fingerprints in hexadecimal format.',
     ERR_TLS_INVALID_VERSION_LIST_DEFINITION: '"%s" is not a valid TLS protocol list format.',
     ERR_TLS_LIST_CONTAINS_INVALID_VERSION: '"%s" is not a valid TLS protocol version. Should be one of %s.',
     ERR_TLS_NO_SUPPORTED_VERSION_AVAILABLE: 'No supported TLS protocol version found in the provided list.',
     ERR_TLS_NO_VALID_CIPHERSUITE_AVAILABLE: 'No valid ciphersuite found in the provided list.',
     ERR_TLS_VERSION_NEGOTIATION_FAILED: 'Client network socket disconnected before secure TLS connection was established',
+    ERR_TRANSACTION_INVALID_OPTION: "Transaction option '%s' is not recognized as valid.",
+    ERR_TRANSACTION_INVALID_OPTION_VALUE: "Transaction option '%s' does not support value '%s'.",
     ERR_UNEXPECTED_PROTOCOL_MESSAGE: 'Unexpected protocol message %d.',
     ERR_UNIQUE_INDEX_NOT_SUPPORTED: 'Unique indexes are currently not supported.',
     ERR_UNKNOWN_PROTOCOL_HEADER: 'The server message contains an invalid header.',
     ERR_WIRE_PROTOCOL_HEADER: 'The connection does not support the X Protocol. Make sure you are connected to the correct port on a MySQL 5.7.12 (or higher) server.',
+    ERR_XA_TRANSACTION_ACTIVE: 'A regular transaction cannot be started while an XA transaction is active.',
     ERR_XOR_NON_MATCHING_BUFFER_SIZE: 'The buffers must have the same size.'
 };
 
@@ -81,6 +129,8 @@ exports.ERR_DATABASE_DOES_NOT_EXIST = 1008;
 exports.ERR_AUTHENTICATION_FAILED = 1045;
 exports.ERR_UNKNOWN_COMMAND = 1047;
 exports.ERR_SERVER_SHUTDOWN = 1053;
+exports.ERR_LOCK_WAIT_TIMEOUT = 1205;
+exports.ERR_LOCK_DEADLOCK = 1213;
 exports.ERR_MAX_PREPARED_STATEMENT_COUNT = 1461;
 exports.ERR_CONNECTION_IDLE_FOR_TOO_LONG = 1810;
 exports.ERR_CONNECTION_KILLED_IN_DIFFERENT_SESSION = 3169;
@@ -92,6 +142,8 @@ exports[1008] = 'ERR_DATABASE_DOES_NOT_EXIST';
 exports[1045] = 'ERR_AUTHENTICATION_FAILED';
 exports[1047] = 'ERR_UNKNOWN_COMMAND';
 exports[1053] = 'ERR_SERVER_SHUTDOWN';
+exports[1205] = 'ERR_LOCK_WAIT_TIMEOUT';
+exports[1213] = 'ERR_LOCK_DEADLOCK';
 exports[1461] = 'ERR_MAX_PREPARED_STATEMENT_COUNT';
 exports[1810] = 'ERR_CONNECTION_IDLE_FOR_TOO_LONG';
 exports[3169] = 'ERR_CONNECTION_KILLED_IN_DIFFERENT_SESSION';
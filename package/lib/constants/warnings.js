@@ -38,5 +38,7 @@ exports.MESSAGES = {
     WARN_DEPRECATED_TLS_VERSION: 'The connection is using %s which is now deprecated and will be removed in a future release of MySQL. Be prepared to use TLSv1.2 or TLSv1.3 when you upgrade.',
     WARN_TABLE_DELETE_EXPR_ARGUMENT: 'Passing an expression in Table.delete() is a deprecated behavior and will not be supported in future versions. Use TableDelete.where() instead.',
     WARN_TABLE_UPDATE_EXPR_ARGUMENT: 'Passing an expression in Table.update() is a deprecated behavior and will not be supported in future versions. Use TableUpdate.where() instead.',
-    WARN_TABLE_INSERT_OBJECT_ARGUMENT: 'Passing objects to Table.insert() is a deprecated behavior and will not be supported in future versions.'
+    WARN_TABLE_INSERT_OBJECT_ARGUMENT: 'Passing objects to Table.insert() is a deprecated behavior and will not be supported in future versions.',
+    WARN_POOL_CONNECTION_LEAK: 'A connection from the pool has been in use for more than %d ms, which might mean the corresponding session is never closed. The session was created at:\n%s',
+    WARN_STREAM_WITHOUT_CURSOR: 'The server does not support prepared statements, which means the stream is not able to retrieve the result set in batches and it will buffer all the rows at once.'
 };
@@ -32,21 +32,105 @@
 
 const errors = require('../constants/errors');
 const fs = require('fs');
+const net = require('net');
 const tls = require('tls');
 const tlsCiphers = require('./ciphers');
 const tlsVersions = require('./versions');
 const util = require('util');
 const { isValidArray, isValidString } = require('../validator');
 
+/**
+ * List of supported TLS verification modes.
+ * @private
+ * @type {string[]}
+ */
+const MODES = ['REQUIRED', 'VERIFY_CA', 'VERIFY_IDENTITY'];
+
+/**
+ * Pattern that matches the path of a local file.
+ * @private
+ * @type {string}
+ */
+const LOCAL_FILE_PATTERN = "^.{0,2}/[a-zA-Z0-9-._~!$&'()*+,;=]+";
+
+/**
+ * Pattern that matches the content of a PEM file.
+ * @private
+ * @type {RegExp}
+ */
+const PEM_PATTERN = /-----BEGIN [A-Z0-9 ]+-----/;
+
+/**
+ * Load the content of a certificate, certificate revocation list or
+ * private key, which can be provided in memory (as a PEM string or a Buffer)
+ * or using the path of a PEM file.
+ * @private
+ * @param {string|Buffer} value
+ * @returns {string|Buffer} The PEM content.
+ */
+function load (value) {
+    if (Buffer.isBuffer(value) || PEM_PATTERN.test(value)) {
+        return value;
+    }
+
+    return fs.readFileSync(value);
+}
+
+/**
+ * Check if a value is a valid certificate, certificate revocation list or
+ * private key (a Buffer, a PEM string or the path of a PEM file).
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidMaterial (value) {
+    return Buffer.isBuffer(value) || (typeof value === 'string' && PEM_PATTERN.test(value)) || isValidString({ value, pattern: LOCAL_FILE_PATTERN });
+}
+
+/**
+ * Normalize a SHA-256 fingerprint, which can be specified with or without
+ * colon separators and in any case.
+ * @private
+ * @param {string} fingerprint
+ * @returns {string}
+ */
+function normalizeFingerprint (fingerprint) {
+    return fingerprint.replace(/:/g, '').toLowerCase();
+}
+
+/**
+ * Retrieve the verification mode that effectively applies to a given set of
+ * TLS options.
+ * @private
+ * @param {Object} [options] - TLS options provided by the application
+ * @returns {string} The explicit mode or, if one is not provided, "VERIFY_CA"
+ * when there is a certificate authority and "REQUIRED" otherwise.
+ */
+exports.mode = function (options = {}) {
+    const mode = typeof options.mode === 'string' ? options.mode.toUpperCase() : 'REQUIRED';
+
+    // For backward compatibility, a certificate authority always means the
+    // server certificate should be verified, even in the "REQUIRED" mode
+    // (which is also what the MySQL command line client does).
+    if (mode === 'REQUIRED' && options.ca) {
+        return 'VERIFY_CA';
+    }
+
+    return mode;
+};
+
 /**
  * Create a valid security context compatible with the Node.js TLS socket API
  * https://nodejs.org/docs/v12.0.0/api/tls.html#tls_tls_createsecurecontext_options
  * @private
  * @param {Object} options - TLS options provided by the application
+ * @param {Object} [endpoint] - details of the endpoint the socket is connected to
+ * @param {string} [endpoint.host] - name of the host, used to verify the server identity
  * @returns {Object} An object containing the appriate TLS socket configuration
  * options.
  */
-exports.create = function (options = {}) {
+exports.create = function (options = {}, { host } = {}) {
+    const mode = exports.mode(options);
     // If the application does not provide a list of allowed TLS versions,
     // we use our own. We cannot have a default list of ciphersuites because
     // those are dependent on the TLS version that ends up being used.
@@ -61,6 +145,11 @@ exports.create = function (options = {}) {
         // be authorized.
         rejectUnauthorized: false
     }, options);
+    // The verification mode and the list of pinned certificates are not
+    // supported by the Node.js security context.
+    delete context.mode;
+    delete context.pinnedFingerprints;
+
     // The list of allowed TLS versions can be less strict than the list of
     // TLS versions that are actually supported by the Node.js engine and
     // OpenSSL versions. Thus, we need to filter them, and sort them from the
@@ -91,23 +180,76 @@ exports.create = function (options = {}) {
         context.secureProtocol = versions[versions.length - 1].replace('.', '_').concat('_client_method');
     }
 
-    // If there is a path to a CA file, we should use it.
+    // If there is a CA, we should use it.
     if (options.ca) {
-        // When we provide a CA file, we want the server certificate to be
-        // verified against the chain of certificate authorities defined by
-        // the file, and throw an error if the verification fails.
+        context.ca = load(options.ca);
+    }
+
+    if (mode === 'VERIFY_CA' || mode === 'VERIFY_IDENTITY') {
+        // The server certificate should be verified against the chain of
+        // certificate authorities defined by the file (or the default one
+        // when a file is not provided), and an error should be thrown if
+        // the verification fails.
         context.rejectUnauthorized = true;
-        context.ca = fs.readFileSync(options.ca);
+        // By default, Node.js also checks if the certificate matches the
+        // hostname, which is not something we want to do in "VERIFY_CA".
+        context.checkServerIdentity = () => undefined;
     }
 
-    // If there is a path to a CRL file, we should use it.
+    if (mode === 'VERIFY_IDENTITY') {
+        // The certificate should match the name of the host provided by the
+        // application, and not the address it eventually resolves to.
+        context.checkServerIdentity = (hostname, cert) => tls.checkServerIdentity(host || hostname, cert);
+
+        // IP addresses are not allowed by the SNI extension.
+        if (host && !net.isIP(host)) {
+            context.servername = host;
+        }
+    }
+
+    // If there is a CRL, we should use it.
     if (options.crl) {
-        context.crl = fs.readFileSync(options.crl);
+        context.crl = load(options.crl);
+    }
+
+    // If there is a client certificate and the respective private key (which
+    // can be encrypted with the "passphrase"), the server is able to
+    // authenticate the client (X.509).
+    if (options.cert) {
+        context.cert = load(options.cert);
+    }
+
+    if (options.key) {
+        context.key = load(options.key);
     }
 
     return context;
 };
 
+/**
+ * Check if the server certificate is one of the certificates pinned by the
+ * application.
+ * @private
+ * @param {Object} cert - peer certificate as returned by "tls.TLSSocket.getPeerCertificate()"
+ * @param {string[]} [pinnedFingerprints] - list of SHA-256 fingerprints of the allowed certificates
+ * @returns {Error|undefined} An error if the certificate is not pinned.
+ */
+exports.verifyFingerprint = function (cert, pinnedFingerprints) {
+    if (!pinnedFingerprints) {
+        return;
+    }
+
+    const fingerprint = normalizeFingerprint((cert && cert.fingerprint256) || '');
+
+    if (fingerprint.length && pinnedFingerprints.some(f => normalizeFingerprint(f) === fingerprint)) {
+        return;
+    }
+
+    const error = new Error(util.format(errors.MESSAGES.ERR_TLS_CERTIFICATE_NOT_PINNED, (cert && cert.fingerprint256) || ''));
+
+    return error;
+};
+
 /**
  * Validate the TLS options.
  * @private
@@ -117,10 +259,13 @@ exports.create = function (options = {}) {
  * @param {DeprecatedSSLOptions} [params.sslOptions] - deprecated property to provide additional TLS options
  * @returns {boolean} Returns true all properties and values are valid.
  * @throws when TLS should be disabled and additional properties are provided,
- * when any path to a certificate authority or certificate revocation file is
- * not a valid string, when the list of TLS versions does not include any valid
- * one, or contains one that is not supported, or when the list of ciphersuites
- * does not include any valid one
+ * when any certificate authority, certificate revocation list, client
+ * certificate or private key is not a Buffer, a PEM string or a valid file
+ * path, when only one of the client certificate and private key is provided,
+ * when the passphrase is not a string, when the verification mode is not
+ * valid, when the list of pinned fingerprints is not valid, when the list of
+ * TLS versions does not include any valid one, or contains one that is not
+ * supported, or when the list of ciphersuites does not include any valid one
  */
 exports.validate = function ({ tls, ssl, sslOptions }) {
     const tlsIsDisabled = (tls && tls.enabled === false) || ssl === false;
@@ -130,18 +275,55 @@ exports.validate = function ({ tls, ssl, sslOptions }) {
         throw new Error(errors.MESSAGES.ERR_TLS_DISABLED_WITH_OPTIONS);
     }
 
-    const localFilePattern = "^.{0,2}/[a-zA-Z0-9-._~!$&'()*+,;=]+";
-
-    // Validate any CA file path.
-    if (!isValidString({ value: tlsOptions.ca, pattern: localFilePattern })) {
+    // Validate any CA.
+    if (typeof tlsOptions.ca !== 'undefined' && !isValidMaterial(tlsOptions.ca)) {
         throw new Error(errors.MESSAGES.ERR_TLS_INVALID_CA_PATH);
     }
 
-    // Validate any CRL file path.
-    if (!isValidString({ value: tlsOptions.crl, pattern: localFilePattern })) {
+    // Validate any CRL.
+    if (typeof tlsOptions.crl !== 'undefined' && !isValidMaterial(tlsOptions.crl)) {
         throw new Error(errors.MESSAGES.ERR_TLS_INVALID_CRL_PATH);
     }
 
+    // Validate any client certificate.
+    if (typeof tlsOptions.cert !== 'undefined' && !isValidMaterial(tlsOptions.cert)) {
+        throw new Error(errors.MESSAGES.ERR_TLS_INVALID_CERT);
+    }
+
+    // Validate any private key.
+    if (typeof tlsOptions.key !== 'undefined' && !isValidMaterial(tlsOptions.key)) {
+        throw new Error(errors.MESSAGES.ERR_TLS_INVALID_KEY);
+    }
+
+    // A client certificate is useless without the private key and vice-versa.
+    if ((typeof tlsOptions.cert === 'undefined') !== (typeof tlsOptions.key === 'undefined')) {
+        throw new Error(errors.MESSAGES.ERR_TLS_CERT_WITHOUT_KEY);
+    }
+
+    // Validate any private key passphrase.
+    if (!isValidString({ value: tlsOptions.passphrase })) {
+        throw new Error(errors.MESSAGES.ERR_TLS_INVALID_PASSPHRASE);
+    }
+
+    // Validate the verification mode.
+    if (!isValidString({ value: tlsOptions.mode }) || (typeof tlsOptions.mode === 'string' && MODES.indexOf(tlsOptions.mode.toUpperCase()) === -1)) {
+        throw new Error(util.format(errors.MESSAGES.ERR_TLS_INVALID_MODE, tlsOptions.mode, MODES.join(', ')));
+    }
+
+    // Validate the list of pinned SHA-256 fingerprints.
+    const fingerprintPattern = '^([0-9a-fA-F]{2}:?){31}[0-9a-fA-F]{2}$';
+
+    const pinnedFingerprints = tlsOptions.pinnedFingerprints;
+
+    if (!isValidArray({ value: pinnedFingerprints })) {
+        throw new Error(errors.MESSAGES.ERR_TLS_INVALID_PINNED_FINGERPRINTS);
+    }
+
+    // An empty list would not allow any certificate.
+    if (pinnedFingerprints && (!pinnedFingerprints.length || pinnedFingerprints.some(f => !isValidString({ value: f, required: true, pattern: fingerprintPattern })))) {
+        throw new Error(errors.MESSAGES.ERR_TLS_INVALID_PINNED_FINGERPRINTS);
+    }
+
     // Check if TLS versions are provided in a valid list-like format.
     if (!isValidArray({ value: tlsOptions.versions })) {
         throw new Error(util.format(errors.MESSAGES.ERR_TLS_INVALID_VERSION_LIST_DEFINITION, tls.versions));
@@ -30,8 +30,11 @@
 
 'use strict';
 
+const crypto = require('crypto');
+const dgram = require('dgram');
 const dns = require('dns').promises;
 const errors = require('../constants/errors');
+const net = require('net');
 const util = require('util');
 const { isValidBoolean } = require('../validator');
 
@@ -40,22 +43,307 @@ const { isValidBoolean } = require('../validator');
  * @prop {string} host - service hostname
  * @prop {number} priority - priority relative to other services
  * @prop {number} port - service port
+ * @prop {number} [ttl] - number of seconds the record can be cached (when it is known)
  * @prop {number} weight - service preference under the same priority
  */
 
+/**
+ * Numeric code of the SRV resource record type.
+ * @private
+ * @type {number}
+ */
+const TYPE_SRV = 33;
+
+/**
+ * Number of milliseconds to wait for each DNS server to answer, before
+ * trying the next one.
+ * @private
+ * @type {number}
+ */
+const QUERY_TIMEOUT = 1000;
+
+/**
+ * Minimum number of milliseconds between each lookup, which prevents
+ * records with a TTL of 0 (the default on Consul) from being looked up
+ * continuously.
+ * @private
+ * @type {number}
+ */
+const MIN_REFRESH_INTERVAL = 1000;
+
+/**
+ * Number of milliseconds between each lookup when the TTL of the records
+ * is not known.
+ * @private
+ * @type {number}
+ */
+const DEFAULT_REFRESH_INTERVAL = 60000;
+
+/**
+ * Encode a DNS query message for the SRV records of a given domain name.
+ * @private
+ * @param {string} name - domain name
+ * @param {number} id - message identifier
+ * @returns {Buffer}
+ */
+function encodeQuery (name, id) {
+    const header = Buffer.alloc(12);
+
+    header.writeUInt16BE(id, 0);
+    // Standard query with recursion desired.
+    header.writeUInt16BE(0x0100, 2);
+    // A single question.
+    header.writeUInt16BE(1, 4);
+
+    const labels = name.split('.').filter(label => label.length)
+        .map(label => Buffer.concat([Buffer.from([Buffer.byteLength(label)]), Buffer.from(label)]));
+
+    const question = Buffer.alloc(4);
+    question.writeUInt16BE(TYPE_SRV, 0);
+    // Internet class.
+    question.writeUInt16BE(1, 2);
+
+    return Buffer.concat([header].concat(labels, Buffer.from([0]), question));
+}
+
+/**
+ * Decode a domain name, which can be compressed using pointers to names
+ * that appear earlier in the message.
+ * @private
+ * @param {Buffer} message - DNS message
+ * @param {number} offset - position where the name starts
+ * @returns {{name: string, offset: number}} The name and the position right after it.
+ */
+function decodeName (message, offset) {
+    const labels = [];
+    let end = -1;
+    let position = offset;
+
+    // Each pointer should refer to a prior position in the message, which
+    // means they cannot be followed indefinitely.
+    for (let jumps = 0; jumps < message.length; ++jumps) {
+        const length = message.readUInt8(position);
+
+        if (length === 0) {
+            return { name: labels.join('.'), offset: end === -1 ? position + 1 : end };
+        }
+
+        if ((length & 0xc0) === 0xc0) {
+            end = end === -1 ? position + 2 : end;
+            position = message.readUInt16BE(position) & 0x3fff;
+            continue;
+        }
+
+        labels.push(message.toString('utf8', position + 1, position + 1 + length));
+        position += length + 1;
+    }
+
+    throw new Error(errors.MESSAGES.ERR_SRV_INVALID_ANSWER);
+}
+
+/**
+ * Check if a DNS message is the answer to a given query, which means it
+ * uses the same identifier and contains the same question.
+ * @private
+ * @param {Buffer} message - DNS message
+ * @param {number} id - identifier of the query message
+ * @param {string} name - domain name used in the query
+ * @returns {boolean}
+ */
+function isAnswer (message, id, name) {
+    if (message.length < 12 || message.readUInt16BE(0) !== id || message.readUInt16BE(4) !== 1) {
+        return false;
+    }
+
+    // Domain names are not case sensitive.
+    const expected = name.split('.').filter(label => label.length).join('.').toLowerCase();
+
+    try {
+        const question = decodeName(message, 12);
+
+        return question.name.toLowerCase() === expected && message.readUInt16BE(question.offset) === TYPE_SRV;
+    } catch (err) {
+        // The question is not valid.
+        return false;
+    }
+}
+
+/**
+ * Decode the SRV records in a DNS response message.
+ * @private
+ * @param {Buffer} message - DNS message
+ * @returns {ServiceRecord[]}
+ * @throws when the message is truncated, reports an error or does not
+ * contain any SRV record
+ */
+function decodeResponse (message) {
+    const flags = message.readUInt16BE(2);
+
+    // Truncated messages (0x0200) and error codes mean the answer is not
+    // usable.
+    if (flags & 0x0200 || flags & 0x000f) {
+        throw new Error(errors.MESSAGES.ERR_SRV_INVALID_ANSWER);
+    }
+
+    const questions = message.readUInt16BE(4);
+    const answers = message.readUInt16BE(6);
+    const records = [];
+    let offset = 12;
+
+    for (let i = 0; i < questions; ++i) {
+        // Skip the name, type and class.
+        offset = decodeName(message, offset).offset + 4;
+    }
+
+    for (let i = 0; i < answers; ++i) {
+        offset = decodeName(message, offset).offset;
+
+        const type = message.readUInt16BE(offset);
+        const ttl = message.readUInt32BE(offset + 4);
+        const length = message.readUInt16BE(offset + 8);
+        const data = offset + 10;
+
+        // The answer can also contain CNAME records.
+        if (type === TYPE_SRV) {
+            const priority = message.readUInt16BE(data);
+            const weight = message.readUInt16BE(data + 2);
+            const port = message.readUInt16BE(data + 4);
+            const host = decodeName(message, data + 6).name;
+
+            records.push({ host, priority, port, ttl, weight });
+        }
+
+        offset = data + length;
+    }
+
+    if (!records.length) {
+        throw new Error(errors.MESSAGES.ERR_SRV_INVALID_ANSWER);
+    }
+
+    return records;
+}
+
+/**
+ * Split the address and port of a DNS server in the format returned by
+ * "dns.getServers()".
+ * @private
+ * @param {string} server - IPv4 or IPv6 address with an optional port
+ * @returns {{address: string, port: number}}
+ */
+function parseServer (server) {
+    const match = server.match(/^\[(.+)\]:(\d+)$/) || server.match(/^([^:]+):(\d+)$/);
+
+    if (!match) {
+        return { address: server, port: 53 };
+    }
+
+    return { address: match[1], port: parseInt(match[2], 10) };
+}
+
+/**
+ * Query a given DNS server for the SRV records of a given service
+ * definition.
+ * @private
+ * @param {string} server - IPv4 or IPv6 address with an optional port
+ * @param {string} serviceDefinition - service definition to lookup
+ * @returns {Promise<ServiceRecord[]>}
+ */
+function ask (server, serviceDefinition) {
+    const { address, port } = parseServer(server);
+    const id = crypto.randomBytes(2).readUInt16BE(0);
+
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+        let timer = null;
+
+        const finish = (err, records) => {
+            clearTimeout(timer);
+            socket.close();
+
+            if (err) {
+                return reject(err);
+            }
+
+            resolve(records);
+        };
+
+        timer = setTimeout(() => finish(new Error(errors.MESSAGES.ERR_SRV_INVALID_ANSWER)), QUERY_TIMEOUT);
+
+        socket.on('error', finish);
+
+        socket.on('message', (message, rinfo) => {
+            // Messages that are not an answer to this query, or that do not
+            // come from the server that was queried, are ignored.
+            if (rinfo.address !== address || rinfo.port !== port || !isAnswer(message, id, serviceDefinition)) {
+                return;
+            }
+
+            let records;
+
+            try {
+                records = decodeResponse(message);
+            } catch (err) {
+                return finish(err);
+            }
+
+            finish(null, records);
+        });
+
+        socket.send(encodeQuery(serviceDefinition, id), port, address);
+    });
+}
+
+/**
+ * Query the DNS servers configured in the system for the SRV records of a
+ * given service definition. Unlike "dns.resolveSrv()", the records include
+ * their TTL.
+ * @private
+ * @param {string} serviceDefinition - service definition to lookup
+ * @returns {Promise<ServiceRecord[]>}
+ */
+exports.query = function (serviceDefinition) {
+    const servers = dns.getServers();
+
+    if (!servers.length) {
+        return Promise.reject(new Error(errors.MESSAGES.ERR_SRV_INVALID_ANSWER));
+    }
+
+    // Servers are tried one after the other, which means one that is slow
+    // or not reachable only delays the lookup for a short amount of time.
+    const attempt = index => {
+        return ask(servers[index], serviceDefinition)
+            .catch(err => {
+                if (index === servers.length - 1) {
+                    throw err;
+                }
+
+                return attempt(index + 1);
+            });
+    };
+
+    return attempt(0);
+};
+
 /**
  * Perform a DNS SRV lookup.
  * @private
  * @param {string} serviceDefinition - service definition to lookup
- * @return {ServiceRecord[]}
+ * @return {Promise<ServiceRecord[]>}
  */
 exports.lookup = function (serviceDefinition) {
-    return dns.resolveSrv(serviceDefinition)
-        .then(endpoints => {
-            // We want to rename "name" to "host". Also, since DNS SRV does
-            // not work with local Unix sockets, we do not have to worry about
-            // the "socket" property.
-            return endpoints.map(({ name, port, priority, weight }) => ({ host: name, priority, port, weight }));
+    return exports.query(serviceDefinition)
+        .catch(() => {
+            // If the DNS server cannot be queried directly (for instance,
+            // when the answer does not fit in a UDP datagram), the system
+            // resolver is used instead, in which case, the TTL is not
+            // known.
+            return dns.resolveSrv(serviceDefinition)
+                .then(endpoints => {
+                    // We want to rename "name" to "host". Also, since DNS SRV
+                    // does not work with local Unix sockets, we do not have
+                    // to worry about the "socket" property.
+                    return endpoints.map(({ name, port, priority, weight }) => ({ host: name, priority, port, weight }));
+                });
         })
         .catch(err => {
             // We want a custom error message in this case.
@@ -65,31 +353,101 @@ exports.lookup = function (serviceDefinition) {
 };
 
 /**
- * Sort DNS SRV records.
+ * Create a pseudo-random number generator with a given seed, which allows
+ * to reproduce the same sequence of numbers (e.g. in tests).
+ * @private
+ * @param {number} seed - integer seed
+ * @returns {function} Function that returns a number between 0 (inclusive) and 1 (exclusive).
+ */
+exports.random = function (seed) {
+    // mulberry32
+    let current = seed >>> 0;
+
+    return () => {
+        current = (current + 0x6d2b79f5) >>> 0;
+
+        let value = current;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Sort DNS SRV records, according to RFC 2782. Records with a lower priority
+ * come first and, for records with the same priority, the order is
+ * determined using a weighted random selection, which means each record is
+ * picked with a probability proportional to its weight.
  * @private
  * @param {Object[]} endpoints
+ * @param {Object} [options]
+ * @param {function} [options.random=Math.random] - pseudo-random number generator
  * @return {Object[]}
  */
-exports.sort = function (endpoints = []) {
-    return Array.from(endpoints).sort((a, b) => {
-        // In DNS SRV records, the lower the priority of an endpoint, the more
-        // important it is. There is a chance that a record does not have a
-        // priority (e.g. on Consul), but in that case, the core Node.js API
-        // simply returns a default value of 1, so we do not have to worry
-        // about the values being undefined.
-        if (a.priority !== b.priority) {
-            return a.priority - b.priority;
-        }
+exports.sort = function (endpoints = [], { random = Math.random } = {}) {
+    // There is a chance that a record does not have a priority (e.g. on
+    // Consul), but in that case, the core Node.js API simply returns a
+    // default value of 1, so we do not have to worry about the values being
+    // undefined.
+    const priorities = endpoints.map(e => e.priority)
+        .filter((priority, index, all) => all.indexOf(priority) === index)
+        .sort((a, b) => a - b);
+
+    return priorities.reduce((sorted, priority) => {
+        // Records with weight 0 should be placed at the beginning, in order
+        // to have a very small chance of being picked.
+        const group = endpoints.filter(e => e.priority === priority && !e.weight)
+            .concat(endpoints.filter(e => e.priority === priority && e.weight));
+
+        while (group.length) {
+            const total = group.reduce((sum, e) => sum + (e.weight || 0), 0);
+            // A random number between 0 and the sum of the weights
+            // (inclusive).
+            const pick = Math.floor(random() * (total + 1));
+
+            let sum = 0;
+            const index = group.findIndex(e => {
+                sum += e.weight || 0;
+                return sum >= pick;
+            });
 
-        // On the other hand, a higher weight means more importance.
-        if (a.weight !== b.weight) {
-            return b.weight - a.weight;
+            sorted.push(group.splice(index, 1)[0]);
         }
 
-        // For endpoints with the same priority and weigth, the order
-        // is determined via random weighted selection.
-        return [-1, 1][Math.floor(Math.random() * 2)];
-    });
+        return sorted;
+    }, []);
+};
+
+/**
+ * Compute the number of milliseconds until a set of records should be
+ * looked up again, based on the lowest TTL.
+ * @private
+ * @param {ServiceRecord[]} records
+ * @returns {number}
+ */
+exports.refreshInterval = function (records = []) {
+    const ttls = records.map(r => r.ttl).filter(ttl => Number.isInteger(ttl));
+
+    if (!ttls.length) {
+        return DEFAULT_REFRESH_INTERVAL;
+    }
+
+    return Math.max(Math.min.apply(Math, ttls) * 1000, MIN_REFRESH_INTERVAL);
+};
+
+/**
+ * Check if two sets of records point to the same services with the same
+ * priorities and weights, regardless of their order and TTL.
+ * @private
+ * @param {ServiceRecord[]} a
+ * @param {ServiceRecord[]} b
+ * @returns {boolean}
+ */
+exports.equals = function (a = [], b = []) {
+    const key = records => records.map(r => `${r.host}:${r.port}:${r.priority}:${r.weight}`).sort().join(',');
+
+    return key(a) === key(b);
 };
 
 /**
@@ -0,0 +1,278 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const Net = require('net');
+const errors = require('../constants/errors');
+const util = require('util');
+const { isValidBoolean, isValidInteger, isValidPlainObject } = require('../validator');
+
+/**
+ * Client-wide registry that keeps track of the health of each endpoint,
+ * using a circuit breaker. Endpoints that fail to connect too many times in
+ * a row are skipped by new connections, and are probed in the background
+ * until they become reachable again.
+ * @private
+ * @module EndpointHealth
+ */
+
+/**
+ * Circuit breaker configuration properties.
+ * @typedef {Object} CircuitBreaker
+ * @prop {boolean} [enabled=false] - skip endpoints that are known to be unreachable
+ * @prop {number} [failureThreshold=3] - number of consecutive connection failures after which an endpoint is skipped
+ * @prop {number} [cooldown=20000] - number of milliseconds to wait before probing an endpoint that is being skipped
+ */
+const VALID_OPTIONS = ['cooldown', 'enabled', 'failureThreshold'];
+
+/**
+ * Identify an endpoint regardless of the other properties it might have
+ * (such as the priority).
+ * @private
+ * @param {Endpoint} endpoint
+ * @returns {string}
+ */
+function key ({ host = 'localhost', port = 33060, socket }) {
+    return socket ? `socket:${socket}` : `${host}:${port}`;
+}
+
+/**
+ * @private
+ * @alias module:EndpointHealth
+ * @param {module:EndpointHealth~CircuitBreaker} [options] - circuit breaker options
+ * @param {number} [connectTimeout=10000] - maximum number of milliseconds to wait for a probe to connect
+ * @returns {module:EndpointHealth}
+ */
+function EndpointHealth ({ cooldown = 20000, failureThreshold = 3 } = {}, connectTimeout = 10000) {
+    // Maps the key of each endpoint with recent failures to the state of
+    // its circuit breaker, which can be "closed" (the endpoint can be used),
+    // "open" (the endpoint is skipped) or "halfOpen" (the endpoint is
+    // skipped while it is being probed).
+    const circuits = new Map();
+
+    return {
+        /**
+         * Checks if an endpoint can be used by a new connection.
+         * @private
+         * @function
+         * @name module:EndpointHealth#isAvailable
+         * @param {Endpoint} endpoint
+         * @returns {boolean}
+         */
+        isAvailable (endpoint) {
+            return this.getState(endpoint) === 'closed';
+        },
+
+        /**
+         * Retrieves the state of the circuit breaker of an endpoint.
+         * @private
+         * @function
+         * @name module:EndpointHealth#getState
+         * @param {Endpoint} endpoint
+         * @returns {string} "closed", "open" or "halfOpen"
+         */
+        getState (endpoint) {
+            const circuit = circuits.get(key(endpoint));
+
+            return circuit ? circuit.state : 'closed';
+        },
+
+        /**
+         * Checks if an endpoint that is being skipped is reachable again,
+         * by opening and closing a network socket.
+         * @private
+         * @function
+         * @name module:EndpointHealth#probe
+         * @param {Endpoint} endpoint
+         * @returns {Promise<module:EndpointHealth>}
+         */
+        probe (endpoint) {
+            const circuit = circuits.get(key(endpoint));
+
+            if (!circuit) {
+                return Promise.resolve(this);
+            }
+
+            circuit.state = 'halfOpen';
+
+            return new Promise(resolve => {
+                const socket = Net.connect({ host: endpoint.host || 'localhost', port: endpoint.port || 33060, path: endpoint.socket });
+
+                socket.setTimeout(connectTimeout);
+
+                socket.once('connect', () => {
+                    socket.destroy();
+                    resolve(true);
+                });
+
+                socket.once('timeout', () => {
+                    socket.destroy();
+                    resolve(false);
+                });
+
+                socket.once('error', () => resolve(false));
+            })
+                .then(isReachable => {
+                    // The registry might have been reset in the meantime.
+                    if (circuits.get(key(endpoint)) !== circuit) {
+                        return this;
+                    }
+
+                    if (isReachable) {
+                        return this.reportSuccess(endpoint);
+                    }
+
+                    return this.trip(endpoint);
+                });
+        },
+
+        /**
+         * Records a connection failure, which means a session could not be
+         * established with the endpoint, and starts skipping the endpoint
+         * once the number of consecutive failures reaches the threshold.
+         * @private
+         * @function
+         * @name module:EndpointHealth#reportFailure
+         * @param {Endpoint} endpoint
+         * @returns {module:EndpointHealth}
+         */
+        reportFailure (endpoint) {
+            const circuit = circuits.get(key(endpoint)) || { failures: 0, state: 'closed', timer: null };
+
+            circuits.set(key(endpoint), circuit);
+            circuit.failures += 1;
+
+            if (circuit.state !== 'closed' || circuit.failures < failureThreshold) {
+                return this;
+            }
+
+            return this.trip(endpoint);
+        },
+
+        /**
+         * Records a successful connection, which means the endpoint can be
+         * used again.
+         * @private
+         * @function
+         * @name module:EndpointHealth#reportSuccess
+         * @param {Endpoint} endpoint
+         * @returns {module:EndpointHealth}
+         */
+        reportSuccess (endpoint) {
+            const circuit = circuits.get(key(endpoint));
+
+            if (circuit) {
+                clearTimeout(circuit.timer);
+                circuits.delete(key(endpoint));
+            }
+
+            return this;
+        },
+
+        /**
+         * Forgets about all the endpoints and stops probing them.
+         * @private
+         * @function
+         * @name module:EndpointHealth#reset
+         * @returns {module:EndpointHealth}
+         */
+        reset () {
+            circuits.forEach(circuit => clearTimeout(circuit.timer));
+            circuits.clear();
+
+            return this;
+        },
+
+        /**
+         * Starts skipping an endpoint and schedules a probe once the
+         * cooldown period is over.
+         * @private
+         * @function
+         * @name module:EndpointHealth#trip
+         * @param {Endpoint} endpoint
+         * @returns {module:EndpointHealth}
+         */
+        trip (endpoint) {
+            const circuit = circuits.get(key(endpoint));
+
+            circuit.state = 'open';
+
+            clearTimeout(circuit.timer);
+            circuit.timer = setTimeout(() => this.probe(endpoint), cooldown);
+            // The timer should not prevent the process from exiting.
+            circuit.timer.unref();
+
+            return this;
+        }
+    };
+}
+
+/**
+ * Validate the circuit breaker options.
+ * @private
+ * @param {Object} params
+ * @param {module:EndpointHealth~CircuitBreaker} [params.circuitBreaker] - the value of "circuitBreaker" provided as a client option
+ * @returns {boolean} Returns true if all options and values are valid.
+ * @throws when the options are not defined using a plain object, contain
+ * unknown properties or properties with invalid values.
+ */
+EndpointHealth.validate = function ({ circuitBreaker }) {
+    if (!isValidPlainObject({ value: circuitBreaker })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'circuitBreaker', circuitBreaker));
+    }
+
+    const options = Object.assign({}, circuitBreaker);
+    const invalidKeys = Object.keys(options).filter(k => VALID_OPTIONS.indexOf(k) === -1);
+
+    if (invalidKeys.length) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION, `circuitBreaker.${invalidKeys[0]}`));
+    }
+
+    if (!isValidBoolean({ value: options.enabled })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'circuitBreaker.enabled', options.enabled));
+    }
+
+    if (!isValidInteger({ value: options.failureThreshold, min: 1 })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'circuitBreaker.failureThreshold', options.failureThreshold));
+    }
+
+    if (!isValidInteger({ value: options.cooldown, min: 0 })) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'circuitBreaker.cooldown', options.cooldown));
+    }
+
+    return true;
+};
+
+EndpointHealth.VALID_OPTIONS = VALID_OPTIONS;
+
+EndpointHealth.key = key;
+
+module.exports = EndpointHealth;
@@ -0,0 +1,145 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+'use strict';
+
+const errors = require('../constants/errors');
+const { isValidBoolean, isValidPlainObject } = require('../validator');
+
+/**
+ * @typedef {Object} GroupMember
+ * @prop {string} id - server UUID of the member
+ * @prop {string} host - hostname reported by the member
+ * @prop {number} port - classic protocol port reported by the member
+ * @prop {string} state - member state (e.g. ONLINE, RECOVERING or UNREACHABLE)
+ * @prop {string} role - member role (PRIMARY or SECONDARY)
+ * @prop {boolean} isCurrent - whether the member is the server where the query was executed
+ */
+
+/**
+ * Member roles that can be used for routing.
+ * @private
+ * @type {string[]}
+ */
+exports.ROLES = ['PRIMARY', 'SECONDARY'];
+
+/**
+ * Group Replication notices the X Plugin only sends when they are explicitly
+ * enabled.
+ * @private
+ * @type {string[]}
+ */
+exports.NOTICES = [
+    'group_replication/membership/quorum_loss',
+    'group_replication/membership/view',
+    'group_replication/status/role_change',
+    'group_replication/status/state_change'
+];
+
+/**
+ * SQL query to retrieve the members of the group, from the point of view of
+ * the current server.
+ * @private
+ * @type {string}
+ */
+exports.QUERY = 'SELECT MEMBER_ID, MEMBER_HOST, MEMBER_PORT, MEMBER_STATE, MEMBER_ROLE, MEMBER_ID = @@server_uuid FROM performance_schema.replication_group_members';
+
+/**
+ * Create the description of a group member.
+ * @private
+ * @param {Array<*>} row - column values of a row returned by the topology query
+ * @return {GroupMember}
+ */
+exports.member = function ([id, host, port, state, role, isCurrent]) {
+    return { id, host, port, state, role, isCurrent: !!isCurrent };
+};
+
+/**
+ * Sort MySQL server endpoints based on the role and state of the group
+ * members running on the same host. The relative order of endpoints
+ * with the same rank is kept.
+ * @private
+ * @param {Object[]} endpoints
+ * @param {GroupMember[]} members
+ * @param {string} role - preferred role
+ * @return {Object[]}
+ */
+exports.sort = function (endpoints = [], members = [], role = 'PRIMARY') {
+    const rank = endpoint => {
+        // The group members only report the classic protocol port, so an
+        // endpoint is matched by host alone.
+        const matches = members.filter(m => !endpoint.socket && typeof endpoint.host === 'string' && endpoint.host.toLowerCase() === String(m.host).toLowerCase());
+
+        // Endpoints that are not known to the group are only picked after
+        // the ones where members are ONLINE.
+        if (!matches.length) {
+            return 2;
+        }
+
+        if (matches.some(m => m.state === 'ONLINE' && m.role === role)) {
+            return 0;
+        }
+
+        if (matches.some(m => m.state === 'ONLINE')) {
+            return 1;
+        }
+
+        return 3;
+    };
+
+    return endpoints.map((endpoint, index) => ({ endpoint, index, rank: rank(endpoint) }))
+        .sort((a, b) => a.rank - b.rank || a.index - b.index)
+        .map(({ endpoint }) => endpoint);
+};
+
+/**
+ * Validate the Group Replication options.
+ * @private
+ * @param {Object} params
+ * @param {Object} [groupReplication] - the value of "groupReplication" provided as a connection option
+ * @returns {boolean} Returns true if all options and values are valid.
+ * @throws when "groupReplication" is not a plain object or contains an invalid value.
+ */
+exports.validate = function ({ groupReplication }) {
+    if (!isValidPlainObject({ value: groupReplication })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_GROUP_REPLICATION_DEFINITION);
+    }
+
+    const { enabled, role } = Object.assign({}, groupReplication);
+
+    if (!isValidBoolean({ value: enabled })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_GROUP_REPLICATION_ENABLED_VALUE);
+    }
+
+    if (typeof role !== 'undefined' && exports.ROLES.indexOf(role) === -1) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_GROUP_REPLICATION_ROLE_VALUE);
+    }
+
+    return true;
+};
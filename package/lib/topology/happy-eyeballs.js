@@ -0,0 +1,211 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const Net = require('net');
+const dns = require('dns');
+const errors = require('../constants/errors');
+const { isValidBoolean, isValidInteger, isValidPlainObject } = require('../validator');
+
+/**
+ * Utilities to connect to a host that resolves to more than one address,
+ * racing connection attempts to each one of them, as described in
+ * RFC 8305 (Happy Eyeballs Version 2).
+ * @private
+ * @module HappyEyeballs
+ */
+
+/**
+ * Happy Eyeballs properties.
+ * @typedef {Object} HappyEyeballs
+ * @prop {boolean} [enabled=false] - resolve every address of each host and race connection attempts to them
+ * @prop {number} [delay=250] - amount of time (ms) to wait before starting a connection attempt to the next address, while the previous one is still pending
+ */
+
+/**
+ * Sort a list of addresses by alternating between address families,
+ * starting with the family of the first address.
+ * @private
+ * @param {Object[]} addresses - list of addresses in the format returned by "dns.lookup()"
+ * @returns {Object[]}
+ */
+exports.interleave = function (addresses = []) {
+    if (!addresses.length) {
+        return [];
+    }
+
+    const preferred = addresses.filter(a => a.family === addresses[0].family);
+    const others = addresses.filter(a => a.family !== addresses[0].family);
+    const interleaved = [];
+
+    for (let i = 0; i < Math.max(preferred.length, others.length); ++i) {
+        interleaved.push.apply(interleaved, [preferred[i], others[i]].filter(a => !!a));
+    }
+
+    return interleaved;
+};
+
+/**
+ * Resolve every address of the host of an endpoint, creating an endpoint
+ * for each one of them, which keeps a reference to the original.
+ * @private
+ * @param {Endpoint} endpoint
+ * @returns {Promise<Endpoint[]>}
+ */
+exports.resolve = function (endpoint) {
+    const host = endpoint.host || 'localhost';
+
+    // Local Unix sockets and IP addresses do not need to be resolved.
+    if (endpoint.socket || Net.isIP(host)) {
+        return Promise.resolve([endpoint]);
+    }
+
+    return dns.promises.lookup(host, { all: true, verbatim: true })
+        .then(addresses => {
+            return exports.interleave(addresses).map(({ address, family }) => Object.assign({}, endpoint, { address, family, origin: endpoint }));
+        })
+        .catch(() => {
+            // If the host cannot be resolved, the connection attempt should
+            // fail with the usual error.
+            return [endpoint];
+        });
+};
+
+/**
+ * Replace the endpoints created for each address by the original endpoint,
+ * in order for the host to be resolved again.
+ * @private
+ * @param {Endpoint[]} endpoints
+ * @returns {Endpoint[]}
+ */
+exports.collapse = function (endpoints = []) {
+    return endpoints.map(endpoint => endpoint.origin || endpoint)
+        .filter((endpoint, index, all) => all.indexOf(endpoint) === index);
+};
+
+/**
+ * Race connection attempts to a list of endpoints, starting a new attempt
+ * when the previous one fails or does not succeed within the given delay.
+ * @private
+ * @param {Endpoint[]} endpoints - endpoints, sorted by preference, created for each address of the same host
+ * @param {Object} [options]
+ * @param {number} [options.delay=250] - amount of time (ms) to wait before starting the next attempt
+ * @param {number} [options.timeout=10000] - maximum amount of time (ms) each attempt can take (0 means no limit)
+ * @returns {Promise<Object>} The network socket that was connected first, the
+ * corresponding endpoint and the list of endpoints that could not be reached.
+ * @throws when none of the endpoints can be reached.
+ */
+exports.connect = function (endpoints, { delay = 250, timeout = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const attempts = [];
+        const failed = [];
+        let timer = null;
+
+        const next = () => {
+            clearTimeout(timer);
+
+            if (attempts.length === endpoints.length) {
+                return;
+            }
+
+            const endpoint = endpoints[attempts.length];
+            const socket = Net.connect({ host: endpoint.address || endpoint.host || 'localhost', port: endpoint.port || 33060 });
+
+            const onConnect = () => {
+                clearTimeout(timer);
+
+                socket.setTimeout(0);
+                socket.removeListener('error', onError);
+                socket.removeListener('timeout', onTimeout);
+
+                // The remaining attempts are not needed anymore.
+                attempts.filter(s => s !== socket).forEach(s => s.destroy());
+
+                resolve({ endpoint, failed, socket });
+            };
+
+            const onError = err => {
+                failed.push(endpoint);
+
+                if (failed.length === endpoints.length) {
+                    return reject(err);
+                }
+
+                // There is no reason to wait for the delay to be over.
+                next();
+            };
+
+            const onTimeout = () => {
+                const error = new Error();
+                error.name = 'ETIMEDOUT';
+
+                socket.destroy(error);
+            };
+
+            attempts.push(socket);
+
+            socket.setTimeout(timeout);
+            socket.once('connect', onConnect);
+            socket.once('error', onError);
+            socket.once('timeout', onTimeout);
+
+            timer = setTimeout(next, delay);
+        };
+
+        next();
+    });
+};
+
+/**
+ * Validate the Happy Eyeballs options.
+ * @private
+ * @param {Object} params
+ * @param {module:HappyEyeballs~HappyEyeballs} [happyEyeballs] - the value of "happyEyeballs" provided as a connection option
+ * @returns {boolean} Returns true if all options and values are valid.
+ * @throws when "happyEyeballs" is not a plain object or contains an invalid value.
+ */
+exports.validate = function ({ happyEyeballs }) {
+    if (!isValidPlainObject({ value: happyEyeballs })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_HAPPY_EYEBALLS_DEFINITION);
+    }
+
+    const { enabled, delay } = Object.assign({}, happyEyeballs);
+
+    if (!isValidBoolean({ value: enabled })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_HAPPY_EYEBALLS_ENABLED_VALUE);
+    }
+
+    if (!isValidInteger({ value: delay, min: 0 })) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_HAPPY_EYEBALLS_DELAY_VALUE);
+    }
+
+    return true;
+};
@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+const errors = require('../constants/errors');
+const util = require('util');
+
+/**
+ * @typedef {Object} Replica
+ * @prop {number} active - number of sessions currently using the replica
+ */
+
+/**
+ * Roles an endpoint can have.
+ * @private
+ * @type {string[]}
+ */
+exports.ROLES = ['primary', 'replica'];
+
+/**
+ * Strategies used to balance read-only sessions across replicas.
+ * @private
+ * @type {string[]}
+ */
+exports.STRATEGIES = ['roundRobin', 'leastActive'];
+
+/**
+ * Split a list of endpoints into primaries and replicas. Endpoints without
+ * an explicit role are primaries.
+ * @private
+ * @param {Object[]} endpoints
+ * @return {{primaries: Object[], replicas: Object[]}}
+ */
+exports.split = function (endpoints = []) {
+    // The role is not relevant for the connection itself.
+    const strip = endpoint => {
+        const copy = Object.assign({}, endpoint);
+        delete copy.role;
+
+        return copy;
+    };
+
+    return {
+        primaries: endpoints.filter(e => e.role !== 'replica').map(strip),
+        replicas: endpoints.filter(e => e.role === 'replica').map(strip)
+    };
+};
+
+/**
+ * Sort replicas by the order they should be tried for a new read-only
+ * session.
+ * @private
+ * @param {Replica[]} replicas
+ * @param {Object} options
+ * @param {string} [options.strategy=roundRobin] - load balancing strategy
+ * @param {number} [options.offset=0] - position of the next replica in a round-robin
+ * @return {Replica[]}
+ */
+exports.sort = function (replicas = [], { strategy = 'roundRobin', offset = 0 } = {}) {
+    if (strategy === 'leastActive') {
+        // Replicas with the same number of active sessions keep their
+        // relative order.
+        return replicas.map((replica, index) => ({ replica, index }))
+            .sort((a, b) => a.replica.active - b.replica.active || a.index - b.index)
+            .map(({ replica }) => replica);
+    }
+
+    const start = replicas.length ? offset % replicas.length : 0;
+
+    return replicas.slice(start).concat(replicas.slice(0, start));
+};
+
+/**
+ * Validate the read/write splitting setup.
+ * @private
+ * @param {Object} params
+ * @param {Array<Endpoint>} [endpoints] - any list of endpoints provided as a connection option
+ * @param {string} [loadBalancing] - the value of "loadBalancing" provided as a client option
+ * @returns {boolean} Returns true if all options and values are valid.
+ * @throws when an endpoint role or the load balancing strategy are not valid
+ * or when there are replicas but no primary.
+ */
+exports.validate = function ({ endpoints, loadBalancing }) {
+    const list = Array.isArray(endpoints) ? endpoints : [];
+
+    if (list.some(e => typeof e.role !== 'undefined' && exports.ROLES.indexOf(e.role) === -1)) {
+        throw new Error(errors.MESSAGES.ERR_INVALID_ENDPOINT_ROLE);
+    }
+
+    if (list.some(e => e.role === 'replica') && list.every(e => e.role === 'replica')) {
+        throw new Error(errors.MESSAGES.ERR_REPLICAS_WITHOUT_PRIMARY);
+    }
+
+    if (typeof loadBalancing !== 'undefined' && exports.STRATEGIES.indexOf(loadBalancing) === -1) {
+        throw new Error(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'loadBalancing', loadBalancing));
+    }
+
+    return true;
+};
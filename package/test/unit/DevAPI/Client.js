@@ -32,6 +32,7 @@
 
 /* eslint-env node, mocha */
 
+const EventEmitter = require('events');
 const expect = require('chai').expect;
 const errors = require('../../../lib/constants/errors');
 const td = require('testdouble');
@@ -64,7 +65,7 @@ describe('DevAPI Client', () => {
             const options = { foo: 'bar', pooling: { enabled: false } };
             const open = td.function();
 
-            td.when(connection(options)).thenReturn({ open });
+            td.when(connection(options, { health: null, trackGtids: false })).thenReturn({ open });
             td.when(open()).thenResolve('baz');
             td.when(session('baz')).thenReturn('qux');
 
@@ -79,7 +80,7 @@ describe('DevAPI Client', () => {
             const create = td.function();
             const getConnection = td.function();
 
-            td.when(pool(options)).thenReturn({ create });
+            td.when(pool(options, td.matchers.isA(Object))).thenReturn({ create });
             td.when(create()).thenReturn({ getConnection });
             td.when(getConnection()).thenResolve('baz');
             td.when(session('baz')).thenReturn('qux');
@@ -89,6 +90,527 @@ describe('DevAPI Client', () => {
                     expect(res).to.equal('qux');
                 });
         });
+
+        it('re-uses the pool that was created in advance to contain a minimum number of connections', () => {
+            const options = { foo: 'bar', pooling: { enabled: true, minSize: 2 } };
+            const create = td.function();
+            const fill = td.function();
+            const getConnection = td.function();
+
+            td.when(pool(options, td.matchers.isA(Object))).thenReturn({ create });
+            td.when(create()).thenReturn({ fill, getConnection });
+            td.when(getConnection()).thenResolve('baz');
+            td.when(session('baz')).thenReturn('qux');
+
+            const cli = client(options);
+
+            expect(td.explain(fill).callCount).to.equal(1);
+
+            return cli.getSession()
+                .then(res => {
+                    expect(res).to.equal('qux');
+                    return expect(td.explain(create).callCount).to.equal(1);
+                });
+        });
+
+        it('shares a single endpoint health registry with all the connections when the circuit breaker is enabled', () => {
+            const options = { circuitBreaker: { enabled: true }, pooling: { enabled: false } };
+            const open = td.function();
+
+            td.when(connection(), { ignoreExtraArgs: true }).thenReturn({ open });
+            td.when(open()).thenResolve('foo');
+
+            const cli = client(options);
+
+            return cli.getSession()
+                .then(() => cli.getSession())
+                .then(() => {
+                    const registries = td.explain(connection).calls.map(call => call.args[1].health);
+
+                    expect(registries).to.have.lengthOf(2);
+                    expect(registries[0]).to.have.property('isAvailable').that.is.a('function');
+                    return expect(registries[1]).to.equal(registries[0]);
+                });
+        });
+
+        context('read/write splitting', () => {
+            const endpoints = [{ host: 'foo' }, { host: 'bar', role: 'replica' }, { host: 'baz', role: 'replica' }];
+
+            it('creates read-write sessions using only the primary endpoints and tracking the GTIDs of their transactions', () => {
+                const options = { endpoints, pooling: { enabled: false } };
+                const open = td.function();
+
+                td.when(connection({ endpoints: [{ host: 'foo' }], pooling: { enabled: false } }, { health: null, trackGtids: true })).thenReturn({ open });
+                td.when(open()).thenResolve('qux');
+                td.when(session('qux')).thenReturn('quux');
+
+                return client(options).getSession()
+                    .then(res => {
+                        expect(res).to.equal('quux');
+                    });
+            });
+
+            it('creates read-write sessions using a pool of connections that track the GTIDs of their transactions', () => {
+                const options = { endpoints, pooling: { enabled: true } };
+                const getConnection = td.function();
+
+                td.when(pool(td.matchers.contains({ endpoints: [{ host: 'foo' }] }), td.matchers.contains({ trackGtids: true }))).thenReturn({ create: () => ({ getConnection }) });
+                td.when(getConnection()).thenResolve('qux');
+                td.when(session('qux')).thenReturn('quux');
+
+                return client(options).getSession()
+                    .then(res => {
+                        expect(res).to.equal('quux');
+                        return expect(td.explain(getConnection).callCount).to.equal(1);
+                    });
+            });
+
+            it('waits until a replica applies a given GTID set before creating a session with "readYourWrites" consistency', () => {
+                const options = { endpoints, pooling: { enabled: false } };
+                const waitForGtidSet = td.function();
+                const con = { getEvents: () => new EventEmitter(), waitForGtidSet };
+
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'bar' }] }), { health: null })).thenReturn({ open: () => Promise.resolve(con) });
+                td.when(waitForGtidSet('qux:1-5', 2000)).thenResolve(con);
+                td.when(session(con)).thenReturn('quux');
+
+                return client(options).getSession({ readOnly: true, consistency: 'readYourWrites', after: 'qux:1-5', waitTimeout: 2000 })
+                    .then(res => {
+                        expect(res).to.equal('quux');
+                    });
+            });
+
+            it('does not wait for a replica when there is no GTID set', () => {
+                const options = { endpoints, pooling: { enabled: false } };
+                const waitForGtidSet = td.function();
+                const con = { getEvents: () => new EventEmitter(), waitForGtidSet };
+
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'bar' }] }), { health: null })).thenReturn({ open: () => Promise.resolve(con) });
+                td.when(session(con)).thenReturn('quux');
+
+                return client(options).getSession({ readOnly: true, consistency: 'readYourWrites', after: null })
+                    .then(res => {
+                        expect(res).to.equal('quux');
+                        return expect(td.explain(waitForGtidSet).callCount).to.equal(0);
+                    });
+            });
+
+            it('uses the next replica when one does not apply a given GTID set in time', () => {
+                const options = { endpoints, pooling: { enabled: false } };
+                const close = td.function();
+                const waitForGtidSet = td.function();
+                const bar = { close, getEvents: () => new EventEmitter(), waitForGtidSet: () => Promise.reject(new Error('The server did not apply the transactions in the GTID set "qux:1-5" within 10000 ms.')) };
+                const baz = { getEvents: () => new EventEmitter(), waitForGtidSet };
+
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'bar' }] }), { health: null })).thenReturn({ open: () => Promise.resolve(bar) });
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'baz' }] }), { health: null })).thenReturn({ open: () => Promise.resolve(baz) });
+                td.when(waitForGtidSet('qux:1-5', 10000)).thenResolve(baz);
+                td.when(close()).thenResolve();
+                td.when(session(baz)).thenReturn('baz');
+
+                return client(options).getSession({ readOnly: true, consistency: 'readYourWrites', after: 'qux:1-5' })
+                    .then(res => {
+                        expect(res).to.equal('baz');
+                        return expect(td.explain(close).callCount).to.equal(1);
+                    });
+            });
+
+            it('balances read-only sessions across replicas using a round-robin strategy', () => {
+                const options = { endpoints, pooling: { enabled: false } };
+                const open = td.function();
+                const con = { getEvents: () => new EventEmitter() };
+
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'bar' }] }), { health: null })).thenReturn({ open: () => Promise.resolve(Object.assign({ name: 'bar' }, con)) });
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'baz' }] }), { health: null })).thenReturn({ open: () => Promise.resolve(Object.assign({ name: 'baz' }, con)) });
+                td.when(session(td.matchers.isA(Object))).thenDo(con => con.name);
+
+                const cli = client(options);
+
+                return cli.getSession({ readOnly: true })
+                    .then(res => {
+                        expect(res).to.equal('bar');
+                        return cli.getSession({ readOnly: true });
+                    })
+                    .then(res => {
+                        expect(res).to.equal('baz');
+                        return cli.getSession({ readOnly: true });
+                    })
+                    .then(res => {
+                        expect(res).to.equal('bar');
+                        return expect(td.explain(open).callCount).to.equal(0);
+                    });
+            });
+
+            it('balances read-only sessions across the replicas with the least number of active sessions', () => {
+                const options = { endpoints, loadBalancing: 'leastActive', pooling: { enabled: false } };
+                const events = new EventEmitter();
+
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'bar' }] }), { health: null })).thenReturn({ open: () => Promise.resolve({ name: 'bar', getEvents: () => events }) });
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'baz' }] }), { health: null })).thenReturn({ open: () => Promise.resolve({ name: 'baz', getEvents: () => new EventEmitter() }) });
+                td.when(session(td.matchers.isA(Object))).thenDo(con => con.name);
+
+                const cli = client(options);
+
+                return cli.getSession({ readOnly: true })
+                    .then(res => {
+                        expect(res).to.equal('bar');
+                        return cli.getSession({ readOnly: true });
+                    })
+                    .then(res => {
+                        expect(res).to.equal('baz');
+                        // The session using the first replica is closed.
+                        events.emit('close', { hadError: false, error: null });
+                        return cli.getSession({ readOnly: true });
+                    })
+                    .then(res => {
+                        expect(res).to.equal('bar');
+                    });
+            });
+
+            it('uses a separate pool for each replica', () => {
+                const options = { endpoints, pooling: { enabled: true } };
+                const getConnection = td.function();
+
+                td.when(pool(td.matchers.contains({ endpoints: [{ host: 'bar' }] }), td.matchers.isA(Object))).thenReturn({ create: () => ({ getConnection }) });
+                td.when(getConnection()).thenResolve({ getEvents: () => new EventEmitter() });
+                td.when(session(td.matchers.isA(Object))).thenReturn('qux');
+
+                return client(options).getSession({ readOnly: true })
+                    .then(res => {
+                        expect(res).to.equal('qux');
+                        return expect(td.explain(pool).callCount).to.equal(1);
+                    });
+            });
+
+            it('falls back to the next replica and then to the primary when a connection cannot be opened', () => {
+                const options = { endpoints, pooling: { enabled: false } };
+                const open = td.function();
+                const error = new Error();
+                error.code = 'ECONNREFUSED';
+
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'bar' }] }), { health: null })).thenReturn({ open: () => Promise.reject(error) });
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'baz' }] }), { health: null })).thenReturn({ open: () => Promise.reject(new Error(errors.MESSAGES.ERR_CIRCUIT_BREAKER_OPEN)) });
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'foo' }] }), { health: null, trackGtids: true })).thenReturn({ open });
+                td.when(open()).thenResolve('qux');
+                td.when(session('qux')).thenReturn('quux');
+
+                return client(options).getSession({ readOnly: true, waitTimeout: 2000 })
+                    .then(res => {
+                        expect(res).to.equal('quux');
+                    });
+            });
+
+            it('reports each replica that is skipped', () => {
+                const options = { endpoints, pooling: { enabled: false } };
+                const error = new Error();
+                error.code = 'ECONNRESET';
+                const listener = td.function();
+
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'bar' }] }), { health: null })).thenReturn({ open: () => Promise.reject(error) });
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'baz' }] }), { health: null })).thenReturn({ open: () => Promise.resolve({ getEvents: () => new EventEmitter() }) });
+                td.when(session(td.matchers.isA(Object))).thenReturn('qux');
+
+                return client(options).on('replicaUnavailable', listener).getSession({ readOnly: true })
+                    .then(res => {
+                        expect(res).to.equal('qux');
+                        expect(td.explain(listener).callCount).to.equal(1);
+                        return expect(td.explain(listener).calls[0].args[0]).to.deep.equal({ endpoint: { host: 'bar' }, error });
+                    });
+            });
+
+            it('does not fall back to another endpoint when a replica reports an error that is not related to the connection', () => {
+                const options = { endpoints, pooling: { enabled: false } };
+                const error = new Error('Access denied');
+                const listener = td.function();
+
+                td.when(connection(td.matchers.contains({ endpoints: [{ host: 'bar' }] }), { health: null })).thenReturn({ open: () => Promise.reject(error) });
+
+                return client(options).on('replicaUnavailable', listener).getSession({ readOnly: true })
+                    .then(() => {
+                        return expect.fail();
+                    })
+                    .catch(err => {
+                        expect(err).to.equal(error);
+                        expect(td.explain(listener).callCount).to.equal(0);
+                        return expect(td.explain(connection).callCount).to.equal(1);
+                    });
+            });
+
+            it('uses the primary endpoints for read-only sessions when there are no replicas', () => {
+                const options = { endpoints: [{ host: 'foo' }], pooling: { enabled: false } };
+                const open = td.function();
+
+                td.when(connection(options, { health: null, trackGtids: false })).thenReturn({ open });
+                td.when(open()).thenResolve('bar');
+                td.when(session('bar')).thenReturn('baz');
+
+                return client(options).getSession({ readOnly: true })
+                    .then(res => {
+                        expect(res).to.equal('baz');
+                    });
+            });
+        });
+
+        it('fails when a session option is not valid', () => {
+            const cli = client({ pooling: { enabled: false } });
+
+            return cli.getSession({ foo: 'bar' })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_SESSION_INVALID_OPTION, 'foo'));
+                    return cli.getSession({ readOnly: 'true' });
+                })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_SESSION_INVALID_OPTION_VALUE, 'readOnly', 'true'));
+                    return cli.getSession({ consistency: 'foo' });
+                })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_SESSION_INVALID_OPTION_VALUE, 'consistency', 'foo'));
+                    return cli.getSession({ after: 1 });
+                })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_SESSION_INVALID_OPTION_VALUE, 'after', 1));
+                    return cli.getSession({ waitTimeout: -1 });
+                })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_SESSION_INVALID_OPTION_VALUE, 'waitTimeout', -1));
+                });
+        });
+    });
+
+    context('constructor', () => {
+        let pool;
+
+        beforeEach('create fakes', () => {
+            pool = td.function();
+
+            td.replace('../../../lib/DevAPI/ConnectionPool', pool);
+
+            client = require('../../../lib/DevAPI/Client');
+        });
+
+        it('opens the minimum number of connections in advance', () => {
+            const options = { pooling: { enabled: true, minSize: 2 } };
+            const create = td.function();
+            const fill = td.function();
+
+            td.when(pool(options, td.matchers.isA(Object))).thenReturn({ create });
+            td.when(create()).thenReturn({ fill });
+
+            client(options);
+
+            return expect(td.explain(fill).callCount).to.equal(1);
+        });
+
+        it('does not create a pool in advance if a minimum number of connections is not required', () => {
+            client({ pooling: { enabled: true, minSize: 0 } });
+            client({ pooling: { enabled: false, minSize: 2 } });
+
+            return expect(td.explain(pool).callCount).to.equal(0);
+        });
+    });
+
+    context('getPoolStats()', () => {
+        let pool;
+
+        beforeEach('create fakes', () => {
+            pool = td.function();
+
+            td.replace('../../../lib/DevAPI/ConnectionPool', pool);
+
+            client = require('../../../lib/DevAPI/Client');
+        });
+
+        it('returns the statistics of the existing pool', () => {
+            const options = { pooling: { enabled: true, minSize: 1 } };
+            const create = td.function();
+            const getStats = td.function();
+
+            td.when(pool(options, td.matchers.isA(Object))).thenReturn({ create });
+            td.when(create()).thenReturn({ fill: () => {}, getStats });
+            td.when(getStats()).thenReturn('foo');
+
+            return expect(client(options).getPoolStats()).to.equal('foo');
+        });
+
+        it('returns the statistics of an empty pool if one does not exist yet', () => {
+            const options = { pooling: { enabled: true, minSize: 0 } };
+            const getStats = td.function();
+
+            td.when(pool(options)).thenReturn({ getStats });
+            td.when(getStats()).thenReturn('bar');
+
+            return expect(client(options).getPoolStats()).to.equal('bar');
+        });
+
+        it('includes the statistics of the pools used by each replica', () => {
+            const options = { endpoints: [{ host: 'foo' }, { host: 'bar', role: 'replica' }], pooling: { enabled: true, minSize: 0 } };
+            const getStats = td.function();
+
+            td.when(pool(td.matchers.isA(Object))).thenReturn({ getStats });
+            td.when(getStats()).thenReturn({ active: 0 });
+
+            return expect(client(options).getPoolStats()).to.deep.equal({ active: 0, replicas: [{ active: 0 }] });
+        });
+    });
+
+    context('pool events', () => {
+        let pool;
+
+        beforeEach('create fakes', () => {
+            pool = td.function();
+
+            td.replace('../../../lib/DevAPI/ConnectionPool', pool);
+
+            client = require('../../../lib/DevAPI/Client');
+        });
+
+        it('shares the client event emitter with the pool', () => {
+            const options = { pooling: { enabled: true, minSize: 1 } };
+            const create = td.function();
+            const listener = td.function();
+
+            td.when(pool(options, td.matchers.isA(Object))).thenReturn({ create });
+            td.when(create()).thenReturn({ fill: () => {} });
+
+            const instance = client(options);
+
+            expect(instance.on('acquire', listener)).to.equal(instance);
+
+            const { events } = td.explain(pool).calls[0].args[1];
+            events.emit('acquire', { connectionId: 1 });
+
+            expect(td.explain(listener).callCount).to.equal(1);
+            return expect(td.explain(listener).calls[0].args).to.deep.equal([{ connectionId: 1 }]);
+        });
+
+        it('allows to listen to an event only once', () => {
+            const options = { pooling: { enabled: true, minSize: 1 } };
+            const create = td.function();
+            const listener = td.function();
+
+            td.when(pool(options, td.matchers.isA(Object))).thenReturn({ create });
+            td.when(create()).thenReturn({ fill: () => {} });
+
+            const instance = client(options).once('release', listener);
+            const { events } = td.explain(pool).calls[0].args[1];
+
+            events.emit('release', { connectionId: 1 });
+            events.emit('release', { connectionId: 1 });
+
+            expect(instance).to.be.an('object');
+            return expect(td.explain(listener).callCount).to.equal(1);
+        });
+
+        it('allows to stop listening to an event', () => {
+            const options = { pooling: { enabled: true, minSize: 1 } };
+            const create = td.function();
+            const listener = td.function();
+
+            td.when(pool(options, td.matchers.isA(Object))).thenReturn({ create });
+            td.when(create()).thenReturn({ fill: () => {} });
+
+            client(options).on('destroy', listener).off('destroy', listener);
+
+            const { events } = td.explain(pool).calls[0].args[1];
+            events.emit('destroy', { connectionId: 1 });
+
+            return expect(td.explain(listener).callCount).to.equal(0);
+        });
+    });
+
+    context('withSession()', () => {
+        let close, getSession;
+
+        beforeEach('create fakes', () => {
+            close = td.function();
+            getSession = td.function();
+        });
+
+        it('closes the session after the function succeeds', () => {
+            const instance = client({ pooling: { enabled: true } });
+            const dbSession = { close };
+            const fn = td.function();
+
+            td.replace(instance, 'getSession', getSession);
+            td.when(getSession()).thenResolve(dbSession);
+            td.when(fn(dbSession)).thenResolve('foo');
+            td.when(close()).thenResolve();
+
+            return instance.withSession(fn)
+                .then(res => {
+                    expect(res).to.equal('foo');
+                    return expect(td.explain(close).callCount).to.equal(1);
+                });
+        });
+
+        it('closes the session after the function fails', () => {
+            const instance = client({ pooling: { enabled: true } });
+            const error = new Error('foobar');
+
+            td.replace(instance, 'getSession', getSession);
+            td.when(getSession()).thenResolve({ close });
+            td.when(close()).thenReject(new Error('bazqux'));
+
+            return instance.withSession(() => { throw error; })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(td.explain(close).callCount).to.equal(1);
+                });
+        });
+
+        it('fails if the session cannot be closed', () => {
+            const instance = client({ pooling: { enabled: true } });
+            const error = new Error('foobar');
+
+            td.replace(instance, 'getSession', getSession);
+            td.when(getSession()).thenResolve({ close });
+            td.when(close()).thenReject(error);
+
+            return instance.withSession(() => 'foo')
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(td.explain(close).callCount).to.equal(1);
+                });
+        });
+
+        it('fails if a session cannot be created', () => {
+            const instance = client({ pooling: { enabled: true } });
+            const error = new Error('foobar');
+            const fn = td.function();
+
+            td.replace(instance, 'getSession', getSession);
+            td.when(getSession()).thenReject(error);
+
+            return instance.withSession(fn)
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(td.explain(fn).callCount).to.equal(0);
+                });
+        });
     });
 
     context('close()', () => {
@@ -98,6 +620,7 @@ describe('DevAPI Client', () => {
             pool = td.function();
 
             td.replace('../../../lib/DevAPI/ConnectionPool', pool);
+            td.replace('../../../lib/DevAPI/Session');
 
             client = require('../../../lib/DevAPI/Client');
         });
@@ -123,6 +646,25 @@ describe('DevAPI Client', () => {
                 });
         });
 
+        it('destroys the pools used by each replica', () => {
+            const options = { endpoints: [{ host: 'foo' }, { host: 'bar', role: 'replica' }], pooling: { enabled: true } };
+            const destroy = td.function();
+            const getConnection = td.function();
+
+            td.when(pool(), { ignoreExtraArgs: true }).thenReturn({ create: () => ({ destroy, getConnection }) });
+            td.when(getConnection()).thenResolve({ getEvents: () => new EventEmitter(), trackGtids: () => Promise.resolve() });
+            td.when(destroy()).thenResolve();
+
+            const cli = client(options);
+
+            return cli.getSession({ readOnly: true })
+                .then(() => cli.getSession())
+                .then(() => cli.close())
+                .then(() => {
+                    return expect(td.explain(destroy).callCount).to.equal(2);
+                });
+        });
+
         it('fails if the pool is not available', () => {
             return client().close()
                 .then(() => {
@@ -161,6 +703,21 @@ describe('DevAPI Client', () => {
             return expect(() => client.validate(options)).to.throw(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION, 'foo'));
         });
 
+        it('fails when the read/write splitting setup is not valid', () => {
+            td.when(connection.validate(), { ignoreExtraArgs: true }).thenReturn(true);
+
+            expect(() => client.validate({ endpoints: [{ host: 'foo', role: 'bar' }] })).to.throw(errors.MESSAGES.ERR_INVALID_ENDPOINT_ROLE);
+            expect(() => client.validate({ endpoints: [{ host: 'foo', role: 'replica' }] })).to.throw(errors.MESSAGES.ERR_REPLICAS_WITHOUT_PRIMARY);
+            return expect(() => client.validate({ loadBalancing: 'foo' })).to.throw(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'loadBalancing', 'foo'));
+        });
+
+        it('fails when the circuit breaker setup is not valid', () => {
+            td.when(connection.validate(), { ignoreExtraArgs: true }).thenReturn(true);
+
+            expect(() => client.validate({ circuitBreaker: 'foo' })).to.throw(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'circuitBreaker', 'foo'));
+            return expect(() => client.validate({ circuitBreaker: { failureThreshold: 0 } })).to.throw(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'circuitBreaker.failureThreshold', 0));
+        });
+
         it('fails when the pooling option is badly specified', () => {
             const options = { pooling: 'foo' };
 
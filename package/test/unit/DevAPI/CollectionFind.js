@@ -125,11 +125,87 @@ describe('CollectionFind', () => {
             td.when(execute(td.matchers.isA(Function), td.matchers.isA(Function))).thenResolve(state);
             td.when(preparing({ connection })).thenReturn({ execute });
 
-            return collectionFind(connection).execute(td.callback())
+            return collectionFind(connection).execute(td.function())
                 .then(actual => {
                     return expect(actual.getWarnings()).to.deep.equal(expected);
                 });
         });
+
+        it('retrieves the documents in batches using a server-side cursor when a batch size is specified', () => {
+            const execute = td.function();
+            const executeWithCursor = td.function();
+            const isIdle = td.function();
+            const isOpen = td.function();
+            const connection = { isIdle, isOpen };
+            const expected = ['foo'];
+            const state = { warnings: expected };
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isIdle()).thenReturn(false);
+            td.when(executeWithCursor(td.matchers.isA(Function), 10, undefined)).thenResolve(state);
+            td.when(preparing({ connection })).thenReturn({ execute, executeWithCursor });
+
+            return collectionFind(connection).execute({ batchSize: 10 })
+                .then(actual => {
+                    expect(actual.getWarnings()).to.deep.equal(expected);
+                    expect(td.explain(execute).callCount).to.equal(0);
+                });
+        });
+
+        it('fails if the execution options are not valid', () => {
+            const connection = { isIdle: td.function(), isOpen: td.function() };
+
+            return collectionFind(connection).execute(td.function(), { foo: 'bar' })
+                .then(() => expect.fail())
+                .catch(err => {
+                    expect(err.message).to.equal("Execution option 'foo' is not recognized as valid.");
+                });
+        });
+    });
+
+    context('stream()', () => {
+        let resultStream;
+
+        beforeEach('create fakes', () => {
+            resultStream = td.function();
+
+            td.replace('../../../lib/DevAPI/ResultStream', resultStream);
+            collectionFind = require('../../../lib/DevAPI/CollectionFind');
+        });
+
+        it('returns a stream of documents retrieved using the preparable instance', () => {
+            const connection = 'foo';
+            const statement = { bar: 'baz' };
+
+            td.when(preparing({ connection })).thenReturn(statement);
+            td.when(resultStream(td.matchers.contains({ connection, options: { batchSize: 10 } }))).thenReturn('qux');
+
+            expect(collectionFind(connection).stream({ batchSize: 10 })).to.equal('qux');
+            expect(td.explain(resultStream).calls[0].args[0].statement).to.include(statement);
+        });
+
+        it('pushes the document contained by each row', () => {
+            collectionFind('foo').stream();
+
+            const transform = td.explain(resultStream).calls[0].args[0].transform;
+
+            expect(transform([{ name: 'bar' }])).to.deep.equal({ name: 'bar' });
+        });
+
+        it('uses a plain statement with the stream row callback as fallback', () => {
+            const crudFind = td.function();
+            const getClient = td.function();
+            const push = td.function();
+            const query = collectionFind({ getClient });
+
+            td.when(getClient()).thenReturn({ crudFind });
+            td.when(crudFind(query, push)).thenResolve('bar');
+
+            query.stream();
+
+            return td.explain(resultStream).calls[0].args[0].fallback(push)()
+                .then(actual => expect(actual).to.equal('bar'));
+        });
     });
 
     context('fields()', () => {
@@ -32,6 +32,8 @@
 
 /* eslint-env node, mocha */
 
+const EventEmitter = require('events');
+const NoticeStub = require('../../../lib/Protocol/Stubs/mysqlx_notice_pb');
 const PassThrough = require('stream').PassThrough;
 const errors = require('../../../lib/constants/errors');
 const warnings = require('../../../lib/constants/warnings');
@@ -47,6 +49,33 @@ describe('X DevAPI Connection', () => {
         td.reset();
     });
 
+    context('abort()', () => {
+        let Client;
+
+        beforeEach('create fakes', () => {
+            Client = td.replace('../../../lib/Protocol/Client');
+
+            connection = require('../../../lib/DevAPI/Connection');
+        });
+
+        it('destroys the underlying network socket', () => {
+            const socket = { destroy: td.function() };
+            const con = connection().setClient(new Client());
+
+            td.when(Client.prototype.getConnection()).thenReturn(socket);
+
+            expect(con.abort()).to.equal(con);
+            expect(td.explain(socket.destroy).callCount).to.equal(1);
+            return expect(td.explain(socket.destroy).calls[0].args).to.deep.equal([]);
+        });
+
+        it('does nothing if there is no underlying network socket', () => {
+            const con = connection();
+
+            return expect(con.abort()).to.equal(con);
+        });
+    });
+
     context('allowsAuthenticationWith()', () => {
         it('checks if the connection supports authentication with a given mechanism', () => {
             // PLAIN is always supported
@@ -632,6 +661,133 @@ describe('X DevAPI Connection', () => {
                 });
         });
 
+        it('enables TCP keep-alive on the network socket if requested', () => {
+            const con = connection({ keepAlive: { enabled: true, initialDelay: 1000 } });
+            const start = td.replace(con, 'start');
+
+            socket.setKeepAlive = td.function();
+
+            td.when(net.connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                setTimeout(() => socket.emit('ready'));
+                return socket;
+            });
+
+            td.when(start()).thenResolve();
+
+            return con.connect()
+                .then(() => {
+                    expect(td.explain(socket.setKeepAlive).callCount).to.equal(1);
+                    return expect(td.explain(socket.setKeepAlive).calls[0].args).to.deep.equal([true, 1000]);
+                });
+        });
+
+        it('fails the pending work and resets the connection state when there is a network error after the connection is established', () => {
+            const con = connection().setClient(new Client());
+            const reset = td.replace(con, 'reset');
+            const start = td.replace(con, 'start');
+            const error = new Error('foobar');
+
+            td.when(net.connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                setTimeout(() => socket.emit('ready'));
+                return socket;
+            });
+
+            td.when(start()).thenResolve();
+
+            return con.connect()
+                .then(() => {
+                    return new Promise(resolve => setTimeout(() => {
+                        socket.emit('error', error);
+                        socket.emit('close', true);
+                        resolve();
+                    }));
+                })
+                .then(() => {
+                    expect(td.explain(Client.prototype.handleServerClose).callCount).to.equal(1);
+                    expect(td.explain(Client.prototype.handleServerClose).calls[0].args).to.deep.equal([error]);
+                    return expect(td.explain(reset).callCount).to.equal(1);
+                });
+        });
+
+        it('reports the notices sent by the server to the application', () => {
+            const con = connection();
+            const handleNotice = td.replace(con, 'handleNotice');
+            const start = td.replace(con, 'start');
+
+            td.when(net.connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                setTimeout(() => socket.emit('ready'));
+                return socket;
+            });
+
+            td.when(start()).thenResolve();
+
+            return con.connect()
+                .then(() => {
+                    expect(td.explain(Client.prototype.onNotice).callCount).to.equal(1);
+
+                    const listener = td.explain(Client.prototype.onNotice).calls[0].args[0];
+                    listener('foo');
+
+                    expect(td.explain(handleNotice).callCount).to.equal(1);
+                    return expect(td.explain(handleNotice).calls[0].args).to.deep.equal(['foo']);
+                });
+        });
+
+        it('lets the application know when an established connection is closed', () => {
+            const con = connection().setClient(new Client());
+            const listener = td.function();
+            const start = td.replace(con, 'start');
+            const error = new Error('foobar');
+
+            td.replace(con, 'reset');
+            con.getEvents().on('close', listener);
+
+            td.when(net.connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                setTimeout(() => socket.emit('ready'));
+                return socket;
+            });
+
+            td.when(start()).thenResolve();
+
+            return con.connect()
+                .then(() => {
+                    return new Promise(resolve => setTimeout(() => {
+                        socket.emit('error', error);
+                        socket.emit('close', true);
+                        resolve();
+                    }));
+                })
+                .then(() => {
+                    expect(td.explain(listener).callCount).to.equal(1);
+                    return expect(td.explain(listener).calls[0].args).to.deep.equal([{ hadError: true, error }]);
+                });
+        });
+
+        it('does not let the application know when a connection cannot be established', () => {
+            const con = connection({ host: 'foo' }).setClient(new Client());
+            const listener = td.function();
+            const hasMoreEndpointsAvailable = td.replace(con, 'hasMoreEndpointsAvailable');
+
+            con.getEvents().on('close', listener);
+
+            td.when(net.connect(), { ignoreExtraArgs: true, times: 1 }).thenDo(() => {
+                setTimeout(() => {
+                    socket.emit('error', new Error('foobar'));
+                    socket.emit('close', true);
+                });
+
+                return socket;
+            });
+
+            td.when(hasMoreEndpointsAvailable()).thenReturn(false);
+
+            return con.connect()
+                .then(() => expect.fail())
+                .catch(() => {
+                    return expect(td.explain(listener).callCount).to.equal(0);
+                });
+        });
+
         it('manages a custom connection timeout until the socket is not open', () => {
             const con = connection({ connectTimeout: 500 });
             const start = td.replace(con, 'start');
@@ -1024,148 +1180,408 @@ describe('X DevAPI Connection', () => {
                     return expect(td.explain(net.connect).calls[1].args).to.deep.equal([{ host: 'foo', port: 'bar', path: undefined }]);
                 });
         });
-    });
-
-    context('destroy()', () => {
-        let Client;
 
-        beforeEach('create fakes', () => {
-            Client = td.replace('../../../lib/Protocol/Client');
+        context('when a socket factory is provided', () => {
+            let customSocket;
 
-            connection = require('../../../lib/DevAPI/Connection');
-        });
+            beforeEach('create fakes', () => {
+                customSocket = td.replace('../../../lib/DevAPI/Util/socketFactory');
 
-        it('gracefully closes the underlying X Protocol connection', () => {
-            const con = connection().setClient(new Client());
-            const isOpen = td.replace(con, 'isOpen');
-            const destroy = td.function();
+                connection = require('../../../lib/DevAPI/Connection');
+            });
 
-            td.when(isOpen()).thenReturn(true);
-            td.when(Client.prototype.connectionClose()).thenResolve();
-            td.when(Client.prototype.getConnection()).thenReturn({ destroy });
+            it('uses the stream created by the factory for the endpoint', () => {
+                const socketFactory = td.function();
+                const con = connection({ host: 'foo', port: 33061, socketFactory });
+                const start = td.replace(con, 'start');
 
-            return con.destroy()
-                .then(() => {
-                    expect(td.explain(Client.prototype.connectionClose).callCount).to.equal(1);
-                    expect(td.explain(destroy).callCount).to.equal(1);
-                    return expect(td.explain(destroy).calls[0].args).to.be.an('array').and.be.empty;
-                });
-        });
+                td.when(customSocket.create(socketFactory, td.matchers.contains({ host: 'foo', port: 33061 }), { timeout: 10000 })).thenResolve(socket);
+                td.when(start()).thenResolve('bar');
 
-        it('does nothing if the underlying connection is closed', () => {
-            const con = connection().setClient(new Client());
-            const isOpen = td.replace(con, 'isOpen');
+                return con.connect()
+                    .then(res => {
+                        expect(res).to.equal('bar');
+                        expect(td.explain(net.connect).callCount).to.equal(0);
+                        return expect(td.explain(Client).calls[0].args).to.deep.equal([socket]);
+                    });
+            });
 
-            td.when(isOpen()).thenReturn(false);
+            it('waits for a network socket created by the factory to be connected', () => {
+                const con = connection({ socketFactory: () => {} });
+                const start = td.replace(con, 'start');
 
-            return con.destroy()
-                .then(() => {
-                    return expect(td.explain(Client.prototype.connectionClose).callCount).to.equal(0);
-                });
-        });
+                socket.connecting = true;
 
-        it('does nothing if the underlying connection is closing', () => {
-            const con = connection().setClient(new Client());
-            const isOpen = td.replace(con, 'isOpen');
-            const destroy = td.function();
+                td.when(customSocket.create(), { ignoreExtraArgs: true }).thenDo(() => {
+                    setTimeout(() => {
+                        expect(td.explain(start).callCount).to.equal(0);
 
-            td.when(isOpen()).thenReturn(true);
-            td.when(Client.prototype.connectionClose()).thenResolve();
-            td.when(Client.prototype.getConnection()).thenReturn({ destroy });
+                        socket.connecting = false;
+                        socket.emit('ready');
+                    });
 
-            return con.destroy()
-                .then(() => {
-                    return con.destroy();
-                })
-                .then(() => {
-                    expect(td.explain(Client.prototype.connectionClose).callCount).to.equal(1);
-                    return expect(td.explain(destroy).callCount).to.equal(1);
+                    return Promise.resolve(socket);
                 });
-        });
 
-        it('fails if the X Protocol client instance reports an error', () => {
-            const con = connection().setClient(new Client());
-            const isOpen = td.replace(con, 'isOpen');
-            const error = new Error('foobar');
+                td.when(start()).thenResolve('foo');
 
-            td.when(isOpen()).thenReturn(true);
-            td.when(Client.prototype.connectionClose()).thenReject(error);
+                return con.connect()
+                    .then(res => {
+                        return expect(res).to.equal('foo');
+                    });
+            });
 
-            return con.destroy()
-                .then(() => {
-                    return expect.fail();
-                })
-                .catch(err => {
-                    return expect(err).to.deep.equal(error);
-                });
-        });
-    });
+            it('tries the next endpoint when the factory fails to create a stream', () => {
+                const socketFactory = () => {};
+                const con = connection({ endpoints: [{ host: 'foo' }, { host: 'bar' }], socketFactory });
+                const start = td.replace(con, 'start');
 
-    context('enableTLS()', () => {
-        let Client, log, secureContext, socket, tls, tlsVersions;
+                td.when(customSocket.create(socketFactory, td.matchers.contains({ host: 'foo' })), { ignoreExtraArgs: true }).thenReject(new Error('baz'));
+                td.when(customSocket.create(socketFactory, td.matchers.contains({ host: 'bar' })), { ignoreExtraArgs: true }).thenResolve(socket);
+                td.when(start()).thenResolve('qux');
 
-        beforeEach('create fakes', () => {
-            secureContext = td.function();
+                return con.connect()
+                    .then(res => {
+                        expect(res).to.equal('qux');
+                        return expect(con.getServerHostname()).to.equal('bar');
+                    });
+            });
 
-            socket = new PassThrough();
-            // The "getProtocol()" method is specific to a TLS socket and not
-            // part of the native Duplex stream API, so we need to fake it.
-            socket.getProtocol = td.function();
+            it('fails with a custom error when the stream is not created in time', () => {
+                const con = connection({ connectTimeout: 10, socketFactory: () => {} });
+                const error = new Error();
+                error.name = 'ETIMEDOUT';
 
-            Client = td.replace('../../../lib/Protocol/Client');
-            log = td.replace('../../../lib/tool/log');
-            secureContext = td.replace('../../../lib/tls/secure-context');
-            tlsVersions = td.replace('../../../lib/tls/versions');
-            tls = td.replace('tls');
+                td.when(customSocket.create(), { ignoreExtraArgs: true }).thenReject(error);
 
-            connection = require('../../../lib/DevAPI/Connection');
+                return con.connect()
+                    .then(() => {
+                        return expect.fail();
+                    })
+                    .catch(err => {
+                        return expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_SINGLE_HOST_CONNECTION_TIMEOUT, 10));
+                    });
+            });
         });
 
-        it('enables TLS in the underlying connection socket', () => {
-            const tlsOptions = { option: 'foo' };
-            const con = connection({ tls: tlsOptions }).setClient(new Client());
+        context('when Happy Eyeballs is enabled', () => {
+            it('races connection attempts to the addresses of the host', () => {
+                const con = connection({ host: 'foo', happyEyeballs: { enabled: true } });
+                const race = td.replace(con, 'race');
 
-            td.when(Client.prototype.getConnection()).thenReturn('bar');
-            td.when(secureContext.create({ option: 'foo' })).thenReturn({ option: 'quux' });
+                td.when(race()).thenResolve('bar');
 
-            td.when(tls.connect({ socket: 'bar', option: 'quux' })).thenDo(() => {
-                setTimeout(() => socket.emit('secureConnect'));
-                return socket;
+                return con.connect()
+                    .then(res => {
+                        expect(res).to.equal('bar');
+                        return expect(td.explain(net.connect).callCount).to.equal(0);
+                    });
             });
 
-            td.when(tlsVersions.deprecated()).thenReturn([]);
-
-            return con.enableTLS()
-                .then(() => {
-                    expect(td.explain(Client.prototype.setConnection).callCount).to.equal(1);
-                    expect(td.explain(Client.prototype.setConnection).calls[0].args).to.deep.equal([socket]);
+            it('does not race connection attempts to a local Unix socket', () => {
+                const con = connection({ socket: '/path/to/socket', happyEyeballs: { enabled: true } });
+                const race = td.replace(con, 'race');
+                const start = td.replace(con, 'start');
 
-                    return expect(con.isSecure()).to.be.true;
+                td.when(net.connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                    setTimeout(() => socket.emit('ready'));
+                    return socket;
                 });
-        });
-
-        it('generates a deprecation message if the negotiated TLS version is deprecated', () => {
-            const tlsOptions = { option: 'foo' };
-            const con = connection({ tls: tlsOptions }).setClient(new Client());
-            const warning = td.function();
 
-            td.when(Client.prototype.getConnection()).thenReturn('bar');
-            td.when(secureContext.create({ option: 'foo' })).thenReturn({ option: 'baz' });
+                td.when(start()).thenResolve('foo');
 
-            td.when(tls.connect({ socket: 'bar', option: 'baz' })).thenDo(() => {
-                setTimeout(() => socket.emit('secureConnect'));
-                return socket;
+                return con.connect()
+                    .then(res => {
+                        expect(res).to.equal('foo');
+                        return expect(td.explain(race).callCount).to.equal(0);
+                    });
             });
 
-            td.when(socket.getProtocol()).thenReturn('qux');
-            td.when(tlsVersions.deprecated()).thenReturn(['qux', 'quux']);
-            td.when(log('connection:tls')).thenReturn({ warning });
+            it('uses a socket that is already connected', () => {
+                const con = connection({ host: 'foo', happyEyeballs: { enabled: true } });
+                const start = td.replace(con, 'start');
 
-            return con.enableTLS()
-                .then(() => {
-                    expect(td.explain(warning).callCount).to.equal(1);
-                    expect(td.explain(warning).calls[0].args).to.be.an('array').and.have.lengthOf(3);
-                    expect(td.explain(warning).calls[0].args[0]).to.equal('version');
+                td.when(start()).thenResolve('bar');
+
+                return con.connect(socket)
+                    .then(res => {
+                        expect(res).to.equal('bar');
+                        expect(td.explain(net.connect).callCount).to.equal(0);
+                        return expect(td.explain(Client).calls[0].args).to.deep.equal([socket]);
+                    });
+            });
+
+            it('connects to the address of an endpoint that was already resolved', () => {
+                const con = connection({ endpoints: [{ host: 'foo', address: '::1' }] });
+                const start = td.replace(con, 'start');
+
+                td.when(net.connect({ host: '::1', port: 33060, path: undefined })).thenDo(() => {
+                    setTimeout(() => socket.emit('ready'));
+                    return socket;
+                });
+
+                td.when(start()).thenResolve('bar');
+
+                return con.connect()
+                    .then(res => {
+                        return expect(res).to.equal('bar');
+                    });
+            });
+        });
+
+        context('when a circuit breaker is enabled', () => {
+            let health;
+
+            beforeEach('create fakes', () => {
+                health = { reportFailure: td.function(), reportSuccess: td.function() };
+            });
+
+            it('reports the endpoint as healthy when the connection is established', () => {
+                const con = connection({ host: 'foo', port: 'bar' }, { health });
+                const start = td.replace(con, 'start');
+
+                td.when(net.connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                    setTimeout(() => socket.emit('ready'));
+                    return socket;
+                });
+
+                td.when(start()).thenResolve();
+
+                return con.connect()
+                    .then(() => {
+                        expect(td.explain(health.reportFailure).callCount).to.equal(0);
+                        expect(td.explain(health.reportSuccess).callCount).to.equal(1);
+                        return expect(td.explain(health.reportSuccess).calls[0].args[0]).to.include({ host: 'foo', port: 'bar' });
+                    });
+            });
+
+            it('reports a failure when the endpoint cannot be reached', () => {
+                const con = connection({ host: 'foo', port: 'bar' }, { health }).setClient(new Client());
+                const isOpen = td.replace(con, 'isOpen');
+                const hasMultipleEndpoints = td.replace(con, 'hasMultipleEndpoints');
+                const hasMoreEndpointsAvailable = td.replace(con, 'hasMoreEndpointsAvailable');
+
+                td.when(net.connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                    setTimeout(() => {
+                        socket.emit('error', new Error('foobar'));
+                        socket.emit('close', true);
+                    });
+
+                    return socket;
+                });
+
+                td.when(isOpen()).thenReturn(false);
+                td.when(hasMultipleEndpoints()).thenReturn(false);
+                td.when(hasMoreEndpointsAvailable()).thenReturn(false);
+
+                return con.connect()
+                    .then(() => {
+                        return expect.fail();
+                    })
+                    .catch(err => {
+                        expect(err.message).to.equal('foobar');
+                        expect(td.explain(health.reportFailure).callCount).to.equal(1);
+                        return expect(td.explain(health.reportFailure).calls[0].args[0]).to.include({ host: 'foo', port: 'bar' });
+                    });
+            });
+
+            it('reports a failure when the connection cannot be established after the endpoint was reached', () => {
+                const con = connection({ host: 'foo', port: 'bar' }, { health }).setClient(new Client());
+                const start = td.replace(con, 'start');
+                const isOpen = td.replace(con, 'isOpen');
+                const hasMultipleEndpoints = td.replace(con, 'hasMultipleEndpoints');
+                const hasMoreEndpointsAvailable = td.replace(con, 'hasMoreEndpointsAvailable');
+                const error = new Error('foobar');
+
+                td.when(net.connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                    setTimeout(() => socket.emit('ready'));
+                    return socket;
+                });
+
+                td.when(start()).thenDo(() => {
+                    setTimeout(() => {
+                        socket.emit('error', error);
+                        socket.emit('close', true);
+                    });
+
+                    return new Promise(() => {});
+                });
+
+                td.when(isOpen()).thenReturn(false);
+                td.when(hasMultipleEndpoints()).thenReturn(false);
+                td.when(hasMoreEndpointsAvailable()).thenReturn(false);
+
+                return con.connect()
+                    .then(() => {
+                        return expect.fail();
+                    })
+                    .catch(err => {
+                        expect(err).to.deep.equal(error);
+                        expect(td.explain(health.reportSuccess).callCount).to.equal(0);
+                        expect(td.explain(health.reportFailure).callCount).to.equal(1);
+                        return expect(td.explain(health.reportFailure).calls[0].args[0]).to.include({ host: 'foo', port: 'bar' });
+                    });
+            });
+        });
+    });
+
+    context('destroy()', () => {
+        let Client;
+
+        beforeEach('create fakes', () => {
+            Client = td.replace('../../../lib/Protocol/Client');
+
+            connection = require('../../../lib/DevAPI/Connection');
+        });
+
+        it('gracefully closes the underlying X Protocol connection', () => {
+            const con = connection().setClient(new Client());
+            const isOpen = td.replace(con, 'isOpen');
+            const destroy = td.function();
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(Client.prototype.connectionClose()).thenResolve();
+            td.when(Client.prototype.getConnection()).thenReturn({ destroy });
+
+            return con.destroy()
+                .then(() => {
+                    expect(td.explain(Client.prototype.connectionClose).callCount).to.equal(1);
+                    expect(td.explain(destroy).callCount).to.equal(1);
+                    return expect(td.explain(destroy).calls[0].args).to.be.an('array').and.be.empty;
+                });
+        });
+
+        it('discards the reason why the connection was previously lost', () => {
+            const con = connection().setClient(new Client());
+            const isOpen = td.replace(con, 'isOpen');
+            const socket = { destroyed: false, destroy: td.function() };
+
+            td.when(isOpen()).thenReturn(false);
+            td.when(Client.prototype.getConnection()).thenReturn(socket);
+
+            con.terminate(new Error('foobar'));
+
+            return con.destroy()
+                .then(() => {
+                    return expect(con.getError().message).to.equal(errors.MESSAGES.ERR_CONNECTION_CLOSED);
+                });
+        });
+
+        it('does nothing if the underlying connection is closed', () => {
+            const con = connection().setClient(new Client());
+            const isOpen = td.replace(con, 'isOpen');
+
+            td.when(isOpen()).thenReturn(false);
+
+            return con.destroy()
+                .then(() => {
+                    return expect(td.explain(Client.prototype.connectionClose).callCount).to.equal(0);
+                });
+        });
+
+        it('does nothing if the underlying connection is closing', () => {
+            const con = connection().setClient(new Client());
+            const isOpen = td.replace(con, 'isOpen');
+            const destroy = td.function();
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(Client.prototype.connectionClose()).thenResolve();
+            td.when(Client.prototype.getConnection()).thenReturn({ destroy });
+
+            return con.destroy()
+                .then(() => {
+                    return con.destroy();
+                })
+                .then(() => {
+                    expect(td.explain(Client.prototype.connectionClose).callCount).to.equal(1);
+                    return expect(td.explain(destroy).callCount).to.equal(1);
+                });
+        });
+
+        it('fails if the X Protocol client instance reports an error', () => {
+            const con = connection().setClient(new Client());
+            const isOpen = td.replace(con, 'isOpen');
+            const error = new Error('foobar');
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(Client.prototype.connectionClose()).thenReject(error);
+
+            return con.destroy()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err).to.deep.equal(error);
+                });
+        });
+    });
+
+    context('enableTLS()', () => {
+        let Client, log, secureContext, socket, tls, tlsVersions;
+
+        beforeEach('create fakes', () => {
+            secureContext = td.function();
+
+            socket = new PassThrough();
+            // The "getProtocol()" method is specific to a TLS socket and not
+            // part of the native Duplex stream API, so we need to fake it.
+            socket.getProtocol = td.function();
+            socket.getPeerCertificate = td.function();
+
+            Client = td.replace('../../../lib/Protocol/Client');
+            log = td.replace('../../../lib/tool/log');
+            secureContext = td.replace('../../../lib/tls/secure-context');
+            tlsVersions = td.replace('../../../lib/tls/versions');
+            tls = td.replace('tls');
+
+            connection = require('../../../lib/DevAPI/Connection');
+        });
+
+        it('enables TLS in the underlying connection socket', () => {
+            const tlsOptions = { option: 'foo' };
+            const con = connection({ tls: tlsOptions }).setClient(new Client());
+
+            td.when(Client.prototype.getConnection()).thenReturn('bar');
+            td.when(secureContext.create({ option: 'foo' }, { host: 'localhost' })).thenReturn({ option: 'quux' });
+
+            td.when(tls.connect({ socket: 'bar', option: 'quux' })).thenDo(() => {
+                setTimeout(() => socket.emit('secureConnect'));
+                return socket;
+            });
+
+            td.when(tlsVersions.deprecated()).thenReturn([]);
+
+            return con.enableTLS()
+                .then(() => {
+                    expect(td.explain(Client.prototype.setConnection).callCount).to.equal(1);
+                    expect(td.explain(Client.prototype.setConnection).calls[0].args).to.deep.equal([socket]);
+
+                    return expect(con.isSecure()).to.be.true;
+                });
+        });
+
+        it('generates a deprecation message if the negotiated TLS version is deprecated', () => {
+            const tlsOptions = { option: 'foo' };
+            const con = connection({ tls: tlsOptions }).setClient(new Client());
+            const warning = td.function();
+
+            td.when(Client.prototype.getConnection()).thenReturn('bar');
+            td.when(secureContext.create({ option: 'foo' }, { host: 'localhost' })).thenReturn({ option: 'baz' });
+
+            td.when(tls.connect({ socket: 'bar', option: 'baz' })).thenDo(() => {
+                setTimeout(() => socket.emit('secureConnect'));
+                return socket;
+            });
+
+            td.when(socket.getProtocol()).thenReturn('qux');
+            td.when(tlsVersions.deprecated()).thenReturn(['qux', 'quux']);
+            td.when(log('connection:tls')).thenReturn({ warning });
+
+            return con.enableTLS()
+                .then(() => {
+                    expect(td.explain(warning).callCount).to.equal(1);
+                    expect(td.explain(warning).calls[0].args).to.be.an('array').and.have.lengthOf(3);
+                    expect(td.explain(warning).calls[0].args[0]).to.equal('version');
                     expect(td.explain(warning).calls[0].args[1]).to.equal(util.format(warnings.MESSAGES.WARN_DEPRECATED_TLS_VERSION, 'qux'));
                     return expect(td.explain(warning).calls[0].args[2]).to.deep.equal({ type: 'DeprecationWarning' });
                 });
@@ -1176,71 +1592,1439 @@ describe('X DevAPI Connection', () => {
             const con = connection({ tls: tlsOptions }).setClient(new Client());
             const warning = td.function();
 
-            td.when(Client.prototype.getConnection()).thenReturn('bar');
-            td.when(secureContext.create({ option: 'foo' })).thenReturn({ option: 'baz' });
+            td.when(Client.prototype.getConnection()).thenReturn('bar');
+            td.when(secureContext.create({ option: 'foo' }, { host: 'localhost' })).thenReturn({ option: 'baz' });
+
+            td.when(tls.connect({ socket: 'bar', option: 'baz' })).thenDo(() => {
+                setTimeout(() => socket.emit('secureConnect'));
+                return socket;
+            });
+
+            td.when(socket.getProtocol()).thenReturn('qux');
+            td.when(tlsVersions.deprecated()).thenReturn(['quux']);
+            td.when(log('connection:tls')).thenReturn({ warning });
+
+            return con.enableTLS()
+                .then(() => {
+                    expect(td.explain(log).callCount).to.equal(0);
+                    return expect(td.explain(warning).callCount).to.equal(0);
+                });
+        });
+
+        it('delegates message handling to the X Protocol client instance', () => {
+            const con = connection().setClient(new Client());
+
+            td.when(tls.connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                setTimeout(() => {
+                    socket.emit('secureConnect');
+                    socket.emit('data', 'foo');
+                    socket.emit('data', 'bar');
+                });
+
+                return socket;
+            });
+
+            td.when(tlsVersions.deprecated()).thenReturn([]);
+
+            return con.enableTLS()
+                .then(() => {
+                    expect(td.explain(Client.prototype.handleNetworkFragment).callCount).to.equal(2);
+                    expect(td.explain(Client.prototype.handleNetworkFragment).calls[0].args).to.deep.equal(['foo']);
+                    expect(td.explain(Client.prototype.handleNetworkFragment).calls[1].args).to.deep.equal(['bar']);
+                });
+        });
+
+        it('verifies the server identity against the host provided by the application', () => {
+            const con = connection({ host: 'foo', tls: { mode: 'VERIFY_IDENTITY' } }).setClient(new Client());
+
+            td.when(Client.prototype.getConnection()).thenReturn('bar');
+            td.when(secureContext.create({ mode: 'VERIFY_IDENTITY' }, { host: 'foo' })).thenReturn({ option: 'baz' });
+
+            td.when(tls.connect({ socket: 'bar', option: 'baz' })).thenDo(() => {
+                setTimeout(() => socket.emit('secureConnect'));
+                return socket;
+            });
+
+            td.when(tlsVersions.deprecated()).thenReturn([]);
+
+            return con.enableTLS()
+                .then(() => {
+                    return expect(con.isSecure()).to.be.true;
+                });
+        });
+
+        it('destroys the socket when the server certificate is not pinned', () => {
+            const error = new Error('foobar');
+            const pinnedFingerprints = ['foo'];
+            const con = connection({ tls: { pinnedFingerprints } }).setClient(new Client());
+
+            td.when(tls.connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                setTimeout(() => socket.emit('secureConnect'));
+                return socket;
+            });
+
+            td.when(socket.getPeerCertificate()).thenReturn({ fingerprint256: 'bar' });
+            td.when(secureContext.verifyFingerprint({ fingerprint256: 'bar' }, pinnedFingerprints)).thenReturn(error);
+
+            con.enableTLS();
+
+            return new Promise(resolve => socket.once('close', resolve))
+                .then(() => {
+                    expect(td.explain(Client.prototype.setConnection).callCount).to.equal(0);
+                    // eslint-disable-next-line no-unused-expressions
+                    expect(con.isSecure()).to.be.false;
+                    return expect(con.getError()).to.deep.equal(error);
+                });
+        });
+
+        it('tracks all errors generated while enabling TLS', () => {
+            const error = new Error('foobar');
+            const con = connection().setClient(new Client());
+
+            td.when(tls.connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                setTimeout(() => {
+                    socket.emit('secureConnect');
+                    socket.emit('error', error);
+                });
+
+                return socket;
+            });
+
+            td.when(tlsVersions.deprecated()).thenReturn([]);
+
+            return con.enableTLS()
+                .then(() => {
+                    return expect(con.getError()).to.deep.equal(error);
+                });
+        });
+    });
+
+    context('isActive()', () => {
+        let Client;
+
+        beforeEach('create fakes', () => {
+            Client = td.replace('../../../lib/Protocol/Client');
+
+            connection = require('../../../lib/DevAPI/Connection');
+        });
+
+        it('checks whether the connection is in the middle of a workload', () => {
+            const con = connection();
+            // eslint-disable-next-line no-unused-expressions
+            expect(con.isActive()).to.be.false;
+
+            con.setClient(new Client());
+
+            td.when(Client.prototype.isRunning()).thenReturn(false);
+            // eslint-disable-next-line no-unused-expressions
+            expect(con.isActive()).to.be.false;
+
+            td.when(Client.prototype.isRunning()).thenReturn(true);
+            // eslint-disable-next-line no-unused-expressions
+            expect(con.isActive()).to.be.true;
+        });
+    });
+
+    context('isFromPool()', () => {
+        it('always returns false for standalone connections because they are not from a connection pool', () => {
+            return expect(connection().isFromPool()).to.be.false;
+        });
+    });
+
+    context('isIdle()', () => {
+        it('always returns false for standalone connection because they are never idle on the client side', () => {
+            return expect(connection().isIdle()).to.be.false;
+        });
+    });
+
+    context('hasMultipleEndpoints()', () => {
+        it('checks wether a connection works in a multi-host setting', () => {
+            /* eslint-disable no-unused-expressions */
+            expect(connection().hasMultipleEndpoints()).to.be.false;
+            expect(connection({ endpoints: ['foo'] }).hasMultipleEndpoints()).to.be.false;
+            /* eslint-enable no-unused-expressions */
+            return expect(connection({ endpoints: ['foo', 'bar'] }).hasMultipleEndpoints()).to.be.true;
+        });
+    });
+
+    context('getAuth()', () => {
+        it('returns the default authentication mechanism for secure channels', () => {
+            expect(connection({ socket: '/path/to/local/file.sock' }).getAuth()).to.equal('PLAIN');
+            expect(connection({ endpoints: [{ socket: '/path/to/local/file.sock' }] }).getAuth()).to.equal('PLAIN');
+            // TODO(Rui): "ssl" is deprecated.
+            expect(connection({ ssl: true }).getAuth()).to.equal('PLAIN');
+            expect(connection({ tls: { enabled: true } }).getAuth()).to.equal('PLAIN');
+            expect(connection({ tls: { enabled: true }, ssl: false }).getAuth()).to.equal('PLAIN');
+            expect(connection({ socket: '/path/to/local/file.sock', ssl: false }).getAuth()).to.equal('PLAIN');
+            expect(connection({ socket: '/path/to/local/file.sock', tls: { enabled: false } }).getAuth()).to.equal('PLAIN');
+            expect(connection({ socket: '/path/to/local/file.sock', ssl: false, tls: { enabled: false } }).getAuth()).to.equal('PLAIN');
+        });
+
+        it('returns the default authentication mechanism for insecure channels', () => {
+            // TODO(Rui): "ssl" is deprecated.
+            expect(connection({ ssl: false }).getAuth()).to.equal('MYSQL41');
+            expect(connection({ tls: { enabled: false } }).getAuth()).to.equal('MYSQL41');
+            return expect(connection({ ssl: true, tls: { enabled: false } }).getAuth()).to.equal('MYSQL41');
+        });
+
+        it('returns a custom authentication mechanism if one is defined', () => {
+            expect(connection({ auth: 'foo' }).getAuth()).to.equal('foo');
+            expect(connection({ auth: 'foo', ssl: false }).getAuth()).to.equal('foo');
+            expect(connection({ auth: 'foo', tls: { enabled: false } }).getAuth()).to.equal('foo');
+            expect(connection({ auth: 'foo', ssl: true }).getAuth()).to.equal('foo');
+            expect(connection({ auth: 'foo', tls: { enabled: true } }).getAuth()).to.equal('foo');
+            expect(connection({ auth: 'foo', ssl: true, tls: { enabled: true } }).getAuth()).to.equal('foo');
+            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', ssl: false }).getAuth()).to.equal('foo');
+            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', tls: { enabled: false } }).getAuth()).to.equal('foo');
+            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', ssl: true }).getAuth()).to.equal('foo');
+            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', tls: { enabled: true } }).getAuth()).to.equal('foo');
+            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', ssl: false, tls: { enabled: false } }).getAuth()).to.equal('foo');
+            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', ssl: true, tls: { enabled: true } }).getAuth()).to.equal('foo');
+        });
+    });
+
+    context('getServerHostname()', () => {
+        it('retrieves the hostname of the target endpoint', () => {
+            let con = connection();
+            expect(con.getServerHostname()).to.equal('localhost');
+
+            con = connection({ socket: 'foo' });
+            // For local Unix socket connections, we want it to be undefined.
+            // eslint-disable-next-line no-unused-expressions
+            expect(con.getServerHostname()).to.not.exist;
+
+            con = connection({ host: 'foo' });
+            expect(con.getServerHostname()).to.equal('foo');
+
+            con = connection({ endpoints: [{ host: 'foo' }, { host: 'bar' }] });
+            return expect(con.getServerHostname()).to.equal('foo');
+        });
+    });
+
+    context('getServerPort()', () => {
+        it('retrieves the target port used to connect to the MySQL endpoint', () => {
+            let con = connection();
+            expect(con.getServerPort()).to.equal(33060);
+
+            con = connection({ socket: 'foo' });
+            // For local Unix socket connections, we want it to be undefined.
+            // eslint-disable-next-line no-unused-expressions
+            expect(con.getServerPort()).to.not.exist;
+
+            con = connection({ port: 'foo' });
+            expect(con.getServerPort()).to.equal('foo');
+
+            con = connection({ endpoints: [{ port: 'foo' }, { port: 'bar' }] });
+            return expect(con.getServerPort()).to.equal('foo');
+        });
+    });
+
+    context('getServerSocketPath()', () => {
+        it('retrieves the path of the local Unix socket file used to connection to the MySQL endpoint', () => {
+            let con = connection({ socket: 'foo' });
+            expect(con.getServerSocketPath()).to.equal('foo');
+
+            con = connection({ endpoints: [{ socket: 'foo' }, { socket: 'bar' }] });
+            return expect(con.getServerSocketPath()).to.equal('foo');
+        });
+    });
+
+    context('getSchemaName()', () => {
+        it('retrieves the name of the default schema associated with the current connection', () => {
+            return expect(connection({ schema: 'foo' }).getSchemaName()).to.equal('foo');
+        });
+    });
+
+    context('getUser()', () => {
+        it('retrieves the name of the user of the MySQL account used to authenticate the current connection', () => {
+            let con = connection();
+            expect(con.getUser()).to.equal('');
+
+            con = connection({ user: 'foo' });
+            expect(con.getUser()).to.equal('foo');
+
+            con = connection({ dbUser: 'foo' });
+            expect(con.getUser()).to.equal('foo');
+
+            con = connection({ dbUser: 'foo', user: 'bar' });
+            return expect(con.getUser()).to.equal('bar');
+        });
+    });
+
+    context('getEvents()', () => {
+        it('returns the emitter used to report events to the application', () => {
+            return expect(connection().getEvents()).to.be.an.instanceof(EventEmitter);
+        });
+    });
+
+    context('handleNotice()', () => {
+        let listener;
+
+        beforeEach('create fakes', () => {
+            listener = td.function();
+        });
+
+        const frame = ({ type, scope = NoticeStub.Frame.Scope.LOCAL, payload }) => {
+            return { getPayload: () => payload, getScopeId: () => scope, getTypeId: () => type };
+        };
+
+        const warning = ({ code = 1, level = 'WARNING' } = {}) => {
+            return { getCode: () => code, getLevel: () => level, getMessage: () => 'foo' };
+        };
+
+        it('reports warnings', () => {
+            const con = connection();
+
+            con.getEvents().on('warning', listener);
+            con.handleNotice(frame({ type: NoticeStub.Frame.Type.WARNING, payload: warning() }));
+
+            expect(td.explain(listener).callCount).to.equal(1);
+            expect(td.explain(listener).calls[0].args).to.deep.equal([{ level: 'WARNING', code: 1, message: 'foo' }]);
+        });
+
+        it('reports a server shutdown', () => {
+            const con = connection();
+            const payload = warning({ code: errors.ERR_SERVER_SHUTDOWN, level: 'ERROR' });
+
+            con.getEvents().on('serverShutdown', listener);
+            // Only global notices are unsolicited.
+            con.handleNotice(frame({ type: NoticeStub.Frame.Type.WARNING, payload }));
+            con.handleNotice(frame({ type: NoticeStub.Frame.Type.WARNING, scope: NoticeStub.Frame.Scope.GLOBAL, payload }));
+
+            expect(td.explain(listener).callCount).to.equal(1);
+            expect(td.explain(listener).calls[0].args).to.deep.equal([{ level: 'ERROR', code: errors.ERR_SERVER_SHUTDOWN, message: 'foo' }]);
+        });
+
+        it('reports changes in session variables', () => {
+            const con = connection();
+            const payload = { getParameter: () => 'foo', getValue: () => 'bar' };
+
+            con.getEvents().on('variableChanged', listener);
+            con.handleNotice(frame({ type: NoticeStub.Frame.Type.SESSION_VARIABLE_CHANGED, payload }));
+
+            expect(td.explain(listener).callCount).to.equal(1);
+            expect(td.explain(listener).calls[0].args).to.deep.equal([{ name: 'foo', value: 'bar' }]);
+        });
+
+        it('reports changes in the session state', () => {
+            const con = connection();
+            const payload = { getParameter: () => 'ACCOUNT_EXPIRED', getValues: () => [] };
+
+            con.getEvents().on('stateChanged', listener);
+            con.handleNotice(frame({ type: NoticeStub.Frame.Type.SESSION_STATE_CHANGED, payload }));
+
+            expect(td.explain(listener).callCount).to.equal(1);
+            expect(td.explain(listener).calls[0].args).to.deep.equal([{ parameter: 'ACCOUNT_EXPIRED', values: [] }]);
+        });
+
+        it('keeps track of the GTID of the last transaction that was committed', () => {
+            const con = connection();
+
+            expect(con.getLastGtid()).to.equal(null);
+
+            con.handleNotice(frame({ type: NoticeStub.Frame.Type.SESSION_STATE_CHANGED, payload: { getParameter: () => 'TRX_COMMITTED', getValues: () => ['foo:1'] } }));
+            expect(con.getLastGtid()).to.equal('foo:1');
+
+            // Without session_track_gtids, there is no GTID.
+            con.handleNotice(frame({ type: NoticeStub.Frame.Type.SESSION_STATE_CHANGED, payload: { getParameter: () => 'TRX_COMMITTED', getValues: () => [] } }));
+            con.handleNotice(frame({ type: NoticeStub.Frame.Type.SESSION_STATE_CHANGED, payload: { getParameter: () => 'ROWS_AFFECTED', getValues: () => ['bar'] } }));
+            expect(con.getLastGtid()).to.equal('foo:1');
+        });
+
+        it('reports changes in the replication group and refreshes the topology', () => {
+            const con = connection({ groupReplication: { enabled: true } });
+            const isOpen = td.replace(con, 'isOpen');
+            const scheduleTopologyRefresh = td.replace(con, 'scheduleTopologyRefresh');
+            const payload = { getType: () => 'MEMBER_ROLE_CHANGE', getViewId: () => 'foo' };
+
+            td.when(isOpen()).thenReturn(true);
+
+            con.getEvents().on('groupReplicationStateChanged', listener);
+            con.handleNotice(frame({ type: NoticeStub.Frame.Type.GROUP_REPLICATION_STATE_CHANGED, scope: NoticeStub.Frame.Scope.GLOBAL, payload }));
+
+            expect(td.explain(listener).callCount).to.equal(1);
+            expect(td.explain(listener).calls[0].args).to.deep.equal([{ type: 'MEMBER_ROLE_CHANGE', viewId: 'foo' }]);
+            expect(td.explain(scheduleTopologyRefresh).callCount).to.equal(1);
+        });
+
+        it('does not refresh the topology when Group Replication is not enabled', () => {
+            const con = connection();
+            const scheduleTopologyRefresh = td.replace(con, 'scheduleTopologyRefresh');
+            const payload = { getType: () => 'MEMBER_ROLE_CHANGE', getViewId: () => 'foo' };
+
+            con.handleNotice(frame({ type: NoticeStub.Frame.Type.GROUP_REPLICATION_STATE_CHANGED, scope: NoticeStub.Frame.Scope.GLOBAL, payload }));
+
+            expect(td.explain(scheduleTopologyRefresh).callCount).to.equal(0);
+        });
+
+        it('ignores other notices', () => {
+            const con = connection();
+
+            con.getEvents().on('warning', listener);
+            con.handleNotice(frame({ type: NoticeStub.Frame.Type.SERVER_HELLO }));
+
+            expect(td.explain(listener).callCount).to.equal(0);
+        });
+    });
+
+    context('hasCustomAuthenticationMechanism()', () => {
+        it('checks if the connection is using a custom authentication mechanism', () => {
+            // eslint-disable-next-line no-unused-expressions
+            expect(connection().hasCustomAuthenticationMechanism()).to.be.false;
+            return expect(connection({ auth: 'foo' }).hasCustomAuthenticationMechanism()).to.be.true;
+        });
+    });
+
+    context('hasMoreEndpointsAvailable()', () => {
+        it('checks if the connection can be made to other MySQL endpoints', () => {
+            let con = connection();
+            let update = td.replace(con, 'update');
+
+            // eslint-disable-next-line no-unused-expressions
+            expect(con.hasMoreEndpointsAvailable()).to.be.true;
+
+            con = connection({ endpoints: ['foo', 'bar'] });
+            update = td.replace(con, 'update');
+
+            // eslint-disable-next-line no-unused-expressions
+            expect(con.hasMoreEndpointsAvailable()).to.be.true;
+            return expect(td.explain(update).callCount).to.equal(1);
+        });
+    });
+
+    context('negotiateCompression()', () => {
+        let Client;
+
+        beforeEach('create fakes', () => {
+            Client = td.replace('../../../lib/Protocol/Client');
+
+            connection = require('../../../lib/DevAPI/Connection');
+        });
+
+        it('does not negotiate compression if it is disabled', () => {
+            const con = connection({ compression: { enabled: 'disabled' } }).setClient(new Client());
+
+            return con.addCapabilities({ compression: { algorithm: ['deflate_stream'] } }).negotiateCompression()
+                .then(res => {
+                    expect(res).to.equal(con);
+                    expect(con.getCompressionAlgorithm()).to.equal(null);
+                    return expect(td.explain(Client.prototype.capabilitiesSet).callCount).to.equal(0);
+                });
+        });
+
+        it('does not negotiate compression if the server does not support it and it is not required', () => {
+            const con = connection().setClient(new Client());
+
+            return con.negotiateCompression()
+                .then(res => {
+                    expect(res).to.equal(con);
+                    expect(con.getCompressionAlgorithm()).to.equal(null);
+                    return expect(td.explain(Client.prototype.capabilitiesSet).callCount).to.equal(0);
+                });
+        });
+
+        it('fails if compression is required but there is no algorithm supported by both the client and the server', () => {
+            const con = connection({ compression: { enabled: 'required', algorithms: ['deflate_stream'] } }).setClient(new Client());
+
+            return con.addCapabilities({ compression: { algorithm: ['lz4_message', 'zstd_stream'] } }).negotiateCompression()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(errors.MESSAGES.ERR_COMPRESSION_NEGOTIATION_FAILED);
+                    return expect(td.explain(Client.prototype.capabilitiesSet).callCount).to.equal(0);
+                });
+        });
+
+        it('negotiates the first allowed algorithm that is supported by both the client and the server', () => {
+            const con = connection({ compression: { algorithms: ['deflate_stream'] } }).setClient(new Client());
+
+            td.when(Client.prototype.capabilitiesSet({ compression: { algorithm: 'deflate_stream' } })).thenResolve();
+
+            return con.addCapabilities({ compression: { algorithm: ['deflate_stream', 'lz4_message'] } }).negotiateCompression()
+                .then(res => {
+                    expect(res).to.equal(con);
+                    expect(con.getCompressionAlgorithm()).to.equal('deflate_stream');
+                    expect(td.explain(Client.prototype.enableCompression).callCount).to.equal(1);
+                    return expect(td.explain(Client.prototype.enableCompression).calls[0].args).to.deep.equal(['deflate_stream']);
+                });
+        });
+
+        it('proceeds without compression if the server fails to enable it and it is not required', () => {
+            const con = connection().setClient(new Client());
+
+            td.when(Client.prototype.capabilitiesSet(td.matchers.anything())).thenReject(new Error('foobar'));
+
+            return con.addCapabilities({ compression: { algorithm: ['deflate_stream'] } }).negotiateCompression()
+                .then(res => {
+                    expect(res).to.equal(con);
+                    expect(con.getCompressionAlgorithm()).to.equal(null);
+                    return expect(td.explain(Client.prototype.enableCompression).callCount).to.equal(0);
+                });
+        });
+
+        it('fails if the server fails to enable compression and it is required', () => {
+            const con = connection({ compression: { enabled: 'required' } }).setClient(new Client());
+            const error = new Error('foobar');
+
+            td.when(Client.prototype.capabilitiesSet(td.matchers.anything())).thenReject(error);
+
+            return con.addCapabilities({ compression: { algorithm: ['deflate_stream'] } }).negotiateCompression()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(td.explain(Client.prototype.enableCompression).callCount).to.equal(0);
+                });
+        });
+    });
+
+    context('open()', () => {
+        let multiHost, srv;
+
+        beforeEach('create fakes', () => {
+            multiHost = td.replace('../../../lib/topology/multi-host');
+            srv = td.replace('../../../lib/topology/dns-srv');
+
+            connection = require('../../../lib/DevAPI/Connection');
+        });
+
+        context('when DNS SRV is not enabled', () => {
+            it('creates a connection to the endpoint specified by the connection options', () => {
+                const con = connection({ host: 'foo' });
+                const connect = td.replace(con, 'connect');
+                const update = td.replace(con, 'update');
+
+                td.when(connect()).thenResolve('bar');
+
+                return con.open()
+                    .then(res => {
+                        expect(td.explain(update).callCount).to.equal(1);
+                        expect(res).to.equal('bar');
+                        expect(td.explain(multiHost.sort).callCount).to.equal(1);
+                        return expect(td.explain(multiHost.sort).calls[0].args).to.deep.equal([[{ host: 'foo', port: 33060, socket: undefined }]]);
+                    });
+            });
+
+            it('creates a connection to the most appropriate endpoint in a list specified by the connection options', () => {
+                const endpoints = [{ host: 'foo' }, { host: 'bar' }];
+                const con = connection({ endpoints });
+                const connect = td.replace(con, 'connect');
+                const update = td.replace(con, 'update');
+
+                td.when(connect()).thenResolve('baz');
+
+                return con.open()
+                    .then(res => {
+                        expect(td.explain(update).callCount).to.equal(1);
+                        expect(res).to.equal('baz');
+                        expect(td.explain(multiHost.sort).callCount).to.equal(1);
+                        return expect(td.explain(multiHost.sort).calls[0].args).to.deep.equal([endpoints]);
+                    });
+            });
+
+            it('fails when an error is reported while connecting to the endpoint', () => {
+                const con = connection({ host: 'foo' });
+                const connect = td.replace(con, 'connect');
+                const error = new Error('foobar');
+
+                td.when(connect()).thenReject(error);
+
+                return con.open()
+                    .then(() => {
+                        return expect.fail();
+                    })
+                    .catch(err => {
+                        return expect(err).to.deep.equal(error);
+                    });
+            });
+        });
+
+        context('when DNS SRV is enabled', () => {
+            it('creates a connection to the most appropriate endpoint associated to a given DNS SRV registry', () => {
+                const con = connection({ host: 'foo', resolveSrv: true });
+                const connect = td.replace(con, 'connect');
+                const update = td.replace(con, 'update');
+
+                td.when(srv.lookup('foo')).thenResolve([{ host: 'bar' }, { host: 'baz' }]);
+                td.when(connect()).thenResolve('qux');
+
+                return con.open()
+                    .then(res => {
+                        expect(td.explain(update).callCount).to.equal(1);
+                        expect(res).to.equal('qux');
+                        expect(td.explain(srv.sort).callCount).to.equal(1);
+                        return expect(td.explain(srv.sort).calls[0].args).to.deep.equal([[{ host: 'bar' }, { host: 'baz' }]]);
+                    });
+            });
+
+            it('looks up the original service definition when the connection is re-opened', () => {
+                const con = connection({ host: 'foo', resolveSrv: true });
+                const connect = td.replace(con, 'connect');
+
+                td.replace(con, 'update');
+
+                td.when(srv.lookup('foo')).thenResolve([{ host: 'bar' }]);
+                td.when(srv.sort([{ host: 'bar' }])).thenReturn([{ host: 'bar' }]);
+                td.when(connect()).thenResolve(con);
+
+                return con.open()
+                    .then(() => con.open())
+                    .then(() => {
+                        expect(td.explain(srv.lookup).callCount).to.equal(2);
+                        return expect(td.explain(srv.lookup).calls[1].args).to.deep.equal(['foo']);
+                    });
+            });
+
+            it('fails when an error is reported while checking the DNS SRV records', () => {
+                const con = connection({ host: 'foo', resolveSrv: true });
+                const error = new Error('foobar');
+
+                td.when(srv.lookup('foo')).thenReject(error);
+
+                return con.open()
+                    .then(() => {
+                        return expect.fail();
+                    })
+                    .catch(err => {
+                        return expect(err).to.deep.equal(error);
+                    });
+            });
+
+            it('fails when an error is reported while connecting to the endpoint', () => {
+                const con = connection({ host: 'foo', resolveSrv: true });
+                const connect = td.replace(con, 'connect');
+                const error = new Error('foobar');
+
+                td.when(srv.lookup(), { ignoreExtraArgs: true }).thenResolve();
+                td.when(connect()).thenReject(error);
+
+                return con.open()
+                    .then(() => {
+                        return expect.fail();
+                    })
+                    .catch(err => {
+                        return expect(err).to.deep.equal(error);
+                    });
+            });
+        });
+
+        context('when Group Replication is enabled', () => {
+            let group;
+
+            beforeEach('create fakes', () => {
+                group = td.replace('../../../lib/topology/group-replication');
+
+                connection = require('../../../lib/DevAPI/Connection');
+            });
+
+            it('picks the endpoints where members with the expected role were running and routes the connection', () => {
+                const con = connection({ endpoints: [{ host: 'foo' }, { host: 'bar' }], groupReplication: { enabled: true, role: 'SECONDARY' } });
+                const connect = td.replace(con, 'connect');
+                const route = td.replace(con, 'route');
+
+                td.replace(con, 'update');
+                td.when(multiHost.sort(), { ignoreExtraArgs: true }).thenReturn('baz');
+                td.when(group.sort('baz', [], 'SECONDARY')).thenReturn([{ host: 'bar' }, { host: 'foo' }]);
+                td.when(connect()).thenResolve();
+                td.when(route()).thenResolve('qux');
+
+                return con.open()
+                    .then(res => {
+                        expect(res).to.equal('qux');
+                        return expect(con.getServerHostname()).to.equal('bar');
+                    });
+            });
+
+            it('does not route connections when it is not enabled', () => {
+                const con = connection({ host: 'foo' });
+                const connect = td.replace(con, 'connect');
+                const route = td.replace(con, 'route');
+
+                td.replace(con, 'update');
+                td.when(connect()).thenResolve('bar');
+
+                return con.open()
+                    .then(res => {
+                        expect(res).to.equal('bar');
+                        expect(td.explain(group.sort).callCount).to.equal(0);
+                        return expect(td.explain(route).callCount).to.equal(0);
+                    });
+            });
+        });
+
+        context('when GTID tracking is enabled', () => {
+            it('enables GTID tracking once the connection is established', () => {
+                const con = connection({ host: 'foo' }, { trackGtids: true });
+                const connect = td.replace(con, 'connect');
+                const trackGtids = td.replace(con, 'trackGtids');
+
+                td.replace(con, 'update');
+                td.when(connect()).thenResolve('bar');
+                td.when(trackGtids()).thenResolve('baz');
+
+                return con.open()
+                    .then(res => {
+                        expect(res).to.equal('baz');
+                        return expect(td.explain(trackGtids).callCount).to.equal(1);
+                    });
+            });
+
+            it('does not enable GTID tracking by default', () => {
+                const con = connection({ host: 'foo' });
+                const connect = td.replace(con, 'connect');
+                const trackGtids = td.replace(con, 'trackGtids');
+
+                td.replace(con, 'update');
+                td.when(connect()).thenResolve('bar');
+
+                return con.open()
+                    .then(res => {
+                        expect(res).to.equal('bar');
+                        return expect(td.explain(trackGtids).callCount).to.equal(0);
+                    });
+            });
+
+            it('closes the connection and fails when GTID tracking cannot be enabled', () => {
+                const con = connection({ host: 'foo' }, { trackGtids: true });
+                const connect = td.replace(con, 'connect');
+                const destroy = td.replace(con, 'destroy');
+                const trackGtids = td.replace(con, 'trackGtids');
+                const error = new Error('foobar');
+
+                td.replace(con, 'update');
+                td.when(connect()).thenResolve('bar');
+                td.when(trackGtids()).thenReject(error);
+                td.when(destroy()).thenResolve();
+
+                return con.open()
+                    .then(() => {
+                        return expect.fail();
+                    })
+                    .catch(err => {
+                        expect(err).to.deep.equal(error);
+                        return expect(td.explain(destroy).callCount).to.equal(1);
+                    });
+            });
+        });
+
+        context('when a circuit breaker is enabled', () => {
+            let health;
+
+            beforeEach('create fakes', () => {
+                health = { isAvailable: td.function() };
+            });
+
+            it('skips the endpoints that are known to be unreachable', () => {
+                const endpoints = [{ host: 'foo' }, { host: 'bar' }, { host: 'baz' }];
+                const con = connection({ endpoints }, { health });
+                const connect = td.replace(con, 'connect');
+
+                td.replace(con, 'update');
+                td.when(multiHost.sort(endpoints)).thenReturn(endpoints);
+                td.when(health.isAvailable(td.matchers.contains({ host: 'foo' }))).thenReturn(true);
+                td.when(health.isAvailable(td.matchers.contains({ host: 'bar' }))).thenReturn(false);
+                td.when(health.isAvailable(td.matchers.contains({ host: 'baz' }))).thenReturn(true);
+                td.when(connect()).thenResolve('qux');
+
+                return con.open()
+                    .then(res => {
+                        expect(res).to.equal('qux');
+                        return expect(con.hasMoreEndpointsAvailable()).to.equal(true);
+                    });
+            });
+
+            it('fails right away when all the endpoints are known to be unreachable', () => {
+                const endpoints = [{ host: 'foo' }, { host: 'bar' }];
+                const con = connection({ endpoints }, { health });
+                const connect = td.replace(con, 'connect');
+
+                td.replace(con, 'update');
+                td.when(multiHost.sort(endpoints)).thenReturn(endpoints);
+                td.when(health.isAvailable(), { ignoreExtraArgs: true }).thenReturn(false);
+
+                return con.open()
+                    .then(() => {
+                        return expect.fail();
+                    })
+                    .catch(err => {
+                        expect(err.message).to.equal(errors.MESSAGES.ERR_CIRCUIT_BREAKER_OPEN);
+                        return expect(td.explain(connect).callCount).to.equal(0);
+                    });
+            });
+
+            it('re-tries the endpoints that are not known to be unreachable anymore', () => {
+                const endpoints = [{ host: 'foo' }, { host: 'bar' }];
+                const con = connection({ endpoints }, { health });
+                const connect = td.replace(con, 'connect');
+
+                td.when(multiHost.sort(endpoints)).thenReturn(endpoints);
+                td.when(health.isAvailable(), { ignoreExtraArgs: true }).thenReturn(false);
+
+                return con.open()
+                    .catch(() => {
+                        td.when(health.isAvailable(td.matchers.contains({ host: 'bar' }))).thenReturn(true);
+                        td.when(multiHost.sort([td.matchers.contains({ host: 'bar' })])).thenReturn([{ host: 'bar' }]);
+                        td.when(connect()).thenResolve('baz');
+
+                        return con.open();
+                    })
+                    .then(res => {
+                        expect(res).to.equal('baz');
+                        return expect(con.getServerHostname()).to.equal('bar');
+                    });
+            });
+        });
+    });
+
+    context('clone()', () => {
+        it('creates a connection to the same endpoint with the same credentials', () => {
+            const endpoints = [{ host: 'foo', port: 33060 }, { host: 'bar', port: 33061 }];
+            const con = connection({ endpoints, password: 'baz', user: 'qux' });
+            const clone = con.clone();
+
+            expect(clone).to.not.equal(con);
+            expect(clone.getUser()).to.equal('qux');
+            expect(clone.getServerHostname()).to.equal(con.getServerHostname());
+            expect(clone.getServerPort()).to.equal(con.getServerPort());
+            return expect(clone.hasMultipleEndpoints()).to.equal(false);
+        });
+
+        it('creates a connection using the same socket factory', () => {
+            const socketFactory = td.function();
+            const clone = connection({ host: 'foo', socketFactory }).clone();
+            const start = td.replace(clone, 'start');
+
+            td.when(socketFactory(), { ignoreExtraArgs: true }).thenResolve(new PassThrough());
+            td.when(start()).thenResolve();
+
+            return clone.connect()
+                .then(() => {
+                    expect(td.explain(socketFactory).callCount).to.equal(1);
+                    return expect(td.explain(socketFactory).calls[0].args[0]).to.include({ host: 'foo' });
+                });
+        });
+    });
+
+    context('killQuery()', () => {
+        let Client;
+
+        beforeEach('create fakes', () => {
+            Client = td.replace('../../../lib/Protocol/Client');
+
+            connection = require('../../../lib/DevAPI/Connection');
+        });
+
+        it('interrupts the ongoing statement using a different connection', () => {
+            const con = connection();
+            const side = connection().setClient(new Client());
+            const clone = td.replace(con, 'clone');
+            const getServerId = td.replace(con, 'getServerId');
+            const open = td.replace(side, 'open');
+            const close = td.replace(side, 'close');
+
+            td.when(getServerId()).thenReturn(3);
+            td.when(clone()).thenReturn(side);
+            td.when(open()).thenResolve(side);
+            td.when(close()).thenResolve();
+            td.when(Client.prototype.sqlStmtExecute(td.matchers.argThat(stmt => stmt.getSQL() === 'KILL QUERY 3'))).thenResolve();
+
+            return con.killQuery()
+                .then(res => {
+                    expect(res).to.equal(con);
+                    return expect(td.explain(close).callCount).to.equal(1);
+                });
+        });
+
+        it('closes the side connection if the statement cannot be interrupted', () => {
+            const con = connection();
+            const side = connection().setClient(new Client());
+            const clone = td.replace(con, 'clone');
+            const getServerId = td.replace(con, 'getServerId');
+            const open = td.replace(side, 'open');
+            const close = td.replace(side, 'close');
+            const error = new Error('foobar');
+
+            td.when(getServerId()).thenReturn(3);
+            td.when(clone()).thenReturn(side);
+            td.when(open()).thenResolve(side);
+            td.when(close()).thenResolve();
+            td.when(Client.prototype.sqlStmtExecute(td.matchers.anything())).thenReject(error);
+
+            return con.killQuery()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(td.explain(close).callCount).to.equal(1);
+                });
+        });
+
+        it('does nothing if the connection is not established', () => {
+            const con = connection();
+            const clone = td.replace(con, 'clone');
+
+            return con.killQuery()
+                .then(res => {
+                    expect(res).to.equal(con);
+                    return expect(td.explain(clone).callCount).to.equal(0);
+                });
+        });
+    });
+
+    context('heartbeat()', () => {
+        let Client;
+
+        beforeEach('create fakes', () => {
+            Client = td.replace('../../../lib/Protocol/Client');
+
+            connection = require('../../../lib/DevAPI/Connection');
+        });
+
+        it('checks if the server is still able to reply when the connection is idle', () => {
+            const con = connection({ heartbeatInterval: 10 }).setClient(new Client());
+            const isActive = td.replace(con, 'isActive');
+            const isOpen = td.replace(con, 'isOpen');
+            const ping = td.replace(con, 'ping');
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isActive()).thenReturn(false);
+            td.when(ping()).thenResolve(con);
+
+            con.heartbeat();
+
+            return new Promise(resolve => setTimeout(resolve, 50))
+                .then(() => {
+                    con.reset();
+                    return expect(td.explain(ping).callCount).to.be.above(1);
+                });
+        });
+
+        it('does not check the server when there is ongoing work', () => {
+            const con = connection({ heartbeatInterval: 10 }).setClient(new Client());
+            const isActive = td.replace(con, 'isActive');
+            const isOpen = td.replace(con, 'isOpen');
+            const ping = td.replace(con, 'ping');
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isActive()).thenReturn(true);
+
+            con.heartbeat();
+
+            return new Promise(resolve => setTimeout(resolve, 30))
+                .then(() => {
+                    con.reset();
+                    return expect(td.explain(ping).callCount).to.equal(0);
+                });
+        });
+
+        it('terminates the connection if the server is not able to reply', () => {
+            const con = connection({ heartbeatInterval: 10 }).setClient(new Client());
+            const isActive = td.replace(con, 'isActive');
+            const isOpen = td.replace(con, 'isOpen');
+            const ping = td.replace(con, 'ping');
+            const terminate = td.replace(con, 'terminate');
+            const error = new Error('foobar');
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isActive()).thenReturn(false);
+            td.when(ping()).thenReject(error);
+
+            con.heartbeat();
+
+            return new Promise(resolve => setTimeout(resolve, 30))
+                .then(() => {
+                    con.reset();
+                    expect(td.explain(terminate).callCount).to.equal(1);
+                    return expect(td.explain(terminate).calls[0].args).to.deep.equal([error]);
+                });
+        });
+
+        it('terminates the connection if the server does not reply in time', () => {
+            const con = connection({ heartbeatInterval: 10, socketTimeout: 20 }).setClient(new Client());
+            const isActive = td.replace(con, 'isActive');
+            const isOpen = td.replace(con, 'isOpen');
+            const ping = td.replace(con, 'ping');
+            const terminate = td.replace(con, 'terminate');
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isActive()).thenReturn(false);
+            td.when(ping()).thenReturn(new Promise(() => {}));
+
+            con.heartbeat();
+
+            return new Promise(resolve => setTimeout(resolve, 50))
+                .then(() => {
+                    con.reset();
+                    expect(td.explain(terminate).callCount).to.equal(1);
+                    expect(td.explain(terminate).calls[0].args[0].name).to.equal('ETIMEDOUT');
+                    return expect(td.explain(terminate).calls[0].args[0].message).to.equal(util.format(errors.MESSAGES.ERR_SOCKET_TIMEOUT, 20));
+                });
+        });
+
+        it('stops waiting for the server to reply when the connection is closed', () => {
+            const con = connection({ heartbeatInterval: 10, socketTimeout: 30 }).setClient(new Client());
+            const isActive = td.replace(con, 'isActive');
+            const isOpen = td.replace(con, 'isOpen');
+            const ping = td.replace(con, 'ping');
+            const terminate = td.replace(con, 'terminate');
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isActive()).thenReturn(false);
+            td.when(ping()).thenReturn(new Promise(() => {}));
+
+            con.heartbeat();
+
+            return new Promise(resolve => setTimeout(resolve, 20))
+                .then(() => {
+                    expect(td.explain(ping).callCount).to.equal(1);
+                    con.reset();
+
+                    return new Promise(resolve => setTimeout(resolve, 40));
+                })
+                .then(() => {
+                    return expect(td.explain(terminate).callCount).to.equal(0);
+                });
+        });
+    });
+
+    context('monitor()', () => {
+        let Client, socket;
+
+        beforeEach('create fakes', () => {
+            socket = new PassThrough();
+            socket.setTimeout = td.function();
+
+            Client = td.replace('../../../lib/Protocol/Client');
+
+            connection = require('../../../lib/DevAPI/Connection');
+        });
+
+        it('terminates the connection if the server does not reply in time', () => {
+            const con = connection({ socketTimeout: 100 }).setClient(new Client());
+            const isActive = td.replace(con, 'isActive');
+            const terminate = td.replace(con, 'terminate');
+
+            td.when(Client.prototype.getConnection()).thenReturn(socket);
+            td.when(isActive()).thenReturn(true);
+
+            con.monitor();
+            socket.emit('timeout');
+
+            expect(td.explain(socket.setTimeout).calls[0].args).to.deep.equal([100]);
+            expect(td.explain(terminate).callCount).to.equal(1);
+            return expect(td.explain(terminate).calls[0].args[0].message).to.equal(util.format(errors.MESSAGES.ERR_SOCKET_TIMEOUT, 100));
+        });
+
+        it('does not terminate the connection if it is idle', () => {
+            const con = connection({ socketTimeout: 100 }).setClient(new Client());
+            const isActive = td.replace(con, 'isActive');
+            const terminate = td.replace(con, 'terminate');
+
+            td.when(Client.prototype.getConnection()).thenReturn(socket);
+            td.when(isActive()).thenReturn(false);
+
+            con.monitor();
+            socket.emit('timeout');
+
+            return expect(td.explain(terminate).callCount).to.equal(0);
+        });
+
+        it('starts the heartbeat if it is enabled', () => {
+            const con = connection({ heartbeatInterval: 100 }).setClient(new Client());
+            const heartbeat = td.replace(con, 'heartbeat');
+
+            con.monitor();
+
+            expect(td.explain(socket.setTimeout).callCount).to.equal(0);
+            return expect(td.explain(heartbeat).callCount).to.equal(1);
+        });
+
+        it('does nothing by default', () => {
+            const con = connection().setClient(new Client());
+            const heartbeat = td.replace(con, 'heartbeat');
+
+            con.monitor();
+
+            expect(td.explain(Client.prototype.getConnection).callCount).to.equal(0);
+            return expect(td.explain(heartbeat).callCount).to.equal(0);
+        });
+    });
+
+    context('getTopology()', () => {
+        it('returns an empty list when the topology has not been refreshed yet', () => {
+            return expect(connection().getTopology()).to.deep.equal([]);
+        });
+    });
+
+    context('refreshTopology()', () => {
+        let sqlStmtExecute;
+
+        beforeEach('create fakes', () => {
+            sqlStmtExecute = td.function();
+        });
+
+        it('retrieves the members of the replication group and reports them to the application', () => {
+            const con = connection().setClient({ sqlStmtExecute });
+            const listener = td.function();
+            const expected = [{ id: 'foo', host: 'bar', port: 3306, state: 'ONLINE', role: 'PRIMARY', isCurrent: true }, { id: 'baz', host: 'qux', port: 3306, state: 'RECOVERING', role: 'SECONDARY', isCurrent: false }];
+
+            con.getEvents().on('topologyChanged', listener);
+
+            td.when(sqlStmtExecute(td.matchers.contains({ getSQL: td.matchers.isA(Function) }), td.matchers.isA(Function))).thenDo((statement, push) => {
+                expect(statement.getSQL()).to.match(/performance_schema\.replication_group_members/);
+
+                push(['foo', 'bar', 3306, 'ONLINE', 'PRIMARY', 1]);
+                push(['baz', 'qux', 3306, 'RECOVERING', 'SECONDARY', 0]);
+
+                return Promise.resolve();
+            });
+
+            return con.refreshTopology()
+                .then(members => {
+                    expect(members).to.deep.equal(expected);
+                    expect(con.getTopology()).to.deep.equal(expected);
+                    expect(td.explain(listener).callCount).to.equal(1);
+                    return expect(td.explain(listener).calls[0].args).to.deep.equal([expected]);
+                });
+        });
+
+        it('fails when the members cannot be retrieved', () => {
+            const con = connection().setClient({ sqlStmtExecute });
+            const error = new Error('foobar');
+
+            td.when(sqlStmtExecute(), { ignoreExtraArgs: true }).thenReject(error);
+
+            return con.refreshTopology()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(con.getTopology()).to.deep.equal([]);
+                });
+        });
+    });
+
+    context('scheduleTopologyRefresh()', () => {
+        it('refreshes the topology in the background', () => {
+            const con = connection();
+            const isActive = td.replace(con, 'isActive');
+            const isOpen = td.replace(con, 'isOpen');
+            const refreshTopology = td.replace(con, 'refreshTopology');
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isActive()).thenReturn(false);
+            td.when(refreshTopology()).thenResolve([]);
+
+            con.scheduleTopologyRefresh();
+
+            expect(td.explain(refreshTopology).callCount).to.equal(0);
+
+            return new Promise(resolve => setTimeout(resolve, 10))
+                .then(() => {
+                    return expect(td.explain(refreshTopology).callCount).to.equal(1);
+                });
+        });
+
+        it('only refreshes the topology when the connection is idle', () => {
+            const con = connection();
+            const isActive = td.replace(con, 'isActive');
+            const isOpen = td.replace(con, 'isOpen');
+            const refreshTopology = td.replace(con, 'refreshTopology');
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isActive()).thenReturn(true);
+            td.when(refreshTopology()).thenResolve([]);
+
+            con.scheduleTopologyRefresh();
+
+            return new Promise(resolve => setTimeout(resolve, 50))
+                .then(() => {
+                    expect(td.explain(refreshTopology).callCount).to.equal(0);
+
+                    td.when(isActive()).thenReturn(false);
+
+                    return new Promise(resolve => setTimeout(resolve, 150));
+                })
+                .then(() => {
+                    return expect(td.explain(refreshTopology).callCount).to.equal(1);
+                });
+        });
+
+        it('coalesces changes reported while a refresh is pending or in progress', () => {
+            const con = connection();
+            const isActive = td.replace(con, 'isActive');
+            const isOpen = td.replace(con, 'isOpen');
+            const refreshTopology = td.replace(con, 'refreshTopology');
+
+            let finish;
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isActive()).thenReturn(false);
+            td.when(refreshTopology()).thenResolve([]);
+            td.when(refreshTopology(), { times: 1 }).thenReturn(new Promise(resolve => { finish = resolve; }));
+
+            con.scheduleTopologyRefresh();
+            con.scheduleTopologyRefresh();
+
+            return new Promise(resolve => setTimeout(resolve, 10))
+                .then(() => {
+                    expect(td.explain(refreshTopology).callCount).to.equal(1);
+
+                    con.scheduleTopologyRefresh();
+                    con.scheduleTopologyRefresh();
+
+                    return new Promise(resolve => setTimeout(resolve, 10));
+                })
+                .then(() => {
+                    expect(td.explain(refreshTopology).callCount).to.equal(1);
+
+                    finish([]);
+
+                    return new Promise(resolve => setTimeout(resolve, 10));
+                })
+                .then(() => {
+                    return expect(td.explain(refreshTopology).callCount).to.equal(2);
+                });
+        });
+
+        it('reports errors with a "topologyError" event', () => {
+            const con = connection();
+            const isActive = td.replace(con, 'isActive');
+            const isOpen = td.replace(con, 'isOpen');
+            const refreshTopology = td.replace(con, 'refreshTopology');
+            const listener = td.function();
+            const error = new Error('foobar');
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isActive()).thenReturn(false);
+            td.when(refreshTopology()).thenReject(error);
+
+            con.getEvents().on('topologyError', listener);
+            con.scheduleTopologyRefresh();
+
+            return new Promise(resolve => setTimeout(resolve, 10))
+                .then(() => {
+                    expect(td.explain(listener).callCount).to.equal(1);
+                    return expect(td.explain(listener).calls[0].args).to.deep.equal([error]);
+                });
+        });
+
+        it('does not refresh the topology when the connection is closed in the meantime', () => {
+            const con = connection();
+            const isOpen = td.replace(con, 'isOpen');
+            const refreshTopology = td.replace(con, 'refreshTopology');
+
+            td.when(isOpen()).thenReturn(false);
+
+            con.scheduleTopologyRefresh();
+
+            return new Promise(resolve => setTimeout(resolve, 10))
+                .then(() => {
+                    return expect(td.explain(refreshTopology).callCount).to.equal(0);
+                });
+        });
+    });
+
+    context('route()', () => {
+        let socket;
+
+        const member = (host, role, isCurrent = false, state = 'ONLINE') => ({ id: host, host, port: 3306, state, role, isCurrent });
+
+        beforeEach('create fakes', () => {
+            socket = new PassThrough();
+        });
+
+        it('keeps a connection to a member with the expected role', () => {
+            const con = connection({ endpoints: [{ host: 'foo' }, { host: 'bar' }], groupReplication: { enabled: true } }).setClient({ getConnection: () => socket });
+            const destroy = td.replace(con, 'destroy');
+            const refreshTopology = td.replace(con, 'refreshTopology');
+            const watchTopology = td.replace(con, 'watchTopology');
+
+            td.when(refreshTopology()).thenResolve([member('foo', 'PRIMARY', true), member('bar', 'SECONDARY')]);
+            td.when(watchTopology()).thenResolve(con);
+
+            return con.route()
+                .then(res => {
+                    expect(res).to.equal(con);
+                    return expect(td.explain(destroy).callCount).to.equal(0);
+                });
+        });
+
+        it('switches to an endpoint where a member with the expected role is running', () => {
+            const con = connection({ endpoints: [{ host: 'foo' }, { host: 'bar' }, { host: 'baz' }], groupReplication: { enabled: true } }).setClient({ getConnection: () => socket });
+            const connect = td.replace(con, 'connect');
+            const destroy = td.replace(con, 'destroy');
+            const refreshTopology = td.replace(con, 'refreshTopology');
+            const watchTopology = td.replace(con, 'watchTopology');
+
+            td.when(refreshTopology()).thenResolve([member('foo', 'SECONDARY', true), member('bar', 'SECONDARY'), member('baz', 'PRIMARY')], [member('foo', 'SECONDARY'), member('bar', 'SECONDARY'), member('baz', 'PRIMARY', true)]);
+            td.when(destroy()).thenDo(() => {
+                socket.emit('close');
+                return Promise.resolve();
+            });
+            td.when(connect()).thenResolve(con);
+            td.when(watchTopology()).thenResolve(con);
+
+            return con.route()
+                .then(() => {
+                    expect(td.explain(destroy).callCount).to.equal(1);
+                    expect(td.explain(connect).callCount).to.equal(1);
+                    // The previous endpoint is only picked as a last resort.
+                    return expect(con.getServerHostname()).to.equal('baz');
+                });
+        });
+
+        it('keeps a connection to the primary when there are no secondaries available', () => {
+            const con = connection({ endpoints: [{ host: 'foo' }, { host: 'bar' }], groupReplication: { enabled: true, role: 'SECONDARY' } }).setClient({ getConnection: () => socket });
+            const destroy = td.replace(con, 'destroy');
+            const refreshTopology = td.replace(con, 'refreshTopology');
+            const watchTopology = td.replace(con, 'watchTopology');
+
+            td.when(refreshTopology()).thenResolve([member('foo', 'PRIMARY', true), member('bar', 'SECONDARY', false, 'RECOVERING')]);
+            td.when(watchTopology()).thenResolve(con);
+
+            return con.route()
+                .then(res => {
+                    expect(res).to.equal(con);
+                    return expect(td.explain(destroy).callCount).to.equal(0);
+                });
+        });
+
+        it('fails and closes the connection when there are no members with the expected role', () => {
+            const con = connection({ endpoints: [{ host: 'foo' }, { host: 'bar' }], groupReplication: { enabled: true } }).setClient({ getConnection: () => socket });
+            const destroy = td.replace(con, 'destroy');
+            const refreshTopology = td.replace(con, 'refreshTopology');
+
+            td.when(refreshTopology()).thenResolve([member('foo', 'SECONDARY', true), member('bar', 'PRIMARY', false, 'UNREACHABLE')]);
+            td.when(destroy()).thenResolve();
+
+            return con.route()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_GROUP_REPLICATION_MEMBER_NOT_FOUND, 'PRIMARY'));
+                    return expect(td.explain(destroy).callCount).to.equal(1);
+                });
+        });
+
+        it('fails when all the endpoints have been tried', () => {
+            const con = connection({ host: 'foo', groupReplication: { enabled: true } }).setClient({ getConnection: () => socket });
+            const destroy = td.replace(con, 'destroy');
+            const refreshTopology = td.replace(con, 'refreshTopology');
+
+            td.when(refreshTopology()).thenResolve([member('foo', 'SECONDARY', true), member('bar', 'PRIMARY')]);
+            td.when(destroy()).thenResolve();
+
+            return con.route()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_GROUP_REPLICATION_MEMBER_NOT_FOUND, 'PRIMARY'));
+                });
+        });
+    });
+
+    context('watchTopology()', () => {
+        it('enables the Group Replication notices', () => {
+            const sqlStmtExecute = td.function();
+            const con = connection().setClient({ sqlStmtExecute });
 
-            td.when(tls.connect({ socket: 'bar', option: 'baz' })).thenDo(() => {
-                setTimeout(() => socket.emit('secureConnect'));
-                return socket;
-            });
+            td.when(sqlStmtExecute(td.matchers.contains({ getSQL: td.matchers.isA(Function) }))).thenResolve();
 
-            td.when(socket.getProtocol()).thenReturn('qux');
-            td.when(tlsVersions.deprecated()).thenReturn(['quux']);
-            td.when(log('connection:tls')).thenReturn({ warning });
+            return con.watchTopology()
+                .then(res => {
+                    const statement = td.explain(sqlStmtExecute).calls[0].args[0];
 
-            return con.enableTLS()
-                .then(() => {
-                    expect(td.explain(log).callCount).to.equal(0);
-                    return expect(td.explain(warning).callCount).to.equal(0);
+                    expect(res).to.equal(con);
+                    expect(statement.getNamespace()).to.equal('mysqlx');
+                    expect(statement.getSQL()).to.equal('enable_notices');
+                    return expect(statement.getArgs()).to.deep.equal([{ notice: ['group_replication/membership/quorum_loss', 'group_replication/membership/view', 'group_replication/status/role_change', 'group_replication/status/state_change'] }]);
                 });
         });
+    });
 
-        it('delegates message handling to the X Protocol client instance', () => {
-            const con = connection().setClient(new Client());
+    context('trackGtids()', () => {
+        it('asks the server to report the GTID of each transaction', () => {
+            const sqlStmtExecute = td.function();
+            const con = connection().setClient({ sqlStmtExecute });
 
-            td.when(tls.connect(), { ignoreExtraArgs: true }).thenDo(() => {
-                setTimeout(() => {
-                    socket.emit('secureConnect');
-                    socket.emit('data', 'foo');
-                    socket.emit('data', 'bar');
+            td.when(sqlStmtExecute(td.matchers.contains({ getSQL: td.matchers.isA(Function) }))).thenResolve();
+
+            return con.trackGtids()
+                .then(res => {
+                    expect(res).to.equal(con);
+                    return expect(td.explain(sqlStmtExecute).calls[0].args[0].getSQL()).to.equal('SET SESSION session_track_gtids = OWN_GTID');
                 });
+        });
+    });
 
-                return socket;
+    context('waitForGtidSet()', () => {
+        let sqlStmtExecute;
+
+        beforeEach('create fakes', () => {
+            sqlStmtExecute = td.function();
+        });
+
+        it('waits until the server applies the transactions in the GTID set', () => {
+            const con = connection().setClient({ sqlStmtExecute });
+
+            td.when(sqlStmtExecute(td.matchers.contains({ getSQL: td.matchers.isA(Function) }), td.matchers.isA(Function))).thenDo((statement, push) => {
+                push([0]);
+                return Promise.resolve();
             });
 
-            td.when(tlsVersions.deprecated()).thenReturn([]);
+            return con.waitForGtidSet('foo:1-3', 1500)
+                .then(res => {
+                    const statement = td.explain(sqlStmtExecute).calls[0].args[0];
 
-            return con.enableTLS()
-                .then(() => {
-                    expect(td.explain(Client.prototype.handleNetworkFragment).callCount).to.equal(2);
-                    expect(td.explain(Client.prototype.handleNetworkFragment).calls[0].args).to.deep.equal(['foo']);
-                    expect(td.explain(Client.prototype.handleNetworkFragment).calls[1].args).to.deep.equal(['bar']);
+                    expect(res).to.equal(con);
+                    expect(statement.getSQL()).to.equal('SELECT WAIT_FOR_EXECUTED_GTID_SET(?, ?)');
+                    return expect(statement.getArgs()).to.deep.equal(['foo:1-3', 1.5]);
                 });
         });
 
-        it('tracks all errors generated while enabling TLS', () => {
-            const error = new Error('foobar');
-            const con = connection().setClient(new Client());
+        it('waits indefinitely when there is no timeout', () => {
+            const con = connection().setClient({ sqlStmtExecute });
 
-            td.when(tls.connect(), { ignoreExtraArgs: true }).thenDo(() => {
-                setTimeout(() => {
-                    socket.emit('secureConnect');
-                    socket.emit('error', error);
+            td.when(sqlStmtExecute(td.matchers.contains({ getSQL: td.matchers.isA(Function) }), td.matchers.isA(Function))).thenDo((statement, push) => {
+                push([0]);
+                return Promise.resolve();
+            });
+
+            return con.waitForGtidSet('foo:1-3')
+                .then(() => {
+                    const statement = td.explain(sqlStmtExecute).calls[0].args[0];
+
+                    expect(statement.getSQL()).to.equal('SELECT WAIT_FOR_EXECUTED_GTID_SET(?)');
+                    return expect(statement.getArgs()).to.deep.equal(['foo:1-3']);
                 });
+        });
 
-                return socket;
-            });
+        it('fails when the timeout is exceeded', () => {
+            const con = connection().setClient({ sqlStmtExecute });
 
-            td.when(tlsVersions.deprecated()).thenReturn([]);
+            td.when(sqlStmtExecute(td.matchers.contains({ getSQL: td.matchers.isA(Function) }), td.matchers.isA(Function))).thenDo((statement, push) => {
+                push([1]);
+                return Promise.resolve();
+            });
 
-            return con.enableTLS()
+            return con.waitForGtidSet('foo:1-3', 1000)
                 .then(() => {
-                    return expect(con.getError()).to.deep.equal(error);
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_GTID_SET_WAIT_TIMEOUT, 'foo:1-3', 1000));
                 });
         });
     });
 
-    context('isActive()', () => {
+    context('ping()', () => {
         let Client;
 
         beforeEach('create fakes', () => {
@@ -1249,288 +3033,234 @@ describe('X DevAPI Connection', () => {
             connection = require('../../../lib/DevAPI/Connection');
         });
 
-        it('checks whether the connection is in the middle of a workload', () => {
-            const con = connection();
-            // eslint-disable-next-line no-unused-expressions
-            expect(con.isActive()).to.be.false;
-
-            con.setClient(new Client());
+        it('executes the X Plugin "ping" command', () => {
+            const con = connection().setClient(new Client());
 
-            td.when(Client.prototype.isRunning()).thenReturn(false);
-            // eslint-disable-next-line no-unused-expressions
-            expect(con.isActive()).to.be.false;
+            td.when(Client.prototype.sqlStmtExecute(td.matchers.argThat(stmt => stmt.getNamespace() === 'mysqlx' && stmt.getSQL() === 'ping'))).thenResolve();
 
-            td.when(Client.prototype.isRunning()).thenReturn(true);
-            // eslint-disable-next-line no-unused-expressions
-            expect(con.isActive()).to.be.true;
+            return con.ping()
+                .then(res => {
+                    return expect(res).to.equal(con);
+                });
         });
-    });
 
-    context('isFromPool()', () => {
-        it('always returns false for standalone connections because they are not from a connection pool', () => {
-            return expect(connection().isFromPool()).to.be.false;
-        });
-    });
+        it('fails if the X Protocol client instance reports an error', () => {
+            const error = new Error('foobar');
 
-    context('isIdle()', () => {
-        it('always returns false for standalone connection because they are never idle on the client side', () => {
-            return expect(connection().isIdle()).to.be.false;
-        });
-    });
+            td.when(Client.prototype.sqlStmtExecute(td.matchers.anything())).thenReject(error);
 
-    context('hasMultipleEndpoints()', () => {
-        it('checks wether a connection works in a multi-host setting', () => {
-            /* eslint-disable no-unused-expressions */
-            expect(connection().hasMultipleEndpoints()).to.be.false;
-            expect(connection({ endpoints: ['foo'] }).hasMultipleEndpoints()).to.be.false;
-            /* eslint-enable no-unused-expressions */
-            return expect(connection({ endpoints: ['foo', 'bar'] }).hasMultipleEndpoints()).to.be.true;
+            return connection().setClient(new Client()).ping()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err).to.deep.equal(error);
+                });
         });
     });
 
-    context('getAuth()', () => {
-        it('returns the default authentication mechanism for secure channels', () => {
-            expect(connection({ socket: '/path/to/local/file.sock' }).getAuth()).to.equal('PLAIN');
-            expect(connection({ endpoints: [{ socket: '/path/to/local/file.sock' }] }).getAuth()).to.equal('PLAIN');
-            // TODO(Rui): "ssl" is deprecated.
-            expect(connection({ ssl: true }).getAuth()).to.equal('PLAIN');
-            expect(connection({ tls: { enabled: true } }).getAuth()).to.equal('PLAIN');
-            expect(connection({ tls: { enabled: true }, ssl: false }).getAuth()).to.equal('PLAIN');
-            expect(connection({ socket: '/path/to/local/file.sock', ssl: false }).getAuth()).to.equal('PLAIN');
-            expect(connection({ socket: '/path/to/local/file.sock', tls: { enabled: false } }).getAuth()).to.equal('PLAIN');
-            expect(connection({ socket: '/path/to/local/file.sock', ssl: false, tls: { enabled: false } }).getAuth()).to.equal('PLAIN');
-        });
+    context('override()', () => {
+        let Client;
 
-        it('returns the default authentication mechanism for insecure channels', () => {
-            // TODO(Rui): "ssl" is deprecated.
-            expect(connection({ ssl: false }).getAuth()).to.equal('MYSQL41');
-            expect(connection({ tls: { enabled: false } }).getAuth()).to.equal('MYSQL41');
-            return expect(connection({ ssl: true, tls: { enabled: false } }).getAuth()).to.equal('MYSQL41');
-        });
+        beforeEach('create fakes', () => {
+            Client = td.replace('../../../lib/Protocol/Client');
 
-        it('returns a custom authentication mechanism if one is defined', () => {
-            expect(connection({ auth: 'foo' }).getAuth()).to.equal('foo');
-            expect(connection({ auth: 'foo', ssl: false }).getAuth()).to.equal('foo');
-            expect(connection({ auth: 'foo', tls: { enabled: false } }).getAuth()).to.equal('foo');
-            expect(connection({ auth: 'foo', ssl: true }).getAuth()).to.equal('foo');
-            expect(connection({ auth: 'foo', tls: { enabled: true } }).getAuth()).to.equal('foo');
-            expect(connection({ auth: 'foo', ssl: true, tls: { enabled: true } }).getAuth()).to.equal('foo');
-            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', ssl: false }).getAuth()).to.equal('foo');
-            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', tls: { enabled: false } }).getAuth()).to.equal('foo');
-            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', ssl: true }).getAuth()).to.equal('foo');
-            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', tls: { enabled: true } }).getAuth()).to.equal('foo');
-            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', ssl: false, tls: { enabled: false } }).getAuth()).to.equal('foo');
-            expect(connection({ auth: 'foo', socket: '/path/to/local/file.sock', ssl: true, tls: { enabled: true } }).getAuth()).to.equal('foo');
+            connection = require('../../../lib/DevAPI/Connection');
         });
-    });
-
-    context('getServerHostname()', () => {
-        it('retrieves the hostname of the target endpoint', () => {
-            let con = connection();
-            expect(con.getServerHostname()).to.equal('localhost');
 
-            con = connection({ socket: 'foo' });
-            // For local Unix socket connections, we want it to be undefined.
-            // eslint-disable-next-line no-unused-expressions
-            expect(con.getServerHostname()).to.not.exist;
+        it('resets and re-uses the underlying X Protocol connection', () => {
+            const con = connection().setClient(new Client());
 
-            con = connection({ host: 'foo' });
-            expect(con.getServerHostname()).to.equal('foo');
+            td.when(Client.prototype.sessionReset()).thenResolve();
 
-            con = connection({ endpoints: [{ host: 'foo' }, { host: 'bar' }] });
-            return expect(con.getServerHostname()).to.equal('foo');
+            return con.override()
+                .then(res => {
+                    expect(res).to.deep.equal(con);
+                    return expect(td.explain(Client.prototype.sessionReset).callCount).to.equal(1);
+                });
         });
-    });
-
-    context('getServerPort()', () => {
-        it('retrieves the target port used to connect to the MySQL endpoint', () => {
-            let con = connection();
-            expect(con.getServerPort()).to.equal(33060);
 
-            con = connection({ socket: 'foo' });
-            // For local Unix socket connections, we want it to be undefined.
-            // eslint-disable-next-line no-unused-expressions
-            expect(con.getServerPort()).to.not.exist;
+        it('discards the state of any ongoing transaction', () => {
+            const con = connection().setClient(new Client()).setInTransaction(true);
 
-            con = connection({ port: 'foo' });
-            expect(con.getServerPort()).to.equal('foo');
+            td.when(Client.prototype.sessionReset()).thenResolve();
 
-            con = connection({ endpoints: [{ port: 'foo' }, { port: 'bar' }] });
-            return expect(con.getServerPort()).to.equal('foo');
+            return con.override()
+                .then(() => {
+                    return expect(con.isInTransaction()).to.equal(false);
+                });
         });
-    });
 
-    context('getServerSocketPath()', () => {
-        it('retrieves the path of the local Unix socket file used to connection to the MySQL endpoint', () => {
-            let con = connection({ socket: 'foo' });
-            expect(con.getServerSocketPath()).to.equal('foo');
+        it('restores the default autocommit mode', () => {
+            const con = connection().setClient(new Client()).setAutocommit(false);
 
-            con = connection({ endpoints: [{ socket: 'foo' }, { socket: 'bar' }] });
-            return expect(con.getServerSocketPath()).to.equal('foo');
-        });
-    });
+            td.when(Client.prototype.sessionReset()).thenResolve();
 
-    context('getSchemaName()', () => {
-        it('retrieves the name of the default schema associated with the current connection', () => {
-            return expect(connection({ schema: 'foo' }).getSchemaName()).to.equal('foo');
+            return con.override()
+                .then(() => {
+                    return expect(con.isInTransaction()).to.equal(false);
+                });
         });
-    });
 
-    context('getUser()', () => {
-        it('retrieves the name of the user of the MySQL account used to authenticate the current connection', () => {
-            let con = connection();
-            expect(con.getUser()).to.equal('');
+        it('discards the GTID of the last transaction committed by the previous session', () => {
+            const con = connection().setClient(new Client());
 
-            con = connection({ user: 'foo' });
-            expect(con.getUser()).to.equal('foo');
+            const payload = { getParameter: () => 'TRX_COMMITTED', getValues: () => ['foo:1'] };
 
-            con = connection({ dbUser: 'foo' });
-            expect(con.getUser()).to.equal('foo');
+            con.handleNotice({ getPayload: () => payload, getTypeId: () => NoticeStub.Frame.Type.SESSION_STATE_CHANGED });
 
-            con = connection({ dbUser: 'foo', user: 'bar' });
-            return expect(con.getUser()).to.equal('bar');
-        });
-    });
+            td.when(Client.prototype.sessionReset()).thenResolve();
 
-    context('hasCustomAuthenticationMechanism()', () => {
-        it('checks if the connection is using a custom authentication mechanism', () => {
-            // eslint-disable-next-line no-unused-expressions
-            expect(connection().hasCustomAuthenticationMechanism()).to.be.false;
-            return expect(connection({ auth: 'foo' }).hasCustomAuthenticationMechanism()).to.be.true;
+            return con.override()
+                .then(() => {
+                    return expect(con.getLastGtid()).to.equal(null);
+                });
         });
-    });
 
-    context('hasMoreEndpointsAvailable()', () => {
-        it('checks if the connection can be made to other MySQL endpoints', () => {
-            let con = connection();
-            let update = td.replace(con, 'update');
+        it('enables GTID tracking again, since the session variables are restored', () => {
+            const con = connection({}, { trackGtids: true }).setClient(new Client());
+            const trackGtids = td.replace(con, 'trackGtids');
 
-            // eslint-disable-next-line no-unused-expressions
-            expect(con.hasMoreEndpointsAvailable()).to.be.true;
+            td.when(Client.prototype.sessionReset()).thenResolve();
+            td.when(trackGtids()).thenResolve(con);
 
-            con = connection({ endpoints: ['foo', 'bar'] });
-            update = td.replace(con, 'update');
+            return con.override()
+                .then(res => {
+                    expect(res).to.deep.equal(con);
+                    return expect(td.explain(trackGtids).callCount).to.equal(1);
+                });
+        });
 
-            // eslint-disable-next-line no-unused-expressions
-            expect(con.hasMoreEndpointsAvailable()).to.be.true;
-            return expect(td.explain(update).callCount).to.equal(1);
+        it('fails if the X Protocol client instance reports an error', () => {
+            const error = new Error('foobar');
+
+            td.when(Client.prototype.sessionReset()).thenReject(error);
+
+            return connection().setClient(new Client()).override()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                });
         });
     });
 
-    context('open()', () => {
-        let multiHost, srv;
+    context('race()', () => {
+        let eyeballs;
 
-        beforeEach('create fakes', () => {
-            multiHost = td.replace('../../../lib/topology/multi-host');
-            srv = td.replace('../../../lib/topology/dns-srv');
+        beforeEach('create fakes', () => {
+            eyeballs = td.replace('../../../lib/topology/happy-eyeballs');
 
             connection = require('../../../lib/DevAPI/Connection');
         });
 
-        context('when DNS SRV is not enabled', () => {
-            it('creates a connection to the endpoint specified by the connection options', () => {
-                const con = connection({ host: 'foo' });
-                const connect = td.replace(con, 'connect');
-                const update = td.replace(con, 'update');
+        it('connects using the socket to the address of the host that was reached first', () => {
+            const con = connection({ host: 'foo', happyEyeballs: { enabled: true, delay: 100 } });
+            const connect = td.replace(con, 'connect');
+            const addresses = [{ host: 'foo', address: '::1' }, { host: 'foo', address: '127.0.0.1' }];
 
-                td.when(connect()).thenResolve('bar');
+            td.when(eyeballs.resolve(td.matchers.contains({ host: 'foo' }))).thenResolve(addresses);
+            td.when(eyeballs.connect(addresses, { delay: 100, timeout: 10000 })).thenResolve({ endpoint: addresses[1], failed: [addresses[0]], socket: 'bar' });
+            td.when(connect('bar')).thenResolve('baz');
 
-                return con.open()
-                    .then(res => {
-                        expect(td.explain(update).callCount).to.equal(1);
-                        expect(res).to.equal('bar');
-                        expect(td.explain(multiHost.sort).callCount).to.equal(1);
-                        return expect(td.explain(multiHost.sort).calls[0].args).to.deep.equal([[{ host: 'foo', port: 33060, socket: undefined }]]);
-                    });
-            });
+            return con.race()
+                .then(res => {
+                    expect(res).to.equal('baz');
+                    expect(con.getServerHostname()).to.equal('foo');
+                    expect(con.hasMultipleEndpoints()).to.equal(true);
+                    return expect(con.hasMoreEndpointsAvailable()).to.equal(true);
+                });
+        });
 
-            it('creates a connection to the most appropriate endpoint in a list specified by the connection options', () => {
-                const endpoints = [{ host: 'foo' }, { host: 'bar' }];
-                const con = connection({ endpoints });
-                const connect = td.replace(con, 'connect');
-                const update = td.replace(con, 'update');
+        it('does not resolve a host again while its addresses are available', () => {
+            const foo = { host: 'foo' };
+            const addresses = [{ host: 'foo', address: '::1', origin: foo }, { host: 'foo', address: '127.0.0.1', origin: foo }];
+            const con = connection({ endpoints: addresses.concat({ host: 'bar' }) });
+            const connect = td.replace(con, 'connect');
 
-                td.when(connect()).thenResolve('baz');
+            td.when(eyeballs.connect(addresses), { ignoreExtraArgs: true }).thenResolve({ endpoint: addresses[0], failed: [], socket: 'baz' });
+            td.when(connect('baz')).thenResolve('qux');
 
-                return con.open()
-                    .then(res => {
-                        expect(td.explain(update).callCount).to.equal(1);
-                        expect(res).to.equal('baz');
-                        expect(td.explain(multiHost.sort).callCount).to.equal(1);
-                        return expect(td.explain(multiHost.sort).calls[0].args).to.deep.equal([endpoints]);
-                    });
-            });
+            return con.race()
+                .then(res => {
+                    expect(res).to.equal('qux');
+                    return expect(td.explain(eyeballs.resolve).callCount).to.equal(0);
+                });
+        });
 
-            it('fails when an error is reported while connecting to the endpoint', () => {
-                const con = connection({ host: 'foo' });
-                const connect = td.replace(con, 'connect');
-                const error = new Error('foobar');
+        it('tries the next endpoint when none of the addresses of the host can be reached', () => {
+            const health = { isAvailable: () => false, reportFailure: td.function() };
+            const con = connection({ endpoints: [{ host: 'foo' }, { host: 'bar' }] }, { health });
+            const connect = td.replace(con, 'connect');
+            const addresses = [{ host: 'foo', address: '::1' }, { host: 'foo', address: '127.0.0.1' }];
 
-                td.when(connect()).thenReject(error);
+            td.when(eyeballs.resolve(td.matchers.contains({ host: 'foo' }))).thenResolve(addresses);
+            td.when(eyeballs.connect(addresses), { ignoreExtraArgs: true }).thenReject(new Error('baz'));
+            td.when(connect()).thenResolve('qux');
 
-                return con.open()
-                    .then(() => {
-                        return expect.fail();
-                    })
-                    .catch(err => {
-                        return expect(err).to.deep.equal(error);
-                    });
-            });
+            return con.race()
+                .then(res => {
+                    expect(res).to.equal('qux');
+                    expect(con.getServerHostname()).to.equal('bar');
+                    // Both addresses belong to the same endpoint.
+                    expect(td.explain(health.reportFailure).callCount).to.equal(1);
+                    return expect(td.explain(health.reportFailure).calls[0].args[0]).to.include({ host: 'foo' });
+                });
         });
 
-        context('when DNS SRV is enabled', () => {
-            it('creates a connection to the most appropriate endpoint associated to a given DNS SRV registry', () => {
-                const con = connection({ host: 'foo', resolveSrv: true });
-                const connect = td.replace(con, 'connect');
-                const update = td.replace(con, 'update');
+        it('fails with a custom error when there are no more endpoints available', () => {
+            const con = connection({ host: 'foo' });
+            const addresses = [{ host: 'foo', address: '::1' }, { host: 'foo', address: '127.0.0.1' }];
 
-                td.when(srv.lookup('foo')).thenResolve([{ host: 'bar' }, { host: 'baz' }]);
-                td.when(connect()).thenResolve('qux');
+            td.when(eyeballs.resolve(td.matchers.contains({ host: 'foo' }))).thenResolve(addresses);
+            td.when(eyeballs.connect(addresses), { ignoreExtraArgs: true }).thenReject(new Error('bar'));
 
-                return con.open()
-                    .then(res => {
-                        expect(td.explain(update).callCount).to.equal(1);
-                        expect(res).to.equal('qux');
-                        expect(td.explain(srv.sort).callCount).to.equal(1);
-                        return expect(td.explain(srv.sort).calls[0].args).to.deep.equal([[{ host: 'bar' }, { host: 'baz' }]]);
-                    });
-            });
+            return con.race()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.name).to.equal('ENOMOREHOSTS');
+                    return expect(err.message).to.equal(errors.MESSAGES.ERR_MULTI_HOST_CONNECTION_FAILURE);
+                });
+        });
 
-            it('fails when an error is reported while checking the DNS SRV records', () => {
-                const con = connection({ host: 'foo', resolveSrv: true });
-                const error = new Error('foobar');
+        it('fails with the original error when the host only has one address', () => {
+            const con = connection({ host: 'foo' });
+            const error = new Error('bar');
 
-                td.when(srv.lookup('foo')).thenReject(error);
+            td.when(eyeballs.resolve(td.matchers.contains({ host: 'foo' }))).thenResolve([{ host: 'foo', address: '::1' }]);
+            td.when(eyeballs.connect(), { ignoreExtraArgs: true }).thenReject(error);
 
-                return con.open()
-                    .then(() => {
-                        return expect.fail();
-                    })
-                    .catch(err => {
-                        return expect(err).to.deep.equal(error);
-                    });
-            });
+            return con.race()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err).to.equal(error);
+                });
+        });
 
-            it('fails when an error is reported while connecting to the endpoint', () => {
-                const con = connection({ host: 'foo', resolveSrv: true });
-                const connect = td.replace(con, 'connect');
-                const error = new Error('foobar');
+        it('fails with a custom error when the connection timeout is exceeded', () => {
+            const con = connection({ host: 'foo', connectTimeout: 500 });
+            const error = new Error();
+            error.name = 'ETIMEDOUT';
 
-                td.when(srv.lookup(), { ignoreExtraArgs: true }).thenResolve();
-                td.when(connect()).thenReject(error);
+            td.when(eyeballs.resolve(td.matchers.contains({ host: 'foo' }))).thenResolve([{ host: 'foo', address: '::1' }]);
+            td.when(eyeballs.connect(), { ignoreExtraArgs: true }).thenReject(error);
 
-                return con.open()
-                    .then(() => {
-                        return expect.fail();
-                    })
-                    .catch(err => {
-                        return expect(err).to.deep.equal(error);
-                    });
-            });
+            return con.race()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_SINGLE_HOST_CONNECTION_TIMEOUT, 500));
+                });
         });
     });
 
-    context('override()', () => {
+    context('reconnect()', () => {
         let Client;
 
         beforeEach('create fakes', () => {
@@ -1539,33 +3269,83 @@ describe('X DevAPI Connection', () => {
             connection = require('../../../lib/DevAPI/Connection');
         });
 
-        it('resets and re-uses the underlying X Protocol connection', () => {
+        it('destroys the previous network socket and opens a new connection', () => {
             const con = connection().setClient(new Client());
+            const open = td.replace(con, 'open');
+            const reset = td.replace(con, 'reset');
+            const socket = { destroyed: false, destroy: td.function() };
 
-            td.when(Client.prototype.sessionReset()).thenResolve();
+            td.when(Client.prototype.getConnection()).thenReturn(socket);
+            td.when(open()).thenResolve(con);
 
-            return con.override()
+            return con.reconnect()
                 .then(res => {
-                    expect(res).to.deep.equal(con);
-                    return expect(td.explain(Client.prototype.sessionReset).callCount).to.equal(1);
+                    expect(res).to.equal(con);
+                    expect(td.explain(socket.destroy).callCount).to.equal(1);
+                    return expect(td.explain(reset).callCount).to.equal(1);
                 });
         });
 
-        it('fails if the X Protocol client instance reports an error', () => {
+        it('discards the reason why the previous connection was lost', () => {
+            const con = connection().setClient(new Client());
+            const open = td.replace(con, 'open');
+            const socket = { destroyed: false, destroy: td.function() };
+
+            td.when(Client.prototype.getConnection()).thenReturn(socket);
+            td.when(open()).thenResolve(con);
+
+            con.terminate(new Error('foobar'));
+
+            return con.reconnect()
+                .then(() => {
+                    return expect(con.getError().message).to.equal(errors.MESSAGES.ERR_CONNECTION_CLOSED);
+                });
+        });
+
+        it('fails if the new connection cannot be opened', () => {
+            const con = connection();
+            const open = td.replace(con, 'open');
             const error = new Error('foobar');
 
-            td.when(Client.prototype.sessionReset()).thenReject(error);
+            td.when(open()).thenReject(error);
 
-            return connection().setClient(new Client()).override()
+            return con.reconnect()
                 .then(() => {
                     return expect.fail();
                 })
                 .catch(err => {
-                    expect(err).to.deep.equal(error);
+                    return expect(err).to.deep.equal(error);
                 });
         });
     });
 
+    context('getReconnectOptions()', () => {
+        it('returns the default options when none are specified', () => {
+            return expect(connection().getReconnectOptions()).to.deep.equal({ retries: 0, backoff: 1000 });
+        });
+
+        it('returns the options specified by the application', () => {
+            return expect(connection({ reconnect: { retries: 3 } }).getReconnectOptions()).to.deep.equal({ retries: 3, backoff: 1000 });
+        });
+    });
+
+    context('isInTransaction()', () => {
+        it('checks if there is an ongoing transaction in the scope of the connection', () => {
+            const con = connection();
+
+            expect(con.isInTransaction()).to.equal(false);
+            expect(con.setInTransaction(true).isInTransaction()).to.equal(true);
+            return expect(con.setInTransaction(false).isInTransaction()).to.equal(false);
+        });
+
+        it('considers that there is always an ongoing transaction when autocommit is disabled', () => {
+            const con = connection();
+
+            expect(con.setAutocommit(false).isInTransaction()).to.equal(true);
+            return expect(con.setAutocommit(true).isInTransaction()).to.equal(false);
+        });
+    });
+
     context('start()', () => {
         it('executes the pipeline for creating a server-side X Protocol session using TLS', () => {
             const con = connection();
@@ -1575,10 +3355,13 @@ describe('X DevAPI Connection', () => {
             const addCapabilities = td.replace(con, 'addCapabilities');
             const authenticate = td.replace(con, 'authenticate');
 
+            const negotiateCompression = td.replace(con, 'negotiateCompression');
+
             td.when(capabilitiesSet()).thenResolve({ tls: true });
             td.when(enableTLS()).thenResolve();
             td.when(capabilitiesGet()).thenResolve('foo');
             td.when(addCapabilities('foo')).thenReturn();
+            td.when(negotiateCompression()).thenResolve();
             td.when(authenticate()).thenResolve('bar');
 
             return con.start()
@@ -1594,9 +3377,12 @@ describe('X DevAPI Connection', () => {
             const addCapabilities = td.replace(con, 'addCapabilities');
             const authenticate = td.replace(con, 'authenticate');
 
+            const negotiateCompression = td.replace(con, 'negotiateCompression');
+
             td.when(capabilitiesSet()).thenResolve({ tls: false });
             td.when(capabilitiesGet()).thenResolve('foo');
             td.when(addCapabilities('foo')).thenReturn();
+            td.when(negotiateCompression()).thenResolve();
             td.when(authenticate()).thenResolve('bar');
 
             return con.start()
@@ -1604,6 +3390,65 @@ describe('X DevAPI Connection', () => {
                     return expect(res).to.equal('bar');
                 });
         });
+
+        it('does not authenticate if compression cannot be negotiated', () => {
+            const con = connection();
+            const capabilitiesSet = td.replace(con, 'capabilitiesSet');
+            const capabilitiesGet = td.replace(con, 'capabilitiesGet');
+            const addCapabilities = td.replace(con, 'addCapabilities');
+            const negotiateCompression = td.replace(con, 'negotiateCompression');
+            const authenticate = td.replace(con, 'authenticate');
+            const error = new Error('foobar');
+
+            td.when(capabilitiesSet()).thenResolve({ tls: false });
+            td.when(capabilitiesGet()).thenResolve('foo');
+            td.when(addCapabilities('foo')).thenReturn();
+            td.when(negotiateCompression()).thenReject(error);
+
+            return con.start()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(td.explain(authenticate).callCount).to.equal(0);
+                });
+        });
+    });
+
+    context('terminate()', () => {
+        let Client;
+
+        beforeEach('create fakes', () => {
+            Client = td.replace('../../../lib/Protocol/Client');
+
+            connection = require('../../../lib/DevAPI/Connection');
+        });
+
+        it('fails the pending work and destroys the network socket', () => {
+            const con = connection().setClient(new Client());
+            const socket = { destroyed: false, destroy: td.function() };
+            const error = new Error('foobar');
+
+            td.when(Client.prototype.getConnection()).thenReturn(socket);
+
+            expect(con.terminate(error)).to.equal(con);
+            expect(con.getError()).to.equal(error);
+            expect(td.explain(Client.prototype.handleServerClose).calls[0].args).to.deep.equal([error]);
+            return expect(td.explain(socket.destroy).calls[0].args).to.deep.equal([error]);
+        });
+
+        it('does nothing if the network socket was already destroyed', () => {
+            const con = connection().setClient(new Client());
+            const socket = { destroyed: true, destroy: td.function() };
+
+            td.when(Client.prototype.getConnection()).thenReturn(socket);
+
+            con.terminate(new Error('foobar'));
+
+            expect(td.explain(Client.prototype.handleServerClose).callCount).to.equal(0);
+            return expect(td.explain(socket.destroy).callCount).to.equal(0);
+        });
     });
 
     context('Connection.validate()', () => {
@@ -1662,6 +3507,67 @@ describe('X DevAPI Connection', () => {
             return expect(() => connection.validate({ connectTimeout: {} })).to.throw(errors.MESSAGES.ERR_INVALID_CONNECTION_TIMEOUT_VALUE);
         });
 
+        it('fails if the socket timeout is badly specified', () => {
+            expect(() => connection.validate({ socketTimeout: -1 })).to.throw(errors.MESSAGES.ERR_INVALID_SOCKET_TIMEOUT_VALUE);
+            expect(() => connection.validate({ socketTimeout: 'foo' })).to.throw(errors.MESSAGES.ERR_INVALID_SOCKET_TIMEOUT_VALUE);
+            return expect(() => connection.validate({ socketTimeout: 1.5 })).to.throw(errors.MESSAGES.ERR_INVALID_SOCKET_TIMEOUT_VALUE);
+        });
+
+        it('fails if the heartbeat interval is badly specified', () => {
+            expect(() => connection.validate({ heartbeatInterval: -1 })).to.throw(errors.MESSAGES.ERR_INVALID_HEARTBEAT_INTERVAL_VALUE);
+            expect(() => connection.validate({ heartbeatInterval: 'foo' })).to.throw(errors.MESSAGES.ERR_INVALID_HEARTBEAT_INTERVAL_VALUE);
+            return expect(() => connection.validate({ heartbeatInterval: {} })).to.throw(errors.MESSAGES.ERR_INVALID_HEARTBEAT_INTERVAL_VALUE);
+        });
+
+        it('fails if the keep-alive options are badly specified', () => {
+            expect(() => connection.validate({ keepAlive: true })).to.throw(errors.MESSAGES.ERR_INVALID_KEEP_ALIVE_DEFINITION);
+            expect(() => connection.validate({ keepAlive: null })).to.throw(errors.MESSAGES.ERR_INVALID_KEEP_ALIVE_DEFINITION);
+            expect(() => connection.validate({ keepAlive: { enabled: 'foo' } })).to.throw(errors.MESSAGES.ERR_INVALID_KEEP_ALIVE_ENABLED_VALUE);
+            expect(() => connection.validate({ keepAlive: { initialDelay: -1 } })).to.throw(errors.MESSAGES.ERR_INVALID_KEEP_ALIVE_INITIAL_DELAY_VALUE);
+            return expect(() => connection.validate({ keepAlive: { initialDelay: 'foo' } })).to.throw(errors.MESSAGES.ERR_INVALID_KEEP_ALIVE_INITIAL_DELAY_VALUE);
+        });
+
+        it('fails if the re-connect options are badly specified', () => {
+            expect(() => connection.validate({ reconnect: 3 })).to.throw(errors.MESSAGES.ERR_INVALID_RECONNECT_DEFINITION);
+            expect(() => connection.validate({ reconnect: [] })).to.throw(errors.MESSAGES.ERR_INVALID_RECONNECT_DEFINITION);
+            expect(() => connection.validate({ reconnect: { retries: -1 } })).to.throw(errors.MESSAGES.ERR_INVALID_RECONNECT_RETRIES_VALUE);
+            expect(() => connection.validate({ reconnect: { retries: 'foo' } })).to.throw(errors.MESSAGES.ERR_INVALID_RECONNECT_RETRIES_VALUE);
+            expect(() => connection.validate({ reconnect: { backoff: -1 } })).to.throw(errors.MESSAGES.ERR_INVALID_RECONNECT_BACKOFF_VALUE);
+            return expect(() => connection.validate({ reconnect: { backoff: 1.5 } })).to.throw(errors.MESSAGES.ERR_INVALID_RECONNECT_BACKOFF_VALUE);
+        });
+
+        it('accepts valid re-connect options', () => {
+            return expect(connection.validate({ reconnect: { retries: 3, backoff: 500 } })).to.equal(true);
+        });
+
+        it('accepts valid liveness options', () => {
+            return expect(connection.validate({ heartbeatInterval: 30000, keepAlive: { enabled: true, initialDelay: 1000 }, socketTimeout: 5000 })).to.equal(true);
+        });
+
+        it('fails if the Group Replication options are badly specified', () => {
+            expect(() => connection.validate({ groupReplication: true })).to.throw(errors.MESSAGES.ERR_INVALID_GROUP_REPLICATION_DEFINITION);
+            expect(() => connection.validate({ groupReplication: { enabled: 'foo' } })).to.throw(errors.MESSAGES.ERR_INVALID_GROUP_REPLICATION_ENABLED_VALUE);
+            return expect(() => connection.validate({ groupReplication: { role: 'foo' } })).to.throw(errors.MESSAGES.ERR_INVALID_GROUP_REPLICATION_ROLE_VALUE);
+        });
+
+        it('accepts valid Group Replication options', () => {
+            return expect(connection.validate({ groupReplication: { enabled: true, role: 'SECONDARY' } })).to.equal(true);
+        });
+
+        it('fails if the Happy Eyeballs options are badly specified', () => {
+            expect(() => connection.validate({ happyEyeballs: true })).to.throw(errors.MESSAGES.ERR_INVALID_HAPPY_EYEBALLS_DEFINITION);
+            expect(() => connection.validate({ happyEyeballs: { enabled: 'foo' } })).to.throw(errors.MESSAGES.ERR_INVALID_HAPPY_EYEBALLS_ENABLED_VALUE);
+            return expect(() => connection.validate({ happyEyeballs: { delay: -1 } })).to.throw(errors.MESSAGES.ERR_INVALID_HAPPY_EYEBALLS_DELAY_VALUE);
+        });
+
+        it('fails if the socket factory is not a function', () => {
+            return expect(() => connection.validate({ socketFactory: 'foo' })).to.throw(errors.MESSAGES.ERR_INVALID_SOCKET_FACTORY);
+        });
+
+        it('accepts valid Happy Eyeballs options', () => {
+            return expect(connection.validate({ happyEyeballs: { enabled: true, delay: 100 } })).to.equal(true);
+        });
+
         it('fails if the connection attributes are badly specified', () => {
             expect(() => connection.validate({ connectionAttributes: -1 })).to.throw(errors.MESSAGES.ERR_INVALID_CONNECTION_ATTRIBUTES_DEFINITION);
             expect(() => connection.validate({ connectionAttributes: 'foo' })).to.throw(errors.MESSAGES.ERR_INVALID_CONNECTION_ATTRIBUTES_DEFINITION);
@@ -1682,6 +3588,30 @@ describe('X DevAPI Connection', () => {
             return expect(() => connection.validate(srvOptions)).to.throw(error);
         });
 
+        it('fails if the compression options are badly specified', () => {
+            const algorithmsError = util.format(errors.MESSAGES.ERR_INVALID_COMPRESSION_ALGORITHMS, 'deflate_stream');
+
+            expect(() => connection.validate({ compression: 'foo' })).to.throw(errors.MESSAGES.ERR_INVALID_COMPRESSION_DEFINITION);
+            expect(() => connection.validate({ compression: [] })).to.throw(errors.MESSAGES.ERR_INVALID_COMPRESSION_DEFINITION);
+            expect(() => connection.validate({ compression: { enabled: true } })).to.throw(errors.MESSAGES.ERR_INVALID_COMPRESSION_MODE);
+            expect(() => connection.validate({ compression: { enabled: 'foo' } })).to.throw(errors.MESSAGES.ERR_INVALID_COMPRESSION_MODE);
+            expect(() => connection.validate({ compression: { algorithms: 'deflate_stream' } })).to.throw(algorithmsError);
+            expect(() => connection.validate({ compression: { algorithms: [] } })).to.throw(algorithmsError);
+            return expect(() => connection.validate({ compression: { algorithms: ['deflate_stream', 'foo'] } })).to.throw(algorithmsError);
+        });
+
+        it('fails if the compression algorithms are not supported by the client', () => {
+            const algorithmsError = util.format(errors.MESSAGES.ERR_INVALID_COMPRESSION_ALGORITHMS, 'deflate_stream');
+
+            expect(() => connection.validate({ compression: { enabled: 'required', algorithms: ['lz4_message'] } })).to.throw(algorithmsError);
+            return expect(() => connection.validate({ compression: { algorithms: ['zstd_stream', 'deflate_stream'] } })).to.throw(algorithmsError);
+        });
+
+        it('accepts valid compression options', () => {
+            expect(connection.validate({ compression: { enabled: 'required' } })).to.equal(true);
+            return expect(connection.validate({ compression: { enabled: 'preferred', algorithms: ['deflate_stream'] } })).to.equal(true);
+        });
+
         it('fails if the port is not in the valid range', () => {
             expect(() => connection.validate({ port: 'foo' })).to.throw(errors.MESSAGES.ERR_INVALID_PORT_RANGE);
             expect(() => connection.validate({ port: -1 })).to.throw(errors.MESSAGES.ERR_INVALID_PORT_RANGE);
@@ -1692,4 +3622,86 @@ describe('X DevAPI Connection', () => {
             return expect(() => connection.validate({ endpoints: [{ port: 8080 }, { port: 65537 }] })).to.throw(errors.MESSAGES.ERR_INVALID_PORT_RANGE);
         });
     });
+
+    context('failover()', () => {
+        it('reports every endpoint that failed to the client-wide registry', () => {
+            const health = { reportFailure: td.function() };
+            const endpoints = [{ host: 'foo', port: 33060 }, { host: 'bar', port: 33060 }, { host: 'baz', port: 33060 }];
+            const con = connection({ endpoints }, { health });
+            const connect = td.replace(con, 'connect');
+
+            td.when(connect()).thenResolve('qux');
+
+            return con.failover(new Error('foobar'), endpoints.slice(0, 2))
+                .then(res => {
+                    expect(res).to.equal('qux');
+                    expect(td.explain(health.reportFailure).callCount).to.equal(2);
+                    expect(td.explain(health.reportFailure).calls[0].args[0]).to.include({ host: 'foo' });
+                    return expect(td.explain(health.reportFailure).calls[1].args[0]).to.include({ host: 'bar' });
+                });
+        });
+    });
+
+    context('when the server accepts the connection and closes it right away', () => {
+        const endpointHealth = require('../../../lib/topology/endpoint-health');
+        const net = require('net');
+
+        let accepted, server;
+
+        beforeEach('start a server', done => {
+            accepted = 0;
+            connection = require('../../../lib/DevAPI/Connection');
+            server = net.createServer(socket => {
+                accepted += 1;
+                socket.destroy();
+            });
+
+            server.listen(0, '127.0.0.1', done);
+        });
+
+        afterEach('stop the server', done => {
+            server.close(done);
+        });
+
+        it('fails after a single attempt and reports the failure to the circuit breaker', () => {
+            const health = endpointHealth({ failureThreshold: 1 });
+            const endpoint = { host: '127.0.0.1', port: server.address().port };
+            const con = connection(Object.assign({ connectTimeout: 1000, tls: { enabled: false } }, endpoint), { health });
+
+            return con.open()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(() => {
+                    const state = health.getState(endpoint);
+
+                    health.reset();
+
+                    expect(state).to.equal('open');
+                    return expect(accepted).to.equal(1);
+                });
+        });
+
+        it('skips the endpoint once the circuit breaker is open', () => {
+            const health = endpointHealth({ failureThreshold: 1 });
+            const endpoint = { host: '127.0.0.1', port: server.address().port };
+            const options = Object.assign({ connectTimeout: 1000, tls: { enabled: false } }, endpoint);
+
+            return connection(options, { health }).open()
+                .catch(() => {
+                    expect(health.getState(endpoint)).to.equal('open');
+
+                    return connection(options, { health }).open();
+                })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    health.reset();
+
+                    expect(err.message).to.equal(errors.MESSAGES.ERR_CIRCUIT_BREAKER_OPEN);
+                    return expect(accepted).to.equal(1);
+                });
+        });
+    });
 });
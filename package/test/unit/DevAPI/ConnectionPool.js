@@ -32,11 +32,13 @@
 
 /* eslint-env node, mocha */
 
+const EventEmitter = require('events');
 const errors = require('../../../lib/constants/errors');
 const expect = require('chai').expect;
 const td = require('testdouble');
 const tk = require('timekeeper');
 const util = require('util');
+const warnings = require('../../../lib/constants/warnings');
 
 // subject under test needs to be reloaded with replacement fakes
 let connectionPool = require('../../../lib/DevAPI/ConnectionPool');
@@ -95,6 +97,26 @@ describe('ConnectionPool', () => {
                 });
         });
 
+        it('fails the requests waiting for a connection', () => {
+            const pool = connectionPool({ pooling: { maxSize: 1, queueTimeout: 0 } }).create({ active: [{ destroy }] });
+            const update = td.replace(pool, 'update');
+
+            td.when(update()).thenResolve();
+            td.when(destroy()).thenResolve();
+
+            const request = pool.getConnection();
+
+            return new Promise(resolve => setImmediate(resolve))
+                .then(() => pool.destroy())
+                .then(() => request)
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err.message).to.equal(errors.MESSAGES.ERR_POOL_DESTROYED);
+                });
+        });
+
         it('resets the pool state on failure', () => {
             const error = new Error('foobar');
             const pool = connectionPool().create({ active: [{ destroy }] });
@@ -128,26 +150,157 @@ describe('ConnectionPool', () => {
             connectionPool = require('../../../lib/DevAPI/ConnectionPool');
         });
 
-        it('fails if queueTimeout is exceeded', done => {
-            const queueTimeout = 5000;
+        it('fails if queueTimeout is exceeded', () => {
+            const queueTimeout = 50;
             const pool = connectionPool({ pooling: { maxSize: 3, queueTimeout } }).create({ active: ['foo', 'bar', 'baz'] });
             const update = td.replace(pool, 'update');
 
             td.when(update()).thenResolve();
 
-            // We need to travel in time only after calling
-            // pool.getConnection(), otherwise, Date.now() will also be in the
-            // future.
-            pool.getConnection()
+            return pool.getConnection()
                 .then(() => {
-                    done(expect.fail());
+                    return expect.fail();
                 })
                 .catch(err => {
-                    expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_POOL_QUEUE_TIMEOUT, queueTimeout));
-                    done();
+                    const waited = parseInt(err.message.match(/waited for (\d+) ms/)[1], 10);
+
+                    expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_POOL_QUEUE_TIMEOUT, queueTimeout, waited));
+                    return expect(waited).to.be.at.least(queueTimeout - 1);
+                });
+        });
+
+        it('does not fail if queueTimeout is exceeded by a request that has already been served', () => {
+            const queueTimeout = 10;
+            const options = { pooling: { maxSize: 1, queueTimeout } };
+            const pool = connectionPool(options).create();
+            const update = td.replace(pool, 'update');
+            const open = td.function();
+            const poolConnection = { acquire };
+
+            td.when(update()).thenResolve();
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn({ open });
+            td.when(open()).thenResolve(poolConnection);
+
+            return pool.getConnection()
+                .then(con => {
+                    expect(con).to.equal(poolConnection);
+                    return new Promise(resolve => setTimeout(resolve, queueTimeout * 2));
+                })
+                .then(() => {
+                    return expect(pool.activeConnections()).to.deep.equal([poolConnection]);
+                });
+        });
+
+        it('shares the client-wide endpoint health registry with new connections', () => {
+            const options = { pooling: { maxSize: 1, queueTimeout: 0 } };
+            const health = { isAvailable: () => true };
+            const pool = connectionPool(options, { health }).create();
+            const update = td.replace(pool, 'update');
+            const open = td.function();
+
+            td.when(update()).thenResolve();
+            td.when(connection(options, td.matchers.contains({ health }))).thenReturn({ open });
+            td.when(open()).thenResolve({ acquire });
+
+            return pool.getConnection()
+                .then(con => {
+                    return expect(con).to.deep.equal({ acquire });
+                });
+        });
+
+        it('creates connections that track GTIDs when the client asks for it', () => {
+            const options = { pooling: { maxSize: 1, queueTimeout: 0 } };
+            const pool = connectionPool(options, { trackGtids: true }).create();
+            const update = td.replace(pool, 'update');
+            const open = td.function();
+
+            td.when(update()).thenResolve();
+            td.when(connection(options, td.matchers.contains({ trackGtids: true }))).thenReturn({ open });
+            td.when(open()).thenResolve({ acquire });
+
+            return pool.getConnection()
+                .then(con => {
+                    return expect(con).to.deep.equal({ acquire });
+                });
+        });
+
+        it('serves requests waiting for a connection by the order they were made', () => {
+            const options = { pooling: { maxSize: 1, queueTimeout: 0 } };
+            const pool = connectionPool(options).create({ active: ['foo'] });
+            const update = td.replace(pool, 'update');
+            const open = td.function();
+            const first = { acquire, name: 'first' };
+            const second = { acquire, name: 'second' };
+            const served = [];
+
+            td.when(update()).thenResolve();
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn({ open });
+            td.when(open()).thenResolve(first, second);
+
+            const requests = [pool.getConnection(), pool.getConnection()].map(request => request.then(con => served.push(con.name)));
+
+            // Simulates a connection being released back into the pool.
+            const release = () => {
+                pool.activeConnections().splice(0);
+                return pool.release();
+            };
+
+            // Requests are only added to the queue after the pool is
+            // updated.
+            return new Promise(resolve => setImmediate(resolve))
+                .then(() => {
+                    expect(served).to.deep.equal([]);
+                    return release();
+                })
+                .then(() => requests[0])
+                .then(() => {
+                    expect(served).to.deep.equal(['first']);
+                    return release();
+                })
+                .then(() => requests[1])
+                .then(() => {
+                    return expect(served).to.deep.equal(['first', 'second']);
+                });
+        });
+
+        it('serves the next request waiting for a connection if the current one fails to open', () => {
+            const options = { pooling: { maxSize: 1, queueTimeout: 0 } };
+            const pool = connectionPool(options).create();
+            const update = td.replace(pool, 'update');
+            const error = new Error('foobar');
+            const poolConnection = { acquire };
+            const attempts = [Promise.reject(error), Promise.resolve(poolConnection)];
+            const open = () => attempts.shift();
+
+            attempts[0].catch(() => {});
+
+            td.when(update()).thenResolve();
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn({ open });
+
+            return Promise.all([pool.getConnection().catch(err => err), pool.getConnection()])
+                .then(([err, con]) => {
+                    expect(err).to.deep.equal(error);
+                    return expect(con).to.equal(poolConnection);
                 });
+        });
+
+        it('creates connections that wake up the requests waiting for one when they are released', () => {
+            const options = { pooling: { maxSize: 3 } };
+            const pool = connectionPool(options).create();
+            const update = td.replace(pool, 'update');
+            const release = td.replace(pool, 'release');
+            const open = td.function();
+
+            td.when(update()).thenResolve();
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn({ open });
+            td.when(open()).thenResolve({ acquire });
 
-            tk.travel(new Date(Date.now() + queueTimeout + 1));
+            return pool.getConnection()
+                .then(() => {
+                    td.explain(connection).calls[0].args[1].onRelease();
+
+                    return expect(td.explain(release).callCount).to.equal(1);
+                });
         });
 
         it('acquires and returns an idle connection if one exists and no expired ones exist', () => {
@@ -190,6 +343,48 @@ describe('ConnectionPool', () => {
                 });
         });
 
+        it('evicts an idle connection that cannot be validated and uses a different one', () => {
+            const abort = td.function();
+            const open = td.function();
+            const options = { pooling: { maxSize: 3, validateOnBorrow: 'reset' } };
+            const broken = { abort, isExpired: () => false, isOpen: () => true, override: () => Promise.reject(new Error('foobar')) };
+            const poolConnection = { acquire };
+            const pool = connectionPool(options).create({ idle: [broken] });
+            const update = td.replace(pool, 'update');
+
+            td.when(update()).thenResolve();
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn({ open });
+            td.when(open()).thenResolve(poolConnection);
+
+            return pool.getConnection()
+                .then(con => {
+                    expect(con).to.equal(poolConnection);
+                    expect(td.explain(abort).callCount).to.equal(1);
+                    // eslint-disable-next-line no-unused-expressions
+                    expect(pool.idleConnections()).to.be.an('array').and.be.empty;
+                    return expect(pool.activeConnections()).to.deep.equal([poolConnection]);
+                });
+        });
+
+        it('reports the error if an idle connection cannot be re-used and validation is disabled', () => {
+            const error = new Error('foobar');
+            const options = { pooling: { maxSize: 3, validateOnBorrow: 'none' } };
+            const broken = { isExpired: () => false, isOpen: () => true, override: () => Promise.reject(error) };
+            const pool = connectionPool(options).create({ idle: [broken] });
+            const update = td.replace(pool, 'update');
+
+            td.when(update()).thenResolve();
+
+            return pool.getConnection()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(pool.isFull()).to.equal(false);
+                });
+        });
+
         it('acquires and returns a refurbished connection if one exists and no idle ones exist but expired ones exist', () => {
             const open = td.function();
             const expiredConnection = { isOpen, isExpired, open };
@@ -244,7 +439,7 @@ describe('ConnectionPool', () => {
             const poolConnection = { acquire };
 
             td.when(update()).thenResolve();
-            td.when(connection(options)).thenReturn({ open });
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn({ open });
             td.when(open()).thenResolve(poolConnection);
 
             return pool.getConnection()
@@ -256,6 +451,267 @@ describe('ConnectionPool', () => {
         });
     });
 
+    context('validateConnection()', () => {
+        let override, ping;
+
+        beforeEach('create fakes', () => {
+            override = td.function();
+            ping = td.function();
+        });
+
+        it('resets the connection if validation is disabled', () => {
+            const con = { override, ping };
+            const pool = connectionPool({ pooling: { validateOnBorrow: 'none' } });
+
+            td.when(override()).thenResolve(con);
+
+            return pool.validateConnection(con)
+                .then(res => {
+                    expect(res).to.equal(con);
+                    return expect(td.explain(ping).callCount).to.equal(0);
+                });
+        });
+
+        it('pings the connection before resetting it', () => {
+            const con = { override, ping };
+            const pool = connectionPool({ pooling: { validateOnBorrow: 'ping', validationTimeout: 100 } });
+
+            td.when(ping()).thenResolve(con);
+            td.when(override()).thenResolve(con);
+
+            return pool.validateConnection(con)
+                .then(res => {
+                    expect(res).to.equal(con);
+                    return expect(td.explain(ping).callCount).to.equal(1);
+                });
+        });
+
+        it('fails if the connection does not reply to a ping in time', () => {
+            const con = { override, ping };
+            const validationTimeout = 10;
+            const pool = connectionPool({ pooling: { validateOnBorrow: 'ping', validationTimeout } });
+
+            td.when(ping()).thenReturn(new Promise(() => {}));
+
+            return pool.validateConnection(con)
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_POOL_VALIDATION_TIMEOUT, validationTimeout));
+                    return expect(td.explain(override).callCount).to.equal(0);
+                });
+        });
+
+        it('fails if the connection cannot be reset in time', () => {
+            const con = { override, ping };
+            const validationTimeout = 10;
+            const pool = connectionPool({ pooling: { validateOnBorrow: 'reset', validationTimeout } });
+
+            td.when(override()).thenReturn(new Promise(() => {}));
+
+            return pool.validateConnection(con)
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_POOL_VALIDATION_TIMEOUT, validationTimeout));
+                    return expect(td.explain(ping).callCount).to.equal(0);
+                });
+        });
+    });
+
+    context('checkIdleConnections()', () => {
+        it('evicts idle connections that are broken and replaces them if needed', () => {
+            const abort = td.function();
+            const isOpen = () => true;
+            const healthy = { isOpen, ping: () => Promise.resolve() };
+            const broken = { abort, isOpen, ping: () => Promise.reject(new Error('foobar')) };
+            const hanging = { abort, isOpen, ping: () => new Promise(() => {}) };
+            const pool = connectionPool({ pooling: { validationTimeout: 10 } }).create({ idle: [healthy, broken, hanging] });
+            const fill = td.replace(pool, 'fill');
+
+            td.when(fill()).thenResolve(pool);
+
+            return pool.checkIdleConnections()
+                .then(res => {
+                    expect(res).to.equal(pool);
+                    expect(pool.idleConnections()).to.deep.equal([healthy]);
+                    expect(td.explain(abort).callCount).to.equal(2);
+                    return expect(td.explain(fill).callCount).to.equal(1);
+                });
+        });
+
+        it('does not evict connections that have been acquired in the meantime', () => {
+            const abort = td.function();
+            const broken = { abort, isOpen: () => true, ping: () => Promise.reject(new Error('foobar')) };
+            const pool = connectionPool({ pooling: {} }).create({ idle: [broken] });
+
+            td.replace(pool, 'fill');
+
+            const check = pool.checkIdleConnections();
+
+            pool.idleConnections().splice(0);
+
+            return check
+                .then(() => {
+                    return expect(td.explain(abort).callCount).to.equal(0);
+                });
+        });
+
+        it('is called periodically when the pool is configured to do so', () => {
+            const pool = connectionPool({ pooling: { idleCheckInterval: 10 } });
+            const checkIdleConnections = td.replace(pool, 'checkIdleConnections');
+
+            pool.create();
+
+            return new Promise(resolve => setTimeout(resolve, 35))
+                .then(() => {
+                    pool.reset();
+
+                    const callCount = td.explain(checkIdleConnections).callCount;
+                    expect(callCount).to.be.at.least(2);
+
+                    return new Promise(resolve => setTimeout(() => resolve(callCount), 25));
+                })
+                .then(callCount => {
+                    return expect(td.explain(checkIdleConnections).callCount).to.equal(callCount);
+                });
+        });
+    });
+
+    context('release()', () => {
+        it('updates the pool and serves the requests waiting for a connection', () => {
+            const pool = connectionPool();
+            const update = td.replace(pool, 'update');
+            const dispatch = td.replace(pool, 'dispatch');
+            const fill = td.replace(pool, 'fill');
+
+            td.when(update()).thenResolve();
+            td.when(dispatch()).thenReturn(pool);
+
+            return pool.release()
+                .then(() => {
+                    expect(td.explain(dispatch).callCount).to.equal(1);
+                    return expect(td.explain(fill).callCount).to.equal(1);
+                });
+        });
+
+        it('serves the requests waiting for a connection even if the pool fails to be updated', () => {
+            const pool = connectionPool();
+            const update = td.replace(pool, 'update');
+            const dispatch = td.replace(pool, 'dispatch');
+            const fill = td.replace(pool, 'fill');
+
+            td.when(update()).thenReject(new Error('foobar'));
+            td.when(dispatch()).thenReturn(pool);
+
+            return pool.release()
+                .then(() => {
+                    expect(td.explain(dispatch).callCount).to.equal(1);
+                    return expect(td.explain(fill).callCount).to.equal(1);
+                });
+        });
+    });
+
+    context('fill()', () => {
+        let close, connection, open;
+
+        beforeEach('create fakes', () => {
+            close = td.function();
+            connection = td.function();
+            open = td.function();
+
+            td.replace('../../../lib/DevAPI/PoolConnection', connection);
+
+            connectionPool = require('../../../lib/DevAPI/ConnectionPool');
+        });
+
+        it('opens and releases as many connections as needed to reach the minimum size of the pool', () => {
+            const options = { pooling: { maxSize: 5, minSize: 3 } };
+            const pool = connectionPool(options).create({ active: ['foo'] });
+            const poolConnection = { close, open };
+
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn(poolConnection);
+            td.when(open()).thenResolve(poolConnection);
+            td.when(close()).thenResolve();
+
+            return pool.fill()
+                .then(res => {
+                    expect(res).to.equal(pool);
+                    expect(td.explain(open).callCount).to.equal(2);
+                    expect(td.explain(close).callCount).to.equal(2);
+                    return expect(pool.idleConnections()).to.deep.equal([poolConnection, poolConnection]);
+                });
+        });
+
+        it('refurbishes expired connections', () => {
+            const options = { pooling: { maxSize: 5, minSize: 1 } };
+            const expiredConnection = { close, open };
+            const pool = connectionPool(options).create({ expired: [expiredConnection] });
+
+            td.when(open()).thenResolve(expiredConnection);
+            td.when(close()).thenResolve();
+
+            return pool.fill()
+                .then(() => {
+                    expect(td.explain(connection).callCount).to.equal(0);
+                    // eslint-disable-next-line no-unused-expressions
+                    expect(pool.expiredConnections()).to.be.an('array').and.be.empty;
+                    return expect(pool.idleConnections()).to.deep.equal([expiredConnection]);
+                });
+        });
+
+        it('does not open any connection if the pool already contains the minimum number of connections', () => {
+            const options = { pooling: { maxSize: 5, minSize: 2 } };
+            const pool = connectionPool(options).create({ active: ['foo'], idle: ['bar'] });
+
+            return pool.fill()
+                .then(() => {
+                    return expect(td.explain(connection).callCount).to.equal(0);
+                });
+        });
+
+        it('does not report errors and serves the requests waiting for a connection', () => {
+            const options = { pooling: { maxSize: 5, minSize: 1 } };
+            const pool = connectionPool(options).create();
+            const dispatch = td.replace(pool, 'dispatch');
+
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn({ open });
+            td.when(open()).thenReject(new Error('foobar'));
+
+            return pool.fill()
+                .then(() => {
+                    // eslint-disable-next-line no-unused-expressions
+                    expect(pool.idleConnections()).to.be.an('array').and.be.empty;
+                    expect(pool.isFull()).to.equal(false);
+                    return expect(td.explain(dispatch).callCount).to.equal(1);
+                });
+        });
+
+        it('destroys connections that finish opening after the pool has been reset', () => {
+            const options = { pooling: { maxSize: 5, minSize: 1 } };
+            const pool = connectionPool(options).create();
+            const destroy = td.function();
+            const poolConnection = { close, destroy, open };
+
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn(poolConnection);
+            td.when(open()).thenResolve(poolConnection);
+
+            const filling = pool.fill();
+
+            pool.reset();
+
+            return filling
+                .then(() => {
+                    expect(td.explain(destroy).callCount).to.equal(1);
+                    expect(td.explain(close).callCount).to.equal(0);
+                    // eslint-disable-next-line no-unused-expressions
+                    return expect(pool.idleConnections()).to.be.an('array').and.be.empty;
+                });
+        });
+    });
+
     context('isFull()', () => {
         it('checks if the pool is full', () => {
             let pool = connectionPool({ pooling: { maxSize: 3 } }).create({ active: ['foo', 'bar', 'baz'] });
@@ -265,6 +721,27 @@ describe('ConnectionPool', () => {
             pool = connectionPool({ pooling: { maxSize: 2 } }).create({ active: ['foo'] });
             return expect(pool.isFull()).to.be.false;
         });
+
+        it('accounts for connections that are still being opened', () => {
+            const connection = td.function();
+            const options = { pooling: { maxSize: 2 } };
+
+            td.replace('../../../lib/DevAPI/PoolConnection', connection);
+            connectionPool = require('../../../lib/DevAPI/ConnectionPool');
+
+            const pool = connectionPool(options).create({ active: ['foo'] });
+            const update = td.replace(pool, 'update');
+
+            td.when(update()).thenResolve();
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn({ open: () => new Promise(() => {}) });
+
+            pool.getConnection();
+
+            return new Promise(resolve => setImmediate(resolve))
+                .then(() => {
+                    return expect(pool.isFull()).to.be.true;
+                });
+        });
     });
 
     context('reset()', () => {
@@ -279,6 +756,98 @@ describe('ConnectionPool', () => {
         });
     });
 
+    context('refreshServiceRecords()', () => {
+        let srv;
+
+        beforeEach('create fakes', () => {
+            srv = td.replace('../../../lib/topology/dns-srv');
+
+            connectionPool = require('../../../lib/DevAPI/ConnectionPool');
+
+            td.when(srv.refreshInterval(), { ignoreExtraArgs: true }).thenReturn(60000);
+        });
+
+        it('looks up the DNS SRV records when the pool is created', () => {
+            const pool = connectionPool({ host: 'foo', resolveSrv: true, pooling: {} });
+
+            td.when(srv.lookup('foo')).thenResolve([{ host: 'bar', ttl: 10 }]);
+
+            pool.create();
+
+            expect(td.explain(srv.lookup).callCount).to.equal(1);
+
+            return pool.refreshServiceRecords()
+                .then(() => {
+                    pool.reset();
+
+                    expect(td.explain(srv.refreshInterval).calls[0].args).to.deep.equal([[{ host: 'bar', ttl: 10 }]]);
+                    return expect(td.explain(srv.lookup).callCount).to.equal(2);
+                });
+        });
+
+        it('does not look up the DNS SRV records if DNS SRV is not enabled', () => {
+            connectionPool({ host: 'foo', pooling: {} }).create().reset();
+
+            return expect(td.explain(srv.lookup).callCount).to.equal(0);
+        });
+
+        it('retires all the existing connections when the DNS SRV records change', () => {
+            const active = { isIdle: () => false, isOpen: () => true, retire: td.function() };
+            const idle = { destroy: td.function(), isExpired: () => true, isOpen: () => true, retire: td.function() };
+            const pool = connectionPool({ endpoints: [{ host: 'foo' }], resolveSrv: true, pooling: { minSize: 0 } });
+
+            td.when(srv.lookup('foo')).thenResolve([{ host: 'bar' }], [{ host: 'baz' }]);
+            td.when(srv.equals([{ host: 'bar' }], [{ host: 'baz' }])).thenReturn(false);
+            td.when(idle.destroy()).thenResolve();
+
+            pool.create({ active: [active], idle: [idle] });
+
+            return pool.refreshServiceRecords()
+                .then(() => {
+                    pool.reset();
+
+                    expect(td.explain(active.retire).callCount).to.equal(1);
+                    expect(td.explain(idle.retire).callCount).to.equal(1);
+                    return expect(td.explain(idle.destroy).callCount).to.equal(1);
+                });
+        });
+
+        it('keeps the existing connections when the DNS SRV records do not change', () => {
+            const idle = { retire: td.function() };
+            const pool = connectionPool({ host: 'foo', resolveSrv: true, pooling: {} });
+
+            td.when(srv.lookup('foo')).thenResolve([{ host: 'bar', ttl: 10 }], [{ host: 'bar', ttl: 5 }]);
+            td.when(srv.equals([{ host: 'bar', ttl: 10 }], [{ host: 'bar', ttl: 5 }])).thenReturn(true);
+
+            pool.create({ idle: [idle] });
+
+            return pool.refreshServiceRecords()
+                .then(() => {
+                    pool.reset();
+
+                    return expect(td.explain(idle.retire).callCount).to.equal(0);
+                });
+        });
+
+        it('keeps the existing connections and retries later when the lookup fails', () => {
+            const idle = { retire: td.function() };
+            const pool = connectionPool({ host: 'foo', resolveSrv: true, pooling: {} });
+
+            td.when(srv.lookup('foo')).thenResolve([{ host: 'bar' }]);
+            td.when(srv.lookup('foo'), { times: 1 }).thenReject(new Error());
+
+            pool.create({ idle: [idle] });
+
+            return pool.refreshServiceRecords()
+                .then(() => {
+                    pool.reset();
+
+                    expect(td.explain(idle.retire).callCount).to.equal(0);
+                    return expect(td.explain(srv.refreshInterval).calls[0].args).to.deep.equal([]);
+                });
+        });
+    });
+
     context('update()', () => {
         let destroy, isExpired, isIdle, isOpen;
 
@@ -354,6 +923,286 @@ describe('ConnectionPool', () => {
         });
     });
 
+    context('getStats()', () => {
+        it('returns the number of connections in each state', () => {
+            const pool = connectionPool({ pooling: { maxSize: 5 } }).create({ active: ['foo', 'bar'], expired: ['baz'], idle: ['qux'] });
+
+            return expect(pool.getStats()).to.deep.equal({ active: 2, idle: 1, expired: 1, pending: 0, waiting: 0, maxSize: 5, totalAcquisitions: 0, totalQueueTimeouts: 0, averageWaitTime: 0 });
+        });
+
+        it('keeps track of the connections that have been acquired and how long it took', () => {
+            const connection = td.function();
+            const open = td.function();
+
+            td.replace('../../../lib/DevAPI/PoolConnection', connection);
+            connectionPool = require('../../../lib/DevAPI/ConnectionPool');
+
+            const options = { pooling: { maxSize: 2, queueTimeout: 0 } };
+            const pool = connectionPool(options).create();
+            const update = td.replace(pool, 'update');
+
+            td.when(update()).thenResolve();
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn({ open });
+            td.when(open()).thenResolve({ acquire: () => {} });
+
+            return Promise.all([pool.getConnection(), pool.getConnection()])
+                .then(() => {
+                    const stats = pool.getStats();
+
+                    expect(stats.active).to.equal(2);
+                    expect(stats.totalAcquisitions).to.equal(2);
+                    return expect(stats.averageWaitTime).to.be.at.least(0);
+                });
+        });
+
+        it('keeps track of the requests that exceeded queueTimeout', () => {
+            const pool = connectionPool({ pooling: { maxSize: 1, queueTimeout: 10 } }).create({ active: ['foo'] });
+            const update = td.replace(pool, 'update');
+
+            td.when(update()).thenResolve();
+
+            return pool.getConnection()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(() => {
+                    const stats = pool.getStats();
+
+                    expect(stats.waiting).to.equal(0);
+                    return expect(stats.totalQueueTimeouts).to.equal(1);
+                });
+        });
+    });
+
+    context('lifecycle events', () => {
+        let events;
+
+        beforeEach('create fakes', () => {
+            events = new EventEmitter();
+        });
+
+        it('reports connections that are created and acquired', () => {
+            const connection = td.function();
+            const open = td.function();
+            const created = [];
+            const acquired = [];
+
+            td.replace('../../../lib/DevAPI/PoolConnection', connection);
+            connectionPool = require('../../../lib/DevAPI/ConnectionPool');
+
+            const options = { pooling: { maxSize: 1, queueTimeout: 0 } };
+            const pool = connectionPool(options, { events }).create();
+            const update = td.replace(pool, 'update');
+
+            events.on('create', details => created.push(details));
+            events.on('acquire', details => acquired.push(details));
+
+            td.when(update()).thenResolve();
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn({ open });
+            td.when(open()).thenResolve({ acquire: () => {}, getServerId: () => 3 });
+
+            return pool.getConnection()
+                .then(() => {
+                    expect(created).to.deep.equal([{ connectionId: 3 }]);
+                    expect(acquired).to.have.lengthOf(1);
+                    expect(acquired[0].connectionId).to.equal(3);
+                    return expect(acquired[0].waitTime).to.be.at.least(0);
+                });
+        });
+
+        it('reports requests that exceed queueTimeout', () => {
+            const queueTimeout = 10;
+            const pool = connectionPool({ pooling: { maxSize: 1, queueTimeout } }, { events }).create({ active: ['foo'] });
+            const update = td.replace(pool, 'update');
+            const timeouts = [];
+
+            events.on('queueTimeout', details => timeouts.push(details));
+
+            td.when(update()).thenResolve();
+
+            return pool.getConnection()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(() => {
+                    expect(timeouts).to.have.lengthOf(1);
+                    expect(timeouts[0].queueTimeout).to.equal(queueTimeout);
+                    return expect(timeouts[0].waitTime).to.be.at.least(queueTimeout - 1);
+                });
+        });
+
+        it('reports connections that are released', () => {
+            const pool = connectionPool({ pooling: {} }, { events });
+            const update = td.replace(pool, 'update');
+            const released = [];
+
+            td.replace(pool, 'fill');
+            events.on('release', details => released.push(details));
+
+            td.when(update()).thenResolve();
+
+            return pool.release({ getServerId: () => 5 })
+                .then(() => {
+                    return expect(released).to.deep.equal([{ connectionId: 5 }]);
+                });
+        });
+
+        it('reports connections that have just expired and are destroyed', () => {
+            const destroy = () => Promise.resolve();
+            const getServerId = () => 7;
+            const stale = { destroy, getServerId: () => 1 };
+            const expired = { destroy, getServerId, isExpired: () => true, isOpen: () => true };
+            const pool = connectionPool({ pooling: {} }, { events }).create({ expired: [stale], idle: [expired] });
+            const reported = [];
+
+            events.on('expire', details => reported.push(['expire', details]));
+            events.on('destroy', details => reported.push(['destroy', details]));
+
+            return pool.update()
+                .then(() => {
+                    return expect(reported).to.deep.equal([['expire', { connectionId: 7 }], ['destroy', { connectionId: 7 }]]);
+                });
+        });
+
+        it('does not compute the event details if nobody is listening', () => {
+            const destroy = () => Promise.resolve();
+            const getServerId = td.function();
+            const pool = connectionPool({ pooling: {} }, { events }).create({ idle: [{ destroy, getServerId, isExpired: () => true, isOpen: () => true }] });
+
+            return pool.update()
+                .then(() => {
+                    return expect(td.explain(getServerId).callCount).to.equal(0);
+                });
+        });
+    });
+
+    context('leak detection', () => {
+        let log, warning;
+
+        beforeEach('create fakes', () => {
+            log = td.replace('../../../lib/tool/log');
+            warning = td.function();
+
+            td.when(log('pool')).thenReturn({ warning });
+
+            connectionPool = require('../../../lib/DevAPI/ConnectionPool');
+        });
+
+        it('reports connections that are not released within the threshold', () => {
+            const pool = connectionPool({ pooling: { leakDetectionThreshold: 10 } });
+            const reportLeak = td.replace(pool, 'reportLeak');
+
+            pool.watchConnection('foo', 'bar');
+
+            return new Promise(resolve => setTimeout(resolve, 30))
+                .then(() => {
+                    expect(td.explain(reportLeak).callCount).to.equal(1);
+                    return expect(td.explain(reportLeak).calls[0].args).to.deep.equal(['foo', 'bar']);
+                });
+        });
+
+        it('does not report connections that are released within the threshold', () => {
+            const pool = connectionPool({ pooling: { leakDetectionThreshold: 20 } });
+            const reportLeak = td.replace(pool, 'reportLeak');
+            const update = td.replace(pool, 'update');
+            const con = { getServerId: () => 1 };
+
+            td.replace(pool, 'fill');
+            td.when(update()).thenResolve();
+
+            pool.watchConnection(con, 'bar');
+
+            return pool.release(con)
+                .then(() => {
+                    return new Promise(resolve => setTimeout(resolve, 40));
+                })
+                .then(() => {
+                    return expect(td.explain(reportLeak).callCount).to.equal(0);
+                });
+        });
+
+        it('does not track connections if leak detection is disabled', () => {
+            const pool = connectionPool({ pooling: { leakDetectionThreshold: 0 } });
+            const reportLeak = td.replace(pool, 'reportLeak');
+
+            expect(pool.watchConnection('foo', 'bar')).to.equal(pool);
+
+            return new Promise(resolve => setTimeout(resolve, 10))
+                .then(() => {
+                    return expect(td.explain(reportLeak).callCount).to.equal(0);
+                });
+        });
+
+        it('captures the stack trace where the connection was requested', () => {
+            const connection = td.function();
+            const open = td.function();
+
+            td.replace('../../../lib/DevAPI/PoolConnection', connection);
+            connectionPool = require('../../../lib/DevAPI/ConnectionPool');
+
+            const options = { pooling: { leakDetectionThreshold: 1000, maxSize: 1, queueTimeout: 0 } };
+            const pool = connectionPool(options).create();
+            const update = td.replace(pool, 'update');
+            const watchConnection = td.replace(pool, 'watchConnection');
+            const poolConnection = { acquire: () => {} };
+
+            td.when(update()).thenResolve();
+            td.when(connection(options, td.matchers.isA(Object))).thenReturn({ open });
+            td.when(open()).thenResolve(poolConnection);
+
+            return pool.getConnection()
+                .then(() => {
+                    expect(td.explain(watchConnection).callCount).to.equal(1);
+                    expect(td.explain(watchConnection).calls[0].args[0]).to.equal(poolConnection);
+                    return expect(td.explain(watchConnection).calls[0].args[1]).to.match(/test\/unit\/DevAPI\/ConnectionPool\.js/);
+                });
+        });
+
+        it('logs a warning containing the stack trace', () => {
+            const con = { destroy: td.function() };
+            const pool = connectionPool({ pooling: { leakDetectionThreshold: 10, reclaimLeakedConnections: false } }).create({ active: [con] });
+
+            return pool.reportLeak(con, 'foo')
+                .then(res => {
+                    expect(res).to.equal(pool);
+                    expect(td.explain(warning).callCount).to.equal(1);
+                    expect(td.explain(warning).calls[0].args).to.deep.equal(['leak', util.format(warnings.MESSAGES.WARN_POOL_CONNECTION_LEAK, 10, 'foo')]);
+                    expect(pool.activeConnections()).to.deep.equal([con]);
+                    return expect(td.explain(con.destroy).callCount).to.equal(0);
+                });
+        });
+
+        it('reclaims the connection if the pool is configured to do so', () => {
+            const con = { destroy: td.function() };
+            const pool = connectionPool({ pooling: { leakDetectionThreshold: 10, reclaimLeakedConnections: true } }).create({ active: [con, 'bar'] });
+            const dispatch = td.replace(pool, 'dispatch');
+            const fill = td.replace(pool, 'fill');
+
+            td.when(con.destroy()).thenReject(new Error('foobar'));
+            td.when(dispatch()).thenReturn(pool);
+            td.when(fill()).thenResolve(pool);
+
+            return pool.reportLeak(con, 'foo')
+                .then(() => {
+                    expect(pool.activeConnections()).to.deep.equal(['bar']);
+                    expect(td.explain(con.destroy).callCount).to.equal(1);
+                    expect(td.explain(dispatch).callCount).to.equal(1);
+                    return expect(td.explain(fill).callCount).to.equal(1);
+                });
+        });
+
+        it('does not reclaim a connection that is not active anymore', () => {
+            const con = { destroy: td.function() };
+            const pool = connectionPool({ pooling: { leakDetectionThreshold: 10, reclaimLeakedConnections: true } }).create({ idle: [con] });
+
+            return pool.reportLeak(con, 'foo')
+                .then(() => {
+                    expect(pool.idleConnections()).to.deep.equal([con]);
+                    return expect(td.explain(con.destroy).callCount).to.equal(0);
+                });
+        });
+    });
+
     context('ConnectionPool.validate()', () => {
         it('fails when an unknown property is specified', () => {
             return expect(() => connectionPool.validate({ foo: 'bar' })).to.throw(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION, 'pooling.foo'));
@@ -396,6 +1245,75 @@ describe('ConnectionPool', () => {
             expect(() => connectionPool.validate({ maxSize: {} })).to.throw(util.format(error, path, {}));
         });
 
+        it('fails when the "minSize" property is not a positive integer (including 0) below "maxSize"', () => {
+            const error = errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE;
+            const path = 'pooling.minSize';
+
+            expect(() => connectionPool.validate({ minSize: -1 })).to.throw(util.format(error, path, -1));
+            expect(() => connectionPool.validate({ minSize: 'foo' })).to.throw(util.format(error, path, 'foo'));
+            expect(() => connectionPool.validate({ minSize: true })).to.throw(util.format(error, path, true));
+            expect(() => connectionPool.validate({ minSize: null })).to.throw(util.format(error, path, null));
+            expect(() => connectionPool.validate({ minSize: 4, maxSize: 3 })).to.throw(util.format(error, path, 4));
+            expect(connectionPool.validate({ minSize: 3, maxSize: 3 })).to.equal(true);
+        });
+
+        it('fails when the "maxLifetime" property is not a positive integer (including 0)', () => {
+            const error = errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE;
+            const path = 'pooling.maxLifetime';
+
+            expect(() => connectionPool.validate({ maxLifetime: -1 })).to.throw(util.format(error, path, -1));
+            expect(() => connectionPool.validate({ maxLifetime: 'foo' })).to.throw(util.format(error, path, 'foo'));
+            expect(() => connectionPool.validate({ maxLifetime: false })).to.throw(util.format(error, path, false));
+            expect(() => connectionPool.validate({ maxLifetime: {} })).to.throw(util.format(error, path, {}));
+            expect(connectionPool.validate({ maxLifetime: 0 })).to.equal(true);
+        });
+
+        it('fails when the "validateOnBorrow" property is not a valid validation mode', () => {
+            const error = errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE;
+            const path = 'pooling.validateOnBorrow';
+
+            expect(() => connectionPool.validate({ validateOnBorrow: 'foo' })).to.throw(util.format(error, path, 'foo'));
+            expect(() => connectionPool.validate({ validateOnBorrow: true })).to.throw(util.format(error, path, true));
+            expect(() => connectionPool.validate({ validateOnBorrow: null })).to.throw(util.format(error, path, null));
+
+            ['none', 'ping', 'reset'].forEach(validateOnBorrow => expect(connectionPool.validate({ validateOnBorrow })).to.equal(true));
+        });
+
+        it('fails when the "validationTimeout" property is not a positive integer (including 0)', () => {
+            const error = errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE;
+            const path = 'pooling.validationTimeout';
+
+            expect(() => connectionPool.validate({ validationTimeout: -1 })).to.throw(util.format(error, path, -1));
+            expect(() => connectionPool.validate({ validationTimeout: 'foo' })).to.throw(util.format(error, path, 'foo'));
+            expect(() => connectionPool.validate({ validationTimeout: [] })).to.throw(util.format(error, path, []));
+        });
+
+        it('fails when the "leakDetectionThreshold" property is not a positive integer (including 0)', () => {
+            const error = errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE;
+            const path = 'pooling.leakDetectionThreshold';
+
+            expect(() => connectionPool.validate({ leakDetectionThreshold: -1 })).to.throw(util.format(error, path, -1));
+            expect(() => connectionPool.validate({ leakDetectionThreshold: 'foo' })).to.throw(util.format(error, path, 'foo'));
+            expect(() => connectionPool.validate({ leakDetectionThreshold: 1.5 })).to.throw(util.format(error, path, 1.5));
+        });
+
+        it('fails when the "reclaimLeakedConnections" property is not a boolean', () => {
+            const error = errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE;
+            const path = 'pooling.reclaimLeakedConnections';
+
+            expect(() => connectionPool.validate({ reclaimLeakedConnections: 'foo' })).to.throw(util.format(error, path, 'foo'));
+            expect(() => connectionPool.validate({ reclaimLeakedConnections: 1 })).to.throw(util.format(error, path, 1));
+        });
+
+        it('fails when the "idleCheckInterval" property is not a positive integer (including 0)', () => {
+            const error = errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE;
+            const path = 'pooling.idleCheckInterval';
+
+            expect(() => connectionPool.validate({ idleCheckInterval: -1 })).to.throw(util.format(error, path, -1));
+            expect(() => connectionPool.validate({ idleCheckInterval: 'foo' })).to.throw(util.format(error, path, 'foo'));
+            expect(() => connectionPool.validate({ idleCheckInterval: {} })).to.throw(util.format(error, path, {}));
+        });
+
         it('fails when the "queueTimeout" property is not a positive integer (including 0)', () => {
             const error = errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE;
             const path = 'pooling.queueTimeout';
@@ -32,6 +32,7 @@
 
 /* eslint-env node, mocha */
 
+const EventEmitter = require('events');
 const expect = require('chai').expect;
 const td = require('testdouble');
 const tk = require('timekeeper');
@@ -40,10 +41,13 @@ const tk = require('timekeeper');
 let poolConnection = require('../../../lib/DevAPI/PoolConnection');
 
 describe('X DevAPI Pool Connection', () => {
-    let connection;
+    let connection, events;
 
     beforeEach('create fakes', () => {
         connection = td.function();
+        events = new EventEmitter();
+
+        td.when(connection(), { ignoreExtraArgs: true }).thenReturn({ getEvents: () => events });
 
         td.replace('../../../lib/DevAPI/Connection', connection);
 
@@ -56,11 +60,28 @@ describe('X DevAPI Pool Connection', () => {
             const bar = td.function();
 
             td.when(bar()).thenReturn('baz');
-            td.when(connection(options)).thenReturn({ bar });
+            td.when(connection(options, { health: null, trackGtids: false })).thenReturn({ bar });
 
             expect(poolConnection(options).bar).to.be.a('function');
             return expect(poolConnection(options).bar()).to.equal('baz');
         });
+
+        it('shares the client-wide endpoint health registry with the underlying connection', () => {
+            const options = 'foo';
+            const health = 'bar';
+
+            td.when(connection(options, { health, trackGtids: false })).thenReturn({ baz: () => 'qux' });
+
+            return expect(poolConnection(options, { health }).baz()).to.equal('qux');
+        });
+
+        it('asks the underlying connection to track GTIDs when the pool needs it', () => {
+            const options = 'foo';
+
+            td.when(connection(options, { health: null, trackGtids: true })).thenReturn({ baz: () => 'qux' });
+
+            return expect(poolConnection(options, { trackGtids: true }).baz()).to.equal('qux');
+        });
     });
 
     context('acquire()', () => {
@@ -80,9 +101,90 @@ describe('X DevAPI Pool Connection', () => {
                     return expect(con.isIdle()).to.be.true;
                 });
         });
+
+        it('lets the pool know the connection has been released', () => {
+            const onRelease = td.function();
+            const con = poolConnection({ pooling: {} }, { onRelease });
+
+            return con.close()
+                .then(() => {
+                    expect(td.explain(onRelease).callCount).to.equal(1);
+                    return expect(td.explain(onRelease).calls[0].args[0]).to.equal(con);
+                });
+        });
+
+        it('lets the session know it was closed', () => {
+            const listener = td.function();
+            const con = poolConnection();
+
+            events.on('close', listener);
+
+            return con.close()
+                .then(() => {
+                    expect(td.explain(listener).callCount).to.equal(1);
+                    return expect(td.explain(listener).calls[0].args[0]).to.deep.equal({ hadError: false, error: null });
+                });
+        });
+
+        it('discards the listeners of the session', () => {
+            const con = poolConnection();
+
+            events.on('warning', () => {});
+
+            return con.close()
+                .then(() => {
+                    return expect(events.listenerCount('warning')).to.equal(0);
+                });
+        });
     });
 
     context('isExpired()', () => {
+        it('checks if a released connection has exceeded maxLifetime', () => {
+            const maxLifetime = 5000;
+            const open = td.function();
+
+            td.when(connection(), { ignoreExtraArgs: true }).thenReturn({ getEvents: () => events, open });
+
+            const con = poolConnection({ pooling: { maxIdleTime: 0, maxLifetime } });
+
+            td.when(open()).thenResolve(con);
+
+            return con.open()
+                .then(() => {
+                    // The connection is re-used before it becomes idle for
+                    // too long.
+                    tk.travel(new Date(Date.now() + maxLifetime + 100));
+                    // eslint-disable-next-line no-unused-expressions
+                    expect(con.isExpired()).to.be.false;
+
+                    return con.close();
+                })
+                .then(() => {
+                    return expect(con.isExpired()).to.be.true;
+                });
+        });
+
+        it('starts a new lifetime when the connection is refurbished', () => {
+            const maxLifetime = 5000;
+            const open = td.function();
+
+            td.when(connection(), { ignoreExtraArgs: true }).thenReturn({ getEvents: () => events, open });
+
+            const con = poolConnection({ pooling: { maxIdleTime: 0, maxLifetime } });
+
+            td.when(open()).thenResolve(con);
+
+            return con.open()
+                .then(() => {
+                    tk.travel(new Date(Date.now() + maxLifetime + 100));
+                    return con.open();
+                })
+                .then(() => con.close())
+                .then(() => {
+                    return expect(con.isExpired()).to.be.false;
+                });
+        });
+
         it('checks if an idle connection has exceeded maxIdleTime', () => {
             const maxIdleTime = 2000;
             const con = poolConnection({ pooling: { maxIdleTime } });
@@ -124,6 +226,35 @@ describe('X DevAPI Pool Connection', () => {
                     return expect(con.isExpired()).to.be.false;
                 });
         });
+
+        it('checks if an idle connection was retired by the pool', () => {
+            const open = td.function();
+
+            td.when(connection(), { ignoreExtraArgs: true }).thenReturn({ getEvents: () => events, open });
+
+            const con = poolConnection({ pooling: { maxIdleTime: 0, maxLifetime: 0 } });
+
+            td.when(open()).thenResolve(con);
+
+            return con.open()
+                .then(() => {
+                    con.retire();
+                    // eslint-disable-next-line no-unused-expressions
+                    expect(con.isExpired()).to.be.false;
+
+                    return con.close();
+                })
+                .then(() => {
+                    // eslint-disable-next-line no-unused-expressions
+                    expect(con.isExpired()).to.be.true;
+                    // A refurbished connection is not retired anymore.
+                    return con.open();
+                })
+                .then(() => con.close())
+                .then(() => {
+                    return expect(con.isExpired()).to.be.false;
+                });
+        });
     });
 
     context('isFromPool()', () => {
@@ -71,6 +71,22 @@ describe('Preparing', () => {
         });
     });
 
+    context('closeCursor()', () => {
+        it('closes the given server-side cursor', () => {
+            const cursorClose = td.function();
+            const getClient = td.function();
+            const statement = preparing({ connection: { getClient } });
+
+            td.when(getClient()).thenReturn({ cursorClose });
+            td.when(cursorClose('foo')).thenResolve('bar');
+
+            return statement.closeCursor('foo')
+                .then(actual => {
+                    return expect(actual).to.equal('bar');
+                });
+        });
+    });
+
     context('deallocate()', () => {
         let deallocate, getClient, getPreparedStatements, removePreparedStatement;
 
@@ -183,7 +199,7 @@ describe('Preparing', () => {
         });
 
         it('prepares a statement and executes it when the scope does not change', () => {
-            const connection = { getClient };
+            const connection = { getClient, getServerId: td.function() };
             const statement = preparing({ connection, stage: preparing.Stages.TO_PREPARE });
             const executePrepared = td.replace(statement, 'executePrepared');
 
@@ -254,7 +270,7 @@ describe('Preparing', () => {
         });
 
         it('deallocates a statement that has been modified, re-prepares and executes it', () => {
-            const connection = { getClient, getPreparedStatements, removePreparedStatement };
+            const connection = { getClient, getPreparedStatements, getServerId: td.function(), removePreparedStatement };
             const statement = preparing({ connection, stage: preparing.Stages.TO_REPREPARE });
             const executePrepared = td.replace(statement, 'executePrepared');
 
@@ -348,6 +364,282 @@ describe('Preparing', () => {
         });
     });
 
+    context('executeWithCursor()', () => {
+        it('returns the details of the first batch when the result set is not suspended', () => {
+            const statement = preparing();
+            const openCursor = td.replace(statement, 'openCursor');
+            const details = { cursor: { id: 1, suspended: false }, metadata: [['foo']], results: [['bar']] };
+
+            td.when(openCursor('baz', 10, 'qux', 'quux')).thenResolve(details);
+
+            return statement.executeWithCursor('baz', 10, 'qux', 'quux')
+                .then(actual => {
+                    return expect(actual).to.deep.equal({ metadata: [['foo']], results: [['bar']] });
+                });
+        });
+
+        it('returns the details of the fallback operation when the server does not support prepared statements', () => {
+            const statement = preparing();
+            const openCursor = td.replace(statement, 'openCursor');
+
+            td.when(openCursor('foo', 10), { ignoreExtraArgs: true }).thenResolve({ results: [['bar']] });
+
+            return statement.executeWithCursor('foo', 10)
+                .then(actual => {
+                    return expect(actual).to.deep.equal({ results: [['bar']] });
+                });
+        });
+
+        it('fetches the remaining batches while the result set is suspended', () => {
+            const statement = preparing();
+            const openCursor = td.replace(statement, 'openCursor');
+            const fetchCursor = td.replace(statement, 'fetchCursor');
+            const first = { cursor: { id: 1, metadata: ['foo'], suspended: true }, messages: [], metadata: [], results: [['bar']], rowsAffected: 0, warnings: ['baz'] };
+            const second = { cursor: { id: 1, metadata: ['foo'], suspended: true }, messages: [], metadata: [], results: [['qux']], rowsAffected: 0, warnings: [] };
+            const third = { cursor: { id: 1, metadata: [], suspended: false }, messages: [], metadata: [['foo'], ['quux']], results: [['quuz'], ['corge']], rowsAffected: 2, warnings: ['grault'] };
+
+            td.when(openCursor('garply', 1, 'waldo', 'fred')).thenResolve(first);
+            td.when(fetchCursor(td.matchers.argThat(cursor => cursor === first.cursor), 1, 'waldo', 'fred')).thenResolve(second);
+            td.when(fetchCursor(td.matchers.argThat(cursor => cursor === second.cursor), 1, 'waldo', 'fred')).thenResolve(third);
+
+            return statement.executeWithCursor('garply', 1, 'waldo', 'fred')
+                .then(actual => {
+                    expect(actual).to.deep.equal({ messages: [], metadata: [['foo'], ['quux']], results: [['bar', 'qux', 'quuz'], ['corge']], rowsAffected: 2, warnings: ['baz', 'grault'] });
+                });
+        });
+
+        it('does not keep the rows of each batch in memory when they are processed by a callback', () => {
+            const statement = preparing();
+            const openCursor = td.replace(statement, 'openCursor');
+            const fetchCursor = td.replace(statement, 'fetchCursor');
+            const dataCursor = td.function();
+            const first = { cursor: { id: 1, metadata: ['foo'], suspended: true }, messages: [], metadata: [], results: [[]], rowsAffected: 0, warnings: [] };
+            const second = { cursor: { id: 1, metadata: [], suspended: false }, messages: [], metadata: [['foo']], results: [['bar']], rowsAffected: 0, warnings: [] };
+
+            td.when(openCursor('baz', 1, dataCursor, 'qux')).thenResolve(first);
+            td.when(fetchCursor(first.cursor, 1, dataCursor, 'qux')).thenResolve(second);
+
+            return statement.executeWithCursor('baz', 1, dataCursor, 'qux')
+                .then(actual => {
+                    return expect(actual.results).to.deep.equal([[]]);
+                });
+        });
+
+        it('deallocates a statement that was only prepared to open the cursor', () => {
+            const cursorOpen = td.function();
+            const deallocate = td.function();
+            const getClient = td.function();
+            const getServerId = td.function();
+            const prepare = td.function();
+            const removePreparedStatement = td.function();
+            const connection = { getClient, getPreparedStatements: () => [], getServerId, removePreparedStatement };
+            const statement = preparing({ connection });
+
+            td.when(getClient()).thenReturn({ cursorOpen, deallocate, prepare });
+            td.when(getServerId()).thenReturn(1);
+            td.when(prepare(statement)).thenResolve();
+            td.when(cursorOpen(statement, 10), { ignoreExtraArgs: true }).thenResolve({ cursor: { id: 1, suspended: false }, results: [] });
+            td.when(deallocate(statement)).thenResolve();
+
+            return statement.executeWithCursor('foo', 10)
+                .then(() => {
+                    expect(td.explain(deallocate).callCount).to.equal(1);
+                    expect(td.explain(removePreparedStatement).callCount).to.equal(1);
+                    // the statement should be prepared if it is re-used
+                    return expect(statement.getStage()).to.equal(preparing.Stages.TO_PREPARE);
+                });
+        });
+
+        it('does not deallocate a statement that is being re-used', () => {
+            const cursorOpen = td.function();
+            const deallocate = td.function();
+            const getClient = td.function();
+            const prepare = td.function();
+            const connection = { getClient, getPreparedStatements: () => [], getServerId: () => 1 };
+            const statement = preparing({ connection, stage: preparing.Stages.TO_PREPARE });
+
+            td.when(getClient()).thenReturn({ cursorOpen, deallocate, prepare });
+            td.when(prepare(statement)).thenResolve();
+            td.when(cursorOpen(statement, 10), { ignoreExtraArgs: true }).thenResolve({ cursor: { id: 1, suspended: false }, results: [] });
+
+            return statement.executeWithCursor('foo', 10)
+                .then(() => {
+                    expect(td.explain(deallocate).callCount).to.equal(0);
+                    return expect(statement.getStage()).to.equal(preparing.Stages.TO_EXECUTE);
+                });
+        });
+
+        it('closes the cursor and releases the statement when a batch cannot be retrieved', () => {
+            const statement = preparing();
+            const openCursor = td.replace(statement, 'openCursor');
+            const fetchCursor = td.replace(statement, 'fetchCursor');
+            const closeCursor = td.replace(statement, 'closeCursor');
+            const releaseCursor = td.replace(statement, 'releaseCursor');
+            const cursor = { id: 1, suspended: true };
+            const error = new Error('foobar');
+
+            td.when(openCursor('foo', 10), { ignoreExtraArgs: true }).thenResolve({ cursor, metadata: [], results: [['bar']] });
+            td.when(fetchCursor(cursor, 10), { ignoreExtraArgs: true }).thenReject(error);
+            td.when(closeCursor(cursor)).thenResolve();
+            td.when(releaseCursor()).thenResolve();
+
+            return statement.executeWithCursor('foo', 10)
+                .then(() => expect.fail())
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    expect(td.explain(closeCursor).callCount).to.equal(1);
+                    return expect(td.explain(releaseCursor).callCount).to.equal(1);
+                });
+        });
+
+        it('reports the original error even if the cursor cannot be closed', () => {
+            const statement = preparing();
+            const openCursor = td.replace(statement, 'openCursor');
+            const fetchCursor = td.replace(statement, 'fetchCursor');
+            const closeCursor = td.replace(statement, 'closeCursor');
+            const cursor = { id: 1, suspended: true };
+            const error = new Error('foobar');
+
+            td.when(openCursor('foo', 10), { ignoreExtraArgs: true }).thenResolve({ cursor, metadata: [], results: [['bar']] });
+            td.when(fetchCursor(cursor, 10), { ignoreExtraArgs: true }).thenReject(error);
+            td.when(closeCursor(cursor)).thenReject(new Error('bazqux'));
+
+            return statement.executeWithCursor('foo', 10)
+                .then(() => expect.fail())
+                .catch(err => {
+                    return expect(err).to.deep.equal(error);
+                });
+        });
+
+        it('fails when an unexpected error is thrown', () => {
+            const statement = preparing();
+            const openCursor = td.replace(statement, 'openCursor');
+            const error = new Error('foobar');
+
+            td.when(openCursor(), { ignoreExtraArgs: true }).thenReject(error);
+
+            return statement.executeWithCursor('foo', 10)
+                .then(() => expect.fail())
+                .catch(err => {
+                    return expect(err).to.deep.equal(error);
+                });
+        });
+    });
+
+    context('fetchCursor()', () => {
+        it('retrieves the next batch of rows using the given cursor', () => {
+            const cursorFetch = td.function();
+            const getClient = td.function();
+            const statement = preparing({ connection: { getClient } });
+
+            td.when(getClient()).thenReturn({ cursorFetch });
+            td.when(cursorFetch('foo', 10, 'bar', 'baz')).thenResolve('qux');
+
+            return statement.fetchCursor('foo', 10, 'bar', 'baz')
+                .then(actual => {
+                    return expect(actual).to.equal('qux');
+                });
+        });
+    });
+
+    context('openCursor()', () => {
+        let cursorOpen, deallocate, getClient, getPreparedStatements, prepare, removePreparedStatement;
+
+        beforeEach('create fakes', () => {
+            cursorOpen = td.function();
+            deallocate = td.function();
+            getClient = td.function();
+            getPreparedStatements = td.function();
+            prepare = td.function();
+            removePreparedStatement = td.function();
+
+            td.when(getClient()).thenReturn({ cursorOpen, deallocate, prepare });
+            td.when(getPreparedStatements()).thenReturn([]);
+        });
+
+        it('prepares the statement and opens a cursor on the first attempt', () => {
+            const connection = { getClient, getPreparedStatements, getServerId: td.function() };
+            const statement = preparing({ connection });
+
+            td.when(prepare(statement)).thenResolve();
+            td.when(cursorOpen(statement, 10, 'bar', 'baz')).thenResolve('qux');
+
+            return statement.openCursor('foo', 10, 'bar', 'baz')
+                .then(actual => {
+                    expect(actual).to.equal('qux');
+                    expect(statement.getStage()).to.equal(preparing.Stages.TO_EXECUTE);
+                });
+        });
+
+        it('opens a cursor for a statement that has been previously prepared', () => {
+            const connection = { getClient };
+            const statement = preparing({ connection, stage: preparing.Stages.TO_EXECUTE });
+
+            td.when(cursorOpen(statement, 10, 'bar', 'baz')).thenResolve('qux');
+
+            return statement.openCursor('foo', 10, 'bar', 'baz')
+                .then(actual => {
+                    return expect(actual).to.equal('qux');
+                });
+        });
+
+        it('deallocates a statement that has been modified, re-prepares it and opens a cursor', () => {
+            const connection = { getClient, getPreparedStatements, getServerId: td.function(), removePreparedStatement };
+            const statement = preparing({ connection, stage: preparing.Stages.TO_REPREPARE });
+
+            td.when(deallocate(statement)).thenResolve();
+            td.when(prepare(statement)).thenResolve();
+            td.when(cursorOpen(statement, 10, 'bar', 'baz')).thenResolve('qux');
+
+            return statement.openCursor('foo', 10, 'bar', 'baz')
+                .then(actual => {
+                    return expect(actual).to.equal('qux');
+                });
+        });
+
+        it('executes a plain statement when the server does not support prepared statements', () => {
+            const statement = preparing();
+            const prepare = td.replace(statement, 'prepare');
+            const handlePrepareError = td.replace(statement, 'handlePrepareError');
+
+            td.when(prepare()).thenReject('bar');
+            td.when(handlePrepareError('bar', 'foo')).thenResolve('baz');
+
+            return statement.openCursor('foo', 10)
+                .then(actual => {
+                    return expect(actual).to.equal('baz');
+                });
+        });
+
+        it('executes a plain statement when the session does not support prepared statements', () => {
+            const statement = preparing({ stage: preparing.Stages.TO_SKIP });
+            const executePlain = td.replace(statement, 'executePlain');
+
+            td.when(executePlain('foo')).thenResolve('bar');
+
+            return statement.openCursor('foo', 10)
+                .then(actual => {
+                    return expect(actual).to.equal('bar');
+                });
+        });
+
+        it('does not execute a plain statement if the cursor cannot be opened', () => {
+            const connection = { getClient };
+            const statement = preparing({ connection, stage: preparing.Stages.TO_EXECUTE });
+            const executePlain = td.replace(statement, 'executePlain');
+            const error = new Error('foobar');
+
+            td.when(cursorOpen(), { ignoreExtraArgs: true }).thenReject(error);
+
+            return statement.openCursor('foo', 10)
+                .then(() => expect.fail())
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    expect(td.explain(executePlain).callCount).to.equal(0);
+                });
+        });
+    });
+
     context('forceReprepare()', () => {
         it('moves the statement to the proper lifecycle stage when it is prepared', () => {
             return expect(preparing({ stage: preparing.Stages.TO_EXECUTE }).forceReprepare().getStage()).to.equal(preparing.Stages.TO_REPREPARE);
@@ -358,6 +650,35 @@ describe('Preparing', () => {
         });
     });
 
+    context('forgetStaleStatement()', () => {
+        it('requires a statement prepared in a different server session to be prepared again', () => {
+            const getServerId = td.function();
+            const statement = preparing({ connection: { getServerId }, serverId: 1, stage: preparing.Stages.TO_EXECUTE });
+
+            td.when(getServerId()).thenReturn(2);
+
+            return expect(statement.forgetStaleStatement().getStage()).to.equal(preparing.Stages.TO_PREPARE);
+        });
+
+        it('requires a statement that was re-created in a different server session to restart', () => {
+            const getServerId = td.function();
+            const statement = preparing({ connection: { getServerId }, serverId: 1, stage: preparing.Stages.TO_RESTART });
+
+            td.when(getServerId()).thenReturn(2);
+
+            return expect(statement.forgetStaleStatement().getStage()).to.equal(preparing.Stages.TO_START);
+        });
+
+        it('leaves a statement prepared in the current server session in the same lifecycle stage', () => {
+            const getServerId = td.function();
+            const statement = preparing({ connection: { getServerId }, serverId: 1, stage: preparing.Stages.TO_EXECUTE });
+
+            td.when(getServerId()).thenReturn(1);
+
+            return expect(statement.forgetStaleStatement().getStage()).to.equal(preparing.Stages.TO_EXECUTE);
+        });
+    });
+
     context('forceRestart()', () => {
         it('moves the statement to the proper lifecycle stage when it is prepared', () => {
             return expect(preparing({ stage: preparing.Stages.TO_EXECUTE }).forceRestart().getStage()).to.equal(preparing.Stages.TO_RESTART);
@@ -443,7 +764,7 @@ describe('Preparing', () => {
         });
 
         it('allocates a client-side statement', () => {
-            const connection = { getClient };
+            const connection = { getClient, getServerId: td.function() };
             const statement = preparing({ connection });
             const allocate = td.replace(statement, 'allocate');
 
@@ -456,7 +777,7 @@ describe('Preparing', () => {
         });
 
         it('moves the statement to the proper lifecycle stage after preparing it', () => {
-            const connection = { getClient };
+            const connection = { getClient, getServerId: td.function() };
             const statement = preparing({ connection });
 
             td.replace(statement, 'allocate');
@@ -0,0 +1,292 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const expect = require('chai').expect;
+const td = require('testdouble');
+const warnings = require('../../../lib/constants/warnings');
+
+// subject under test needs to be reloaded with replacement fakes
+let resultStream = require('../../../lib/DevAPI/ResultStream');
+
+describe('ResultStream', () => {
+    let closeCursor, connection, fetchCursor, getError, isIdle, isOpen, log, openCursor, releaseCursor, statement, warning;
+
+    beforeEach('create fakes', () => {
+        log = td.replace('../../../lib/tool/log');
+        warning = td.function();
+
+        td.when(log('stream')).thenReturn({ warning });
+
+        resultStream = require('../../../lib/DevAPI/ResultStream');
+
+        closeCursor = td.function();
+        fetchCursor = td.function();
+        getError = td.function();
+        isIdle = td.function();
+        isOpen = td.function();
+        openCursor = td.function();
+        releaseCursor = td.function();
+
+        connection = { getError, isIdle, isOpen };
+        statement = { closeCursor, fetchCursor, openCursor, releaseCursor };
+
+        td.when(isOpen()).thenReturn(true);
+        td.when(isIdle()).thenReturn(false);
+        td.when(releaseCursor()).thenResolve();
+    });
+
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    // Simulates a server that sends each batch to the given row callback.
+    const batch = (rows, suspended) => {
+        return (cursorOrFallback, batchSize, push) => {
+            rows.forEach(row => push(row));
+
+            return Promise.resolve({ cursor: { id: 1, suspended } });
+        };
+    };
+
+    it('retrieves all the rows in batches of the given size', async () => {
+        td.when(openCursor(td.matchers.anything(), 2, td.matchers.isA(Function))).thenDo(batch([['foo'], ['bar']], true));
+        td.when(fetchCursor({ id: 1, suspended: true }, 2, td.matchers.isA(Function))).thenDo(batch([['baz']], false));
+
+        const actual = [];
+
+        for await (const row of resultStream({ connection, statement, fallback: () => {}, options: { batchSize: 2 } })) {
+            actual.push(row);
+        }
+
+        expect(actual).to.deep.equal([['foo'], ['bar'], ['baz']]);
+        expect(td.explain(closeCursor).callCount).to.equal(0);
+    });
+
+    it('releases the statement before the stream ends', () => {
+        const stream = resultStream({ connection, statement, fallback: () => {} });
+
+        td.when(openCursor(), { ignoreExtraArgs: true }).thenDo(batch([['foo']], false));
+        td.when(releaseCursor()).thenDo(() => {
+            // the stream should not have ended yet
+            expect(stream.readableEnded).to.equal(false);
+
+            return Promise.resolve();
+        });
+
+        stream.resume();
+
+        return new Promise(resolve => stream.on('end', resolve))
+            .then(() => {
+                return expect(td.explain(releaseCursor).callCount).to.be.at.least(1);
+            });
+    });
+
+    it('fails if the statement cannot be released', () => {
+        const error = new Error('foobar');
+
+        td.when(openCursor(), { ignoreExtraArgs: true }).thenDo(batch([['foo']], false));
+        td.when(releaseCursor()).thenReject(error);
+
+        const stream = resultStream({ connection, statement, fallback: () => {} });
+        stream.resume();
+
+        return new Promise(resolve => stream.on('error', resolve))
+            .then(err => {
+                return expect(err).to.deep.equal(error);
+            });
+    });
+
+    it('applies a transformation to each row', async () => {
+        td.when(openCursor(), { ignoreExtraArgs: true }).thenDo(batch([['foo'], ['bar']], false));
+
+        const actual = [];
+
+        for await (const item of resultStream({ connection, statement, fallback: () => {}, transform: row => row[0] })) {
+            actual.push(item);
+        }
+
+        expect(actual).to.deep.equal(['foo', 'bar']);
+    });
+
+    it('uses the default batch size when one is not specified', async () => {
+        td.when(openCursor(td.matchers.anything(), resultStream.DEFAULT_BATCH_SIZE, td.matchers.isA(Function))).thenDo(batch([['foo']], false));
+
+        const actual = [];
+
+        for await (const row of resultStream({ connection, statement, fallback: () => {} })) {
+            actual.push(row);
+        }
+
+        expect(actual).to.deep.equal([['foo']]);
+    });
+
+    it('retrieves the entire result set when the server does not support prepared statements', async () => {
+        const fallback = push => () => {
+            push(['bar']);
+            push(['baz']);
+
+            return Promise.resolve({ results: [] });
+        };
+
+        td.when(openCursor(td.matchers.isA(Function)), { ignoreExtraArgs: true }).thenDo(fn => fn());
+
+        const actual = [];
+
+        for await (const row of resultStream({ connection, statement, fallback })) {
+            actual.push(row);
+        }
+
+        expect(actual).to.deep.equal([['bar'], ['baz']]);
+        expect(td.explain(fetchCursor).callCount).to.equal(0);
+        expect(td.explain(warning).callCount).to.equal(1);
+        expect(td.explain(warning).calls[0].args).to.deep.equal(['cursor', warnings.MESSAGES.WARN_STREAM_WITHOUT_CURSOR]);
+    });
+
+    it('does not report a warning when the rows are retrieved using a cursor', async () => {
+        td.when(openCursor(td.matchers.anything(), 2, td.matchers.isA(Function))).thenDo(batch([['foo']], false));
+
+        const actual = [];
+
+        for await (const row of resultStream({ connection, statement, fallback: () => {}, options: { batchSize: 2 } })) {
+            actual.push(row);
+        }
+
+        expect(actual).to.deep.equal([['foo']]);
+        expect(td.explain(warning).callCount).to.equal(0);
+    });
+
+    it('does not retrieve the next batch until the consumer is ready', () => {
+        const rows = Array.from({ length: 20 }, (v, i) => [i]);
+
+        td.when(openCursor(), { ignoreExtraArgs: true }).thenDo(batch(rows, true));
+        td.when(fetchCursor(), { ignoreExtraArgs: true }).thenDo(batch([], false));
+
+        const stream = resultStream({ connection, statement, fallback: () => {}, options: { batchSize: 20 } });
+
+        // start reading without consuming anything
+        stream.pause();
+        stream.read(0);
+
+        return new Promise(resolve => setTimeout(resolve, 10))
+            .then(() => {
+                expect(td.explain(openCursor).callCount).to.equal(1);
+                expect(td.explain(fetchCursor).callCount).to.equal(0);
+
+                stream.resume();
+
+                return new Promise(resolve => stream.on('end', resolve));
+            })
+            .then(() => {
+                expect(td.explain(fetchCursor).callCount).to.equal(1);
+            });
+    });
+
+    it('closes the cursor when the stream is destroyed before it is consumed', () => {
+        td.when(openCursor(), { ignoreExtraArgs: true }).thenDo(batch([['foo'], ['bar']], true));
+        td.when(fetchCursor(), { ignoreExtraArgs: true }).thenDo(batch([['baz'], ['qux']], true));
+        td.when(closeCursor({ id: 1, suspended: true })).thenResolve();
+
+        const actual = [];
+        const stream = resultStream({ connection, statement, fallback: () => {}, options: { batchSize: 2 } });
+
+        stream.once('data', row => {
+            actual.push(row);
+            stream.destroy();
+        });
+
+        return new Promise(resolve => stream.on('close', resolve))
+            .then(() => {
+                expect(actual).to.deep.equal([['foo']]);
+                expect(td.explain(closeCursor).callCount).to.equal(1);
+                return expect(td.explain(releaseCursor).callCount).to.equal(1);
+            });
+    });
+
+    it('closes the cursor and releases the statement if there is an error while retrieving a batch', () => {
+        const error = new Error('foobar');
+
+        td.when(openCursor(), { ignoreExtraArgs: true }).thenDo(batch([['foo']], true));
+        td.when(fetchCursor(), { ignoreExtraArgs: true }).thenReject(error);
+        td.when(closeCursor({ id: 1, suspended: true })).thenResolve();
+
+        const stream = resultStream({ connection, statement, fallback: () => {}, options: { batchSize: 1 } });
+        stream.on('error', () => {});
+        stream.resume();
+
+        return new Promise(resolve => stream.on('close', resolve))
+            .then(() => {
+                expect(td.explain(closeCursor).callCount).to.equal(1);
+                return expect(td.explain(releaseCursor).callCount).to.equal(1);
+            });
+    });
+
+    it('fails if the connection is not open', () => {
+        const error = new Error('foobar');
+
+        td.when(isOpen()).thenReturn(false);
+        td.when(getError()).thenReturn(error);
+
+        const stream = resultStream({ connection, statement, fallback: () => {} });
+        stream.resume();
+
+        return new Promise(resolve => stream.on('error', resolve))
+            .then(err => {
+                return expect(err).to.deep.equal(error);
+            });
+    });
+
+    it('fails if there is an error while retrieving a batch', () => {
+        const error = new Error('foobar');
+
+        td.when(openCursor(), { ignoreExtraArgs: true }).thenReject(error);
+
+        const stream = resultStream({ connection, statement, fallback: () => {} });
+        stream.resume();
+
+        return new Promise(resolve => stream.on('error', resolve))
+            .then(err => {
+                return expect(err).to.deep.equal(error);
+            });
+    });
+
+    it('fails if the stream options are not valid', () => {
+        const stream = resultStream({ connection, statement, fallback: () => {}, options: { batchSize: -1 } });
+
+        return new Promise(resolve => stream.on('error', resolve))
+            .then(err => {
+                expect(err.message).to.equal("Execution option 'batchSize' does not support value '-1'.");
+                expect(td.explain(openCursor).callCount).to.equal(0);
+            });
+    });
+});
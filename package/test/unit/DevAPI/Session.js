@@ -32,28 +32,35 @@
 
 /* eslint-env node, mocha */
 
+const EventEmitter = require('events');
 const errors = require('../../../lib/constants/errors');
 const warnings = require('../../../lib/constants/warnings');
 const expect = require('chai').expect;
 const td = require('testdouble');
+const util = require('util');
 
 // subject under test needs to be reloaded with replacement fakes
 let session = require('../../../lib/DevAPI/Session');
 
 describe('X DevAPI Session', () => {
-    let connection, escapeIdentifier, schema, sqlExecute;
+    let connection, escapeIdentifier, events, schema, sqlExecute;
 
     beforeEach('create fakes', () => {
+        events = new EventEmitter();
+
         connection = {
             close: td.function(),
             getAuth: td.function(),
+            getEvents: () => events,
+            getLastGtid: td.function(),
             getSchemaName: td.function(),
             getServerHostname: td.function(),
             getServerPort: td.function(),
             getServerSocketPath: td.function(),
             getUser: td.function(),
             isFromPool: td.function(),
-            isSecure: td.function()
+            isSecure: td.function(),
+            setInTransaction: td.function()
         };
 
         escapeIdentifier = td.function();
@@ -92,6 +99,19 @@ describe('X DevAPI Session', () => {
                 });
         });
 
+        it('lets the underlying connection know the transaction is finished', () => {
+            const dbSession = session(connection);
+            const sql = td.replace(dbSession, 'sql');
+
+            td.when(sql('COMMIT')).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return dbSession.commit()
+                .then(() => {
+                    return expect(td.explain(connection.setInTransaction).calls[0].args).to.deep.equal([false]);
+                });
+        });
+
         it('fails when the ongoing database transaction cannot be committed', () => {
             const dbSession = session(connection);
             const sql = td.replace(dbSession, 'sql');
@@ -282,6 +302,14 @@ describe('X DevAPI Session', () => {
         });
     });
 
+    context('getLastGtid()', () => {
+        it('returns the GTID of the last transaction committed by the session', () => {
+            td.when(connection.getLastGtid()).thenReturn('foo:1');
+
+            return expect(session(connection).getLastGtid()).to.equal('foo:1');
+        });
+    });
+
     context('getSchema()', () => {
         it('returns an instance of a Schema with a given name', () => {
             const name = 'foo';
@@ -372,6 +400,50 @@ describe('X DevAPI Session', () => {
         });
     });
 
+    context('off()', () => {
+        it('removes a listener of a session event', () => {
+            const listener = td.function();
+            const dbSession = session(connection);
+
+            expect(dbSession.on('warning', listener).off('warning', listener)).to.equal(dbSession);
+
+            events.emit('warning', 'foo');
+
+            expect(td.explain(listener).callCount).to.equal(0);
+        });
+    });
+
+    context('on()', () => {
+        it('adds a listener of a session event', () => {
+            const listener = td.function();
+            const dbSession = session(connection);
+
+            expect(dbSession.on('close', listener)).to.equal(dbSession);
+
+            events.emit('close', 'foo');
+            events.emit('close', 'bar');
+
+            expect(td.explain(listener).callCount).to.equal(2);
+            expect(td.explain(listener).calls[0].args).to.deep.equal(['foo']);
+            expect(td.explain(listener).calls[1].args).to.deep.equal(['bar']);
+        });
+    });
+
+    context('once()', () => {
+        it('adds a listener that is only called the next time a session event happens', () => {
+            const listener = td.function();
+            const dbSession = session(connection);
+
+            expect(dbSession.once('stateChanged', listener)).to.equal(dbSession);
+
+            events.emit('stateChanged', 'foo');
+            events.emit('stateChanged', 'bar');
+
+            expect(td.explain(listener).callCount).to.equal(1);
+            expect(td.explain(listener).calls[0].args).to.deep.equal(['foo']);
+        });
+    });
+
     context('releaseSavepoint()', () => {
         let execute;
 
@@ -649,8 +721,546 @@ describe('X DevAPI Session', () => {
                     return expect.fail();
                 })
                 .catch(err => {
+                    expect(td.explain(connection.setInTransaction).calls.map(call => call.args)).to.deep.equal([[true], [false]]);
                     return expect(err).to.deep.equal(error);
                 });
         });
+
+        it('lets the underlying connection know there is an ongoing transaction', () => {
+            const dbSession = session(connection);
+            const sql = td.replace(dbSession, 'sql');
+
+            td.when(sql('BEGIN')).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return dbSession.startTransaction()
+                .then(() => {
+                    return expect(td.explain(connection.setInTransaction).calls[0].args).to.deep.equal([true]);
+                });
+        });
+
+        it('sets the isolation level before starting the transaction', () => {
+            const dbSession = session(connection);
+            const sql = td.replace(dbSession, 'sql');
+
+            td.when(sql('SET TRANSACTION ISOLATION LEVEL SERIALIZABLE')).thenReturn({ execute });
+            td.when(sql('BEGIN')).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return dbSession.startTransaction({ isolationLevel: 'serializable' })
+                .then(res => {
+                    expect(res).to.equal(true);
+                    expect(td.explain(sql).calls.map(call => call.args[0])).to.deep.equal(['SET TRANSACTION ISOLATION LEVEL SERIALIZABLE', 'BEGIN']);
+                    return expect(td.explain(execute).callCount).to.equal(2);
+                });
+        });
+
+        it('starts a read-only transaction with a consistent snapshot', () => {
+            const dbSession = session(connection);
+            const sql = td.replace(dbSession, 'sql');
+
+            td.when(sql('START TRANSACTION WITH CONSISTENT SNAPSHOT, READ ONLY')).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return dbSession.startTransaction({ readOnly: true, withConsistentSnapshot: true })
+                .then(res => {
+                    return expect(res).to.equal(true);
+                });
+        });
+
+        it('starts a read-write transaction', () => {
+            const dbSession = session(connection);
+            const sql = td.replace(dbSession, 'sql');
+
+            td.when(sql('START TRANSACTION READ WRITE')).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return dbSession.startTransaction({ readOnly: false, withConsistentSnapshot: false })
+                .then(res => {
+                    return expect(res).to.equal(true);
+                });
+        });
+
+        it('fails if the characteristics of a nested transaction are specified', () => {
+            const dbSession = session(connection);
+            const sql = td.replace(dbSession, 'sql');
+
+            td.when(sql('BEGIN')).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return dbSession.startTransaction()
+                .then(() => {
+                    return dbSession.startTransaction({ readOnly: true });
+                })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(errors.MESSAGES.ERR_NESTED_TRANSACTION_OPTIONS);
+                    return expect(td.explain(sql).callCount).to.equal(1);
+                });
+        });
+
+        it('fails if the transaction options are not valid', () => {
+            const dbSession = session(connection);
+            const sql = td.replace(dbSession, 'sql');
+            const error = errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION_VALUE;
+
+            const failure = (options, message) => {
+                return dbSession.startTransaction(options)
+                    .then(() => expect.fail())
+                    .catch(err => expect(err.message).to.equal(message));
+            };
+
+            return Promise.all([
+                failure({ retries: 1 }, util.format(errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION, 'retries')),
+                failure({ isolationLevel: 'foo' }, util.format(error, 'isolationLevel', 'foo')),
+                failure({ isolationLevel: 1 }, util.format(error, 'isolationLevel', 1)),
+                failure({ readOnly: 'foo' }, util.format(error, 'readOnly', 'foo')),
+                failure({ withConsistentSnapshot: 1 }, util.format(error, 'withConsistentSnapshot', 1))
+            ])
+                .then(() => {
+                    return expect(td.explain(sql).callCount).to.equal(0);
+                });
+        });
+    });
+
+    context('nested transactions', () => {
+        let execute, sql;
+
+        beforeEach('create fakes', () => {
+            execute = td.function();
+            sql = td.function();
+
+            td.when(sql(), { ignoreExtraArgs: true }).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+            td.when(escapeIdentifier(), { ignoreExtraArgs: true }).thenDo(name => `\`${name}\``);
+        });
+
+        const statements = () => td.explain(sql).calls.map(call => call.args[0].replace(/connector-nodejs-[0-9a-f]+/g, 'sp'));
+
+        it('uses a savepoint when a transaction is started inside an ongoing one', () => {
+            const dbSession = session(connection);
+
+            td.replace(dbSession, 'sql', sql);
+
+            return dbSession.startTransaction()
+                .then(() => dbSession.startTransaction())
+                .then(res => {
+                    expect(res).to.equal(true);
+                    return expect(statements()).to.deep.equal(['BEGIN', 'SAVEPOINT `sp`']);
+                });
+        });
+
+        it('releases the savepoint when a nested transaction is committed', () => {
+            const dbSession = session(connection);
+
+            td.replace(dbSession, 'sql', sql);
+
+            return dbSession.startTransaction()
+                .then(() => dbSession.startTransaction())
+                .then(() => dbSession.commit())
+                .then(() => dbSession.commit())
+                .then(res => {
+                    expect(res).to.equal(true);
+                    return expect(statements()).to.deep.equal(['BEGIN', 'SAVEPOINT `sp`', 'RELEASE SAVEPOINT `sp`', 'COMMIT']);
+                });
+        });
+
+        it('rolls back to the savepoint when a nested transaction is rolled back', () => {
+            const dbSession = session(connection);
+
+            td.replace(dbSession, 'sql', sql);
+
+            return dbSession.startTransaction()
+                .then(() => dbSession.startTransaction())
+                .then(() => dbSession.startTransaction())
+                .then(() => dbSession.rollback())
+                .then(() => dbSession.commit())
+                .then(() => dbSession.rollback())
+                .then(res => {
+                    expect(res).to.equal(true);
+                    return expect(statements()).to.deep.equal(['BEGIN', 'SAVEPOINT `sp`', 'SAVEPOINT `sp`', 'ROLLBACK TO SAVEPOINT `sp`', 'RELEASE SAVEPOINT `sp`', 'RELEASE SAVEPOINT `sp`', 'ROLLBACK']);
+                });
+        });
+
+        it('keeps the savepoint when it cannot be released', () => {
+            const dbSession = session(connection);
+
+            td.replace(dbSession, 'sql', sql);
+            td.when(sql(td.matchers.contains('RELEASE')), { times: 1 }).thenReturn({ execute: () => Promise.reject(new Error('foobar')) });
+
+            return dbSession.startTransaction()
+                .then(() => dbSession.startTransaction())
+                .then(() => dbSession.commit())
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal('foobar');
+                    return dbSession.commit();
+                })
+                .then(() => dbSession.commit())
+                .then(() => {
+                    return expect(statements()).to.deep.equal(['BEGIN', 'SAVEPOINT `sp`', 'RELEASE SAVEPOINT `sp`', 'RELEASE SAVEPOINT `sp`', 'COMMIT']);
+                });
+        });
+
+        it('keeps the savepoint when the changes made after it cannot be rolled back', () => {
+            const dbSession = session(connection);
+
+            td.replace(dbSession, 'sql', sql);
+            td.when(sql(td.matchers.contains('ROLLBACK TO')), { times: 1 }).thenReturn({ execute: () => Promise.reject(new Error('foobar')) });
+
+            return dbSession.startTransaction()
+                .then(() => dbSession.startTransaction())
+                .then(() => dbSession.rollback())
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal('foobar');
+                    return dbSession.rollback();
+                })
+                .then(() => dbSession.rollback())
+                .then(() => {
+                    return expect(statements()).to.deep.equal(['BEGIN', 'SAVEPOINT `sp`', 'ROLLBACK TO SAVEPOINT `sp`', 'ROLLBACK TO SAVEPOINT `sp`', 'RELEASE SAVEPOINT `sp`', 'ROLLBACK']);
+                });
+        });
+
+        it('starts a new transaction after the outer one finishes', () => {
+            const dbSession = session(connection);
+
+            td.replace(dbSession, 'sql', sql);
+
+            return dbSession.startTransaction()
+                .then(() => dbSession.commit())
+                .then(() => dbSession.startTransaction())
+                .then(() => {
+                    return expect(statements()).to.deep.equal(['BEGIN', 'COMMIT', 'BEGIN']);
+                });
+        });
+
+        it('does not consider a transaction that failed to start', () => {
+            const dbSession = session(connection);
+
+            td.replace(dbSession, 'sql', sql);
+            td.when(execute(), { times: 1 }).thenReject(new Error('foobar'));
+
+            return dbSession.startTransaction()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(() => {
+                    return dbSession.startTransaction();
+                })
+                .then(() => {
+                    return expect(statements()).to.deep.equal(['BEGIN', 'BEGIN']);
+                });
+        });
+
+        it('does not retry or change the isolation level of a nested managed transaction', () => {
+            const dbSession = session(connection);
+            const error = new Error('Deadlock found when trying to get lock; try restarting transaction');
+            error.info = { code: errors.ERR_LOCK_DEADLOCK };
+
+            td.replace(dbSession, 'sql', sql);
+
+            return dbSession.startTransaction()
+                .then(() => dbSession.withTransaction(() => Promise.reject(error), { retries: 3, isolationLevel: 'SERIALIZABLE' }))
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(statements()).to.deep.equal(['BEGIN', 'SAVEPOINT `sp`', 'ROLLBACK TO SAVEPOINT `sp`', 'RELEASE SAVEPOINT `sp`']);
+                });
+        });
+    });
+
+    context('withTransaction()', () => {
+        let commit, rollback, sql, startTransaction;
+
+        const deadlock = () => {
+            const error = new Error('Deadlock found when trying to get lock; try restarting transaction');
+            error.info = { code: errors.ERR_LOCK_DEADLOCK };
+
+            return error;
+        };
+
+        beforeEach('create fakes', () => {
+            commit = td.function();
+            rollback = td.function();
+            sql = td.function();
+            startTransaction = td.function();
+        });
+
+        const fakeSession = () => {
+            const dbSession = session(connection);
+
+            td.replace(dbSession, 'commit', commit);
+            td.replace(dbSession, 'rollback', rollback);
+            td.replace(dbSession, 'sql', sql);
+            td.replace(dbSession, 'startTransaction', startTransaction);
+
+            return dbSession;
+        };
+
+        it('commits the transaction if the function succeeds', () => {
+            const dbSession = fakeSession();
+            const fn = td.function();
+
+            td.when(startTransaction({})).thenResolve(true);
+            td.when(fn(dbSession)).thenResolve('foo');
+            td.when(commit()).thenResolve(true);
+
+            return dbSession.withTransaction(fn)
+                .then(res => {
+                    expect(res).to.equal('foo');
+                    expect(td.explain(commit).callCount).to.equal(1);
+                    return expect(td.explain(rollback).callCount).to.equal(0);
+                });
+        });
+
+        it('rolls back the transaction if the function fails', () => {
+            const dbSession = fakeSession();
+            const error = new Error('foobar');
+
+            td.when(startTransaction({})).thenResolve(true);
+            td.when(rollback()).thenResolve(true);
+
+            return dbSession.withTransaction(() => { throw error; })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    expect(td.explain(commit).callCount).to.equal(0);
+                    return expect(td.explain(rollback).callCount).to.equal(1);
+                });
+        });
+
+        it('reports the original error if the transaction cannot be rolled back', () => {
+            const dbSession = fakeSession();
+            const error = new Error('foobar');
+
+            td.when(startTransaction({})).thenResolve(true);
+            td.when(rollback()).thenReject(new Error('bazqux'));
+
+            return dbSession.withTransaction(() => Promise.reject(error))
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err).to.deep.equal(error);
+                });
+        });
+
+        it('retries the transaction when it fails because of a deadlock or a lock wait timeout', () => {
+            const dbSession = fakeSession();
+            const lockWaitTimeout = new Error('Lock wait timeout exceeded; try restarting transaction');
+            lockWaitTimeout.info = { code: errors.ERR_LOCK_WAIT_TIMEOUT };
+            const attempts = [() => Promise.reject(deadlock()), () => Promise.reject(lockWaitTimeout), () => Promise.resolve('foo')];
+
+            td.when(startTransaction({})).thenResolve(true);
+            td.when(rollback()).thenResolve(true);
+            td.when(commit()).thenResolve(true);
+
+            return dbSession.withTransaction(() => attempts.shift()(), { retries: 2 })
+                .then(res => {
+                    expect(res).to.equal('foo');
+                    expect(td.explain(startTransaction).callCount).to.equal(3);
+                    expect(td.explain(rollback).callCount).to.equal(2);
+                    return expect(td.explain(commit).callCount).to.equal(1);
+                });
+        });
+
+        it('retries the transaction when it fails to be committed because of a deadlock', () => {
+            const dbSession = fakeSession();
+
+            td.when(startTransaction({})).thenResolve(true);
+            td.when(rollback()).thenResolve(true);
+            td.when(commit()).thenResolve(true);
+            td.when(commit(), { times: 1 }).thenReject(deadlock());
+
+            return dbSession.withTransaction(() => 'foo', { retries: 1 })
+                .then(res => {
+                    expect(res).to.equal('foo');
+                    return expect(td.explain(commit).callCount).to.equal(2);
+                });
+        });
+
+        it('fails when the number of retries is exceeded', () => {
+            const dbSession = fakeSession();
+
+            td.when(startTransaction({})).thenResolve(true);
+            td.when(rollback()).thenResolve(true);
+
+            return dbSession.withTransaction(() => Promise.reject(deadlock()), { retries: 2 })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.info.code).to.equal(errors.ERR_LOCK_DEADLOCK);
+                    return expect(td.explain(startTransaction).callCount).to.equal(3);
+                });
+        });
+
+        it('does not retry the transaction for other errors', () => {
+            const dbSession = fakeSession();
+            const error = new Error('foobar');
+            error.info = { code: errors.ERR_DATABASE_DOES_NOT_EXIST };
+
+            td.when(startTransaction({})).thenResolve(true);
+            td.when(rollback()).thenResolve(true);
+
+            return dbSession.withTransaction(() => Promise.reject(error), { retries: 2 })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(td.explain(startTransaction).callCount).to.equal(1);
+                });
+        });
+
+        it('starts the transaction with the given characteristics', () => {
+            const dbSession = fakeSession();
+
+            td.when(startTransaction({ isolationLevel: 'read committed', readOnly: true })).thenResolve(true);
+            td.when(commit()).thenResolve(true);
+
+            return dbSession.withTransaction(() => 'foo', { isolationLevel: 'read committed', readOnly: true, retries: 1 })
+                .then(res => {
+                    expect(res).to.equal('foo');
+                    return expect(td.explain(startTransaction).callCount).to.equal(1);
+                });
+        });
+
+        it('fails when the options are not valid', () => {
+            const dbSession = fakeSession();
+
+            return Promise.all([
+                dbSession.withTransaction(() => {}, { foo: 'bar' }).then(() => expect.fail()).catch(err => expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION, 'foo'))),
+                dbSession.withTransaction(() => {}, { retries: -1 }).then(() => expect.fail()).catch(err => expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION_VALUE, 'retries', -1))),
+                dbSession.withTransaction(() => {}, { isolationLevel: 'foo' }).then(() => expect.fail()).catch(err => expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION_VALUE, 'isolationLevel', 'foo'))),
+                dbSession.withTransaction(() => {}, 'foo').then(() => expect.fail()).catch(err => expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_TRANSACTION_INVALID_OPTION_VALUE, 'options', 'foo')))
+            ])
+                .then(() => {
+                    return expect(td.explain(startTransaction).callCount).to.equal(0);
+                });
+        });
+    });
+
+    context('xa()', () => {
+        let execute, sql;
+
+        beforeEach('create fakes', () => {
+            execute = td.function();
+            sql = td.function();
+
+            td.when(sql(), { ignoreExtraArgs: true }).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+        });
+
+        it('creates an XA transaction in the scope of the session', () => {
+            const dbSession = session(connection);
+
+            td.replace(dbSession, 'sql', sql);
+
+            return dbSession.xa('foo').start()
+                .then(() => {
+                    return expect(td.explain(sql).calls[0].args[0]).to.equal("XA START X'666f6f'");
+                });
+        });
+
+        it('fails if the transaction identifier is not valid', () => {
+            return expect(() => session(connection).xa({ gtrid: '' })).to.throw(errors.MESSAGES.ERR_INVALID_XID);
+        });
+
+        it('lets the underlying connection know when the XA transaction starts and finishes', () => {
+            const dbSession = session(connection);
+            const xa = dbSession.xa('foo');
+
+            td.replace(dbSession, 'sql', sql);
+
+            return xa.start()
+                .then(() => {
+                    return xa.rollback();
+                })
+                .then(() => {
+                    return expect(td.explain(connection.setInTransaction).calls.map(call => call.args)).to.deep.equal([[true], [false]]);
+                });
+        });
+
+        it('does not allow to start a regular transaction while an XA transaction is active', () => {
+            const dbSession = session(connection);
+            const xa = dbSession.xa('foo');
+
+            td.replace(dbSession, 'sql', sql);
+
+            return xa.start()
+                .then(() => {
+                    return dbSession.startTransaction();
+                })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(errors.MESSAGES.ERR_XA_TRANSACTION_ACTIVE);
+                    return xa.end();
+                })
+                .then(() => {
+                    return xa.commit({ onePhase: true });
+                })
+                .then(() => {
+                    return dbSession.startTransaction();
+                })
+                .then(res => {
+                    expect(res).to.equal(true);
+                    return expect(td.explain(sql).calls.map(call => call.args[0])).to.deep.equal(["XA START X'666f6f'", "XA END X'666f6f'", "XA COMMIT X'666f6f' ONE PHASE", 'BEGIN']);
+                });
+        });
+
+        it('keeps the active XA transaction when a different one finishes', () => {
+            const dbSession = session(connection);
+            const xa = dbSession.xa('foo');
+
+            td.replace(dbSession, 'sql', sql);
+
+            return xa.start()
+                .then(() => {
+                    // For instance, a prepared transaction that was recovered.
+                    return dbSession.xa({ gtrid: 'bar', formatId: 1 }).rollback();
+                })
+                .then(() => {
+                    return dbSession.startTransaction();
+                })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.message).to.equal(errors.MESSAGES.ERR_XA_TRANSACTION_ACTIVE);
+                    return expect(td.explain(connection.setInTransaction).calls.map(call => call.args)).to.deep.equal([[true]]);
+                });
+        });
+    });
+
+    context('xaRecover()', () => {
+        it('returns the list of prepared XA transactions', () => {
+            const dbSession = session(connection);
+            const sql = td.replace(dbSession, 'sql');
+            const execute = td.function();
+            const fetchAll = td.function();
+
+            td.when(sql('XA RECOVER CONVERT XID')).thenReturn({ execute });
+            td.when(execute()).thenResolve({ fetchAll });
+            td.when(fetchAll()).thenReturn([[1, 3, 3, '0x666F6F626172'], [1, 3, 0, '0x62617A']]);
+
+            return dbSession.xaRecover()
+                .then(xids => {
+                    return expect(xids).to.deep.equal([{ gtrid: 'foo', bqual: 'bar', formatId: 1 }, { gtrid: 'baz', bqual: '', formatId: 1 }]);
+                });
+        });
     });
 });
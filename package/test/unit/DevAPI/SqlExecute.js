@@ -32,6 +32,7 @@
 
 /* eslint-env node, mocha */
 
+const PassThrough = require('stream').PassThrough;
 const expect = require('chai').expect;
 const td = require('testdouble');
 
@@ -39,15 +40,17 @@ const td = require('testdouble');
 let sqlExecute = require('../../../lib/DevAPI/SqlExecute');
 
 describe('SqlExecute', () => {
-    let deprecated, getAlias, result, sqlStmtExecute;
+    let deprecated, getAlias, preparing, result, sqlStmtExecute;
 
     beforeEach('create fakes', () => {
         deprecated = td.function();
         getAlias = td.function();
+        preparing = td.function();
         result = td.function();
         sqlStmtExecute = td.function();
 
         td.replace('../../../lib/DevAPI/Util/deprecated', deprecated);
+        td.replace('../../../lib/DevAPI/Preparing', preparing);
         td.replace('../../../lib/DevAPI/SqlResult', result);
         sqlExecute = require('../../../lib/DevAPI/SqlExecute');
     });
@@ -181,6 +184,133 @@ describe('SqlExecute', () => {
             });
         });
 
+        it('does not consider an object containing only execution options as deprecated', () => {
+            const executeWithCursor = td.function();
+            const getClient = td.function();
+            const isIdle = td.function();
+            const isOpen = td.function();
+            const connection = { getClient, isIdle, isOpen };
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isIdle()).thenReturn(false);
+            td.when(preparing({ connection })).thenReturn({ executeWithCursor });
+            td.when(executeWithCursor(), { ignoreExtraArgs: true }).thenResolve();
+
+            return sqlExecute(connection).execute({ batchSize: 10 })
+                .then(() => {
+                    return expect(td.explain(deprecated).callCount).to.equal(0);
+                });
+        });
+
+        it('retrieves the rows in batches using a server-side cursor when a batch size is specified', () => {
+            const executeWithCursor = td.function();
+            const getClient = td.function();
+            const isIdle = td.function();
+            const isOpen = td.function();
+            const connection = { getClient, isIdle, isOpen };
+            const expected = { done: true };
+            const state = { ok: true };
+
+            td.when(preparing({ connection })).thenReturn({ executeWithCursor });
+
+            const query = sqlExecute(connection, 'foo');
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isIdle()).thenReturn(false);
+            td.when(getClient()).thenReturn({ sqlStmtExecute });
+            td.when(result(state)).thenReturn(expected);
+            td.when(executeWithCursor(td.matchers.isA(Function), 10, td.matchers.isA(Function)), { ignoreExtraArgs: true }).thenResolve(state);
+
+            return query.execute(td.function(), { batchSize: 10 })
+                .then(actual => {
+                    expect(actual).to.deep.equal(expected);
+                    expect(td.explain(sqlStmtExecute).callCount).to.equal(0);
+                });
+        });
+
+        it('aborts the statement execution if it takes too long', () => {
+            const getClient = td.function();
+            const isIdle = td.function();
+            const isOpen = td.function();
+            const killQuery = td.function();
+            const connection = { getClient, isIdle, isOpen, killQuery };
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isIdle()).thenReturn(false);
+            td.when(getClient()).thenReturn({ sqlStmtExecute });
+            // the statement only finishes when it is interrupted
+            td.when(sqlStmtExecute(), { ignoreExtraArgs: true }).thenDo(() => {
+                return new Promise((resolve, reject) => {
+                    td.when(killQuery()).thenDo(() => {
+                        setTimeout(() => reject(new Error('Query execution was interrupted')));
+                        return Promise.resolve(connection);
+                    });
+                });
+            });
+
+            return sqlExecute(connection, 'SELECT SLEEP(10)').execute({ timeout: 10 })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.name).to.equal('AbortError');
+                    return expect(td.explain(killQuery).callCount).to.equal(1);
+                });
+        });
+
+        it('fails if the execution options are not valid', () => {
+            const connection = { isIdle: td.function(), isOpen: td.function() };
+
+            return sqlExecute(connection).execute(td.function(), td.function(), { batchSize: 'foo' })
+                .then(() => expect.fail())
+                .catch(err => {
+                    expect(err.message).to.equal("Execution option 'batchSize' does not support value 'foo'.");
+                });
+        });
+
+        it('keeps track of transactions started with plain SQL', () => {
+            const getClient = td.function();
+            const isIdle = td.function();
+            const isOpen = td.function();
+            const setAutocommit = td.function();
+            const setInTransaction = td.function();
+            const connection = { getClient, isIdle, isOpen, setAutocommit, setInTransaction };
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isIdle()).thenReturn(false);
+            td.when(getClient()).thenReturn({ sqlStmtExecute });
+            td.when(sqlStmtExecute(), { ignoreExtraArgs: true }).thenResolve();
+
+            return sqlExecute(connection, 'START TRANSACTION').execute()
+                .then(() => {
+                    return sqlExecute(connection, 'SET autocommit = 0').execute();
+                })
+                .then(() => {
+                    expect(td.explain(setInTransaction).callCount).to.equal(1);
+                    expect(td.explain(setInTransaction).calls[0].args).to.deep.equal([true]);
+                    expect(td.explain(setAutocommit).callCount).to.equal(1);
+                    return expect(td.explain(setAutocommit).calls[0].args).to.deep.equal([false]);
+                });
+        });
+
+        it('does not keep track of transactions in X Plugin statements', () => {
+            const getClient = td.function();
+            const isIdle = td.function();
+            const isOpen = td.function();
+            const setInTransaction = td.function();
+            const connection = { getClient, isIdle, isOpen, setInTransaction };
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isIdle()).thenReturn(false);
+            td.when(getClient()).thenReturn({ sqlStmtExecute });
+            td.when(sqlStmtExecute(), { ignoreExtraArgs: true }).thenResolve();
+
+            return sqlExecute(connection, 'begin', [], sqlExecute.Namespace.X_PLUGIN).execute()
+                .then(() => {
+                    return expect(td.explain(setInTransaction).callCount).to.equal(0);
+                });
+        });
+
         it('freezes the statement after returning a result', () => {
             const getClient = td.function();
             const isIdle = td.function();
@@ -200,4 +330,57 @@ describe('SqlExecute', () => {
                 });
         });
     });
+
+    context('stream()', () => {
+        let resultStream;
+
+        beforeEach('create fakes', () => {
+            resultStream = td.function();
+
+            td.replace('../../../lib/DevAPI/ResultStream', resultStream);
+            sqlExecute = require('../../../lib/DevAPI/SqlExecute');
+        });
+
+        it('returns a stream of rows retrieved using the preparable instance', () => {
+            const connection = 'foo';
+            const stream = new PassThrough();
+
+            td.when(preparing({ connection })).thenReturn({ bar: 'baz' });
+            td.when(resultStream(td.matchers.contains({ connection, options: { batchSize: 10 } }))).thenReturn(stream);
+
+            expect(sqlExecute(connection, 'qux').stream({ batchSize: 10 })).to.equal(stream);
+            expect(td.explain(resultStream).calls[0].args[0].statement).to.include({ bar: 'baz' });
+        });
+
+        it('freezes the statement after the result set is entirely consumed', () => {
+            const stream = new PassThrough({ objectMode: true });
+
+            td.when(resultStream(), { ignoreExtraArgs: true }).thenReturn(stream);
+
+            const query = sqlExecute('foo');
+            const freeze = td.replace(query, 'freeze');
+
+            query.stream().resume();
+            stream.end();
+
+            return new Promise(resolve => stream.on('end', resolve))
+                .then(() => expect(td.explain(freeze).callCount).to.equal(1));
+        });
+
+        it('uses a plain statement with the stream row callback as fallback', () => {
+            const getClient = td.function();
+            const push = td.function();
+            const stream = new PassThrough();
+            const query = sqlExecute({ getClient });
+
+            td.when(resultStream(), { ignoreExtraArgs: true }).thenReturn(stream);
+            td.when(getClient()).thenReturn({ sqlStmtExecute });
+            td.when(sqlStmtExecute(query, push)).thenResolve('bar');
+
+            query.stream();
+
+            return td.explain(resultStream).calls[0].args[0].fallback(push)()
+                .then(actual => expect(actual).to.equal('bar'));
+        });
+    });
 });
@@ -32,6 +32,7 @@
 
 /* eslint-env node, mocha */
 
+const errors = require('../../../lib/constants/errors');
 const expect = require('chai').expect;
 const td = require('testdouble');
 
@@ -131,7 +132,7 @@ describe('TableSelect', () => {
 
             td.when(isOpen()).thenReturn(true);
             td.when(isIdle()).thenReturn(false);
-            td.when(execute(td.matchers.isA(Function), 'bar', undefined)).thenResolve(state);
+            td.when(execute(td.matchers.isA(Function), td.matchers.isA(Function), undefined)).thenResolve(state);
             td.when(preparing({ connection })).thenReturn({ execute });
 
             return tableSelect(connection).execute('bar')
@@ -151,7 +152,7 @@ describe('TableSelect', () => {
             td.when(isIdle()).thenReturn(false);
             td.when(getAlias()).thenReturn('qux');
             td.when(columnWrapper('bar')).thenReturn('baz');
-            td.when(execute(td.matchers.isA(Function), 'foo', 'baz')).thenResolve(state);
+            td.when(execute(td.matchers.isA(Function), td.matchers.isA(Function), 'baz')).thenResolve(state);
             td.when(preparing({ connection })).thenReturn({ execute });
 
             return tableSelect(connection).execute('foo', 'bar')
@@ -159,6 +160,121 @@ describe('TableSelect', () => {
                     return expect(actual.getColumns()[0].getColumnLabel()).to.equal('qux');
                 });
         });
+
+        it('retrieves the rows in batches using a server-side cursor when a batch size is specified', () => {
+            const executeWithCursor = td.function();
+            const isIdle = td.function();
+            const isOpen = td.function();
+            const connection = { isIdle, isOpen };
+            const expected = ['qux'];
+            const state = { warnings: expected };
+
+            td.when(isOpen()).thenReturn(true);
+            td.when(isIdle()).thenReturn(false);
+            td.when(columnWrapper('bar')).thenReturn('baz');
+            td.when(executeWithCursor(td.matchers.isA(Function), 10, td.matchers.isA(Function), 'baz')).thenResolve(state);
+            td.when(preparing({ connection })).thenReturn({ execute, executeWithCursor });
+
+            return tableSelect(connection).execute('foo', 'bar', { batchSize: 10 })
+                .then(actual => {
+                    expect(actual.getWarnings()).to.deep.equal(expected);
+                    expect(td.explain(execute).callCount).to.equal(0);
+                });
+        });
+
+        it('retries the statement on a new connection when the current one is lost', () => {
+            const connection = { getReconnectOptions: td.function(), isIdle: td.function(), isInTransaction: td.function(), isOpen: td.function(), reconnect: td.function() };
+            const expected = ['foo'];
+
+            td.when(connection.isOpen()).thenReturn(true);
+            td.when(connection.isIdle()).thenReturn(false);
+            td.when(connection.isInTransaction()).thenReturn(false);
+            td.when(connection.getReconnectOptions()).thenReturn({ retries: 1, backoff: 0 });
+            td.when(connection.reconnect()).thenResolve(connection);
+            td.when(execute(), { ignoreExtraArgs: true }).thenResolve({ warnings: expected });
+            td.when(execute(), { ignoreExtraArgs: true, times: 1 }).thenReject(new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY));
+            td.when(preparing({ connection })).thenReturn({ execute });
+
+            return tableSelect(connection).execute()
+                .then(actual => {
+                    expect(actual.getWarnings()).to.deep.equal(expected);
+                    return expect(td.explain(connection.reconnect).callCount).to.equal(1);
+                });
+        });
+
+        it('does not retry the statement if some rows were already delivered to the application', () => {
+            const connection = { getReconnectOptions: td.function(), isIdle: td.function(), isInTransaction: td.function(), isOpen: td.function(), reconnect: td.function() };
+            const dataCursor = td.function();
+            const error = new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY);
+
+            td.when(connection.isOpen()).thenReturn(true);
+            td.when(connection.isIdle()).thenReturn(false);
+            td.when(connection.isInTransaction()).thenReturn(false);
+            td.when(connection.getReconnectOptions()).thenReturn({ retries: 1, backoff: 0 });
+            td.when(execute(td.matchers.isA(Function), td.matchers.isA(Function)), { ignoreExtraArgs: true }).thenDo((fn, rowCursor) => {
+                rowCursor(['foo']);
+                return Promise.reject(error);
+            });
+            td.when(preparing({ connection })).thenReturn({ execute });
+
+            return tableSelect(connection).execute(dataCursor)
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    expect(td.explain(dataCursor).calls[0].args).to.deep.equal([['foo']]);
+                    return expect(td.explain(connection.reconnect).callCount).to.equal(0);
+                });
+        });
+
+        it('fails if the execution options are not valid', () => {
+            const connection = { isIdle: td.function(), isOpen: td.function() };
+
+            return tableSelect(connection).execute({ batchSize: 0 })
+                .then(() => expect.fail())
+                .catch(err => {
+                    expect(err.message).to.equal("Execution option 'batchSize' does not support value '0'.");
+                });
+        });
+    });
+
+    context('stream()', () => {
+        let resultStream;
+
+        beforeEach('create fakes', () => {
+            resultStream = td.function();
+
+            td.replace('../../../lib/DevAPI/ResultStream', resultStream);
+            tableSelect = require('../../../lib/DevAPI/TableSelect');
+        });
+
+        it('returns a stream of rows retrieved using the preparable instance', () => {
+            const connection = 'foo';
+            const statement = { bar: 'baz' };
+
+            td.when(preparing({ connection })).thenReturn(statement);
+            td.when(resultStream(td.matchers.contains({ connection, options: { batchSize: 10 } }))).thenReturn('qux');
+
+            expect(tableSelect(connection).stream({ batchSize: 10 })).to.equal('qux');
+            expect(td.explain(resultStream).calls[0].args[0].statement).to.include(statement);
+            expect(td.explain(resultStream).calls[0].args[0].transform).to.equal(undefined);
+        });
+
+        it('uses a plain statement with the stream row callback as fallback', () => {
+            const crudFind = td.function();
+            const getClient = td.function();
+            const push = td.function();
+            const query = tableSelect({ getClient });
+
+            td.when(getClient()).thenReturn({ crudFind });
+            td.when(crudFind(query, push)).thenResolve('bar');
+
+            query.stream();
+
+            return td.explain(resultStream).calls[0].args[0].fallback(push)()
+                .then(actual => expect(actual).to.equal('bar'));
+        });
     });
 
     context('groupBy()', () => {
@@ -32,6 +32,7 @@
 
 /* eslint-env node, mocha */
 
+const Connection = require('../../../../../../lib/DevAPI/Connection');
 const expect = require('chai').expect;
 const parseUri = require('../../../../../../lib/DevAPI/Util/URIParser');
 
@@ -140,6 +141,13 @@ describe('parsing query parameters', () => {
             return expect(parseUri(connectionString).tls.enabled).to.be.true;
         });
 
+        it('accepts a certificate authority if the option value is "REQUIRED"', () => {
+            const connectionString = 'mysqlx://root@hostname?ssl-mode=REQUIRED&ssl-ca=/path/to/ca.pem';
+
+            expect(parseUri(connectionString).tls).to.deep.equal({ enabled: true, mode: 'REQUIRED', ca: '/path/to/ca.pem' });
+            return expect(Connection.validate(parseUri(connectionString))).to.equal(true);
+        });
+
         it('uses "true" if the option value is "REQUIRED"', () => {
             let connectionString = 'user@hostname?ssl-mode=REQUIRED';
             expect(parseUri(connectionString).tls).to.be.an('object');
@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const errors = require('../../../../../lib/constants/errors');
+const expect = require('chai').expect;
+const parseCompression = require('../../../../../lib/DevAPI/Util/URIParser/parseCompression');
+const util = require('util');
+
+describe('parseCompression', () => {
+    it('returns an empty object if no compression option is provided', () => {
+        expect(parseCompression('?foo=bar&baz=qux')).to.deep.equal({});
+    });
+
+    it('returns the compression mode', () => {
+        expect(parseCompression('?compression=required')).to.deep.equal({ enabled: 'required' });
+    });
+
+    it('ignores the case of the compression mode', () => {
+        expect(parseCompression('?compression=DISABLED')).to.deep.equal({ enabled: 'disabled' });
+    });
+
+    it('returns the list of compression algorithms', () => {
+        expect(parseCompression('?compression-algorithms=deflate_stream')).to.deep.equal({ algorithms: ['deflate_stream'] });
+        expect(parseCompression('?compression-algorithms=[ deflate_stream ]')).to.deep.equal({ algorithms: ['deflate_stream'] });
+    });
+
+    it('throws an error for compression algorithms that are not supported', () => {
+        const message = util.format(errors.MESSAGES.ERR_INVALID_COMPRESSION_ALGORITHMS, 'deflate_stream');
+
+        expect(() => parseCompression('?compression-algorithms=lz4_message,deflate_stream')).to.throw(message);
+        expect(() => parseCompression('?compression-algorithms=[zstd_stream]')).to.throw(message);
+    });
+
+    it('returns an empty list of compression algorithms if the parameter does not contain a value', () => {
+        expect(parseCompression('?compression-algorithms=')).to.deep.equal({ algorithms: [] });
+        expect(parseCompression('?compression-algorithms=[]')).to.deep.equal({ algorithms: [] });
+    });
+
+    it('returns both the compression mode and the list of algorithms', () => {
+        expect(parseCompression('?compression=preferred&compression-algorithms=deflate_stream')).to.deep.equal({ enabled: 'preferred', algorithms: ['deflate_stream'] });
+    });
+
+    it('throws an error for duplicate options', () => {
+        expect(() => parseCompression('?compression=required&compression=disabled')).to.throw('The connection string cannot contain duplicate query parameters.');
+    });
+});
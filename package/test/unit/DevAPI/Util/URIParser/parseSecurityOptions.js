@@ -37,8 +37,9 @@ const parseSecurityOptions = require('../../../../../lib/DevAPI/Util/URIParser/p
 
 describe('parseSecurityOptions', () => {
     it('enables ssl if any of the security related properties are provided', () => {
-        // TODO(Rui): add `ssl-mode=VERIFY_CA`, `ssl-mode=VERIFY_IDENTITY` and/or `ssl-mode=VERIFY_CRL`?
         expect(parseSecurityOptions('?ssl-mode=REQUIRED')).to.deep.include({ enabled: true });
+        expect(parseSecurityOptions('?ssl-mode=VERIFY_CA')).to.deep.include({ enabled: true });
+        expect(parseSecurityOptions('?ssl-mode=VERIFY_IDENTITY')).to.deep.include({ enabled: true });
         expect(parseSecurityOptions('?ssl-ca=foo')).to.deep.include({ enabled: true });
         expect(parseSecurityOptions('?ssl-crl=bar')).to.deep.include({ enabled: true });
         expect(parseSecurityOptions('?tls-versions=[foo,bar]')).to.deep.include({ enabled: true });
@@ -52,6 +53,12 @@ describe('parseSecurityOptions', () => {
         expect(parseSecurityOptions('?ssl-mode=DISABLED')).to.deep.equal({ enabled: false });
     });
 
+    it('parses the TLS mode', () => {
+        expect(parseSecurityOptions('?ssl-mode=REQUIRED')).to.deep.equal({ enabled: true, mode: 'REQUIRED' });
+        expect(parseSecurityOptions('?ssl-mode=VERIFY_CA&ssl-ca=foo')).to.deep.equal({ enabled: true, mode: 'VERIFY_CA', ca: 'foo' });
+        expect(parseSecurityOptions('?ssl-mode=VERIFY_IDENTITY&ssl-ca=foo')).to.deep.equal({ enabled: true, mode: 'VERIFY_IDENTITY', ca: 'foo' });
+    });
+
     it('parses all the related security properties', () => {
         expect(parseSecurityOptions('?ssl-ca=foo&ssl-crl=bar')).to.deep.equal({ enabled: true, ca: 'foo', crl: 'bar' });
     });
@@ -72,6 +79,10 @@ describe('parseSecurityOptions', () => {
         expect(parseSecurityOptions('?ssl-crl=(/foo/bar)')).to.deep.equal({ enabled: true, crl: '/foo/bar' });
     });
 
+    it('parses the file paths of a client certificate and private key', () => {
+        expect(parseSecurityOptions('?ssl-cert=(/path/to/cert.pem)&ssl-key=%2Fpath%2Fto%2Fkey.pem')).to.deep.equal({ enabled: true, cert: '/path/to/cert.pem', key: '/path/to/key.pem' });
+    });
+
     it('parses a list of TLS versions', () => {
         expect(parseSecurityOptions('?tls-versions=[foo,bar,baz]')).to.deep.equal({ enabled: true, versions: ['foo', 'bar', 'baz'] });
     });
@@ -100,7 +111,11 @@ describe('parseSecurityOptions', () => {
 
     it('ignores case of "ssl-mode" key and value', () => {
         ['?sSl-MoDe=required', '?SSL-MODE=REQUIRED', '?ssl-mode=REQUired'].forEach(valid => {
-            expect(parseSecurityOptions(valid)).to.deep.equal({ enabled: true });
+            expect(parseSecurityOptions(valid)).to.deep.equal({ enabled: true, mode: 'REQUIRED' });
+        });
+
+        ['?sSl-MoDe=verify_identity', '?SSL-MODE=VERIFY_IDENTITY', '?ssl-mode=VERIFY_identity'].forEach(valid => {
+            expect(parseSecurityOptions(valid)).to.deep.equal({ enabled: true, mode: 'VERIFY_IDENTITY' });
         });
 
         ['?sSl-MoDe=disabled', '?SSL-MODE=DISABLED', '?ssl-mode=DISAbled'].forEach(valid => {
@@ -121,8 +136,8 @@ describe('parseSecurityOptions', () => {
     });
 
     it('does not ignore case of security options except `ssl-mode`', () => {
-        expect(parseSecurityOptions('?sSl-mOdE=requIRED&ssl-ca=(/Path/TO/ca.pem)')).to.deep.equal({ enabled: true, ca: '/Path/TO/ca.pem' });
-        expect(parseSecurityOptions('?sSl-mOdE=requIRED&ssl-crl=(/paTH/tO/CA.PEM)')).to.deep.equal({ enabled: true, crl: '/paTH/tO/CA.PEM' });
-        expect(parseSecurityOptions('?sSl-mOdE=requIRED&tls-versions=[FOO,bar,bAz,QuX]')).to.deep.equal({ enabled: true, versions: ['FOO', 'bar', 'bAz', 'QuX'] });
+        expect(parseSecurityOptions('?sSl-mOdE=requIRED&ssl-ca=(/Path/TO/ca.pem)')).to.deep.equal({ enabled: true, mode: 'REQUIRED', ca: '/Path/TO/ca.pem' });
+        expect(parseSecurityOptions('?sSl-mOdE=requIRED&ssl-crl=(/paTH/tO/CA.PEM)')).to.deep.equal({ enabled: true, mode: 'REQUIRED', crl: '/paTH/tO/CA.PEM' });
+        expect(parseSecurityOptions('?sSl-mOdE=requIRED&tls-versions=[FOO,bar,bAz,QuX]')).to.deep.equal({ enabled: true, mode: 'REQUIRED', versions: ['FOO', 'bar', 'bAz', 'QuX'] });
     });
 });
@@ -0,0 +1,230 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const EventEmitter = require('events');
+const abortable = require('../../../../lib/DevAPI/Util/abortable');
+const errors = require('../../../../lib/constants/errors');
+const expect = require('chai').expect;
+const td = require('testdouble');
+const util = require('util');
+
+describe('abortable', () => {
+    let connection;
+
+    // AbortController is only available on Node.js >= 15.0.0, so we need a
+    // stub with the same interface.
+    const abortController = () => {
+        const events = new EventEmitter();
+        const signal = {
+            aborted: false,
+            addEventListener: (type, listener) => events.on(type, listener),
+            removeEventListener: (type, listener) => events.removeListener(type, listener)
+        };
+
+        return {
+            signal,
+            abort () {
+                if (signal.aborted) {
+                    return;
+                }
+
+                signal.aborted = true;
+                events.emit('abort');
+            }
+        };
+    };
+
+    // Simulates a statement that only finishes when it is interrupted.
+    const interruptible = () => {
+        return new Promise((resolve, reject) => {
+            td.when(connection.killQuery()).thenDo(() => {
+                setTimeout(() => reject(new Error('Query execution was interrupted')));
+                return Promise.resolve(connection);
+            });
+        });
+    };
+
+    beforeEach('create fakes', () => {
+        connection = { killQuery: td.function() };
+
+        td.when(connection.killQuery()).thenResolve(connection);
+    });
+
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    it('runs the execution straight away if it cannot be aborted', () => {
+        const execute = td.function();
+
+        td.when(execute()).thenResolve('foo');
+
+        return abortable(connection, execute)
+            .then(res => {
+                expect(res).to.equal('foo');
+                return expect(td.explain(connection.killQuery).callCount).to.equal(0);
+            });
+    });
+
+    it('resolves to the result of an execution that finishes in time', () => {
+        const controller = abortController();
+
+        return abortable(connection, () => Promise.resolve('foo'), { signal: controller.signal, timeout: 100 })
+            .then(res => {
+                // aborting afterwards does not have any effect
+                controller.abort();
+
+                expect(res).to.equal('foo');
+                return expect(td.explain(connection.killQuery).callCount).to.equal(0);
+            });
+    });
+
+    it('reports errors of an execution that finishes in time', () => {
+        const error = new Error('foobar');
+
+        return abortable(connection, () => Promise.reject(error), { timeout: 100 })
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                return expect(err).to.deep.equal(error);
+            });
+    });
+
+    it('interrupts the statement when the signal is triggered', () => {
+        const controller = abortController();
+        const execution = abortable(connection, interruptible, { signal: controller.signal });
+
+        controller.abort();
+
+        return execution
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err.name).to.equal('AbortError');
+                expect(err.code).to.equal('ABORT_ERR');
+                expect(err.message).to.equal(errors.MESSAGES.ERR_STATEMENT_ABORTED);
+                return expect(td.explain(connection.killQuery).callCount).to.equal(1);
+            });
+    });
+
+    it('interrupts the statement when the timeout is exceeded', () => {
+        const timeout = 10;
+
+        return abortable(connection, interruptible, { timeout })
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err.name).to.equal('AbortError');
+                expect(err.message).to.equal(util.format(errors.MESSAGES.ERR_STATEMENT_TIMEOUT, timeout));
+                return expect(td.explain(connection.killQuery).callCount).to.equal(1);
+            });
+    });
+
+    it('fails straight away if the signal has already been triggered', () => {
+        const controller = abortController();
+        const execute = td.function();
+
+        controller.abort();
+
+        return abortable(connection, execute, { signal: controller.signal })
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err.name).to.equal('AbortError');
+                expect(td.explain(execute).callCount).to.equal(0);
+                return expect(td.explain(connection.killQuery).callCount).to.equal(0);
+            });
+    });
+
+    it('only fails after the interrupted statement finishes', () => {
+        const controller = abortController();
+        const events = [];
+
+        const execute = () => {
+            return new Promise((resolve, reject) => {
+                td.when(connection.killQuery()).thenDo(() => {
+                    events.push('kill');
+
+                    setTimeout(() => {
+                        events.push('interrupted');
+                        reject(new Error('Query execution was interrupted'));
+                    }, 10);
+
+                    return Promise.resolve(connection);
+                });
+            });
+        };
+
+        const execution = abortable(connection, execute, { signal: controller.signal });
+
+        controller.abort();
+
+        return execution
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err.name).to.equal('AbortError');
+                return expect(events).to.deep.equal(['kill', 'interrupted']);
+            });
+    });
+
+    it('fails with the reason why the statement could not be interrupted once it finishes', () => {
+        const controller = abortController();
+        const error = new Error('foobar');
+        let finish;
+
+        const execution = abortable(connection, () => new Promise(resolve => { finish = resolve; }), { signal: controller.signal });
+
+        td.when(connection.killQuery()).thenReject(error);
+
+        controller.abort();
+
+        // the statement is not interrupted and finishes by itself
+        setTimeout(() => finish('foo'), 10);
+
+        return execution
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err.name).to.equal('AbortError');
+                return expect(err.cause).to.deep.equal(error);
+            });
+    });
+});
@@ -0,0 +1,91 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const expect = require('chai').expect;
+const parseExecutionOptions = require('../../../../lib/DevAPI/Util/parseExecutionOptions');
+
+describe('parseExecutionOptions', () => {
+    it('returns an empty list of callbacks and options if no arguments are provided', () => {
+        expect(parseExecutionOptions()).to.deep.equal({ callbacks: [], options: {} });
+    });
+
+    it('returns the list of callbacks when there are no execution options', () => {
+        const foo = () => {};
+        const bar = () => {};
+
+        expect(parseExecutionOptions([foo, bar])).to.deep.equal({ callbacks: [foo, bar], options: {} });
+    });
+
+    it('returns the execution options provided as the last argument', () => {
+        const foo = () => {};
+
+        expect(parseExecutionOptions([foo, { batchSize: 10 }])).to.deep.equal({ callbacks: [foo], options: { batchSize: 10 } });
+        expect(parseExecutionOptions([{ batchSize: 10 }])).to.deep.equal({ callbacks: [], options: { batchSize: 10 } });
+    });
+
+    it('accepts a list of arguments from a function call', function () {
+        const foo = () => {};
+
+        expect((function () { return parseExecutionOptions(arguments); })(foo, { batchSize: 1 })).to.deep.equal({ callbacks: [foo], options: { batchSize: 1 } });
+    });
+
+    it('throws an error if an execution option is not valid', () => {
+        expect(() => parseExecutionOptions([{ foo: 'bar' }])).to.throw("Execution option 'foo' is not recognized as valid.");
+    });
+
+    it('throws an error if the batch size is not a positive integer', () => {
+        expect(() => parseExecutionOptions([{ batchSize: 0 }])).to.throw("Execution option 'batchSize' does not support value '0'.");
+        expect(() => parseExecutionOptions([{ batchSize: 2.5 }])).to.throw("Execution option 'batchSize' does not support value '2.5'.");
+        expect(() => parseExecutionOptions([{ batchSize: 'foo' }])).to.throw("Execution option 'batchSize' does not support value 'foo'.");
+    });
+
+    it('accepts an AbortSignal and a timeout', () => {
+        // AbortController is only available on Node.js >= 15.0.0, so we
+        // need a stub with the same interface.
+        const signal = { aborted: false, addEventListener () {}, removeEventListener () {} };
+
+        expect(parseExecutionOptions([{ signal, timeout: 100 }])).to.deep.equal({ callbacks: [], options: { signal, timeout: 100 } });
+    });
+
+    it('throws an error if the signal is not an AbortSignal', () => {
+        expect(() => parseExecutionOptions([{ signal: 'foo' }])).to.throw("Execution option 'signal' does not support value 'foo'.");
+        expect(() => parseExecutionOptions([{ signal: null }])).to.throw("Execution option 'signal' does not support value 'null'.");
+        expect(() => parseExecutionOptions([{ signal: { aborted: false } }])).to.throw("Execution option 'signal' does not support value '{ aborted: false }'.");
+    });
+
+    it('throws an error if the timeout is not a positive integer (including 0)', () => {
+        expect(() => parseExecutionOptions([{ timeout: -1 }])).to.throw("Execution option 'timeout' does not support value '-1'.");
+        expect(() => parseExecutionOptions([{ timeout: 'foo' }])).to.throw("Execution option 'timeout' does not support value 'foo'.");
+    });
+});
@@ -0,0 +1,265 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const Connection = require('../../../../lib/DevAPI/Connection');
+const errors = require('../../../../lib/constants/errors');
+const expect = require('chai').expect;
+const retryable = require('../../../../lib/DevAPI/Util/retryable');
+const sqlExecute = require('../../../../lib/DevAPI/SqlExecute');
+const td = require('testdouble');
+
+describe('retryable', () => {
+    let connection, execute;
+
+    beforeEach('create fakes', () => {
+        connection = {
+            getReconnectOptions: td.function(),
+            isIdle: td.function(),
+            isInTransaction: td.function(),
+            reconnect: td.function()
+        };
+
+        execute = td.function();
+
+        td.when(connection.getReconnectOptions()).thenReturn({ retries: 2, backoff: 0 });
+        td.when(connection.isIdle()).thenReturn(false);
+        td.when(connection.isInTransaction()).thenReturn(false);
+        td.when(connection.reconnect()).thenResolve(connection);
+    });
+
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    it('resolves to the result of an execution that succeeds', () => {
+        td.when(execute()).thenResolve('foo');
+
+        return retryable(connection, execute)
+            .then(res => {
+                expect(res).to.equal('foo');
+                return expect(td.explain(connection.reconnect).callCount).to.equal(0);
+            });
+    });
+
+    it('re-runs the execution on a new connection when the current one is lost', () => {
+        td.when(execute()).thenResolve('foo');
+        td.when(execute(), { times: 1 }).thenReject(new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY));
+
+        return retryable(connection, execute)
+            .then(res => {
+                expect(res).to.equal('foo');
+                return expect(td.explain(connection.reconnect).callCount).to.equal(1);
+            });
+    });
+
+    it('keeps retrying while the connection cannot be re-opened', () => {
+        const error = new Error('foobar');
+        error.code = 'ECONNREFUSED';
+
+        td.when(execute()).thenResolve('foo');
+        td.when(execute(), { times: 1 }).thenReject(new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY));
+        td.when(connection.reconnect(), { times: 1 }).thenReject(error);
+
+        return retryable(connection, execute)
+            .then(res => {
+                expect(res).to.equal('foo');
+                return expect(td.explain(connection.reconnect).callCount).to.equal(2);
+            });
+    });
+
+    it('fails when the maximum number of retries is exceeded', () => {
+        const error = new Error('foobar');
+        error.code = 'ECONNRESET';
+
+        td.when(execute()).thenReject(error);
+
+        return retryable(connection, execute)
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err).to.deep.equal(error);
+                return expect(td.explain(connection.reconnect).callCount).to.equal(2);
+            });
+    });
+
+    it('does not retry if re-connecting is disabled', () => {
+        const error = new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY);
+
+        td.when(connection.getReconnectOptions()).thenReturn({ retries: 0, backoff: 0 });
+        td.when(execute()).thenReject(error);
+
+        return retryable(connection, execute)
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err).to.deep.equal(error);
+                return expect(td.explain(connection.reconnect).callCount).to.equal(0);
+            });
+    });
+
+    it('does not retry errors that are not related to the connection', () => {
+        const error = new Error('foobar');
+        error.info = { code: 1146 };
+
+        td.when(execute()).thenReject(error);
+
+        return retryable(connection, execute)
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err).to.deep.equal(error);
+                return expect(td.explain(connection.reconnect).callCount).to.equal(0);
+            });
+    });
+
+    it('does not retry when there is an ongoing transaction', () => {
+        const error = new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY);
+
+        td.when(connection.isInTransaction()).thenReturn(true);
+        td.when(execute()).thenReject(error);
+
+        return retryable(connection, execute)
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err).to.deep.equal(error);
+                return expect(td.explain(connection.reconnect).callCount).to.equal(0);
+            });
+    });
+
+    it('does not retry when there is an ongoing transaction started with plain SQL', () => {
+        const error = new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY);
+        const sqlStmtExecute = td.function();
+        const con = Connection({ reconnect: { retries: 2, backoff: 0 } });
+
+        td.replace(con, 'getClient', () => ({ sqlStmtExecute }));
+        td.replace(con, 'isOpen', () => true);
+        td.replace(con, 'reconnect', () => Promise.resolve(con));
+
+        td.when(sqlStmtExecute(), { ignoreExtraArgs: true }).thenResolve({});
+        td.when(execute()).thenReject(error);
+
+        return sqlExecute(con, 'BEGIN').execute()
+            .then(() => {
+                return retryable(con, execute);
+            })
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err).to.deep.equal(error);
+                return expect(td.explain(execute).callCount).to.equal(1);
+            });
+    });
+
+    it('does not retry when autocommit was disabled with plain SQL', () => {
+        const error = new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY);
+        const sqlStmtExecute = td.function();
+        const con = Connection({ reconnect: { retries: 2, backoff: 0 } });
+
+        td.replace(con, 'getClient', () => ({ sqlStmtExecute }));
+        td.replace(con, 'isOpen', () => true);
+        td.replace(con, 'reconnect', () => Promise.resolve(con));
+
+        td.when(sqlStmtExecute(), { ignoreExtraArgs: true }).thenResolve({});
+        td.when(execute()).thenReject(error);
+
+        return sqlExecute(con, 'SET autocommit = 0').execute()
+            .then(() => {
+                return retryable(con, execute);
+            })
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err).to.deep.equal(error);
+                return expect(td.explain(execute).callCount).to.equal(1);
+            });
+    });
+
+    it('does not retry when the connection was released back into the pool', () => {
+        const error = new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY);
+
+        td.when(connection.isIdle()).thenReturn(true);
+        td.when(execute()).thenReject(error);
+
+        return retryable(connection, execute)
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err).to.deep.equal(error);
+                return expect(td.explain(connection.reconnect).callCount).to.equal(0);
+            });
+    });
+
+    it('does not retry when it is not safe to do so', () => {
+        const error = new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY);
+
+        td.when(execute()).thenReject(error);
+
+        return retryable(connection, execute, { isSafe: () => false })
+            .then(() => {
+                return expect.fail();
+            })
+            .catch(err => {
+                expect(err).to.deep.equal(error);
+                return expect(td.explain(connection.reconnect).callCount).to.equal(0);
+            });
+    });
+
+    context('isConnectionLoss()', () => {
+        it('checks if an error means the connection was lost', () => {
+            const timeout = new Error('foo');
+            timeout.name = 'ETIMEDOUT';
+
+            const reset = new Error('bar');
+            reset.code = 'ECONNRESET';
+
+            const shutdown = new Error('baz');
+            shutdown.info = { code: errors.ERR_SERVER_SHUTDOWN };
+
+            expect(retryable.isConnectionLoss(new Error(errors.MESSAGES.ERR_SERVER_GONE_AWAY))).to.equal(true);
+            expect(retryable.isConnectionLoss(timeout)).to.equal(true);
+            expect(retryable.isConnectionLoss(reset)).to.equal(true);
+            expect(retryable.isConnectionLoss(shutdown)).to.equal(true);
+            expect(retryable.isConnectionLoss(new Error(errors.MESSAGES.ERR_CONNECTION_CLOSED))).to.equal(false);
+            return expect(retryable.isConnectionLoss(new Error('qux'))).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,196 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const Net = require('net');
+const errors = require('../../../../lib/constants/errors');
+const expect = require('chai').expect;
+const socketFactory = require('../../../../lib/DevAPI/Util/socketFactory');
+const td = require('testdouble');
+const { PassThrough } = require('stream');
+
+describe('socket factory', () => {
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    context('wrap()', () => {
+        it('does not wrap network sockets', () => {
+            const socket = new Net.Socket();
+
+            return expect(socketFactory.wrap(socket)).to.equal(socket);
+        });
+
+        it('forwards the data received and written by the stream', () => {
+            const stream = new PassThrough();
+            const socket = socketFactory.wrap(stream);
+            const received = [];
+
+            socket.on('data', data => received.push(data.toString()));
+
+            return new Promise(resolve => socket.write('foo', resolve))
+                .then(() => new Promise(resolve => setImmediate(resolve)))
+                .then(() => {
+                    return expect(received).to.deep.equal(['foo']);
+                });
+        });
+
+        it('emits a "timeout" event when the stream is idle for a given amount of time', () => {
+            const socket = socketFactory.wrap(new PassThrough());
+
+            socket.setTimeout(10);
+
+            return new Promise(resolve => socket.once('timeout', resolve))
+                .then(() => {
+                    return socket.setTimeout(0);
+                });
+        });
+
+        it('does not emit a "timeout" event when the timeout is disabled', () => {
+            const socket = socketFactory.wrap(new PassThrough());
+            const listener = td.function();
+
+            socket.on('timeout', listener);
+            socket.setTimeout(10);
+            socket.setTimeout(0);
+
+            return new Promise(resolve => setTimeout(resolve, 20))
+                .then(() => {
+                    return expect(td.explain(listener).callCount).to.equal(0);
+                });
+        });
+
+        it('reports if the stream was closed because of an error', () => {
+            const stream = new PassThrough();
+            const socket = socketFactory.wrap(stream);
+            const error = new Error('foo');
+            const reported = [];
+
+            socket.on('error', err => reported.push(['error', err]));
+            socket.on('close', hadError => reported.push(['close', hadError]));
+
+            stream.destroy(error);
+
+            return new Promise(resolve => setTimeout(resolve))
+                .then(() => {
+                    return expect(reported).to.deep.equal([['error', error], ['close', true]]);
+                });
+        });
+
+        it('reports if the stream was closed without an error', () => {
+            const stream = new PassThrough();
+            const socket = socketFactory.wrap(stream);
+            const listener = td.function();
+
+            socket.on('close', listener);
+            socket.destroy();
+
+            return new Promise(resolve => setTimeout(resolve))
+                .then(() => {
+                    expect(stream.destroyed).to.equal(true);
+                    return expect(td.explain(listener).calls[0].args).to.deep.equal([false]);
+                });
+        });
+
+        it('ignores TCP keep-alive options', () => {
+            const socket = socketFactory.wrap(new PassThrough());
+
+            return expect(socket.setKeepAlive(true, 1000)).to.equal(socket);
+        });
+    });
+
+    context('create()', () => {
+        it('creates a stream for the given endpoint using the default host and port', () => {
+            const factory = td.function();
+            const stream = new PassThrough();
+
+            td.when(factory({ host: 'localhost', port: 33060, priority: 100 })).thenReturn(stream);
+
+            return socketFactory.create(factory, { priority: 100 })
+                .then(socket => {
+                    return expect(socket).to.have.property('setTimeout').that.is.a('function');
+                });
+        });
+
+        it('waits for a stream that is created asynchronously', () => {
+            const factory = td.function();
+            const socket = new Net.Socket();
+
+            td.when(factory({ host: 'foo', port: 33061 })).thenResolve(socket);
+
+            return socketFactory.create(factory, { host: 'foo', port: 33061 })
+                .then(res => {
+                    return expect(res).to.equal(socket);
+                });
+        });
+
+        it('fails when the stream cannot be created', () => {
+            const error = new Error('foo');
+
+            return socketFactory.create(() => { throw error; }, {})
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err).to.equal(error);
+                });
+        });
+
+        it('fails when the factory does not return a duplex stream', () => {
+            return socketFactory.create(() => Promise.resolve('foo'), {})
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err.message).to.equal(errors.MESSAGES.ERR_INVALID_SOCKET_FACTORY_RESULT);
+                });
+        });
+
+        it('fails when the stream is not created in time', () => {
+            const stream = new PassThrough();
+
+            return socketFactory.create(() => new Promise(resolve => setTimeout(() => resolve(stream), 50)), {}, { timeout: 10 })
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err.name).to.equal('ETIMEDOUT');
+                    return new Promise(resolve => setTimeout(resolve, 50));
+                })
+                .then(() => {
+                    // The stream is not needed anymore.
+                    return expect(stream.destroyed).to.equal(true);
+                });
+        });
+    });
+});
@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const expect = require('chai').expect;
+const transactionState = require('../../../../lib/DevAPI/Util/transactionState');
+
+describe('transactionState', () => {
+    it('detects statements that start a transaction', () => {
+        expect(transactionState('BEGIN')).to.deep.equal({ isInTransaction: true });
+        expect(transactionState('begin work')).to.deep.equal({ isInTransaction: true });
+        expect(transactionState('START TRANSACTION WITH CONSISTENT SNAPSHOT')).to.deep.equal({ isInTransaction: true });
+        expect(transactionState('start\n  transaction read only')).to.deep.equal({ isInTransaction: true });
+        return expect(transactionState("XA START 'foo'")).to.deep.equal({ isInTransaction: true });
+    });
+
+    it('detects statements that end a transaction', () => {
+        expect(transactionState('COMMIT')).to.deep.equal({ isInTransaction: false });
+        expect(transactionState('rollback work')).to.deep.equal({ isInTransaction: false });
+        expect(transactionState('COMMIT AND NO CHAIN')).to.deep.equal({ isInTransaction: false });
+        return expect(transactionState("XA ROLLBACK 'foo'")).to.deep.equal({ isInTransaction: false });
+    });
+
+    it('detects statements that end a transaction and start a new one', () => {
+        expect(transactionState('COMMIT AND CHAIN')).to.deep.equal({ isInTransaction: true });
+        return expect(transactionState('ROLLBACK WORK AND CHAIN')).to.deep.equal({ isInTransaction: true });
+    });
+
+    it('ignores rollbacks to a savepoint', () => {
+        expect(transactionState('ROLLBACK TO SAVEPOINT foo')).to.deep.equal({});
+        return expect(transactionState('ROLLBACK WORK TO foo')).to.deep.equal({});
+    });
+
+    it('detects statements that disable autocommit', () => {
+        expect(transactionState('SET autocommit = 0')).to.deep.equal({ isAutocommit: false });
+        expect(transactionState('SET SESSION autocommit=OFF')).to.deep.equal({ isAutocommit: false });
+        expect(transactionState('SET @@session.autocommit := false')).to.deep.equal({ isAutocommit: false });
+        expect(transactionState('SET @foo = 1, autocommit = 0')).to.deep.equal({ isAutocommit: false });
+        return expect(transactionState('SET autocommit = @foo')).to.deep.equal({ isAutocommit: false });
+    });
+
+    it('detects statements that enable autocommit', () => {
+        expect(transactionState('SET autocommit = 1')).to.deep.equal({ isAutocommit: true, isInTransaction: false });
+        return expect(transactionState("SET @@autocommit = 'ON'")).to.deep.equal({ isAutocommit: true, isInTransaction: false });
+    });
+
+    it('ignores leading comments', () => {
+        expect(transactionState('/* foo */ BEGIN')).to.deep.equal({ isInTransaction: true });
+        expect(transactionState('-- foo\nCOMMIT')).to.deep.equal({ isInTransaction: false });
+        return expect(transactionState('# foo\n  SET autocommit = 0')).to.deep.equal({ isAutocommit: false });
+    });
+
+    it('ignores statements that do not change the transaction state', () => {
+        expect(transactionState('SELECT 1')).to.deep.equal({});
+        expect(transactionState('SET TRANSACTION ISOLATION LEVEL SERIALIZABLE')).to.deep.equal({});
+        expect(transactionState('SET @autocommit = 0')).to.deep.equal({});
+        expect(transactionState('SELECT * FROM begin_log')).to.deep.equal({});
+        return expect(transactionState()).to.deep.equal({});
+    });
+});
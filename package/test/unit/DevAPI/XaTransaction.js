@@ -0,0 +1,197 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const errors = require('../../../lib/constants/errors');
+const expect = require('chai').expect;
+const td = require('testdouble');
+const xaTransaction = require('../../../lib/DevAPI/XaTransaction');
+
+describe('XaTransaction', () => {
+    let execute, session;
+
+    beforeEach('create fakes', () => {
+        execute = td.function();
+        session = { sql: td.function() };
+    });
+
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    context('start()', () => {
+        it('starts the XA transaction and notifies the session', () => {
+            const onStart = td.function();
+
+            td.when(session.sql("XA START X'666f6f'")).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return xaTransaction(session, 'foo', { onStart }).start()
+                .then(res => {
+                    expect(res).to.equal(true);
+                    return expect(td.explain(onStart).callCount).to.equal(1);
+                });
+        });
+
+        it('does not notify the session if the XA transaction fails to start', () => {
+            const error = new Error('foobar');
+            const onStart = td.function();
+
+            td.when(session.sql("XA START X'666f6f'")).thenReturn({ execute });
+            td.when(execute()).thenReject(error);
+
+            return xaTransaction(session, 'foo', { onStart }).start()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(td.explain(onStart).callCount).to.equal(0);
+                });
+        });
+    });
+
+    context('end()', () => {
+        it('ends the XA transaction', () => {
+            td.when(session.sql("XA END X'666f6f',X'626172'")).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return xaTransaction(session, { gtrid: 'foo', bqual: 'bar' }).end()
+                .then(res => {
+                    return expect(res).to.equal(true);
+                });
+        });
+    });
+
+    context('prepare()', () => {
+        it('prepares the XA transaction', () => {
+            td.when(session.sql("XA PREPARE X'666f6f',X'626172',3")).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return xaTransaction(session, { gtrid: 'foo', bqual: 'bar', formatId: 3 }).prepare()
+                .then(res => {
+                    return expect(res).to.equal(true);
+                });
+        });
+    });
+
+    context('commit()', () => {
+        it('commits a prepared XA transaction and notifies the session', () => {
+            const onFinish = td.function();
+
+            td.when(session.sql("XA COMMIT X'666f6f'")).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return xaTransaction(session, 'foo', { onFinish }).commit()
+                .then(res => {
+                    expect(res).to.equal(true);
+                    return expect(td.explain(onFinish).callCount).to.equal(1);
+                });
+        });
+
+        it('commits an XA transaction using a single phase', () => {
+            td.when(session.sql("XA COMMIT X'666f6f' ONE PHASE")).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return xaTransaction(session, 'foo').commit({ onePhase: true })
+                .then(res => {
+                    return expect(res).to.equal(true);
+                });
+        });
+    });
+
+    context('rollback()', () => {
+        it('rolls back the XA transaction and notifies the session', () => {
+            const onFinish = td.function();
+
+            td.when(session.sql("XA ROLLBACK X'666f6f'")).thenReturn({ execute });
+            td.when(execute()).thenResolve();
+
+            return xaTransaction(session, 'foo', { onFinish }).rollback()
+                .then(res => {
+                    expect(res).to.equal(true);
+                    return expect(td.explain(onFinish).callCount).to.equal(1);
+                });
+        });
+
+        it('does not notify the session if the XA transaction fails to be rolled back', () => {
+            const onFinish = td.function();
+
+            td.when(session.sql("XA ROLLBACK X'666f6f'")).thenReturn({ execute });
+            td.when(execute()).thenReject(new Error('foobar'));
+
+            return xaTransaction(session, 'foo', { onFinish }).rollback()
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(() => {
+                    return expect(td.explain(onFinish).callCount).to.equal(0);
+                });
+        });
+    });
+
+    context('getXid()', () => {
+        it('returns the transaction identifier', () => {
+            expect(xaTransaction(session, 'foo').getXid()).to.deep.equal({ gtrid: 'foo' });
+            return expect(xaTransaction(session, { gtrid: 'foo', formatId: 1 }).getXid()).to.deep.equal({ gtrid: 'foo', formatId: 1 });
+        });
+    });
+
+    context('XaTransaction.escapeXid()', () => {
+        it('encodes the components in a way that does not require escaping', () => {
+            expect(xaTransaction.escapeXid("fo'o")).to.equal("X'666f276f'");
+            return expect(xaTransaction.escapeXid({ gtrid: 'foo', formatId: 0 })).to.equal("X'666f6f',X'',0");
+        });
+
+        it('fails if the identifier is not valid', () => {
+            const invalid = [undefined, null, '', 1, [], {}, { gtrid: '' }, { gtrid: 1 }, { gtrid: 'a'.repeat(65) }, { gtrid: 'foo', bqual: 'ç'.repeat(33) }, { gtrid: 'foo', formatId: -1 }, { gtrid: 'foo', formatId: 'bar' }];
+
+            invalid.forEach(xid => expect(() => xaTransaction.escapeXid(xid)).to.throw(errors.MESSAGES.ERR_INVALID_XID));
+            return expect(xaTransaction.escapeXid('a'.repeat(64))).to.equal(`X'${'61'.repeat(64)}'`);
+        });
+
+        it('is used when the XA transaction is created', () => {
+            return expect(() => xaTransaction(session, '')).to.throw(errors.MESSAGES.ERR_INVALID_XID);
+        });
+    });
+
+    context('XaTransaction.decodeXid()', () => {
+        it('decodes an identifier returned by the server', () => {
+            return expect(xaTransaction.decodeXid([1, 3, 3, '0x666F6F626172'])).to.deep.equal({ gtrid: 'foo', bqual: 'bar', formatId: 1 });
+        });
+
+        it('decodes an identifier without a branch qualifier', () => {
+            return expect(xaTransaction.decodeXid([2, 3, 0, Buffer.from('0x666f6f')])).to.deep.equal({ gtrid: 'foo', bqual: '', formatId: 2 });
+        });
+    });
+});
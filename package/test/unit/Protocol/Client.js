@@ -32,10 +32,14 @@
 
 /* eslint-env node, mocha */
 
+const Compression = require('../../../lib/Protocol/Compression');
+const CompressionStub = require('../../../lib/Protocol/Stubs/mysqlx_connection_pb').Compression;
+const CursorHandler = require('../../../lib/Protocol/InboundHandlers/CursorHandler');
 const OkHandler = require('../../../lib/Protocol/InboundHandlers/OkHandler');
 const MysqlxStub = require('../../../lib/Protocol/Stubs/mysqlx_pb');
+const NoticeStub = require('../../../lib/Protocol/Stubs/mysqlx_notice_pb');
 const PassThrough = require('stream').PassThrough;
-const Scope = require('../../../lib/Protocol/Stubs/mysqlx_notice_pb').Frame.Scope;
+const Scope = NoticeStub.Frame.Scope;
 const WorkQueue = require('../../../lib/WorkQueue');
 const condition = require('../../../lib/Protocol/Wrappers/Messages/Expect/Condition');
 const errors = require('../../../lib/constants/errors');
@@ -75,6 +79,12 @@ describe('Client', () => {
 
             return expect(client._danglingFragment).to.be.null;
         });
+
+        it('uses a notice listener that does nothing by default', () => {
+            const client = new Client({ on });
+
+            return expect(client._noticeListener()).to.be.undefined;
+        });
     });
 
     context('decodeMessage()', () => {
@@ -142,6 +152,39 @@ describe('Client', () => {
             expect(message.readUInt32LE(0) - 1).to.equal(payload.length); // excludes 1 byte of the message id
             expect(message[4]).to.equal(messageType);
         });
+
+        it('does not compress messages below the compression threshold', () => {
+            const client = new Client().enableCompression('deflate_stream');
+            const payload = Buffer.alloc(Compression.THRESHOLD - 6, 'x');
+
+            const message = client.encodeMessage(5, payload);
+
+            expect(message[4]).to.equal(5);
+            expect(message.slice(5)).to.deep.equal(payload);
+        });
+
+        it('wraps messages in a Mysqlx.Connection.Compression message when compression is enabled', () => {
+            const client = new Client().enableCompression('deflate_stream');
+            const payload = Buffer.alloc(Compression.THRESHOLD, 'x');
+
+            const message = client.encodeMessage(5, payload);
+            const compression = CompressionStub.deserializeBinary(message.slice(5));
+            const frame = Compression.create('deflate_stream').decompress(Buffer.from(compression.getPayload_asU8()));
+
+            expect(message[4]).to.equal(MysqlxStub.ClientMessages.Type.COMPRESSION);
+            expect(message.length).to.be.below(payload.length);
+            expect(compression.getClientMessages()).to.equal(5);
+            expect(compression.getUncompressedSize()).to.equal(payload.length + 5);
+            expect(frame).to.deep.equal(new Client().encodeMessage(5, payload));
+        });
+    });
+
+    context('enableCompression()', () => {
+        it('returns the client instance', () => {
+            const client = new Client();
+
+            expect(client.enableCompression('deflate_stream')).to.equal(client);
+        });
     });
 
     context('handleNetworkFragment()', () => {
@@ -278,6 +321,38 @@ describe('Client', () => {
         });
     });
 
+    context('handleServerClose()', () => {
+        beforeEach('load module', () => {
+            Client = require('../../../lib/Protocol/Client');
+        });
+
+        it('fails any pending work with a generic error', () => {
+            const client = new Client(new PassThrough());
+            const pending = new OkHandler().sendMessage(client._workQueue, client.getConnection(), Buffer.alloc(0));
+
+            client.handleServerClose();
+
+            return pending
+                .then(() => expect.fail())
+                .catch(err => {
+                    expect(err.message).to.equal(errors.MESSAGES.ERR_SERVER_GONE_AWAY);
+                    return expect(client.isRunning()).to.equal(false);
+                });
+        });
+
+        it('fails any pending work with a specific error', () => {
+            const client = new Client(new PassThrough());
+            const pending = new OkHandler().sendMessage(client._workQueue, client.getConnection(), Buffer.alloc(0));
+            const error = new Error('foobar');
+
+            client.handleServerClose(error);
+
+            return pending
+                .then(() => expect.fail())
+                .catch(err => expect(err).to.equal(error));
+        });
+    });
+
     context('handleServerMessage()', () => {
         let process;
 
@@ -306,6 +381,28 @@ describe('Client', () => {
             expect(td.explain(process).callCount).to.equal(0);
         });
 
+        it('reports every notice frame to the notice listener', () => {
+            const listener = td.function();
+            const client = new Client().onNotice(listener);
+            const warning = new NoticeStub.Warning();
+            const frame = new NoticeStub.Frame();
+
+            warning.setLevel(NoticeStub.Warning.Level.WARNING);
+            warning.setCode(1);
+            warning.setMsg('foo');
+
+            frame.setType(NoticeStub.Frame.Type.WARNING);
+            frame.setScope(Scope.LOCAL);
+            frame.setPayload(warning.serializeBinary());
+
+            client.handleServerMessage(client.encodeMessage(MysqlxStub.ServerMessages.Type.NOTICE, Buffer.from(frame.serializeBinary())));
+
+            expect(td.explain(listener).callCount).to.equal(1);
+            expect(td.explain(listener).calls[0].args[0].toJSON()).to.deep.equal({ type: 'WARNING', scope: 'LOCAL', payload: { level: 'WARNING', code: 1, msg: 'foo' } });
+            // Local notices are still processed by the active handler.
+            expect(td.explain(process).callCount).to.equal(1);
+        });
+
         it('does not process empty notices', () => {
             const client = new Client();
             const emptyNotice = Buffer.from('010000000b', 'hex');
@@ -314,6 +411,59 @@ describe('Client', () => {
 
             expect(td.explain(process).callCount).to.equal(0);
         });
+
+        it('processes each message contained by a Mysqlx.Connection.Compression message', () => {
+            const client = new Client().enableCompression('deflate_stream');
+            const frames = Buffer.concat([new Client().encodeMessage(13, Buffer.from('foo')), new Client().encodeMessage(13, Buffer.from('bar'))]);
+            const compression = new CompressionStub();
+
+            compression.setUncompressedSize(frames.length);
+            compression.setServerMessages(MysqlxStub.ServerMessages.Type.RESULTSET_ROW);
+            compression.setPayload(Compression.create('deflate_stream').compress(frames));
+
+            client.handleServerMessage(new Client().encodeMessage(MysqlxStub.ServerMessages.Type.COMPRESSION, Buffer.from(compression.serializeBinary())));
+
+            expect(td.explain(process).callCount).to.equal(2);
+            expect(td.explain(process).calls[0].args[0]).to.deep.equal({ id: 13, payload: Buffer.from('foo') });
+            expect(td.explain(process).calls[1].args[0]).to.deep.equal({ id: 13, payload: Buffer.from('bar') });
+        });
+
+        it('closes the connection when it receives a Mysqlx.Connection.Compression message and compression is not enabled', () => {
+            const destroy = td.function();
+            const client = new Client({ destroy });
+            const compression = new CompressionStub();
+
+            compression.setPayload(Buffer.from('foo'));
+
+            const message = client.encodeMessage(MysqlxStub.ServerMessages.Type.COMPRESSION, Buffer.from(compression.serializeBinary()));
+
+            client.handleServerMessage(message);
+
+            expect(td.explain(process).callCount).to.equal(0);
+            expect(td.explain(destroy).callCount).to.equal(1);
+            expect(td.explain(destroy).calls[0].args[0].message).to.equal(errors.MESSAGES.ERR_COMPRESSION_NOT_ENABLED);
+        });
+
+        it('closes the connection when the payload of a Mysqlx.Connection.Compression message cannot be decompressed', () => {
+            const stream = { destroy: td.function() };
+            const client = new Client(stream).enableCompression('deflate_stream');
+            const frames = Buffer.concat([client.encodeMessage(13, Buffer.from('foo')), client.encodeMessage(13, Buffer.from('bar'))]);
+            const compression = new CompressionStub();
+
+            compression.setPayload(Buffer.from('foo'));
+
+            const message = client.encodeMessage(MysqlxStub.ServerMessages.Type.COMPRESSION, Buffer.from(compression.serializeBinary()));
+
+            td.when(stream.destroy(td.matchers.isA(Error))).thenDo(() => { stream.destroyed = true; });
+
+            client.handleNetworkFragment(Buffer.concat([message, frames]));
+
+            // The messages after the one that could not be decompressed are
+            // not processed either.
+            expect(td.explain(process).callCount).to.equal(0);
+            expect(td.explain(stream.destroy).callCount).to.equal(1);
+            expect(td.explain(stream.destroy).calls[0].args[0].code).to.equal('Z_DATA_ERROR');
+        });
     });
 
     context('sessionClose()', () => {
@@ -417,6 +567,134 @@ describe('Client', () => {
         });
     });
 
+    context('cursorOpen()', () => {
+        let FakeCursorHandler, encodeMessage, encodeOpen;
+
+        beforeEach('create fakes', () => {
+            FakeCursorHandler = td.constructor(CursorHandler);
+            encodeOpen = td.function();
+
+            td.replace('../../../lib/Protocol/InboundHandlers/CursorHandler', FakeCursorHandler);
+            td.replace('../../../lib/Protocol/OutboundHandlers/Cursor', { encodeOpen });
+
+            Client = require('../../../lib/Protocol/Client');
+            encodeMessage = td.replace(Client.prototype, 'encodeMessage');
+        });
+
+        it('sends a Mysqlx.Cursor.Open message to the server', () => {
+            const client = new Client();
+
+            td.when(encodeOpen('foo', { id: 1, fetchRows: 10 })).thenReturn('bar');
+            td.when(encodeMessage(MysqlxStub.ClientMessages.Type.CURSOR_OPEN, 'bar')).thenReturn('baz');
+            td.when(FakeCursorHandler.prototype.sendMessage(td.matchers.anything(), td.matchers.anything(), 'baz')).thenResolve('qux');
+
+            return client.cursorOpen('foo', 10)
+                .then(actual => expect(actual).to.equal('qux'));
+        });
+
+        it('uses a different id for each cursor', () => {
+            const client = new Client();
+
+            td.when(encodeOpen('foo', { id: 1, fetchRows: 10 })).thenReturn('bar');
+            td.when(encodeOpen('foo', { id: 2, fetchRows: 10 })).thenReturn('baz');
+            td.when(encodeMessage(MysqlxStub.ClientMessages.Type.CURSOR_OPEN, 'baz')).thenReturn('qux');
+            td.when(FakeCursorHandler.prototype.sendMessage(), { ignoreExtraArgs: true }).thenResolve();
+            td.when(FakeCursorHandler.prototype.sendMessage(td.matchers.anything(), td.matchers.anything(), 'qux')).thenResolve('quux');
+
+            return client.cursorOpen('foo', 10)
+                .then(() => client.cursorOpen('foo', 10))
+                .then(actual => expect(actual).to.equal('quux'));
+        });
+
+        it('fails if there is an error while encoding the message', () => {
+            const error = new Error('foo');
+            const client = new Client();
+
+            td.when(encodeOpen(), { ignoreExtraArgs: true }).thenThrow(error);
+
+            return client.cursorOpen('foo', 10)
+                .then(() => expect.fail())
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    expect(client._cursorId).to.equal(0);
+                });
+        });
+    });
+
+    context('cursorFetch()', () => {
+        let FakeCursorHandler, encodeFetch, encodeMessage;
+
+        beforeEach('create fakes', () => {
+            FakeCursorHandler = td.constructor(CursorHandler);
+            encodeFetch = td.function();
+
+            td.replace('../../../lib/Protocol/InboundHandlers/CursorHandler', FakeCursorHandler);
+            td.replace('../../../lib/Protocol/OutboundHandlers/Cursor', { encodeFetch });
+
+            Client = require('../../../lib/Protocol/Client');
+            encodeMessage = td.replace(Client.prototype, 'encodeMessage');
+        });
+
+        it('sends a Mysqlx.Cursor.Fetch message to the server', () => {
+            const client = new Client();
+
+            td.when(encodeFetch({ id: 1, fetchRows: 10 })).thenReturn('foo');
+            td.when(encodeMessage(MysqlxStub.ClientMessages.Type.CURSOR_FETCH, 'foo')).thenReturn('bar');
+            td.when(FakeCursorHandler.prototype.sendMessage(td.matchers.anything(), td.matchers.anything(), 'bar')).thenResolve('baz');
+
+            return client.cursorFetch({ id: 1, metadata: ['qux'], suspended: true }, 10)
+                .then(actual => expect(actual).to.equal('baz'));
+        });
+
+        it('fails if there is an error while encoding the message', () => {
+            const error = new Error('foo');
+            const client = new Client();
+
+            td.when(encodeFetch(), { ignoreExtraArgs: true }).thenThrow(error);
+
+            return client.cursorFetch({ id: 1 }, 10)
+                .then(() => expect.fail())
+                .catch(err => expect(err).to.deep.equal(error));
+        });
+    });
+
+    context('cursorClose()', () => {
+        let FakeOkHandler, encodeClose, encodeMessage;
+
+        beforeEach('create fakes', () => {
+            FakeOkHandler = td.constructor(OkHandler);
+            encodeClose = td.function();
+
+            td.replace('../../../lib/Protocol/InboundHandlers/OkHandler', FakeOkHandler);
+            td.replace('../../../lib/Protocol/OutboundHandlers/Cursor', { encodeClose });
+
+            Client = require('../../../lib/Protocol/Client');
+            encodeMessage = td.replace(Client.prototype, 'encodeMessage');
+        });
+
+        it('sends a Mysqlx.Cursor.Close message to the server', () => {
+            const client = new Client();
+
+            td.when(encodeClose({ id: 1 })).thenReturn('foo');
+            td.when(encodeMessage(MysqlxStub.ClientMessages.Type.CURSOR_CLOSE, 'foo')).thenReturn('bar');
+            td.when(FakeOkHandler.prototype.sendMessage(td.matchers.anything(), td.matchers.anything(), 'bar')).thenResolve('baz');
+
+            return client.cursorClose({ id: 1, suspended: true })
+                .then(actual => expect(actual).to.equal('baz'));
+        });
+
+        it('fails if there is an error while encoding the message', () => {
+            const error = new Error('foo');
+            const client = new Client();
+
+            td.when(encodeClose(), { ignoreExtraArgs: true }).thenThrow(error);
+
+            return client.cursorClose({ id: 1 })
+                .then(() => expect.fail())
+                .catch(err => expect(err).to.deep.equal(error));
+        });
+    });
+
     context('sessionReset()', () => {
         let FakeOkHandler, authenticate, encodeMessage, encodeReset, network;
 
@@ -0,0 +1,99 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const compression = require('../../../lib/Protocol/Compression');
+const expect = require('chai').expect;
+const zlib = require('zlib');
+
+describe('X Protocol compression', () => {
+    context('ALGORITHMS', () => {
+        it('contains the names of all the algorithms defined by the X Protocol by order of preference', () => {
+            expect(compression.ALGORITHMS).to.deep.equal(['zstd_stream', 'lz4_message', 'deflate_stream']);
+        });
+    });
+
+    context('SUPPORTED_ALGORITHMS', () => {
+        it('contains the names of the algorithms supported by the client', () => {
+            expect(compression.SUPPORTED_ALGORITHMS).to.include('deflate_stream');
+        });
+    });
+
+    context('deflate_stream', () => {
+        it('compresses messages as part of the same deflate stream', done => {
+            const context = compression.create('deflate_stream');
+            const messages = [Buffer.alloc(2000, 'foo'), Buffer.alloc(3000, 'bar'), Buffer.alloc(2000, 'foo')];
+            const inflate = zlib.createInflate();
+            const chunks = [];
+
+            inflate.on('data', chunk => chunks.push(chunk));
+
+            messages.forEach(message => inflate.write(context.compress(message)));
+
+            inflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+                expect(Buffer.concat(chunks)).to.deep.equal(Buffer.concat(messages));
+                done();
+            });
+        });
+
+        it('references data from previous messages', () => {
+            const context = compression.create('deflate_stream');
+            const message = Buffer.from(Array.from({ length: 2000 }, (_, i) => i % 251));
+
+            const first = context.compress(message);
+            const second = context.compress(message);
+
+            expect(second.length).to.be.below(first.length);
+        });
+
+        it('decompresses messages that are part of the same deflate stream', () => {
+            const context = compression.create('deflate_stream');
+            const messages = [Buffer.alloc(2000, 'foo'), Buffer.alloc(3000, 'bar'), Buffer.alloc(2000, 'foo')];
+            const deflate = compression.create('deflate_stream');
+
+            messages.forEach(message => expect(context.decompress(deflate.compress(message))).to.deep.equal(message));
+        });
+
+        it('decompresses messages that span beyond the size of the sliding window', () => {
+            const context = compression.create('deflate_stream');
+            const messages = [Buffer.alloc(40 * 1024, 'foo'), Buffer.alloc(40 * 1024, 'bar'), Buffer.alloc(1000, 'foo')];
+            const deflate = compression.create('deflate_stream');
+
+            messages.forEach(message => expect(context.decompress(deflate.compress(message))).to.deep.equal(message));
+        });
+
+        it('returns the name of the algorithm', () => {
+            expect(compression.create('deflate_stream').getAlgorithm()).to.equal('deflate_stream');
+        });
+    });
+});
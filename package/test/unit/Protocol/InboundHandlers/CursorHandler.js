@@ -0,0 +1,133 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const expect = require('chai').expect;
+const td = require('testdouble');
+
+// subject under test needs to be reloaded with replacement fakes
+let CursorHandler = require('../../../../lib/Protocol/InboundHandlers/CursorHandler');
+
+describe('CursorHandler inbound handler', () => {
+    let fetchSuspended, info, logger, stmtExecuteOk;
+
+    beforeEach('create fakes', () => {
+        info = td.function();
+
+        fetchSuspended = td.replace('../../../../lib/Protocol/Wrappers/Messages/Resultset/FetchSuspended');
+        logger = td.replace('../../../../lib/tool/log');
+        stmtExecuteOk = td.replace('../../../../lib/Protocol/Wrappers/Messages/Sql/StmtExecuteOk');
+
+        td.when(logger('protocol:inbound:Mysqlx')).thenReturn({ info });
+
+        CursorHandler = require('../../../../lib/Protocol/InboundHandlers/CursorHandler');
+    });
+
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    context('when it is created', () => {
+        it('starts without column metadata when the cursor is opened', () => {
+            const handler = new CursorHandler({ id: 1 });
+
+            expect(handler._currentResultsetMetadata).to.deep.equal([]);
+            expect(handler._metadataHandlerCalled).to.equal(false);
+        });
+
+        it('uses the column metadata of the result set that is still being fetched', () => {
+            const handler = new CursorHandler({ id: 1, metadata: ['foo'] });
+
+            expect(handler._currentResultsetMetadata).to.deep.equal(['foo']);
+            expect(handler._metadataHandlerCalled).to.equal(true);
+        });
+    });
+
+    context('when a Mysqlx.Resultset.FetchSuspended message is received', () => {
+        it('marks the cursor as suspended', () => {
+            const handler = new CursorHandler({ id: 1 });
+
+            handler[fetchSuspended.MESSAGE_ID]('foo');
+
+            expect(handler._suspended).to.equal(true);
+        });
+
+        it('logs the protocol message', () => {
+            const handler = new CursorHandler({ id: 1 });
+
+            td.when(fetchSuspended.deserialize('foo')).thenReturn('bar');
+
+            handler[fetchSuspended.MESSAGE_ID]('foo');
+
+            expect(td.explain(info).callCount).to.equal(1);
+            expect(td.explain(info).calls[0].args[0]).to.equal('Resultset.FetchSuspended');
+            expect(td.explain(info).calls[0].args[1]).to.equal('bar');
+        });
+    });
+
+    context('when a Mysqlx.Sql.StmtExecuteOk message is received', () => {
+        it('finishes the associated job in the queue', () => {
+            const handler = new CursorHandler({ id: 1 });
+            handler._resolve = () => {};
+
+            const queueDone = td.function();
+
+            handler[stmtExecuteOk.MESSAGE_ID]('foo', queueDone);
+
+            expect(td.explain(queueDone).callCount).to.equal(1);
+        });
+
+        it('invokes the finishing handler with the relevant state and the cursor details', () => {
+            const handler = new CursorHandler({ id: 3 });
+            handler._resolve = td.function();
+            handler._currentResultsetMetadata = ['foo'];
+            handler._metadataForAllResultsets = [['bar']];
+            handler._results = [['baz']];
+            handler._suspended = true;
+
+            handler[stmtExecuteOk.MESSAGE_ID]('qux', () => {});
+
+            expect(td.explain(handler._resolve).callCount).to.equal(1);
+            expect(td.explain(handler._resolve).calls[0].args[0]).to.deep.equal({
+                cursor: { id: 3, metadata: ['foo'], suspended: true },
+                results: [['baz']],
+                generatedDocumentIds: [],
+                generatedInsertId: undefined,
+                messages: [],
+                metadata: [['bar']],
+                rowsAffected: 0,
+                warnings: []
+            });
+        });
+    });
+});
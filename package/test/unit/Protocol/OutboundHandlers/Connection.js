@@ -39,12 +39,13 @@ const td = require('testdouble');
 let connection = require('../../../../lib/Protocol/OutboundHandlers/Connection');
 
 describe('Mysqlx.Connection outbound handler', () => {
-    let capabilitiesGet, capabilitiesSet, close, logger, info;
+    let capabilitiesGet, capabilitiesSet, close, compression, logger, info;
 
     beforeEach('create fakes', () => {
         capabilitiesGet = td.replace('../../../../lib/Protocol/Wrappers/Messages/Connection/CapabilitiesGet');
         capabilitiesSet = td.replace('../../../../lib/Protocol/Wrappers/Messages/Connection/CapabilitiesSet');
         close = td.replace('../../../../lib/Protocol/Wrappers/Messages/Connection/Close');
+        compression = td.replace('../../../../lib/Protocol/Wrappers/Messages/Connection/Compression');
         logger = td.replace('../../../../lib/tool/log');
 
         info = td.function();
@@ -92,4 +93,16 @@ describe('Mysqlx.Connection outbound handler', () => {
         expect(td.explain(info).calls[0].args[0]).to.equal('Close');
         expect(td.explain(info).calls[0].args[1]).to.deep.equal(message);
     });
+
+    it('serializes and logs Mysqlx.Connection.Compression messages', () => {
+        const message = { serialize: td.function() };
+
+        td.when(compression.create('foo', { uncompressedSize: 3 })).thenReturn(message);
+        td.when(message.serialize()).thenReturn('bar');
+
+        expect(connection.encodeCompression('foo', { uncompressedSize: 3 })).to.equal('bar');
+        expect(td.explain(info).callCount).to.equal(1);
+        expect(td.explain(info).calls[0].args[0]).to.equal('Compression');
+        expect(td.explain(info).calls[0].args[1]).to.deep.equal(message);
+    });
 });
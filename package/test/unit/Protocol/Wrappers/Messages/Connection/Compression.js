@@ -0,0 +1,148 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const ClientMessages = require('../../../../../../lib/Protocol/Stubs/mysqlx_pb').ClientMessages;
+const ServerMessages = require('../../../../../../lib/Protocol/Stubs/mysqlx_pb').ServerMessages;
+const expect = require('chai').expect;
+const td = require('testdouble');
+
+// subject under test needs to be reloaded with replacement fakes
+let compression = require('../../../../../../lib/Protocol/Wrappers/Messages/Connection/Compression');
+
+describe('Mysqlx.Connection.Compression wrapper', () => {
+    let ConnectionStub, bytes, serializable, wraps;
+
+    beforeEach('create fakes', () => {
+        ConnectionStub = td.replace('../../../../../../lib/Protocol/Stubs/mysqlx_connection_pb');
+        bytes = td.replace('../../../../../../lib/Protocol/Wrappers/ScalarValues/bytes');
+        serializable = td.replace('../../../../../../lib/Protocol/Wrappers/Traits/Serializable');
+        wraps = td.replace('../../../../../../lib/Protocol/Wrappers/Traits/Wraps');
+        compression = require('../../../../../../lib/Protocol/Wrappers/Messages/Connection/Compression');
+    });
+
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    context('class methods', () => {
+        context('create()', () => {
+            it('returns a Mysqlx.Connection.Compression wrap instance for a given payload', () => {
+                const payload = Buffer.from('foo');
+
+                td.when(wraps(td.matchers.isA(ConnectionStub.Compression))).thenReturn({ valueOf: () => 'bar' });
+
+                expect(compression.create(payload, { clientMessages: 1, uncompressedSize: 10 }).valueOf()).to.equal('bar');
+                expect(td.explain(ConnectionStub.Compression.prototype.setPayload).calls[0].args[0]).to.equal(payload);
+                expect(td.explain(ConnectionStub.Compression.prototype.setUncompressedSize).calls[0].args[0]).to.equal(10);
+                expect(td.explain(ConnectionStub.Compression.prototype.setClientMessages).calls[0].args[0]).to.equal(1);
+            });
+
+            it('does not set the type of the compressed message if it is not specified', () => {
+                compression.create(Buffer.from('foo'), { uncompressedSize: 10 });
+
+                expect(td.explain(ConnectionStub.Compression.prototype.setClientMessages).callCount).to.equal(0);
+            });
+        });
+
+        context('deserialize()', () => {
+            it('returns a Mysqlx.Connection.Compression wrap instance for a given raw payload', () => {
+                const proto = new ConnectionStub.Compression();
+
+                td.when(bytes.deserialize('foo')).thenReturn('bar');
+                td.when(ConnectionStub.Compression.deserializeBinary('bar')).thenReturn(proto);
+                td.when(wraps(proto)).thenReturn({ valueOf: () => 'baz' });
+
+                expect(compression.deserialize('foo').valueOf()).to.equal('baz');
+            });
+        });
+    });
+
+    context('instance methods', () => {
+        context('getPayload()', () => {
+            it('returns the compressed payload as a Node.js Buffer', () => {
+                const proto = new ConnectionStub.Compression();
+
+                td.when(proto.getPayload_asU8()).thenReturn(new Uint8Array([1, 2, 3]));
+
+                expect(compression(proto).getPayload()).to.deep.equal(Buffer.from([1, 2, 3]));
+            });
+        });
+
+        context('serialize()', () => {
+            it('returns the raw buffer data to be sent through the wire', () => {
+                const proto = new ConnectionStub.Compression();
+
+                td.when(serializable(proto)).thenReturn({ serialize: () => 'foo' });
+
+                expect(compression(proto).serialize()).to.equal('foo');
+            });
+        });
+
+        context('toJSON()', () => {
+            it('returns a textual representation of a Mysqlx.Connection.Compression message sent by the client', () => {
+                const proto = new ConnectionStub.Compression();
+
+                td.when(proto.getUncompressedSize()).thenReturn(10);
+                td.when(proto.hasClientMessages()).thenReturn(true);
+                td.when(proto.getClientMessages()).thenReturn(ClientMessages.Type.CRUD_INSERT);
+                td.when(proto.getPayload()).thenReturn('foo');
+                td.when(bytes('foo')).thenReturn({ toJSON: () => 'bar' });
+
+                expect(compression(proto).toJSON()).to.deep.equal({ uncompressed_size: 10, client_messages: 'CRUD_INSERT', payload: 'bar' });
+            });
+
+            it('returns a textual representation of a Mysqlx.Connection.Compression message sent by the server', () => {
+                const proto = new ConnectionStub.Compression();
+
+                td.when(proto.getUncompressedSize()).thenReturn(10);
+                td.when(proto.hasServerMessages()).thenReturn(true);
+                td.when(proto.getServerMessages()).thenReturn(ServerMessages.Type.RESULTSET_ROW);
+                td.when(proto.getPayload()).thenReturn('foo');
+                td.when(bytes('foo')).thenReturn({ toJSON: () => 'bar' });
+
+                expect(compression(proto).toJSON()).to.deep.equal({ uncompressed_size: 10, server_messages: 'RESULTSET_ROW', payload: 'bar' });
+            });
+        });
+
+        context('valueOf()', () => {
+            it('returns the underlying protobuf stub instance', () => {
+                const proto = new ConnectionStub.Compression();
+
+                td.when(wraps(proto)).thenReturn({ valueOf: () => 'foo' });
+
+                expect(compression(proto).valueOf()).to.equal('foo');
+            });
+        });
+    });
+});
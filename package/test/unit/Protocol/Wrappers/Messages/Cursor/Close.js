@@ -0,0 +1,98 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const expect = require('chai').expect;
+const td = require('testdouble');
+
+// subject under test needs to be reloaded with replacement fakes
+let close = require('../../../../../../lib/Protocol/Wrappers/Messages/Cursor/Close');
+
+describe('Mysqlx.Cursor.Close wrapper', () => {
+    let CursorStub, serializable, wraps;
+
+    beforeEach('create fakes', () => {
+        CursorStub = td.replace('../../../../../../lib/Protocol/Stubs/mysqlx_cursor_pb');
+        serializable = td.replace('../../../../../../lib/Protocol/Wrappers/Traits/Serializable');
+        wraps = td.replace('../../../../../../lib/Protocol/Wrappers/Traits/Wraps');
+        close = require('../../../../../../lib/Protocol/Wrappers/Messages/Cursor/Close');
+    });
+
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    context('class methods', () => {
+        context('create()', () => {
+            it('returns a Mysqlx.Cursor.Close wrap instance for a given cursor', () => {
+                td.when(wraps(td.matchers.isA(CursorStub.Close))).thenReturn({ valueOf: () => 'foo' });
+
+                expect(close.create({ id: 1 }).valueOf()).to.equal('foo');
+                expect(td.explain(CursorStub.Close.prototype.setCursorId).callCount).to.equal(1);
+                expect(td.explain(CursorStub.Close.prototype.setCursorId).calls[0].args[0]).to.equal(1);
+            });
+        });
+    });
+
+    context('instance methods', () => {
+        context('serialize()', () => {
+            it('returns the raw buffer data to be sent through the wire', () => {
+                const proto = new CursorStub.Close();
+
+                td.when(serializable(proto)).thenReturn({ serialize: () => 'foo' });
+
+                expect(close(proto).serialize()).to.equal('foo');
+            });
+        });
+
+        context('toJSON()', () => {
+            it('returns a textual representation of a Mysqlx.Cursor.Close message', () => {
+                const proto = new CursorStub.Close();
+
+                td.when(proto.getCursorId()).thenReturn(3);
+
+                expect(close(proto).toJSON()).to.deep.equal({ cursor_id: 3 });
+            });
+        });
+
+        context('valueOf()', () => {
+            it('returns the underlying protobuf stub instance', () => {
+                const proto = new CursorStub.Close();
+
+                td.when(wraps(proto)).thenReturn({ valueOf: () => 'foo' });
+
+                expect(close(proto).valueOf()).to.equal('foo');
+            });
+        });
+    });
+});
@@ -0,0 +1,105 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const expect = require('chai').expect;
+const td = require('testdouble');
+
+// subject under test needs to be reloaded with replacement fakes
+let fetch = require('../../../../../../lib/Protocol/Wrappers/Messages/Cursor/Fetch');
+
+describe('Mysqlx.Cursor.Fetch wrapper', () => {
+    let CursorStub, serializable, wraps;
+
+    beforeEach('create fakes', () => {
+        CursorStub = td.replace('../../../../../../lib/Protocol/Stubs/mysqlx_cursor_pb');
+        serializable = td.replace('../../../../../../lib/Protocol/Wrappers/Traits/Serializable');
+        wraps = td.replace('../../../../../../lib/Protocol/Wrappers/Traits/Wraps');
+        fetch = require('../../../../../../lib/Protocol/Wrappers/Messages/Cursor/Fetch');
+    });
+
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    context('class methods', () => {
+        context('create()', () => {
+            it('returns a Mysqlx.Cursor.Fetch wrap instance for a given cursor', () => {
+                td.when(wraps(td.matchers.isA(CursorStub.Fetch))).thenReturn({ valueOf: () => 'foo' });
+
+                expect(fetch.create({ id: 1, fetchRows: 10 }).valueOf()).to.equal('foo');
+                expect(td.explain(CursorStub.Fetch.prototype.setCursorId).calls[0].args[0]).to.equal(1);
+                expect(td.explain(CursorStub.Fetch.prototype.setFetchRows).calls[0].args[0]).to.equal(10);
+            });
+
+            it('does not set the number of rows to fetch if it is not specified', () => {
+                fetch.create({ id: 1 });
+
+                expect(td.explain(CursorStub.Fetch.prototype.setFetchRows).callCount).to.equal(0);
+            });
+        });
+    });
+
+    context('instance methods', () => {
+        context('serialize()', () => {
+            it('returns the raw buffer data to be sent through the wire', () => {
+                const proto = new CursorStub.Fetch();
+
+                td.when(serializable(proto)).thenReturn({ serialize: () => 'foo' });
+
+                expect(fetch(proto).serialize()).to.equal('foo');
+            });
+        });
+
+        context('toJSON()', () => {
+            it('returns a textual representation of a Mysqlx.Cursor.Fetch message', () => {
+                const proto = new CursorStub.Fetch();
+
+                td.when(proto.getCursorId()).thenReturn(3);
+                td.when(proto.getFetchRows()).thenReturn(10);
+
+                expect(fetch(proto).toJSON()).to.deep.equal({ cursor_id: 3, fetch_rows: 10 });
+            });
+        });
+
+        context('valueOf()', () => {
+            it('returns the underlying protobuf stub instance', () => {
+                const proto = new CursorStub.Fetch();
+
+                td.when(wraps(proto)).thenReturn({ valueOf: () => 'foo' });
+
+                expect(fetch(proto).valueOf()).to.equal('foo');
+            });
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const CursorStub = require('../../../../../../lib/Protocol/Stubs/mysqlx_cursor_pb');
+const PrepareStub = require('../../../../../../lib/Protocol/Stubs/mysqlx_prepare_pb');
+const expect = require('chai').expect;
+const td = require('testdouble');
+
+// subject under test needs to be reloaded with replacement fakes
+let open = require('../../../../../../lib/Protocol/Wrappers/Messages/Cursor/Open');
+
+describe('Mysqlx.Cursor.Open wrapper', () => {
+    let execute, serializable;
+
+    beforeEach('create fakes', () => {
+        execute = td.replace('../../../../../../lib/Protocol/Wrappers/Messages/Prepare/Execute');
+        serializable = td.replace('../../../../../../lib/Protocol/Wrappers/Traits/Serializable');
+        open = require('../../../../../../lib/Protocol/Wrappers/Messages/Cursor/Open');
+    });
+
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    context('class methods', () => {
+        context('create()', () => {
+            it('returns a Mysqlx.Cursor.Open wrap instance for a given prepared statement', () => {
+                const statement = 'foo';
+                const prepareExecute = new PrepareStub.Execute();
+
+                td.when(execute.create(statement)).thenReturn({ valueOf: () => prepareExecute });
+
+                const proto = open.create(statement, { id: 1, fetchRows: 10 }).valueOf();
+
+                expect(proto.getCursorId()).to.equal(1);
+                expect(proto.getFetchRows()).to.equal(10);
+                expect(proto.getStmt().getType()).to.equal(CursorStub.Open.OneOfMessage.Type.PREPARE_EXECUTE);
+                expect(proto.getStmt().getPrepareExecute()).to.equal(prepareExecute);
+            });
+
+            it('does not set the number of rows to fetch if it is not specified', () => {
+                td.when(execute.create('foo')).thenReturn({ valueOf: () => new PrepareStub.Execute() });
+
+                expect(open.create('foo', { id: 1 }).valueOf().hasFetchRows()).to.equal(false);
+            });
+        });
+    });
+
+    context('instance methods', () => {
+        context('serialize()', () => {
+            it('returns the raw buffer data to be sent through the wire', () => {
+                const proto = new CursorStub.Open();
+
+                td.when(serializable(proto)).thenReturn({ serialize: () => 'foo' });
+
+                expect(open(proto).serialize()).to.equal('foo');
+            });
+        });
+
+        context('toJSON()', () => {
+            it('returns a textual representation of a Mysqlx.Cursor.Open message', () => {
+                const proto = new CursorStub.Open();
+                const stmt = new CursorStub.Open.OneOfMessage();
+
+                stmt.setType(CursorStub.Open.OneOfMessage.Type.PREPARE_EXECUTE);
+                stmt.setPrepareExecute(new PrepareStub.Execute());
+
+                proto.setCursorId(1);
+                proto.setStmt(stmt);
+                proto.setFetchRows(10);
+
+                td.when(execute(td.matchers.isA(PrepareStub.Execute))).thenReturn({ toJSON: () => 'foo' });
+
+                expect(open(proto).toJSON()).to.deep.equal({ cursor_id: 1, stmt: { type: 'PREPARE_EXECUTE', prepare_execute: 'foo' }, fetch_rows: 10 });
+            });
+        });
+
+        context('valueOf()', () => {
+            it('returns the underlying protobuf stub instance', () => {
+                const proto = new CursorStub.Open();
+
+                expect(open(proto).valueOf()).to.equal(proto);
+            });
+        });
+    });
+});
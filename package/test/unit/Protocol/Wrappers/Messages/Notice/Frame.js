@@ -39,12 +39,13 @@ const td = require('testdouble');
 let frame = require('../../../../../../lib/Protocol/Wrappers/Messages/Notice/Frame');
 
 describe('Mysqlx.Notice.Frame wrapper', () => {
-    let NoticeStub, bytes, empty, sessionStateChanged, sessionVariableChanged, warning, wraps;
+    let NoticeStub, bytes, empty, groupReplicationStateChanged, sessionStateChanged, sessionVariableChanged, warning, wraps;
 
     beforeEach('create fakes', () => {
         NoticeStub = td.replace('../../../../../../lib/Protocol/Stubs/mysqlx_notice_pb');
         bytes = td.replace('../../../../../../lib/Protocol/Wrappers/ScalarValues/bytes');
         empty = td.replace('../../../../../../lib/Protocol/Wrappers/Traits/Empty');
+        groupReplicationStateChanged = td.replace('../../../../../../lib/Protocol/Wrappers/Messages/Notice/GroupReplicationStateChanged');
         sessionStateChanged = td.replace('../../../../../../lib/Protocol/Wrappers/Messages/Notice/SessionStateChanged');
         sessionVariableChanged = td.replace('../../../../../../lib/Protocol/Wrappers/Messages/Notice/SessionVariableChanged');
         warning = td.replace('../../../../../../lib/Protocol/Wrappers/Messages/Notice/Warning');
@@ -103,6 +104,17 @@ describe('Mysqlx.Notice.Frame wrapper', () => {
                 expect(frame(proto).getPayload()).to.equal('baz');
             });
 
+            it('returns a proper wrap instance for GROUP_REPLICATION_STATE_CHANGED notices', () => {
+                const proto = new NoticeStub.Frame();
+
+                td.when(proto.getType()).thenReturn(NoticeStub.Frame.Type.GROUP_REPLICATION_STATE_CHANGED);
+                td.when(proto.getPayload()).thenReturn('foo');
+                td.when(bytes('foo')).thenReturn({ toBuffer: () => 'bar' });
+                td.when(groupReplicationStateChanged.deserialize('bar')).thenReturn('baz');
+
+                expect(frame(proto).getPayload()).to.equal('baz');
+            });
+
             it('returns a proper wrap instance for SERVER_HELLO notices', () => {
                 const proto = new NoticeStub.Frame();
 
@@ -217,6 +229,18 @@ describe('Mysqlx.Notice.Frame wrapper', () => {
                 expect(wrap.toObject()).to.deep.equal({ type: NoticeStub.Frame.Type.SESSION_STATE_CHANGED, scope: 'foo', state: 'bar' });
             });
 
+            it('returns a plain JavaScript object representation of a GroupReplicationStateChanged notice', () => {
+                const proto = new NoticeStub.Frame();
+                const wrap = frame(proto);
+                const getPayload = td.replace(wrap, 'getPayload');
+
+                td.when(proto.getScope()).thenReturn('foo');
+                td.when(getPayload()).thenReturn({ toObject: () => 'bar' });
+                td.when(proto.getType()).thenReturn(NoticeStub.Frame.Type.GROUP_REPLICATION_STATE_CHANGED);
+
+                expect(wrap.toObject()).to.deep.equal({ type: NoticeStub.Frame.Type.GROUP_REPLICATION_STATE_CHANGED, scope: 'foo', groupReplication: 'bar' });
+            });
+
             it('returns a plain JavaScript representation of an unknown notice', () => {
                 const proto = new NoticeStub.Frame();
 
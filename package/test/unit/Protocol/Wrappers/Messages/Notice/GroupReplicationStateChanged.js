@@ -0,0 +1,139 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+'use strict';
+
+/* eslint-env node, mocha */
+
+const expect = require('chai').expect;
+const td = require('testdouble');
+
+// subject under test needs to be reloaded with replacement fakes
+let groupReplicationStateChanged = require('../../../../../../lib/Protocol/Wrappers/Messages/Notice/GroupReplicationStateChanged');
+
+describe('Mysqlx.Notice.GroupReplicationStateChanged wrapper', () => {
+    let NoticeStub, bytes, wraps;
+
+    beforeEach('create fakes', () => {
+        NoticeStub = td.replace('../../../../../../lib/Protocol/Stubs/mysqlx_notice_pb');
+        bytes = td.replace('../../../../../../lib/Protocol/Wrappers/ScalarValues/bytes');
+        wraps = td.replace('../../../../../../lib/Protocol/Wrappers/Traits/Wraps');
+        groupReplicationStateChanged = require('../../../../../../lib/Protocol/Wrappers/Messages/Notice/GroupReplicationStateChanged');
+    });
+
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    context('class methods', () => {
+        context('deserialize()', () => {
+            it('returns a Mysqlx.Notice.GroupReplicationStateChanged wrap instance based on raw protocol data from the network', () => {
+                td.when(bytes.deserialize('foo')).thenReturn('baz');
+                td.when(NoticeStub.GroupReplicationStateChanged.deserializeBinary('baz')).thenReturn('qux');
+                td.when(wraps('qux')).thenReturn({ valueOf: () => 'bar' });
+
+                expect(groupReplicationStateChanged.deserialize('foo').valueOf()).to.equal('bar');
+            });
+        });
+    });
+
+    context('instance methods', () => {
+        context('getType()', () => {
+            it('returns the name of the kind of change in the group', () => {
+                const proto = new NoticeStub.GroupReplicationStateChanged();
+
+                td.when(proto.getType()).thenReturn(NoticeStub.GroupReplicationStateChanged.Type.MEMBERSHIP_QUORUM_LOSS);
+                expect(groupReplicationStateChanged(proto).getType()).to.equal('MEMBERSHIP_QUORUM_LOSS');
+
+                td.when(proto.getType()).thenReturn(NoticeStub.GroupReplicationStateChanged.Type.MEMBERSHIP_VIEW_CHANGE);
+                expect(groupReplicationStateChanged(proto).getType()).to.equal('MEMBERSHIP_VIEW_CHANGE');
+
+                td.when(proto.getType()).thenReturn(NoticeStub.GroupReplicationStateChanged.Type.MEMBER_ROLE_CHANGE);
+                expect(groupReplicationStateChanged(proto).getType()).to.equal('MEMBER_ROLE_CHANGE');
+
+                td.when(proto.getType()).thenReturn(NoticeStub.GroupReplicationStateChanged.Type.MEMBER_STATE_CHANGE);
+                expect(groupReplicationStateChanged(proto).getType()).to.equal('MEMBER_STATE_CHANGE');
+            });
+        });
+
+        context('getTypeId()', () => {
+            it('returns the protocol identifier of the kind of change in the group', () => {
+                const proto = new NoticeStub.GroupReplicationStateChanged();
+
+                td.when(proto.getType()).thenReturn('foo');
+
+                expect(groupReplicationStateChanged(proto).getTypeId()).to.equal('foo');
+            });
+        });
+
+        context('getViewId()', () => {
+            it('returns the identifier of the current group view', () => {
+                const proto = new NoticeStub.GroupReplicationStateChanged();
+
+                td.when(proto.getViewId()).thenReturn('foo');
+
+                expect(groupReplicationStateChanged(proto).getViewId()).to.equal('foo');
+            });
+        });
+
+        context('toJSON()', () => {
+            it('returns a textual representation of a Mysqlx.Notice.GroupReplicationStateChanged message', () => {
+                const proto = new NoticeStub.GroupReplicationStateChanged();
+
+                const wrapper = groupReplicationStateChanged(proto);
+                const getType = td.replace(wrapper, 'getType');
+
+                td.when(getType()).thenReturn('foo');
+                td.when(proto.getViewId()).thenReturn('bar');
+
+                expect(wrapper.toJSON()).to.deep.equal({ type: 'foo', view_id: 'bar' });
+            });
+        });
+
+        context('toObject()', () => {
+            it('returns a plain JavaScript object representation of the underlying data', () => {
+                const proto = new NoticeStub.GroupReplicationStateChanged();
+
+                td.when(proto.toObject()).thenReturn('foo');
+
+                expect(groupReplicationStateChanged(proto).toObject()).to.equal('foo');
+            });
+        });
+
+        context('valueOf()', () => {
+            it('returns the underlying protobuf stub instance', () => {
+                const proto = new NoticeStub.GroupReplicationStateChanged();
+
+                td.when(wraps(proto)).thenReturn({ valueOf: () => 'foo' });
+
+                expect(groupReplicationStateChanged(proto).valueOf()).to.equal('foo');
+            });
+        });
+    });
+});
@@ -114,6 +114,18 @@ describe('Mysqlx.Notice.SessionStateChanged wrapper', () => {
             });
         });
 
+        context('getValues()', () => {
+            it('returns the new values of the state parameter', () => {
+                const proto = new NoticeStub.SessionStateChanged();
+
+                td.when(proto.getValueList()).thenReturn(['foo', 'bar']);
+                td.when(scalar('foo')).thenReturn({ toLiteral: () => 'baz' });
+                td.when(scalar('bar')).thenReturn({ toLiteral: () => 'qux' });
+
+                expect(sessionStateChanged(proto).getValues()).to.deep.equal(['baz', 'qux']);
+            });
+        });
+
         context('toJSON()', () => {
             it('returns a textual representation of a Mysqlx.Notice.SessionStateChanged message', () => {
                 const proto = new NoticeStub.SessionStateChanged();
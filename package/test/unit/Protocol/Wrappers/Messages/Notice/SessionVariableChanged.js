@@ -66,6 +66,27 @@ describe('Mysqlx.Notice.SessionVariableChanged wrapper', () => {
     });
 
     context('instance methods', () => {
+        context('getParameter()', () => {
+            it('returns the name of the session variable that has changed', () => {
+                const proto = new NoticeStub.SessionVariableChanged();
+
+                td.when(proto.getParam()).thenReturn('foo');
+
+                expect(sessionVariableChanged(proto).getParameter()).to.equal('foo');
+            });
+        });
+
+        context('getValue()', () => {
+            it('returns the new value of the session variable', () => {
+                const proto = new NoticeStub.SessionVariableChanged();
+
+                td.when(proto.getValue()).thenReturn('foo');
+                td.when(scalar('foo')).thenReturn({ toLiteral: () => 'bar' });
+
+                expect(sessionVariableChanged(proto).getValue()).to.equal('bar');
+            });
+        });
+
         context('toJSON()', () => {
             it('returns a textual representation of a Mysqlx.Notice.SessionVariableChanged message', () => {
                 const proto = new NoticeStub.SessionVariableChanged();
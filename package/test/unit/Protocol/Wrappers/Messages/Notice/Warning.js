@@ -84,6 +84,16 @@ describe('Mysqlx.Notice.Warning wrapper', () => {
             });
         });
 
+        context('getMessage()', () => {
+            it('returns the warning message', () => {
+                const proto = new NoticeStub.Warning();
+
+                td.when(proto.getMsg()).thenReturn('foo');
+
+                expect(warning(proto).getMessage()).to.equal('foo');
+            });
+        });
+
         context('toJSON()', () => {
             it('returns a textual representation of a Mysqlx.Notice.Warning message', () => {
                 const proto = new NoticeStub.Warning();
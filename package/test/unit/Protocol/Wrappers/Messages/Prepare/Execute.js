@@ -111,6 +111,25 @@ describe('Mysqlx.Prepare.Execute wrapper', () => {
                 expect(td.explain(proto.setArgsList).callCount).to.equal(1);
                 expect(td.explain(proto.setArgsList).calls[0].args[0]).to.deep.equal(['baz', 'qux', 'quux']);
             });
+
+            it('returns a Mysqlx.Prepare.Execute wrap instance with the positional args of a raw SQL statement', () => {
+                const proto = new PrepareStub.Execute();
+                const statement = { getArgs: td.function(), getStatementId: td.function(), getType: td.function() };
+
+                td.when(wraps(proto)).thenReturn({ valueOf: () => 'foo' });
+
+                td.when(statement.getType()).thenReturn(PrepareStub.Prepare.OneOfMessage.Type.STMT);
+                td.when(statement.getStatementId()).thenReturn('bar');
+                td.when(statement.getArgs()).thenReturn(['s_baz', 's_qux']);
+                td.when(any.create('s_baz')).thenReturn({ valueOf: () => 'baz' });
+                td.when(any.create('s_qux')).thenReturn({ valueOf: () => 'qux' });
+
+                expect(execute.create(statement).valueOf()).to.equal('foo');
+                expect(td.explain(proto.setStmtId).callCount).to.equal(1);
+                expect(td.explain(proto.setStmtId).calls[0].args[0]).to.equal('bar');
+                expect(td.explain(proto.setArgsList).callCount).to.equal(1);
+                expect(td.explain(proto.setArgsList).calls[0].args[0]).to.deep.equal(['baz', 'qux']);
+            });
         });
     });
 
@@ -39,13 +39,14 @@ const td = require('testdouble');
 let oneOfMessage = require('../../../../../../lib/Protocol/Wrappers/Messages/Prepare/OneOfMessage');
 
 describe('Mysqlx.Prepare.Prepare.OneOfMessage wrapper', () => {
-    let PrepareStub, crudDelete, crudFind, crudUpdate, wraps;
+    let PrepareStub, crudDelete, crudFind, crudUpdate, stmtExecute, wraps;
 
     beforeEach('create fakes', () => {
         PrepareStub = td.replace('../../../../../../lib/Protocol/Stubs/mysqlx_prepare_pb');
         crudDelete = td.replace('../../../../../../lib/Protocol/Wrappers/Messages/Crud/Delete');
         crudFind = td.replace('../../../../../../lib/Protocol/Wrappers/Messages/Crud/Find');
         crudUpdate = td.replace('../../../../../../lib/Protocol/Wrappers/Messages/Crud/Update');
+        stmtExecute = td.replace('../../../../../../lib/Protocol/Wrappers/Messages/Sql/StmtExecute');
         wraps = td.replace('../../../../../../lib/Protocol/Wrappers/Traits/Wraps');
         oneOfMessage = require('../../../../../../lib/Protocol/Wrappers/Messages/Prepare/OneOfMessage');
     });
@@ -107,6 +108,22 @@ describe('Mysqlx.Prepare.Prepare.OneOfMessage wrapper', () => {
                 expect(td.explain(proto.setUpdate).callCount).to.equal(0);
             });
 
+            it('returns a Mysqlx.Prepare.Prepare.OneOfMessage wrapper for a Mysqlx.Sql.StmtExecute message', () => {
+                const proto = new PrepareStub.Prepare.OneOfMessage();
+                const statement = { getType: td.function() };
+
+                td.when(statement.getType()).thenReturn(PrepareStub.Prepare.OneOfMessage.Type.STMT);
+                td.when(stmtExecute.create(statement, 'foo')).thenReturn({ valueOf: () => 'bar' });
+                td.when(wraps(proto)).thenReturn({ valueOf: () => 'baz' });
+
+                expect(oneOfMessage.create(statement, 'foo').valueOf()).to.equal('baz');
+                expect(td.explain(proto.setType).callCount).to.equal(1);
+                expect(td.explain(proto.setType).calls[0].args[0]).to.equal(PrepareStub.Prepare.OneOfMessage.Type.STMT);
+                expect(td.explain(proto.setStmtExecute).callCount).to.equal(1);
+                expect(td.explain(proto.setStmtExecute).calls[0].args[0]).to.equal('bar');
+                expect(td.explain(proto.setFind).callCount).to.equal(0);
+            });
+
             it('returns a Mysqlx.Prepare.Prepare.OneOfMessage wrapper for an unknown message', () => {
                 const proto = new PrepareStub.Prepare.OneOfMessage();
                 const statement = { getType: td.function() };
@@ -189,6 +206,20 @@ describe('Mysqlx.Prepare.Prepare.OneOfMessage wrapper', () => {
                 expect(wrap.toJSON()).to.deep.equal({ type: 'foo', delete: 'bar' });
             });
 
+            it('returns a textual representation of Mysqlx.Prepare.Prepare.OneOfMessage for a Mysqlx.Sql.StmtExecute message', () => {
+                const proto = new PrepareStub.Prepare.OneOfMessage();
+
+                const wrap = oneOfMessage(proto);
+                const getType = td.replace(wrap, 'getType');
+
+                td.when(getType()).thenReturn('foo');
+                td.when(proto.getType()).thenReturn(PrepareStub.Prepare.OneOfMessage.Type.STMT);
+                td.when(proto.getStmtExecute()).thenReturn('p_bar');
+                td.when(stmtExecute('p_bar')).thenReturn({ toJSON: () => 'bar' });
+
+                expect(wrap.toJSON()).to.deep.equal({ type: 'foo', stmt_execute: 'bar' });
+            });
+
             it('returns an incomplete representation of Mysqlx.Prepare.Prepare.OneOfMessage for an unknown message', () => {
                 const proto = new PrepareStub.Prepare.OneOfMessage();
 
@@ -80,6 +80,19 @@ describe('Mysqlx.Sql.StmtExecute wrapper', () => {
                 expect(td.explain(proto.setArgsList).callCount).to.equal(1);
                 expect(td.explain(proto.setArgsList).calls[0].args[0]).to.deep.equal(['qux', 'quux']);
             });
+
+            it('does not encode the placeholder values when the statement is being prepared', () => {
+                const proto = new SqlStub.StmtExecute();
+                const statement = { getArgs: td.function(), getNamespace: td.function(), getSQL: td.function() };
+
+                td.when(wraps(proto)).thenReturn({ valueOf: () => 'foo' });
+                td.when(statement.getSQL()).thenReturn('bar');
+                td.when(bytes.create(Buffer.from('bar'))).thenReturn({ valueOf: () => 'baz' });
+
+                expect(stmtExecute.create(statement, { toPrepare: true }).valueOf()).to.equal('foo');
+                expect(td.explain(proto.setArgsList).callCount).to.equal(0);
+                expect(td.explain(statement.getArgs).callCount).to.equal(0);
+            });
         });
     });
 
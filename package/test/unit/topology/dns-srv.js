@@ -32,6 +32,7 @@
 
 /* eslint-env node, mocha */
 
+const EventEmitter = require('events');
 const errors = require('../../../lib/constants/errors');
 const expect = require('chai').expect;
 const td = require('testdouble');
@@ -45,8 +46,196 @@ describe('DNS SRV utilities', () => {
         td.reset();
     });
 
+    // Builds a DNS response message for a given query, where the name in
+    // each answer is a pointer to the name in the question.
+    const response = (query, answers, { flags = 0x8180 } = {}) => {
+        const header = Buffer.from(query.slice(0, 12));
+
+        header.writeUInt16BE(flags, 2);
+        header.writeUInt16BE(answers.length, 6);
+
+        return Buffer.concat([header, query.slice(12)].concat(answers.map(({ host, port, priority, ttl, type = 33, weight }) => {
+            const target = Buffer.concat(host.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])).concat(Buffer.from([0])));
+            const record = Buffer.alloc(18);
+
+            record.writeUInt16BE(0xc00c, 0);
+            record.writeUInt16BE(type, 2);
+            record.writeUInt16BE(1, 4);
+            record.writeUInt32BE(ttl, 6);
+            record.writeUInt16BE(6 + target.length, 10);
+            record.writeUInt16BE(priority, 12);
+            record.writeUInt16BE(weight, 14);
+            record.writeUInt16BE(port, 16);
+
+            return Buffer.concat([record, target]);
+        })));
+    };
+
+    context('query()', () => {
+        let createSocket, getServers, socket;
+
+        beforeEach('create fakes', () => {
+            createSocket = td.function();
+            getServers = td.function();
+            socket = new EventEmitter();
+            socket.close = td.function();
+            socket.send = td.function();
+
+            td.replace('dgram', { createSocket });
+            td.replace('dns', { promises: { getServers } });
+
+            srv = require('../../../lib/topology/dns-srv');
+        });
+
+        it('retrieves the SRV records, including their TTL, from the first DNS server', () => {
+            td.when(getServers()).thenReturn(['127.0.0.1:5353', '127.0.0.2']);
+            td.when(createSocket('udp4')).thenReturn(socket);
+            td.when(socket.send(td.matchers.isA(Buffer), 5353, '127.0.0.1')).thenDo(query => {
+                expect(query.slice(12).toString('hex')).to.equal(Buffer.from('\x07_mysqlx\x04_tcp\x07example\x03com\x00\x00\x21\x00\x01', 'latin1').toString('hex'));
+
+                setImmediate(() => socket.emit('message', response(query, [{ host: 'foo.example.com', port: 33060, priority: 0, ttl: 30, weight: 5 }, { host: 'bar.example.com', port: 33061, priority: 1, ttl: 10, weight: 10 }]), { address: '127.0.0.1', port: 5353 }));
+            });
+
+            return srv.query('_mysqlx._tcp.example.com')
+                .then(records => {
+                    expect(records).to.deep.equal([{ host: 'foo.example.com', port: 33060, priority: 0, ttl: 30, weight: 5 }, { host: 'bar.example.com', port: 33061, priority: 1, ttl: 10, weight: 10 }]);
+                    return expect(td.explain(socket.close).callCount).to.equal(1);
+                });
+        });
+
+        it('uses the default port and IPv6 when needed', () => {
+            td.when(getServers()).thenReturn(['::1']);
+            td.when(createSocket('udp6')).thenReturn(socket);
+            td.when(socket.send(td.matchers.isA(Buffer), 53, '::1')).thenDo(query => {
+                setImmediate(() => socket.emit('message', response(query, [{ host: 'foo', port: 33060, priority: 0, ttl: 0, weight: 0 }]), { address: '::1', port: 53 }));
+            });
+
+            return srv.query('foo')
+                .then(records => {
+                    return expect(records).to.deep.equal([{ host: 'foo', port: 33060, priority: 0, ttl: 0, weight: 0 }]);
+                });
+        });
+
+        it('ignores messages that are not an answer to the query', () => {
+            const server = { address: '127.0.0.1', port: 53 };
+
+            td.when(getServers()).thenReturn(['127.0.0.1']);
+            td.when(createSocket('udp4')).thenReturn(socket);
+            td.when(socket.send(td.matchers.isA(Buffer), 53, '127.0.0.1')).thenDo(query => {
+                const other = Buffer.from(query);
+                other.writeUInt16BE((query.readUInt16BE(0) + 1) % 65536, 0);
+
+                // Same identifier but a different name ("fop").
+                const question = Buffer.from(query);
+                question.write('p', 15);
+
+                setImmediate(() => {
+                    socket.emit('message', response(other, [{ host: 'bar', port: 33060, priority: 0, ttl: 0, weight: 0 }]), server);
+                    socket.emit('message', response(question, [{ host: 'bar', port: 33060, priority: 0, ttl: 0, weight: 0 }]), server);
+                    socket.emit('message', response(query, [{ host: 'foo', port: 33060, priority: 0, ttl: 0, weight: 0 }]), server);
+                });
+            });
+
+            return srv.query('foo')
+                .then(records => {
+                    return expect(records).to.deep.equal([{ host: 'foo', port: 33060, priority: 0, ttl: 0, weight: 0 }]);
+                });
+        });
+
+        it('fails when the answer is truncated, reports an error or does not contain SRV records', () => {
+            const answers = [{ flags: 0x8380, records: [{ host: 'foo', port: 33060, priority: 0, ttl: 0, weight: 0 }] }, { flags: 0x8183, records: [] }, { flags: 0x8180, records: [{ host: 'foo', port: 0, priority: 0, ttl: 0, type: 5, weight: 0 }] }];
+
+            td.when(getServers()).thenReturn(['127.0.0.1']);
+            td.when(createSocket('udp4')).thenReturn(socket);
+            td.when(socket.send(td.matchers.isA(Buffer), 53, '127.0.0.1')).thenDo(query => {
+                const { flags, records } = answers.shift();
+
+                setImmediate(() => socket.emit('message', response(query, records, { flags }), { address: '127.0.0.1', port: 53 }));
+            });
+
+            const attempt = () => {
+                return srv.query('foo')
+                    .then(() => {
+                        return expect.fail();
+                    })
+                    .catch(err => {
+                        return expect(err.message).to.equal(errors.MESSAGES.ERR_SRV_INVALID_ANSWER);
+                    });
+            };
+
+            return attempt().then(attempt).then(attempt);
+        });
+
+        it('ignores messages that do not come from the DNS server that was queried', () => {
+            td.when(getServers()).thenReturn(['127.0.0.1']);
+            td.when(createSocket('udp4')).thenReturn(socket);
+            td.when(socket.send(td.matchers.isA(Buffer), 53, '127.0.0.1')).thenDo(query => {
+                setImmediate(() => {
+                    socket.emit('message', response(query, [{ host: 'bar', port: 33060, priority: 0, ttl: 0, weight: 0 }]), { address: '127.0.0.2', port: 53 });
+                    socket.emit('message', response(query, [{ host: 'baz', port: 33060, priority: 0, ttl: 0, weight: 0 }]), { address: '127.0.0.1', port: 5353 });
+                    socket.emit('message', response(query, [{ host: 'foo', port: 33060, priority: 0, ttl: 0, weight: 0 }]), { address: '127.0.0.1', port: 53 });
+                });
+            });
+
+            return srv.query('foo')
+                .then(records => {
+                    return expect(records).to.deep.equal([{ host: 'foo', port: 33060, priority: 0, ttl: 0, weight: 0 }]);
+                });
+        });
+
+        it('queries the next DNS server when one does not answer in time', () => {
+            const other = new EventEmitter();
+            other.close = td.function();
+            other.send = td.function();
+
+            td.when(getServers()).thenReturn(['127.0.0.1', '127.0.0.2']);
+            td.when(createSocket('udp4')).thenReturn(socket, other);
+            td.when(other.send(td.matchers.isA(Buffer), 53, '127.0.0.2')).thenDo(query => {
+                setImmediate(() => other.emit('message', response(query, [{ host: 'foo', port: 33060, priority: 0, ttl: 0, weight: 0 }]), { address: '127.0.0.2', port: 53 }));
+            });
+
+            return srv.query('foo')
+                .then(records => {
+                    expect(records).to.deep.equal([{ host: 'foo', port: 33060, priority: 0, ttl: 0, weight: 0 }]);
+                    expect(td.explain(socket.send).callCount).to.equal(1);
+                    return expect(td.explain(socket.close).callCount).to.equal(1);
+                });
+        });
+
+        it('fails when the socket reports an error', () => {
+            const error = new Error('foobar');
+
+            td.when(getServers()).thenReturn(['127.0.0.1']);
+            td.when(createSocket('udp4')).thenReturn(socket);
+            td.when(socket.send(), { ignoreExtraArgs: true }).thenDo(() => {
+                setImmediate(() => socket.emit('error', error));
+            });
+
+            return srv.query('foo')
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    expect(err).to.deep.equal(error);
+                    return expect(td.explain(socket.close).callCount).to.equal(1);
+                });
+        });
+
+        it('fails when there are no DNS servers', () => {
+            td.when(getServers()).thenReturn([]);
+
+            return srv.query('foo')
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err.message).to.equal(errors.MESSAGES.ERR_SRV_INVALID_ANSWER);
+                });
+        });
+    });
+
     context('lookup()', () => {
-        let resolveSrv;
+        let query, resolveSrv;
 
         beforeEach('create fakes', () => {
             resolveSrv = td.function();
@@ -54,9 +243,20 @@ describe('DNS SRV utilities', () => {
             td.replace('dns', { promises: { resolveSrv } });
 
             srv = require('../../../lib/topology/dns-srv');
+            query = td.replace(srv, 'query');
         });
 
-        it('returns a list of endpoints that match the service records associated to the given service definition', () => {
+        it('returns the records that are directly provided by the DNS server', () => {
+            td.when(query('foobar')).thenResolve([{ host: 'foo', port: 33060, priority: 0, ttl: 10, weight: 0 }]);
+
+            return srv.lookup('foobar')
+                .then(endpoints => {
+                    return expect(endpoints).to.deep.equal([{ host: 'foo', port: 33060, priority: 0, ttl: 10, weight: 0 }]);
+                });
+        });
+
+        it('falls back to a list of endpoints that match the service records provided by the system resolver', () => {
+            td.when(query('foobar')).thenReject(new Error());
             td.when(resolveSrv('foobar')).thenResolve([{ name: 'foo', port: 'bar', priority: 'baz', weight: 'qux' }]);
 
             return srv.lookup('foobar')
@@ -68,6 +268,7 @@ describe('DNS SRV utilities', () => {
         it('fails when there are no records associated to the service definition', () => {
             const error = new Error();
 
+            td.when(query('foobar')).thenReject(new Error());
             td.when(resolveSrv('foobar')).thenReject(error);
 
             return srv.lookup('foobar')
@@ -80,6 +281,20 @@ describe('DNS SRV utilities', () => {
         });
     });
 
+    context('random()', () => {
+        it('generates the same sequence of numbers for the same seed', () => {
+            const a = srv.random(42);
+            const b = srv.random(42);
+            const c = srv.random(7);
+
+            const sequence = [a(), a(), a()];
+
+            expect(sequence).to.deep.equal([b(), b(), b()]);
+            expect(sequence).to.not.deep.equal([c(), c(), c()]);
+            return sequence.forEach(n => expect(n).to.be.at.least(0).and.below(1));
+        });
+    });
+
     context('sort()', () => {
         it('sorts service records by ascending priority', () => {
             const serviceRecords = [{
@@ -113,7 +328,7 @@ describe('DNS SRV utilities', () => {
             return expect(srv.sort(serviceRecords)).to.deep.equal(expected);
         });
 
-        it('sorts service records by descending weight when the priority is the same', () => {
+        it('uses a weighted random selection for service records with the same priority', () => {
             const serviceRecords = [{
                 name: 'foo',
                 priority: 0,
@@ -126,72 +341,68 @@ describe('DNS SRV utilities', () => {
                 name: 'baz',
                 priority: 1,
                 weight: 15
-            }, {
-                name: 'qux',
-                priority: 1,
-                weight: 12
-            }, {
-                name: 'quux',
-                priority: 1,
-                weight: 20
             }];
 
-            const expected = [{
-                name: 'bar',
-                priority: 0,
-                weight: 10
-            }, {
-                name: 'foo',
-                priority: 0,
-                weight: 5
-            }, {
-                name: 'quux',
-                priority: 1,
-                weight: 20
-            }, {
-                name: 'baz',
-                priority: 1,
-                weight: 15
-            }, {
-                name: 'qux',
-                priority: 1,
-                weight: 12
-            }];
+            // The sum of the weights with priority 0 is 15, which means a
+            // random number (between 0 and 15) lower or equal than 5 picks
+            // "foo" and a random number above 5 picks "bar".
+            expect(srv.sort(serviceRecords, { random: () => 0.3 }).map(r => r.name)).to.deep.equal(['foo', 'bar', 'baz']);
+            return expect(srv.sort(serviceRecords, { random: () => 0.5 }).map(r => r.name)).to.deep.equal(['bar', 'foo', 'baz']);
+        });
 
-            return expect(srv.sort(serviceRecords)).to.deep.equal(expected);
+        it('picks service records proportionally to their weight', () => {
+            const serviceRecords = [{ name: 'foo', priority: 0, weight: 10 }, { name: 'bar', priority: 0, weight: 30 }, { name: 'baz', priority: 0, weight: 60 }];
+            const random = srv.random(42);
+            const picks = { foo: 0, bar: 0, baz: 0 };
+
+            for (let i = 0; i < 1000; ++i) {
+                picks[srv.sort(serviceRecords, { random })[0].name] += 1;
+            }
+
+            expect(picks.foo).to.be.within(70, 130);
+            expect(picks.bar).to.be.within(250, 350);
+            return expect(picks.baz).to.be.within(550, 650);
         });
 
-        it('uses weighted randomness when both priority and weights are the same', () => {
-            const serviceRecords = [{
-                name: 'foo',
-                priority: 1,
-                weight: 10
-            }, {
-                name: 'bar',
-                priority: 1,
-                weight: 10
-            }, {
-                name: 'baz',
-                priority: 1,
-                weight: 10
-            }, {
-                name: 'qux',
-                priority: 0,
-                weight: 10
-            }, {
-                name: 'quux',
-                priority: 1,
-                weight: 15
-            }];
+        it('only picks service records with weight 0 first when all the others have been picked', () => {
+            const serviceRecords = [{ name: 'foo', priority: 0, weight: 10 }, { name: 'bar', priority: 0, weight: 0 }];
+
+            expect(srv.sort(serviceRecords, { random: () => 0.5 }).map(r => r.name)).to.deep.equal(['foo', 'bar']);
+            return expect(srv.sort(serviceRecords, { random: () => 0 }).map(r => r.name)).to.deep.equal(['bar', 'foo']);
+        });
+
+        it('returns the same order for the same seed', () => {
+            const serviceRecords = [{ name: 'foo', priority: 1, weight: 10 }, { name: 'bar', priority: 1, weight: 10 }, { name: 'baz', priority: 1, weight: 10 }, { name: 'qux', priority: 0, weight: 10 }];
+
+            const res = srv.sort(serviceRecords, { random: srv.random(1) });
+
+            expect(res).to.deep.equal(srv.sort(serviceRecords, { random: srv.random(1) }));
+            return expect(res[0]).to.deep.equal(serviceRecords[3]);
+        });
+    });
+
+    context('refreshInterval()', () => {
+        it('returns the lowest TTL in milliseconds', () => {
+            return expect(srv.refreshInterval([{ ttl: 30 }, { ttl: 10 }])).to.equal(10000);
+        });
+
+        it('does not allow records to be looked up more than once per second', () => {
+            return expect(srv.refreshInterval([{ ttl: 0 }])).to.equal(1000);
+        });
+
+        it('returns one minute when the TTL is not known', () => {
+            expect(srv.refreshInterval()).to.equal(60000);
+            return expect(srv.refreshInterval([{ host: 'foo' }])).to.equal(60000);
+        });
+    });
 
-            const res = srv.sort(serviceRecords);
+    context('equals()', () => {
+        it('checks if two sets of records contain the same services regardless of their order and TTL', () => {
+            const records = [{ host: 'foo', port: 33060, priority: 0, weight: 5, ttl: 10 }, { host: 'bar', port: 33060, priority: 1, weight: 5, ttl: 10 }];
 
-            expect(res).to.be.an('array').and.have.lengthOf(5);
-            expect(res[0]).to.deep.equal(serviceRecords[3]);
-            expect(res[1]).to.deep.equal(serviceRecords[4]);
-            expect(res[2]).to.be.oneOf(serviceRecords.slice(0, 3));
-            expect(res[3]).to.be.oneOf(serviceRecords.slice(0, 3));
-            expect(res[4]).to.be.oneOf(serviceRecords.slice(0, 3));
+            expect(srv.equals(records, [records[1], Object.assign({}, records[0], { ttl: 5 })])).to.equal(true);
+            expect(srv.equals(records, [records[0]])).to.equal(false);
+            return expect(srv.equals(records, [records[0], Object.assign({}, records[1], { weight: 10 })])).to.equal(false);
         });
     });
 
@@ -0,0 +1,250 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const EventEmitter = require('events');
+const errors = require('../../../lib/constants/errors');
+const expect = require('chai').expect;
+const td = require('testdouble');
+const util = require('util');
+
+// subject under test needs to be reloaded with replacement fakes
+let endpointHealth = require('../../../lib/topology/endpoint-health');
+
+describe('endpoint health registry', () => {
+    let connect, socket;
+
+    beforeEach('create fakes', () => {
+        connect = td.function();
+        socket = new EventEmitter();
+        socket.destroy = td.function();
+        socket.setTimeout = td.function();
+
+        td.replace('net', { connect });
+
+        endpointHealth = require('../../../lib/topology/endpoint-health');
+    });
+
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    context('reportFailure()', () => {
+        it('keeps using an endpoint until the number of consecutive failures reaches the threshold', () => {
+            const health = endpointHealth({ failureThreshold: 2 });
+
+            health.reportFailure({ host: 'foo', port: 33060 });
+            expect(health.isAvailable({ host: 'foo', port: 33060 })).to.equal(true);
+
+            health.reportFailure({ host: 'foo', port: 33060, priority: 100 });
+            expect(health.isAvailable({ host: 'foo', port: 33060 })).to.equal(false);
+            expect(health.getState({ host: 'foo', port: 33060 })).to.equal('open');
+
+            return expect(health.reset().isAvailable({ host: 'foo' })).to.equal(true);
+        });
+
+        it('tracks each endpoint independently', () => {
+            const health = endpointHealth({ failureThreshold: 1 });
+
+            health.reportFailure({ host: 'foo' });
+
+            expect(health.isAvailable({ host: 'foo', port: 33060 })).to.equal(false);
+            expect(health.isAvailable({ host: 'foo', port: 33061 })).to.equal(true);
+            expect(health.isAvailable({ socket: '/path/to/socket' })).to.equal(true);
+
+            return health.reset();
+        });
+
+        it('uses a default threshold of three consecutive failures', () => {
+            const health = endpointHealth();
+
+            health.reportFailure({ host: 'foo' });
+            health.reportFailure({ host: 'foo' });
+            expect(health.isAvailable({ host: 'foo' })).to.equal(true);
+
+            health.reportFailure({ host: 'foo' });
+            expect(health.isAvailable({ host: 'foo' })).to.equal(false);
+
+            return health.reset();
+        });
+    });
+
+    context('reportSuccess()', () => {
+        it('resets the number of consecutive failures', () => {
+            const health = endpointHealth({ failureThreshold: 2 });
+
+            health.reportFailure({ host: 'foo' });
+            health.reportSuccess({ host: 'foo' });
+            health.reportFailure({ host: 'foo' });
+
+            return expect(health.isAvailable({ host: 'foo' })).to.equal(true);
+        });
+
+        it('starts using an endpoint that was being skipped', () => {
+            const health = endpointHealth({ failureThreshold: 1 });
+
+            health.reportFailure({ host: 'foo' });
+            health.reportSuccess({ host: 'foo' });
+
+            return expect(health.getState({ host: 'foo' })).to.equal('closed');
+        });
+    });
+
+    context('probe()', () => {
+        it('starts using an endpoint again when it becomes reachable', () => {
+            const health = endpointHealth({ failureThreshold: 1 }, 5000);
+
+            td.when(connect({ host: 'foo', port: 33061, path: undefined })).thenDo(() => {
+                setImmediate(() => socket.emit('connect'));
+                return socket;
+            });
+
+            health.reportFailure({ host: 'foo', port: 33061 });
+
+            const probe = health.probe({ host: 'foo', port: 33061 });
+
+            expect(health.getState({ host: 'foo', port: 33061 })).to.equal('halfOpen');
+
+            return probe
+                .then(() => {
+                    expect(health.getState({ host: 'foo', port: 33061 })).to.equal('closed');
+                    expect(td.explain(socket.setTimeout).calls[0].args).to.deep.equal([5000]);
+                    return expect(td.explain(socket.destroy).callCount).to.equal(1);
+                });
+        });
+
+        it('keeps skipping an endpoint that is still unreachable', () => {
+            const health = endpointHealth({ failureThreshold: 1 });
+
+            td.when(connect({ host: 'localhost', port: 33060, path: '/path/to/socket' })).thenDo(() => {
+                setImmediate(() => socket.emit('error', new Error()));
+                return socket;
+            });
+
+            health.reportFailure({ socket: '/path/to/socket' });
+
+            return health.probe({ socket: '/path/to/socket' })
+                .then(() => {
+                    expect(health.getState({ socket: '/path/to/socket' })).to.equal('open');
+                    return health.reset();
+                });
+        });
+
+        it('keeps skipping an endpoint that does not answer in time', () => {
+            const health = endpointHealth({ failureThreshold: 1 });
+
+            td.when(connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                setImmediate(() => socket.emit('timeout'));
+                return socket;
+            });
+
+            health.reportFailure({ host: 'foo' });
+
+            return health.probe({ host: 'foo' })
+                .then(() => {
+                    expect(health.getState({ host: 'foo' })).to.equal('open');
+                    expect(td.explain(socket.destroy).callCount).to.equal(1);
+                    return health.reset();
+                });
+        });
+
+        it('does not probe endpoints that are not being skipped', () => {
+            const health = endpointHealth();
+
+            return health.probe({ host: 'foo' })
+                .then(() => {
+                    return expect(td.explain(connect).callCount).to.equal(0);
+                });
+        });
+
+        it('probes an endpoint in the background once the cooldown period is over', done => {
+            const health = endpointHealth({ cooldown: 0, failureThreshold: 1 });
+
+            td.when(connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                setImmediate(() => {
+                    socket.emit('connect');
+
+                    setImmediate(() => {
+                        expect(health.isAvailable({ host: 'foo' })).to.equal(true);
+                        done();
+                    });
+                });
+
+                return socket;
+            });
+
+            health.reportFailure({ host: 'foo' });
+        });
+
+        it('ignores the result of a probe when the registry was reset in the meantime', () => {
+            const health = endpointHealth({ failureThreshold: 1 });
+
+            td.when(connect(), { ignoreExtraArgs: true }).thenDo(() => {
+                setImmediate(() => socket.emit('error', new Error()));
+                return socket;
+            });
+
+            health.reportFailure({ host: 'foo' });
+
+            const probe = health.probe({ host: 'foo' });
+
+            health.reset();
+
+            return probe
+                .then(() => {
+                    return expect(health.getState({ host: 'foo' })).to.equal('closed');
+                });
+        });
+    });
+
+    context('validate()', () => {
+        it('does not throw an error when the circuit breaker options are valid', () => {
+            expect(() => endpointHealth.validate({})).to.not.throw();
+            return expect(() => endpointHealth.validate({ circuitBreaker: { cooldown: 0, enabled: true, failureThreshold: 1 } })).to.not.throw();
+        });
+
+        it('throws an error when the circuit breaker options are not defined using a plain object', () => {
+            return expect(() => endpointHealth.validate({ circuitBreaker: true })).to.throw(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'circuitBreaker', true));
+        });
+
+        it('throws an error when the circuit breaker options contain unknown properties', () => {
+            return expect(() => endpointHealth.validate({ circuitBreaker: { foo: 'bar' } })).to.throw(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION, 'circuitBreaker.foo'));
+        });
+
+        it('throws an error when the circuit breaker options contain invalid values', () => {
+            expect(() => endpointHealth.validate({ circuitBreaker: { enabled: 'foo' } })).to.throw(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'circuitBreaker.enabled', 'foo'));
+            expect(() => endpointHealth.validate({ circuitBreaker: { failureThreshold: 0 } })).to.throw(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'circuitBreaker.failureThreshold', 0));
+            return expect(() => endpointHealth.validate({ circuitBreaker: { cooldown: -1 } })).to.throw(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'circuitBreaker.cooldown', -1));
+        });
+    });
+});
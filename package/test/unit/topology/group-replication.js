@@ -0,0 +1,99 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+'use strict';
+
+/* eslint-env node, mocha */
+
+const errors = require('../../../lib/constants/errors');
+const expect = require('chai').expect;
+const group = require('../../../lib/topology/group-replication');
+
+describe('Group Replication utilities', () => {
+    context('member()', () => {
+        it('creates the description of a group member based on the values of a row', () => {
+            expect(group.member(['foo', 'bar', 3306, 'ONLINE', 'PRIMARY', 1])).to.deep.equal({ id: 'foo', host: 'bar', port: 3306, state: 'ONLINE', role: 'PRIMARY', isCurrent: true });
+            expect(group.member(['baz', 'qux', 3306, 'RECOVERING', 'SECONDARY', 0])).to.deep.equal({ id: 'baz', host: 'qux', port: 3306, state: 'RECOVERING', role: 'SECONDARY', isCurrent: false });
+        });
+    });
+
+    context('sort()', () => {
+        const members = [
+            { host: 'foo', state: 'ONLINE', role: 'SECONDARY' },
+            { host: 'bar', state: 'ONLINE', role: 'PRIMARY' },
+            { host: 'baz', state: 'UNREACHABLE', role: 'SECONDARY' },
+            { host: 'qux', state: 'ONLINE', role: 'SECONDARY' }
+        ];
+
+        it('picks first the endpoints where ONLINE members with the expected role are running', () => {
+            const endpoints = [{ host: 'foo' }, { host: 'baz' }, { host: 'quux' }, { host: 'BAR' }];
+
+            expect(group.sort(endpoints, members, 'PRIMARY')).to.deep.equal([{ host: 'BAR' }, { host: 'foo' }, { host: 'quux' }, { host: 'baz' }]);
+        });
+
+        it('keeps the relative order of endpoints with the same rank', () => {
+            const endpoints = [{ host: 'qux' }, { host: 'bar' }, { host: 'foo' }];
+
+            expect(group.sort(endpoints, members, 'SECONDARY')).to.deep.equal([{ host: 'qux' }, { host: 'foo' }, { host: 'bar' }]);
+        });
+
+        it('does not match endpoints using local Unix sockets', () => {
+            const endpoints = [{ host: 'foo', socket: '/path/to/socket' }, { host: 'bar' }];
+
+            expect(group.sort(endpoints, members, 'SECONDARY')).to.deep.equal([{ host: 'bar' }, { host: 'foo', socket: '/path/to/socket' }]);
+        });
+
+        it('keeps the original order when the topology is not known', () => {
+            const endpoints = [{ host: 'foo' }, { host: 'bar' }];
+
+            expect(group.sort(endpoints, [], 'PRIMARY')).to.deep.equal(endpoints);
+        });
+    });
+
+    context('validate()', () => {
+        it('accepts valid options', () => {
+            expect(group.validate({})).to.equal(true);
+            expect(group.validate({ groupReplication: { enabled: false } })).to.equal(true);
+            expect(group.validate({ groupReplication: { enabled: true, role: 'PRIMARY' } })).to.equal(true);
+        });
+
+        it('fails when the options are not defined using a plain object', () => {
+            expect(() => group.validate({ groupReplication: 'foo' })).to.throw(errors.MESSAGES.ERR_INVALID_GROUP_REPLICATION_DEFINITION);
+            expect(() => group.validate({ groupReplication: [] })).to.throw(errors.MESSAGES.ERR_INVALID_GROUP_REPLICATION_DEFINITION);
+        });
+
+        it('fails when the "enabled" option is not a boolean', () => {
+            expect(() => group.validate({ groupReplication: { enabled: 'true' } })).to.throw(errors.MESSAGES.ERR_INVALID_GROUP_REPLICATION_ENABLED_VALUE);
+        });
+
+        it('fails when the role is not valid', () => {
+            expect(() => group.validate({ groupReplication: { role: 'primary' } })).to.throw(errors.MESSAGES.ERR_INVALID_GROUP_REPLICATION_ROLE_VALUE);
+        });
+    });
+});
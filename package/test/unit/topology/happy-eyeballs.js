@@ -0,0 +1,270 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const EventEmitter = require('events');
+const errors = require('../../../lib/constants/errors');
+const expect = require('chai').expect;
+const td = require('testdouble');
+
+// subject under test needs to be reloaded with replacement fakes
+let eyeballs = require('../../../lib/topology/happy-eyeballs');
+
+describe('Happy Eyeballs utilities', () => {
+    afterEach('reset fakes', () => {
+        td.reset();
+    });
+
+    context('interleave()', () => {
+        it('alternates between address families starting with the family of the first address', () => {
+            const addresses = [{ address: '::1', family: 6 }, { address: '::2', family: 6 }, { address: '::3', family: 6 }, { address: '127.0.0.1', family: 4 }, { address: '127.0.0.2', family: 4 }];
+
+            expect(eyeballs.interleave(addresses)).to.deep.equal([{ address: '::1', family: 6 }, { address: '127.0.0.1', family: 4 }, { address: '::2', family: 6 }, { address: '127.0.0.2', family: 4 }, { address: '::3', family: 6 }]);
+            return expect(eyeballs.interleave(addresses.slice(3).concat(addresses.slice(0, 1)))).to.deep.equal([{ address: '127.0.0.1', family: 4 }, { address: '::1', family: 6 }, { address: '127.0.0.2', family: 4 }]);
+        });
+
+        it('keeps the order of addresses of a single family', () => {
+            const addresses = [{ address: '127.0.0.2', family: 4 }, { address: '127.0.0.1', family: 4 }];
+
+            return expect(eyeballs.interleave(addresses)).to.deep.equal(addresses);
+        });
+
+        it('returns an empty list when there are no addresses', () => {
+            return expect(eyeballs.interleave()).to.deep.equal([]);
+        });
+    });
+
+    context('resolve()', () => {
+        let lookup;
+
+        beforeEach('create fakes', () => {
+            lookup = td.function();
+
+            td.replace('dns', { promises: { lookup } });
+
+            eyeballs = require('../../../lib/topology/happy-eyeballs');
+        });
+
+        it('creates an endpoint for each address of the host', () => {
+            const endpoint = { host: 'foo', port: 33061, priority: 100 };
+
+            td.when(lookup('foo', { all: true, verbatim: true })).thenResolve([{ address: '::1', family: 6 }, { address: '::2', family: 6 }, { address: '127.0.0.1', family: 4 }]);
+
+            return eyeballs.resolve(endpoint)
+                .then(endpoints => {
+                    expect(endpoints).to.have.lengthOf(3);
+                    expect(endpoints.map(e => e.address)).to.deep.equal(['::1', '127.0.0.1', '::2']);
+                    expect(endpoints[1]).to.include({ host: 'foo', port: 33061, priority: 100, family: 4 });
+                    return expect(endpoints.every(e => e.origin === endpoint)).to.equal(true);
+                });
+        });
+
+        it('uses the default host', () => {
+            td.when(lookup('localhost', { all: true, verbatim: true })).thenResolve([{ address: '127.0.0.1', family: 4 }]);
+
+            return eyeballs.resolve({ port: 33060 })
+                .then(endpoints => {
+                    return expect(endpoints.map(e => e.address)).to.deep.equal(['127.0.0.1']);
+                });
+        });
+
+        it('does not resolve IP addresses or local Unix sockets', () => {
+            return Promise.all([eyeballs.resolve({ host: '::1' }), eyeballs.resolve({ host: '127.0.0.1' }), eyeballs.resolve({ socket: '/path/to/socket' })])
+                .then(endpoints => {
+                    expect(endpoints).to.deep.equal([[{ host: '::1' }], [{ host: '127.0.0.1' }], [{ socket: '/path/to/socket' }]]);
+                    return expect(td.explain(lookup).callCount).to.equal(0);
+                });
+        });
+
+        it('keeps the original endpoint when the host cannot be resolved', () => {
+            const endpoint = { host: 'foo' };
+
+            td.when(lookup(), { ignoreExtraArgs: true }).thenReject(new Error('bar'));
+
+            return eyeballs.resolve(endpoint)
+                .then(endpoints => {
+                    return expect(endpoints).to.deep.equal([endpoint]);
+                });
+        });
+    });
+
+    context('collapse()', () => {
+        it('replaces the endpoints created for each address by the original one', () => {
+            const foo = { host: 'foo' };
+            const bar = { host: 'bar' };
+            const endpoints = [{ host: 'foo', address: '::1', origin: foo }, bar, { host: 'foo', address: '127.0.0.1', origin: foo }];
+
+            return expect(eyeballs.collapse(endpoints)).to.deep.equal([foo, bar]);
+        });
+
+        it('returns an empty list when there are no endpoints', () => {
+            return expect(eyeballs.collapse()).to.deep.equal([]);
+        });
+    });
+
+    context('connect()', () => {
+        let connect, sockets;
+
+        beforeEach('create fakes', () => {
+            connect = td.function();
+            sockets = {};
+
+            ['::1', '127.0.0.1', '::2'].forEach(address => {
+                const socket = new EventEmitter();
+                socket.destroy = td.function();
+                socket.setTimeout = td.function();
+
+                sockets[address] = socket;
+
+                td.when(connect({ host: address, port: 33060 })).thenReturn(socket);
+            });
+
+            td.replace('net', { connect });
+
+            eyeballs = require('../../../lib/topology/happy-eyeballs');
+        });
+
+        it('uses the first address that can be reached', () => {
+            const endpoints = [{ host: 'foo', address: '::1' }, { host: 'foo', address: '127.0.0.1' }];
+
+            setImmediate(() => sockets['::1'].emit('connect'));
+
+            return eyeballs.connect(endpoints, { delay: 1000, timeout: 5000 })
+                .then(({ endpoint, failed, socket }) => {
+                    expect(endpoint).to.equal(endpoints[0]);
+                    expect(failed).to.deep.equal([]);
+                    expect(socket).to.equal(sockets['::1']);
+                    expect(td.explain(connect).callCount).to.equal(1);
+                    expect(td.explain(socket.setTimeout).calls.map(call => call.args)).to.deep.equal([[5000], [0]]);
+                    return expect(socket.listenerCount('error')).to.equal(0);
+                });
+        });
+
+        it('starts a connection attempt to the next address when the previous one does not succeed within the delay', () => {
+            const endpoints = [{ host: 'foo', address: '::1' }, { host: 'foo', address: '127.0.0.1' }, { host: 'foo', address: '::2' }];
+
+            td.when(connect({ host: '127.0.0.1', port: 33060 })).thenDo(() => {
+                setImmediate(() => sockets['127.0.0.1'].emit('connect'));
+                return sockets['127.0.0.1'];
+            });
+
+            return eyeballs.connect(endpoints, { delay: 10 })
+                .then(({ endpoint, failed, socket }) => {
+                    expect(endpoint).to.equal(endpoints[1]);
+                    expect(failed).to.deep.equal([]);
+                    expect(socket).to.equal(sockets['127.0.0.1']);
+                    expect(td.explain(connect).callCount).to.equal(2);
+                    // The pending attempt is not needed anymore.
+                    return expect(td.explain(sockets['::1'].destroy).callCount).to.equal(1);
+                });
+        });
+
+        it('starts a connection attempt to the next address right away when the previous one fails', () => {
+            const endpoints = [{ host: 'foo', address: '::1' }, { host: 'foo', address: '127.0.0.1' }];
+
+            td.when(connect({ host: '::1', port: 33060 })).thenDo(() => {
+                setImmediate(() => sockets['::1'].emit('error', new Error('bar')));
+                return sockets['::1'];
+            });
+
+            td.when(connect({ host: '127.0.0.1', port: 33060 })).thenDo(() => {
+                setImmediate(() => sockets['127.0.0.1'].emit('connect'));
+                return sockets['127.0.0.1'];
+            });
+
+            return eyeballs.connect(endpoints, { delay: 60000 })
+                .then(({ endpoint, failed }) => {
+                    expect(endpoint).to.equal(endpoints[1]);
+                    return expect(failed).to.deep.equal([endpoints[0]]);
+                });
+        });
+
+        it('fails when none of the addresses can be reached', () => {
+            const endpoints = [{ host: 'foo', address: '::1' }, { host: 'foo', address: '127.0.0.1' }];
+            const error = new Error('bar');
+
+            td.when(connect({ host: '::1', port: 33060 })).thenDo(() => {
+                setImmediate(() => sockets['::1'].emit('error', new Error('baz')));
+                return sockets['::1'];
+            });
+
+            td.when(connect({ host: '127.0.0.1', port: 33060 })).thenDo(() => {
+                setImmediate(() => sockets['127.0.0.1'].emit('error', error));
+                return sockets['127.0.0.1'];
+            });
+
+            return eyeballs.connect(endpoints)
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err).to.equal(error);
+                });
+        });
+
+        it('aborts a connection attempt when the timeout is exceeded', () => {
+            const endpoints = [{ host: 'foo', address: '::1' }];
+
+            td.when(connect({ host: '::1', port: 33060 })).thenDo(() => {
+                setImmediate(() => sockets['::1'].emit('timeout'));
+                return sockets['::1'];
+            });
+
+            td.when(sockets['::1'].destroy(td.matchers.isA(Error))).thenDo(err => sockets['::1'].emit('error', err));
+
+            return eyeballs.connect(endpoints)
+                .then(() => {
+                    return expect.fail();
+                })
+                .catch(err => {
+                    return expect(err.name).to.equal('ETIMEDOUT');
+                });
+        });
+    });
+
+    context('validate()', () => {
+        it('does not throw an error when the options are valid', () => {
+            expect(() => eyeballs.validate({})).to.not.throw();
+            return expect(() => eyeballs.validate({ happyEyeballs: { enabled: true, delay: 0 } })).to.not.throw();
+        });
+
+        it('throws an error when the options are not defined using a plain object', () => {
+            return expect(() => eyeballs.validate({ happyEyeballs: 'foo' })).to.throw(errors.MESSAGES.ERR_INVALID_HAPPY_EYEBALLS_DEFINITION);
+        });
+
+        it('throws an error when the options contain invalid values', () => {
+            expect(() => eyeballs.validate({ happyEyeballs: { enabled: 'foo' } })).to.throw(errors.MESSAGES.ERR_INVALID_HAPPY_EYEBALLS_ENABLED_VALUE);
+            return expect(() => eyeballs.validate({ happyEyeballs: { delay: -1 } })).to.throw(errors.MESSAGES.ERR_INVALID_HAPPY_EYEBALLS_DELAY_VALUE);
+        });
+    });
+});
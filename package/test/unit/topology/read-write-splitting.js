@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2021, Oracle and/or its affiliates.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License, version 2.0, as
+ * published by the Free Software Foundation.
+ *
+ * This program is also distributed with certain software (including
+ * but not limited to OpenSSL) that is licensed under separate terms,
+ * as designated in a particular file or component or in included license
+ * documentation.  The authors of MySQL hereby grant you an
+ * additional permission to link the program and your derivative works
+ * with the separately licensed software that they have included with
+ * MySQL.
+ *
+ * Without limiting anything contained in the foregoing, this file,
+ * which is part of MySQL Connector/Node.js, is also subject to the
+ * Universal FOSS Exception, version 1.0, a copy of which can be found at
+ * http://oss.oracle.com/licenses/universal-foss-exception.
+ *
+ * This program is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License, version 2.0, for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin St, Fifth Floor, Boston, MA 02110-1301  USA
+ */
+
+'use strict';
+
+/* eslint-env node, mocha */
+
+const errors = require('../../../lib/constants/errors');
+const expect = require('chai').expect;
+const splitting = require('../../../lib/topology/read-write-splitting');
+const util = require('util');
+
+describe('read/write splitting utilities', () => {
+    context('split()', () => {
+        it('splits endpoints into primaries and replicas without the role', () => {
+            const endpoints = [{ host: 'foo', role: 'replica' }, { host: 'bar' }, { host: 'baz', role: 'primary' }, { host: 'qux', role: 'replica' }];
+
+            expect(splitting.split(endpoints)).to.deep.equal({ primaries: [{ host: 'bar' }, { host: 'baz' }], replicas: [{ host: 'foo' }, { host: 'qux' }] });
+        });
+
+        it('does not change the original endpoints', () => {
+            const endpoints = [{ host: 'foo', role: 'replica' }];
+
+            splitting.split(endpoints);
+
+            expect(endpoints).to.deep.equal([{ host: 'foo', role: 'replica' }]);
+        });
+
+        it('returns empty lists when there are no endpoints', () => {
+            expect(splitting.split()).to.deep.equal({ primaries: [], replicas: [] });
+        });
+    });
+
+    context('sort()', () => {
+        it('rotates the replicas using a round-robin strategy by default', () => {
+            const replicas = [{ name: 'foo' }, { name: 'bar' }, { name: 'baz' }];
+
+            expect(splitting.sort(replicas)).to.deep.equal(replicas);
+            expect(splitting.sort(replicas, { offset: 1 })).to.deep.equal([{ name: 'bar' }, { name: 'baz' }, { name: 'foo' }]);
+            expect(splitting.sort(replicas, { strategy: 'roundRobin', offset: 5 })).to.deep.equal([{ name: 'baz' }, { name: 'foo' }, { name: 'bar' }]);
+        });
+
+        it('picks first the replicas with the least number of active sessions', () => {
+            const replicas = [{ name: 'foo', active: 2 }, { name: 'bar', active: 1 }, { name: 'baz', active: 0 }, { name: 'qux', active: 1 }];
+
+            expect(splitting.sort(replicas, { strategy: 'leastActive', offset: 1 })).to.deep.equal([{ name: 'baz', active: 0 }, { name: 'bar', active: 1 }, { name: 'qux', active: 1 }, { name: 'foo', active: 2 }]);
+        });
+
+        it('returns an empty list when there are no replicas', () => {
+            expect(splitting.sort([], { offset: 1 })).to.deep.equal([]);
+        });
+    });
+
+    context('validate()', () => {
+        it('accepts valid options', () => {
+            expect(splitting.validate({})).to.equal(true);
+            expect(splitting.validate({ endpoints: [{ host: 'foo' }, { host: 'bar', role: 'replica' }] })).to.equal(true);
+            expect(splitting.validate({ endpoints: [{ host: 'foo', role: 'primary' }], loadBalancing: 'leastActive' })).to.equal(true);
+        });
+
+        it('fails when an endpoint role is not valid', () => {
+            expect(() => splitting.validate({ endpoints: [{ host: 'foo', role: 'secondary' }] })).to.throw(errors.MESSAGES.ERR_INVALID_ENDPOINT_ROLE);
+        });
+
+        it('fails when all the endpoints are replicas', () => {
+            expect(() => splitting.validate({ endpoints: [{ host: 'foo', role: 'replica' }] })).to.throw(errors.MESSAGES.ERR_REPLICAS_WITHOUT_PRIMARY);
+        });
+
+        it('fails when the load balancing strategy is not valid', () => {
+            expect(() => splitting.validate({ loadBalancing: 'foo' })).to.throw(util.format(errors.MESSAGES.ERR_CLIENT_INVALID_OPTION_VALUE, 'loadBalancing', 'foo'));
+        });
+    });
+});